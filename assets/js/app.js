@@ -16,6 +16,7 @@ import { morphdomOptions } from "./dom";
 import { loadUserData } from "./lib/user";
 import { loadAppAuthToken } from "./lib/app";
 import { settingsStore } from "./lib/settings";
+import { getEditorTheme } from "./lib/editor_themes";
 import {
   registerTopbar,
   registerGlobalEventHandlers,
@@ -43,6 +44,8 @@ function connect() {
           user_data: loadUserData(),
           app_auth_token: loadAppAuthToken(),
           confirm_opt_out_ids: loadConfirmOptOutIds(),
+          // Announce the supported encodings of collaborative deltas
+          delta_encodings: ["binary", "compressed"],
         };
       },
       hooks: hooks,
@@ -62,7 +65,24 @@ function connect() {
 
   // Reflect global configuration in attributes to enable CSS rules
   settingsStore.getAndSubscribe((settings) => {
+    const editorTheme = getEditorTheme(settings);
+
     document.body.setAttribute("data-editor-theme", settings.editor_theme);
+    document.body.setAttribute(
+      "data-editor-theme-mode",
+      editorTheme.dark ? "dark" : "light",
+    );
+
+    // Elements outside of the editor, such as outputs, use the theme
+    // colors via CSS variables, see utilities.css
+    const { colors } = editorTheme;
+    document.body.style.setProperty("--editor-text", colors.text);
+    document.body.style.setProperty("--editor-background", colors.background);
+    document.body.style.setProperty(
+      "--editor-background-lighter",
+      colors.backgroundLighter,
+    );
+    document.body.style.setProperty("--editor-border", colors.border);
   });
 
   // Connect if there are any LiveViews on the page
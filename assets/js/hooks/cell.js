@@ -1,9 +1,15 @@
 import { parseHookProps } from "../lib/attribute";
 import Markdown from "../lib/markdown";
 import { globalPubsub } from "../lib/pubsub";
+import { settingsStore } from "../lib/settings";
 import { md5Base64, smoothlyScrollToElement, withStyle } from "../lib/utils";
 import scrollIntoView from "scroll-into-view-if-needed";
 import { isEvaluable } from "../lib/notebook";
+import HistoryViewer from "./cell_editor/live_editor/history_viewer";
+
+// Formatting relies on the runtime, which may not respond, so we do
+// not hold the evaluation for longer than that
+const FORMAT_ON_EVALUATE_TIMEOUT_MS = 1_000;
 
 /**
  * A hook managing a single cell.
@@ -36,6 +42,7 @@ const Cell = {
     this.isFocused = false;
     this.insertMode = false;
     this.liveEditors = {};
+    this.historyViewer = null;
 
     this.updateInsertModeAvailability();
 
@@ -61,6 +68,20 @@ const Cell = {
       });
     }
 
+    if (["code", "setup"].includes(this.props.type)) {
+      const diffButton = this.el.querySelector(`[data-el-diff-button]`);
+      diffButton.addEventListener("click", (event) => {
+        this.toggleDiff();
+      });
+    }
+
+    if (["markdown", "code", "setup"].includes(this.props.type)) {
+      const historyButton = this.el.querySelector(`[data-el-history-button]`);
+      historyButton.addEventListener("click", (event) => {
+        this.toggleHistory();
+      });
+    }
+
     // Setup listeners
 
     this.el.addEventListener("lb:cell:editor_created", (event) => {
@@ -89,6 +110,9 @@ const Cell = {
         ({ focusableId, scroll }) =>
           this.handleElementFocused(focusableId, scroll),
       ),
+      globalPubsub.subscribe("navigation:selection_changed", ({ cellIds }) =>
+        this.handleSelectionChanged(cellIds),
+      ),
       globalPubsub.subscribe("navigation:insert_mode_changed", ({ enabled }) =>
         this.handleInsertModeChanged(enabled),
       ),
@@ -122,6 +146,8 @@ const Cell = {
   destroyed() {
     this.subscriptions.forEach((subscription) => subscription.destroy());
 
+    this.closeHistory();
+
     window.visualViewport.removeEventListener(
       "resize",
       this._handleViewportResize,
@@ -134,6 +160,12 @@ const Cell = {
 
     if (this.props.evaluationDigest !== prevProps.evaluationDigest) {
       this.updateChangeIndicator();
+
+      // The evaluation has been cleared, so there is nothing to diff
+      // against anymore
+      if (!this.props.evaluationDigest && this.liveEditors.primary) {
+        this.liveEditors.primary.setEvaluatedSource(null);
+      }
     }
   },
 
@@ -161,6 +193,14 @@ const Cell = {
     }
   },
 
+  handleSelectionChanged(cellIds) {
+    if (cellIds.includes(this.props.cellId)) {
+      this.el.setAttribute("data-js-selected", "");
+    } else {
+      this.el.removeAttribute("data-js-selected");
+    }
+  },
+
   handleCellEditorCreated(tag, liveEditor) {
     this.liveEditors[tag] = liveEditor;
 
@@ -240,11 +280,23 @@ const Cell = {
 
         this.handleEvent(
           `evaluation_finished:${this.props.cellId}`,
-          ({ code_markers }) => {
+          ({ code_markers, inline_results }) => {
             liveEditor.setCodeMarkers(code_markers);
+            liveEditor.setInlineResults(inline_results);
+          },
+        );
+
+        this.handleEvent(
+          `evaluation_source:${this.props.cellId}`,
+          ({ source }) => {
+            liveEditor.setEvaluatedSource(source);
           },
         );
 
+        liveEditor.onDiffModeChange((mode) => {
+          this.el.toggleAttribute("data-js-diff-visible", mode !== null);
+        });
+
         this.handleEvent(`start_evaluation:${this.props.cellId}`, () => {
           liveEditor.clearDoctests();
         });
@@ -258,6 +310,7 @@ const Cell = {
 
         this.handleEvent(`erase_outputs`, () => {
           liveEditor.setCodeMarkers([]);
+          liveEditor.setInlineResults([]);
           liveEditor.clearDoctests();
         });
       }
@@ -266,6 +319,42 @@ const Cell = {
 
   handleCellEditorRemoved(tag) {
     delete this.liveEditors[tag];
+
+    if (tag === "primary") {
+      this.closeHistory();
+    }
+  },
+
+  toggleDiff() {
+    const liveEditor = this.liveEditors.primary;
+
+    if (liveEditor) {
+      liveEditor.setDiffMode(liveEditor.getDiffMode() ? null : "unified");
+    }
+  },
+
+  toggleHistory() {
+    if (this.historyViewer) {
+      this.closeHistory();
+    } else if (this.liveEditors.primary) {
+      const historyBox = this.el.querySelector(`[data-el-history-box]`);
+
+      this.historyViewer = new HistoryViewer(
+        historyBox,
+        this.liveEditors.primary.getHistory(),
+        this.liveEditors.primary.language,
+      );
+
+      this.el.setAttribute("data-js-history-visible", "");
+    }
+  },
+
+  closeHistory() {
+    if (this.historyViewer) {
+      this.historyViewer.destroy();
+      this.historyViewer = null;
+      this.el.removeAttribute("data-js-history-visible");
+    }
   },
 
   handleViewportResize() {
@@ -339,6 +428,26 @@ const Cell = {
   },
 
   handleDispatchQueueEvaluation(dispatch) {
+    const settings = settingsStore.get();
+
+    if (settings.editor_format_on_evaluate) {
+      // Format the editors first, so that the formatted source is
+      // sent to the server before the evaluation request
+      const editors = Object.values(this.liveEditors);
+
+      Promise.all(
+        editors.map((liveEditor) =>
+          liveEditor.format({ timeout: FORMAT_ON_EVALUATE_TIMEOUT_MS }),
+        ),
+      )
+        .catch(() => {})
+        .then(() => this.dispatchQueueEvaluationAfterSync(dispatch));
+    } else {
+      this.dispatchQueueEvaluationAfterSync(dispatch);
+    }
+  },
+
+  dispatchQueueEvaluationAfterSync(dispatch) {
     if (this.props.type === "smart" && this.props.smartCellJsViewRef) {
       // Ensure the smart cell UI is reflected on the server, before the evaluation
       globalPubsub.broadcast(`js_views:${this.props.smartCellJsViewRef}:sync`, {
@@ -1,5 +1,11 @@
 import LiveEditor from "./cell_editor/live_editor";
 import Connection from "./cell_editor/live_editor/connection";
+import {
+  storeUnsyncedEdits,
+  loadUnsyncedEdits,
+  clearUnsyncedEdits,
+  rebaseUnsyncedEdits,
+} from "./cell_editor/live_editor/unsynced_edits";
 import { parseHookProps } from "../lib/attribute";
 import { waitUntilInViewport } from "../lib/utils";
 
@@ -9,7 +15,14 @@ const CellEditor = {
 
     this.handleEvent(
       `cell_editor_init:${this.props.cellId}:${this.props.tag}`,
-      ({ source, revision, doctest_reports, code_markers }) => {
+      ({
+        source,
+        revision,
+        evaluation_source,
+        doctest_reports,
+        code_markers,
+        inline_results,
+      }) => {
         const editorContainer = this.el.querySelector(
           `[data-el-editor-container]`,
         );
@@ -31,10 +44,51 @@ const CellEditor = {
           this.props.language,
           this.props.intellisense,
           this.props.readOnly,
+          this.props.intellisenseSchema,
         );
 
         this.liveEditor.setCodeMarkers(code_markers);
+        this.liveEditor.setInlineResults(inline_results);
         this.liveEditor.updateDoctests(doctest_reports);
+        this.liveEditor.setEvaluatedSource(evaluation_source);
+
+        this.unsyncedEditsWarningEl = document.createElement("div");
+        this.unsyncedEditsWarningEl.classList.add(
+          "hidden",
+          "px-4",
+          "pb-1",
+          "text-xs",
+          "text-right",
+          "text-yellow-600",
+        );
+        this.unsyncedEditsWarningEl.textContent =
+          "Edits made while disconnected may have been applied twice, please review the cell";
+        editorContainer.appendChild(this.unsyncedEditsWarningEl);
+
+        this.restoreUnsyncedEdits(source, revision);
+
+        this.unsyncedEditsIndicatorEl = document.createElement("div");
+        this.unsyncedEditsIndicatorEl.classList.add(
+          "hidden",
+          "px-4",
+          "pb-1",
+          "text-xs",
+          "text-right",
+          "text-yellow-600",
+        );
+        editorContainer.appendChild(this.unsyncedEditsIndicatorEl);
+
+        this.unsyncedEditsSubscription = this.liveEditor.onUnsyncedEditsChange(
+          (unsyncedEdits) => {
+            storeUnsyncedEdits(
+              this.props.sessionId,
+              this.props.cellId,
+              this.props.tag,
+              unsyncedEdits,
+            );
+            this.updateUnsyncedEditsIndicator(unsyncedEdits);
+          },
+        );
 
         const skeletonEl = editorContainer.querySelector(`[data-el-skeleton]`);
 
@@ -51,7 +105,7 @@ const CellEditor = {
           "font-editor",
           "px-12",
         );
-        sourceEl.textContent = source;
+        sourceEl.textContent = this.liveEditor.getSource();
         skeletonEl.replaceChildren(sourceEl);
 
         this.liveEditor.onMount(() => {
@@ -61,7 +115,11 @@ const CellEditor = {
 
         this.el.dispatchEvent(
           new CustomEvent("lb:cell:editor_created", {
-            detail: { tag: this.props.tag, liveEditor: this.liveEditor },
+            detail: {
+              cellId: this.props.cellId,
+              tag: this.props.tag,
+              liveEditor: this.liveEditor,
+            },
             bubbles: true,
           }),
         );
@@ -81,7 +139,26 @@ const CellEditor = {
     );
   },
 
+  updated() {
+    const prevProps = this.props;
+    this.props = this.getProps();
+
+    if (
+      this.liveEditor &&
+      JSON.stringify(this.props.intellisenseSchema) !==
+        JSON.stringify(prevProps.intellisenseSchema)
+    ) {
+      this.liveEditor.setIntellisenseSchema(this.props.intellisenseSchema);
+    }
+  },
+
   disconnected() {
+    // Edits made from now on are not going to reach the server, so
+    // the editor starts tracking them for recovery
+    if (this.connection) {
+      this.connection.handleDisconnected();
+    }
+
     // When disconnected, this client is no longer seen by the server
     // and misses all collaborative changes. On reconnection we want
     // to clean up and mount a fresh hook, which we force by ensuring
@@ -97,10 +174,14 @@ const CellEditor = {
       this.connection.destroy();
     }
 
+    if (this.unsyncedEditsSubscription) {
+      this.unsyncedEditsSubscription.destroy();
+    }
+
     if (this.liveEditor) {
       this.el.dispatchEvent(
         new CustomEvent("lb:cell:editor_removed", {
-          detail: { tag: this.props.tag },
+          detail: { cellId: this.props.cellId, tag: this.props.tag },
           bubbles: true,
         }),
       );
@@ -112,13 +193,56 @@ const CellEditor = {
     }
   },
 
+  /**
+   * Applies local edits that were made while disconnected, if any.
+   */
+  restoreUnsyncedEdits(source, revision) {
+    const { sessionId, cellId, tag } = this.props;
+    const unsyncedEdits = loadUnsyncedEdits(sessionId, cellId, tag);
+
+    if (unsyncedEdits) {
+      clearUnsyncedEdits(sessionId, cellId, tag);
+
+      const { delta, uncertain } = rebaseUnsyncedEdits(
+        unsyncedEdits,
+        source,
+        revision,
+      );
+
+      if (delta) {
+        this.liveEditor.applyDelta(delta);
+      }
+
+      // We could not determine whether the server already has some of
+      // the edits, so we keep them and ask the user to double check.
+      // The warning is dismissed once the user leaves the editor
+      if (uncertain) {
+        this.unsyncedEditsWarningEl.classList.remove("hidden");
+
+        this.liveEditor.onBlur(() => {
+          this.unsyncedEditsWarningEl.classList.add("hidden");
+        });
+      }
+    }
+  },
+
+  updateUnsyncedEditsIndicator(unsyncedEdits) {
+    const count = unsyncedEdits ? unsyncedEdits.count : 0;
+
+    this.unsyncedEditsIndicatorEl.classList.toggle("hidden", count === 0);
+    this.unsyncedEditsIndicatorEl.textContent =
+      count === 1 ? "1 unsynced edit" : `${count} unsynced edits`;
+  },
+
   getProps() {
     return parseHookProps(this.el, [
+      "session-id",
       "cell-id",
       "tag",
       "language",
       "intellisense",
       "read-only",
+      "intellisense-schema",
     ]);
   },
 };
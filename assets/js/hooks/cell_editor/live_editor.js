@@ -26,28 +26,47 @@ import {
   closeBrackets,
   snippetCompletion,
 } from "@codemirror/autocomplete";
-import { setDiagnostics } from "@codemirror/lint";
+import { setDiagnostics, linter, forceLinting } from "@codemirror/lint";
 import { vscodeKeymap } from "@replit/codemirror-vscode-keymap";
 import { vim } from "@replit/codemirror-vim";
 import { emacs } from "@replit/codemirror-emacs";
 
-import { collab, deltaToChanges } from "./live_editor/codemirror/collab";
+import {
+  collab,
+  collabUndo,
+  collabRedo,
+  deltaToChanges,
+} from "./live_editor/codemirror/collab";
 import { collabMarkers } from "./live_editor/codemirror/collab_markers";
-import { theme, lightTheme } from "./live_editor/codemirror/theme";
+import { themeExtension } from "./live_editor/codemirror/theme";
 import {
   clearDoctests,
   updateDoctests,
 } from "./live_editor/codemirror/doctests";
+import { setInlineResults } from "./live_editor/codemirror/inline_results";
+import { codeLens, setCodeLenses } from "./live_editor/codemirror/code_lens";
+import { minimap } from "./live_editor/codemirror/minimap";
+import { rainbowBrackets } from "./live_editor/codemirror/rainbow_brackets";
+import { indentGuides } from "./live_editor/codemirror/indent_guides";
 import { signature } from "./live_editor/codemirror/signature";
 import { formatter } from "./live_editor/codemirror/formatter";
+import { codeActions } from "./live_editor/codemirror/code_actions";
+import {
+  evaluationDiff,
+  setDiff,
+} from "./live_editor/codemirror/evaluation_diff";
+import { createReadOnlyState } from "./live_editor/read_only_state";
 import { replacedSuffixLength } from "../../lib/text_utils";
 import { settingsStore } from "../../lib/settings";
+import { getEditorTheme } from "../../lib/editor_themes";
+import { snippetsStore } from "../../lib/snippets";
 import Delta from "../../lib/delta";
 import Markdown from "../../lib/markdown";
 import { readOnlyHint } from "./live_editor/codemirror/read_only_hint";
 import { isMacOS, wait } from "../../lib/utils";
 import Emitter from "../../lib/emitter";
 import CollabClient from "./live_editor/collab_client";
+import SourceHistory from "./live_editor/source_history";
 import { languages } from "./live_editor/codemirror/languages";
 import {
   exitMulticursor,
@@ -57,6 +76,10 @@ import { ancestorNode, closestNode } from "./live_editor/codemirror/tree_utils";
 import { selectingClass } from "./live_editor/codemirror/selecting_class";
 import { globalPubsub } from "../../lib/pubsub";
 import { hoverDetails } from "./live_editor/codemirror/hover_details";
+import {
+  getIntellisenseProvider,
+  requestLocalIntellisense,
+} from "./live_editor/intellisense";
 
 /**
  * Mounts cell source editor with real-time collaboration mechanism.
@@ -107,6 +130,26 @@ export default class LiveEditor {
    */
   onSelectionChange = this._onSelectionChange.event;
 
+  /** @private */
+  _onUnsyncedEditsChange = new Emitter();
+
+  /**
+   * Registers a callback called whenever local edits are made while
+   * the connection is lost.
+   *
+   * See `CollabClient.getUnsyncedEdits` for the callback argument.
+   */
+  onUnsyncedEditsChange = this._onUnsyncedEditsChange.event;
+
+  /** @private */
+  _onDiffModeChange = new Emitter();
+
+  /**
+   * Registers a callback called whenever the diff is shown, hidden,
+   * or its mode changes.
+   */
+  onDiffModeChange = this._onDiffModeChange.event;
+
   constructor(
     container,
     connection,
@@ -115,21 +158,44 @@ export default class LiveEditor {
     language,
     intellisense,
     readOnly,
+    intellisenseSchema = null,
   ) {
     this.container = container;
     this.source = source;
     this.language = language;
     this.intellisense = intellisense;
+    // Without runtime intellisense, we fall back to local intellisense
+    // for languages that support it
+    this.intellisenseProvider = intellisense
+      ? null
+      : getIntellisenseProvider(language);
+    this.intellisenseSchema = intellisenseSchema;
     this.readOnly = readOnly;
     this.initialWidgets = {};
+    this.evaluatedSource = null;
+    this.diffMode = null;
+    this.evaluatedView = null;
+    this.codeMarkers = [];
 
     this.connection = connection;
-    this.collabClient = new CollabClient(connection, revision);
+    this.collabClient = new CollabClient(connection, revision, source);
+    this.history = new SourceHistory(source);
 
     this.deltaSubscription = this.collabClient.onDelta((delta, info) => {
       this.source = delta.applyToString(this.source);
+      this.history.record(delta, this.getAuthor(info.clientId));
+
+      if (this.evaluatedView) {
+        setDiff(this.evaluatedView, { otherSource: this.source });
+      }
       this._onChange.dispatch(this.source);
     });
+
+    this.unsyncedEditsSubscription = this.collabClient.onUnsyncedEditsChange(
+      (unsyncedEdits) => {
+        this._onUnsyncedEditsChange.dispatch(unsyncedEdits);
+      },
+    );
   }
 
   /**
@@ -151,6 +217,10 @@ export default class LiveEditor {
 
     this.setInitialWidgets();
 
+    if (this.evaluatedSource !== null) {
+      this.updateDiff();
+    }
+
     this._onMount.dispatch();
   }
 
@@ -161,6 +231,98 @@ export default class LiveEditor {
     return this.source;
   }
 
+  /**
+   * Returns the history of all changes applied to the editor since
+   * it was created.
+   *
+   * See `SourceHistory` for more details.
+   */
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Applies the given delta as a local change.
+   *
+   * The change is sent to the server and propagated to other clients,
+   * the same way as if it was made by the user.
+   */
+  applyDelta(delta) {
+    if (this.isMounted()) {
+      this.view.dispatch({ changes: deltaToChanges(delta) });
+    } else {
+      this.collabClient.handleClientDelta(delta, null);
+    }
+  }
+
+  /**
+   * Sets the source of the last evaluation, which is used to show
+   * the diff.
+   *
+   * Passing `null` indicates there is no evaluated source, in which
+   * case the diff is hidden.
+   */
+  setEvaluatedSource(source) {
+    this.evaluatedSource = source;
+
+    if (source === null) {
+      this.setDiffMode(null);
+    } else if (this.isMounted()) {
+      this.updateDiff();
+    }
+  }
+
+  /**
+   * Returns the current diff mode, or `null` if the diff is hidden.
+   */
+  getDiffMode() {
+    return this.diffMode;
+  }
+
+  /**
+   * Shows the diff between the evaluated and the current source.
+   *
+   * The mode is either `"unified"` or `"split"`, while `null` hides
+   * the diff. The diff is only available once the evaluated source
+   * is set.
+   *
+   * Note that showing the diff forces the editor to be mounted, if
+   * it is not already mounted.
+   */
+  setDiffMode(mode) {
+    if (mode === this.diffMode || (mode && this.evaluatedSource === null)) {
+      return;
+    }
+
+    this.diffMode = mode;
+
+    if (this.isMounted()) {
+      this.updateDiff();
+    } else if (mode) {
+      this.mount();
+    }
+
+    this._onDiffModeChange.dispatch(mode);
+  }
+
+  /**
+   * Reverts the source to the evaluated one.
+   *
+   * The revert is applied as a regular local change, so it is
+   * propagated to other clients and can be undone.
+   */
+  revertToEvaluated() {
+    if (this.evaluatedSource === null) {
+      return;
+    }
+
+    const delta = Delta.diff(this.source, this.evaluatedSource);
+
+    if (delta.ops.length > 0) {
+      this.applyDelta(delta);
+    }
+  }
+
   /**
    * Returns an element closest to the current main cursor position.
    */
@@ -232,8 +394,13 @@ export default class LiveEditor {
       this.view.destroy();
     }
 
+    if (this.evaluatedView) {
+      this.evaluatedView.destroy();
+    }
+
     this.collabClient.destroy();
     this.deltaSubscription.destroy();
+    this.unsyncedEditsSubscription.destroy();
   }
 
   /**
@@ -263,36 +430,209 @@ export default class LiveEditor {
     }
   }
 
+  /**
+   * Shows short evaluation results at the end of the corresponding
+   * lines, if enabled in the settings.
+   *
+   * Passing an empty list clears all results. When disabled, the
+   * results are cleared as well, since they may come from evaluation
+   * requested by another client.
+   */
+  setInlineResults(inlineResults) {
+    const settings = settingsStore.get();
+
+    if (!settings.editor_inline_results) {
+      inlineResults = [];
+    }
+
+    if (this.isMounted()) {
+      setInlineResults(this.view, inlineResults);
+    } else {
+      this.initialWidgets.inlineResults = inlineResults;
+    }
+  }
+
+  /**
+   * Sets code lenses shown above function definitions, see
+   * `setCodeLenses` in the code lens extension.
+   *
+   * Code lenses are only shown in Elixir editors with intellisense.
+   */
+  setCodeLenses(lenses) {
+    if (!this.intellisense || this.language !== "elixir") {
+      return;
+    }
+
+    if (this.isMounted()) {
+      setCodeLenses(this.view, lenses);
+    } else {
+      this.initialWidgets.codeLenses = lenses;
+    }
+  }
+
+  /**
+   * Sets the schema used by local intellisense, such as JSON Schema
+   * for JSON and YAML, or database tables for SQL.
+   */
+  setIntellisenseSchema(schema) {
+    this.intellisenseSchema = schema;
+
+    if (this.isMounted() && this.intellisenseProvider) {
+      forceLinting(this.view);
+    }
+  }
+
+  /**
+   * Formats the source, if a formatter is available for the editor
+   * language.
+   *
+   * Returns a promise resolved once the formatting changes are applied.
+   * With `timeout` given, the promise is resolved after at most that
+   * many milliseconds, and any later formatting is discarded.
+   */
+  format({ timeout = null } = {}) {
+    const hasFormatter =
+      this.intellisense ||
+      (this.intellisenseProvider && this.intellisenseProvider.format);
+
+    if (!this.isMounted() || this.readOnly || !hasFormatter) {
+      return Promise.resolve();
+    }
+
+    const doc = this.view.state.doc;
+    let timedOut = false;
+
+    const formatting = this.formatterSource(doc).then((changes) => {
+      // Skip the changes if the source changed in the meantime
+      if (
+        changes &&
+        !timedOut &&
+        this.isMounted() &&
+        this.view.state.doc === doc
+      ) {
+        this.view.dispatch({ changes });
+      }
+    });
+
+    if (timeout === null) {
+      return formatting;
+    }
+
+    const timeoutPromise = new Promise((resolve) => {
+      setTimeout(() => {
+        timedOut = true;
+        resolve();
+      }, timeout);
+    });
+
+    return Promise.race([formatting, timeoutPromise]);
+  }
+
   /**
    * Sets underline markers for warnings and errors.
    *
+   * With intellisense enabled, fixes for the markers are requested
+   * from the server and attached to the markers once available.
+   *
    * Passing an empty list clears all markers.
    */
   setCodeMarkers(codeMarkers) {
+    this.codeMarkers = codeMarkers;
+
     if (this.isMounted()) {
-      const doc = this.view.state.doc;
+      this.view.dispatch(
+        setDiagnostics(this.view.state, this.codeMarkersToDiagnostics()),
+      );
 
-      const diagnostics = codeMarkers.map((marker) => {
-        const line = doc.line(marker.line);
+      if (this.intellisense && codeMarkers.length > 0) {
+        this.requestCodeActions(codeMarkers);
+      }
+    } else {
+      this.initialWidgets.codeMarkers = codeMarkers;
+    }
+  }
 
-        const [, leadingWhitespace, trailingWhitespace] =
-          line.text.match(/^(\s*).*?(\s*)$/);
+  /** @private */
+  codeMarkersToDiagnostics(actionsByMarker = []) {
+    const doc = this.view.state.doc;
 
-        const from = line.from + leadingWhitespace.length;
-        const to = line.to - trailingWhitespace.length;
+    return this.codeMarkers.map((marker, idx) => {
+      const line = doc.line(marker.line);
 
-        return {
-          from,
-          to,
-          severity: marker.severity,
-          message: marker.description,
-        };
+      const [, leadingWhitespace, trailingWhitespace] =
+        line.text.match(/^(\s*).*?(\s*)$/);
+
+      const from = line.from + leadingWhitespace.length;
+      const to = line.to - trailingWhitespace.length;
+
+      return {
+        from,
+        to,
+        severity: marker.severity,
+        message: marker.description,
+        actions: actionsByMarker[idx] || [],
+      };
+    });
+  }
+
+  /** @private */
+  requestCodeActions(codeMarkers) {
+    const source = this.source;
+
+    // We request actions for all markers at once, to avoid flooding
+    // the runtime when there are many warnings
+    this.connection
+      .intellisenseRequest("code_actions", {
+        code: source,
+        markers: codeMarkers.map(({ line, description }) => ({
+          line,
+          description,
+        })),
+      })
+      .then((response) =>
+        response.marker_actions.map(({ actions }) =>
+          actions.map((action) => ({
+            name: action.title,
+            apply: () =>
+              this.applyCodeAction(source, Delta.fromCompressed(action.delta)),
+          })),
+        ),
+      )
+      .catch(() => [])
+      .then((actionsByMarker) => {
+        // Ignore the response if the markers changed in the meantime,
+        // or the markers no longer match the source lines
+        if (
+          this.codeMarkers !== codeMarkers ||
+          this.source !== source ||
+          !this.isMounted()
+        ) {
+          return;
+        }
+
+        this.view.dispatch(
+          setDiagnostics(
+            this.view.state,
+            this.codeMarkersToDiagnostics(actionsByMarker),
+          ),
+        );
       });
+  }
 
-      this.view.dispatch(setDiagnostics(this.view.state, diagnostics));
-    } else {
-      this.initialWidgets.codeMarkers = codeMarkers;
-    }
+  /** @private */
+  applyCodeAction(source, delta) {
+    // The fix is relative to the source at the time of the request,
+    // so we transform it against all edits made since then
+    const edits = Delta.diff(source, this.source);
+    this.applyDelta(edits.transform(delta, "left"));
+  }
+
+  /** @private */
+  getAuthor(clientId) {
+    const clients = this.connection.getClients();
+    const meta = clients && clients[clientId];
+    // We keep a reference to the details, since the client may leave
+    return meta ? { id: clientId, meta } : null;
   }
 
   /** @private */
@@ -332,6 +672,16 @@ export default class LiveEditor {
     const customKeymap = [
       { key: "Escape", run: exitMulticursor },
       { key: "Alt-Enter", run: insertBlankLineAndCloseHints },
+      // We use collaborative history, which only reverts changes made
+      // by the current user
+      { key: "Mod-z", run: collabUndo, preventDefault: true },
+      {
+        key: "Mod-y",
+        mac: "Mod-Shift-z",
+        run: collabRedo,
+        preventDefault: true,
+      },
+      { linux: "Ctrl-Shift-z", run: collabRedo, preventDefault: true },
     ];
 
     const selectionChangeListener = EditorView.updateListener.of((update) =>
@@ -349,6 +699,7 @@ export default class LiveEditor {
         highlightSelectionMatches(),
         foldGutter({ markerDOM: foldGutterMarkerDOM }),
         codeFolding({ placeholderText: "⋯" }),
+        settings.editor_minimap ? minimap() : [],
         drawSelection(),
         dropCursor(),
         rectangularSelection(),
@@ -356,9 +707,14 @@ export default class LiveEditor {
         crosshairCursor(),
         EditorState.allowMultipleSelections.of(true),
         bracketMatching(),
+        settings.editor_rainbow_brackets ? rainbowBrackets() : [],
+        settings.editor_indent_guides ? indentGuides() : [],
         autoCloseBracketsEnabled ? closeBrackets() : [],
         indentOnInput(),
-        history(),
+        // Vim and Emacs modes use the regular history for their own
+        // undo commands, so we keep it enabled in that case. The
+        // default mode uses the collaborative history exclusively
+        settings.editor_mode !== "default" ? history() : [],
         EditorState.readOnly.of(this.readOnly),
         readOnlyHint(),
         keymap.of(customKeymap),
@@ -371,24 +727,46 @@ export default class LiveEditor {
         // from the tab navigation
         EditorView.contentAttributes.of({ tabIndex: -1 }),
         fontSizeTheme,
-        settings.editor_theme === "light" ? lightTheme : theme,
+        themeExtension(getEditorTheme(settings)),
         ligaturesTheme,
         collab(this.collabClient),
         collabMarkers(this.collabClient),
+        evaluationDiff({
+          onModeChange: (mode) => this.setDiffMode(mode),
+          onRevert: () => this.revertToEvaluated(),
+        }),
         autocompletion({
           activateOnTyping: settings.editor_auto_completion,
           defaultKeymap: false,
         }),
         this.intellisense
           ? [
-              autocompletion({ override: [this.completionSource.bind(this)] }),
+              autocompletion({
+                override: [
+                  this.completionSource.bind(this),
+                  this.snippetCompletionSource.bind(this),
+                ],
+              }),
               hoverDetails(this.docsHoverTooltipSource.bind(this)),
               signature(this.signatureSource.bind(this), {
                 activateOnTyping: settings.editor_auto_signature,
               }),
               formatter(this.formatterSource.bind(this)),
+              codeActions(),
             ]
           : [],
+        this.intellisenseProvider ? this.localIntellisenseExtensions() : [],
+        this.intellisense && this.language === "elixir"
+          ? codeLens({
+              onFindReferences: () =>
+                this.dispatchContainerEvent("lb:editor_find_references"),
+            })
+          : [],
+        // Without intellisense, snippets are completed along with the
+        // completions provided by the language support
+        EditorState.languageData.of(() => [
+          { autocomplete: this.snippetCompletionSource.bind(this) },
+        ]),
         settings.editor_mode === "vim" ? [vim()] : [],
         settings.editor_mode === "emacs" ? [emacs()] : [],
         language ? language.support : [],
@@ -404,6 +782,25 @@ export default class LiveEditor {
     });
   }
 
+  /** @private */
+  localIntellisenseExtensions() {
+    const { completion, details, diagnostics, format } =
+      this.intellisenseProvider;
+
+    return [
+      // Local completions are shown along with the completions
+      // provided by the language support
+      completion
+        ? EditorState.languageData.of(() => [
+            { autocomplete: this.completionSource.bind(this) },
+          ])
+        : [],
+      details ? hoverDetails(this.docsHoverTooltipSource.bind(this)) : [],
+      diagnostics ? linter(this.diagnosticsSource.bind(this)) : [],
+      format ? formatter(this.formatterSource.bind(this)) : [],
+    ];
+  }
+
   /** @private */
   handleEditorClick(event) {
     const cmd = isMacOS() ? event.metaKey : event.ctrlKey;
@@ -421,14 +818,17 @@ export default class LiveEditor {
     // registered handler in the editor, such as closing autocompletion
     // or escaping Vim insert mode
     if (event.key === "Escape") {
-      this.container.dispatchEvent(
-        new CustomEvent("lb:editor_escape", { bubbles: true }),
-      );
+      this.dispatchContainerEvent("lb:editor_escape");
     }
 
     return false;
   }
 
+  /** @private */
+  dispatchContainerEvent(type) {
+    this.container.dispatchEvent(new CustomEvent(type, { bubbles: true }));
+  }
+
   /** @private */
   handleEditorBlur(event) {
     if (!this.container.contains(event.relatedTarget)) {
@@ -465,11 +865,14 @@ export default class LiveEditor {
 
     const textUntilCursor = this.getCompletionHint(context);
 
-    return this.connection
-      .intellisenseRequest("completion", {
+    return this.intellisenseRequest(
+      "completion",
+      {
         hint: textUntilCursor,
         editor_auto_completion: settings.editor_auto_completion,
-      })
+      },
+      context.pos,
+    )
       .then((response) => {
         if (response.items.length === 0) return null;
 
@@ -497,6 +900,29 @@ export default class LiveEditor {
       .catch(() => null);
   }
 
+  /** @private */
+  snippetCompletionSource(context) {
+    const snippets = snippetsStore.getForLanguage(this.language);
+
+    if (snippets.length === 0) return null;
+
+    const word = context.matchBefore(/\w*$/);
+
+    if (word.from === word.to && !context.explicit) return null;
+
+    return {
+      from: word.from,
+      options: snippets.map((snippet) =>
+        snippetCompletion(snippet.body, {
+          label: snippet.trigger,
+          detail: snippet.description,
+          type: "snippet",
+        }),
+      ),
+      validFor: /^\w*$/,
+    };
+  }
+
   /** @private */
   getCompletionHint(context) {
     // By default we only send the current line content until cursor
@@ -559,8 +985,11 @@ export default class LiveEditor {
     const column = pos - line.from + (side === 1 ? 1 : 0);
     if (column < 1 || column > lineLength) return null;
 
-    return this.connection
-      .intellisenseRequest("details", { line: text, column })
+    return this.intellisenseRequest(
+      "details",
+      { line: text, column },
+      line.from + column - 1,
+    )
       .then((response) => {
         // Note: the response range is a right-exclusive column range
 
@@ -677,11 +1106,38 @@ export default class LiveEditor {
     return state.doc.sliceString(0, pos);
   }
 
+  /** @private */
+  diagnosticsSource(view) {
+    return this.intellisenseRequest(
+      "diagnostics",
+      { code: view.state.doc.toString() },
+      0,
+    )
+      .then((response) => response.diagnostics)
+      .catch(() => []);
+  }
+
+  /** @private */
+  intellisenseRequest(type, props, pos) {
+    // Local provider is only set when runtime intellisense is disabled
+    if (this.intellisenseProvider) {
+      return requestLocalIntellisense(this.intellisenseProvider, type, props, {
+        state: this.view.state,
+        pos,
+        schema: this.intellisenseSchema,
+      });
+    }
+
+    return this.connection.intellisenseRequest(type, props);
+  }
+
   formatterSource(doc) {
-    return this.connection
-      .intellisenseRequest("format", { code: doc.toString() })
+    return this.intellisenseRequest("format", { code: doc.toString() }, 0)
       .then((response) => {
-        this.setCodeMarkers(response.code_markers);
+        // Local formatters don't report code markers
+        if (response.code_markers) {
+          this.setCodeMarkers(response.code_markers);
+        }
 
         if (response.delta) {
           const delta = Delta.fromCompressed(response.delta);
@@ -706,12 +1162,55 @@ export default class LiveEditor {
       this.setCodeMarkers(this.initialWidgets.codeMarkers);
     }
 
+    if (this.initialWidgets.inlineResults) {
+      this.setInlineResults(this.initialWidgets.inlineResults);
+    }
+
+    if (this.initialWidgets.codeLenses) {
+      this.setCodeLenses(this.initialWidgets.codeLenses);
+    }
+
     this.initialWidgets = {};
   }
 
+  /** @private */
+  updateDiff() {
+    setDiff(this.view, {
+      otherSource: this.evaluatedSource,
+      mode: this.diffMode,
+    });
+
+    if (this.diffMode === "split") {
+      if (this.evaluatedView) {
+        this.evaluatedView.setState(this.evaluatedViewState());
+      } else {
+        // In the split mode we show the evaluated source in a separate
+        // read-only editor, to the left of the main one
+        this.evaluatedView = new EditorView({
+          state: this.evaluatedViewState(),
+        });
+        this.evaluatedView.dom.classList.add("border-r", "border-gray-700");
+        this.container.prepend(this.evaluatedView.dom);
+        this.container.classList.add("grid", "grid-cols-2");
+      }
+
+      setDiff(this.evaluatedView, { otherSource: this.source, mode: "split" });
+    } else if (this.evaluatedView) {
+      this.evaluatedView.destroy();
+      this.evaluatedView = null;
+      this.container.classList.remove("grid", "grid-cols-2");
+    }
+  }
+
+  /** @private */
+  evaluatedViewState() {
+    return createReadOnlyState(this.evaluatedSource, this.language, [
+      evaluationDiff({ side: "evaluated" }),
+    ]);
+  }
+
   /** @private */
   usesDarkTheme() {
-    const settings = settingsStore.get();
-    return settings.editor_theme !== "light";
+    return getEditorTheme(settingsStore.get()).dark;
   }
 }
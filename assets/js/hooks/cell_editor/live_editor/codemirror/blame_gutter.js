@@ -0,0 +1,104 @@
+import { EditorView, gutter, GutterMarker } from "@codemirror/view";
+import { StateField, StateEffect } from "@codemirror/state";
+
+const baseTheme = EditorView.baseTheme({
+  ".cm-gutter.cm-blameGutter": {
+    width: "128px",
+
+    "& .cm-gutterElement": {
+      paddingLeft: "6px",
+      paddingRight: "8px",
+      overflow: "hidden",
+      whiteSpace: "nowrap",
+      textOverflow: "ellipsis",
+      fontSize: "0.75em",
+    },
+  },
+
+  ".cm-blameMarker": {
+    borderLeft: "2px solid",
+    paddingLeft: "6px",
+  },
+});
+
+class BlameMarker extends GutterMarker {
+  constructor(entry) {
+    super();
+    this.entry = entry;
+  }
+
+  toDOM() {
+    const { author, timestamp } = this.entry;
+    const name = (author && author.meta && author.meta.name) || "Unknown";
+    const color = (author && author.meta && author.meta.hex_color) || "#888";
+    const time = new Date(timestamp).toLocaleString();
+
+    const node = document.createElement("div");
+    node.classList.add("cm-blameMarker");
+    node.style.borderColor = color;
+    node.textContent = name;
+    node.title = `${name}, ${time}`;
+
+    return node;
+  }
+
+  eq(other) {
+    return other.entry === this.entry;
+  }
+}
+
+const setLineBlameEffect = StateEffect.define();
+
+const lineBlameField = StateField.define({
+  create(state) {
+    return [];
+  },
+
+  update(lineBlame, tr) {
+    for (const effect of tr.effects) {
+      if (effect.is(setLineBlameEffect)) {
+        lineBlame = effect.value;
+      }
+    }
+
+    return lineBlame;
+  },
+});
+
+/**
+ * Returns an extension that shows the author of each line in the
+ * gutter.
+ *
+ * Expects a list of history entries, one per document line, as
+ * returned by `SourceHistory.getSnapshot`. Lines without an entry
+ * have no marker.
+ */
+export function blameGutter(lineBlame) {
+  return [
+    lineBlameField.init(() => lineBlame),
+    gutter({
+      class: "cm-blameGutter",
+      lineMarker(view, line) {
+        const lineNumber = view.state.doc.lineAt(line.from).number;
+        const entry = view.state.field(lineBlameField)[lineNumber - 1];
+        return entry ? new BlameMarker(entry) : null;
+      },
+      lineMarkerChange(update) {
+        return update.transactions.some((tr) =>
+          tr.effects.some((effect) => effect.is(setLineBlameEffect)),
+        );
+      },
+    }),
+    baseTheme,
+  ];
+}
+
+/**
+ * Returns an effect replacing the blame shown by `blameGutter`.
+ *
+ * The blame is expected to match the document after the transaction
+ * the effect is dispatched with.
+ */
+export function setLineBlame(lineBlame) {
+  return setLineBlameEffect.of(lineBlame);
+}
@@ -0,0 +1,220 @@
+import { EditorView, ViewPlugin, showTooltip, keymap } from "@codemirror/view";
+import { StateField, StateEffect, Prec } from "@codemirror/state";
+import { forEachDiagnostic } from "@codemirror/lint";
+
+const baseTheme = EditorView.baseTheme({
+  ".cm-codeActions": {
+    display: "flex",
+    flexDirection: "column",
+    padding: "4px",
+  },
+
+  ".cm-codeAction": {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    padding: "4px",
+    borderRadius: "4px",
+    cursor: "pointer",
+  },
+});
+
+const openCodeActionsEffect = StateEffect.define();
+const closeCodeActionsEffect = StateEffect.define();
+const setSelectedEffect = StateEffect.define();
+
+const codeActionsField = StateField.define({
+  create() {
+    return null;
+  },
+
+  update(menu, tr) {
+    // The actions apply to the diagnostics at the cursor, so we close
+    // the menu whenever the document or the cursor changes
+    if (menu && (tr.docChanged || tr.selection)) {
+      menu = null;
+    }
+
+    for (const effect of tr.effects) {
+      if (effect.is(openCodeActionsEffect)) {
+        menu = {
+          items: effect.value.items,
+          selectedIdx: 0,
+          tooltip: {
+            pos: effect.value.pos,
+            above: false,
+            create: (view) => new CodeActionsTooltip(view),
+          },
+        };
+      }
+
+      if (effect.is(closeCodeActionsEffect)) {
+        menu = null;
+      }
+
+      if (effect.is(setSelectedEffect) && menu) {
+        menu = { ...menu, selectedIdx: effect.value };
+      }
+    }
+
+    return menu;
+  },
+
+  provide(field) {
+    return showTooltip.from(field, (menu) => menu && menu.tooltip);
+  },
+});
+
+class CodeActionsTooltip {
+  constructor(view) {
+    this.view = view;
+
+    const { items } = view.state.field(codeActionsField);
+
+    this.dom = document.createElement("div");
+    this.dom.classList.add("cm-codeActions");
+
+    this.itemEls = items.map((item, idx) => {
+      const itemEl = document.createElement("div");
+      itemEl.classList.add("cm-codeAction");
+
+      const iconEl = document.createElement("i");
+      iconEl.classList.add("ri-lightbulb-line");
+
+      const nameEl = document.createElement("span");
+      nameEl.textContent = item.action.name;
+
+      itemEl.append(iconEl, nameEl);
+
+      itemEl.addEventListener("mousedown", (event) => {
+        // Keep the focus in the editor
+        event.preventDefault();
+        applyCodeAction(view, idx);
+      });
+
+      this.dom.appendChild(itemEl);
+
+      return itemEl;
+    });
+  }
+
+  mount() {
+    this.updateSelected();
+  }
+
+  update(update) {
+    if (
+      update.startState.field(codeActionsField) !==
+      update.state.field(codeActionsField)
+    ) {
+      this.updateSelected();
+    }
+  }
+
+  updateSelected() {
+    const menu = this.view.state.field(codeActionsField);
+
+    if (menu) {
+      this.itemEls.forEach((itemEl, idx) => {
+        itemEl.toggleAttribute("aria-selected", idx === menu.selectedIdx);
+      });
+    }
+  }
+}
+
+const codeActionsPlugin = ViewPlugin.define((view) => ({}), {
+  eventHandlers: {
+    blur(event, view) {
+      if (view.state.field(codeActionsField)) {
+        // Dispatch state update in the next event cycle (https://github.com/codemirror/dev/issues/1316)
+        setTimeout(() => {
+          view.dispatch({ effects: [closeCodeActionsEffect.of(null)] });
+        }, 0);
+      }
+    },
+  },
+});
+
+/**
+ * Opens the menu with actions of the diagnostics on the cursor line.
+ */
+function openCodeActions(view) {
+  const { state } = view;
+  const pos = state.selection.main.head;
+  const line = state.doc.lineAt(pos);
+
+  const items = [];
+
+  forEachDiagnostic(state, (diagnostic, from, to) => {
+    if (from <= line.to && to >= line.from && diagnostic.actions) {
+      for (const action of diagnostic.actions) {
+        items.push({ action, from, to });
+      }
+    }
+  });
+
+  if (items.length === 0) return false;
+
+  view.dispatch({ effects: [openCodeActionsEffect.of({ items, pos })] });
+  return true;
+}
+
+function closeCodeActions(view) {
+  if (!view.state.field(codeActionsField)) return false;
+  view.dispatch({ effects: [closeCodeActionsEffect.of(null)] });
+  return true;
+}
+
+function applyCodeAction(view, idx) {
+  const { items } = view.state.field(codeActionsField);
+  const { action, from, to } = items[idx];
+
+  view.dispatch({ effects: [closeCodeActionsEffect.of(null)] });
+  action.apply(view, from, to);
+}
+
+const moveCodeActionsSelection = (forward) => {
+  return (view) => {
+    const menu = view.state.field(codeActionsField);
+    if (!menu) return false;
+
+    const length = menu.items.length;
+    const newSelectedIdx =
+      (menu.selectedIdx + (forward ? 1 : -1) + length) % length;
+
+    view.dispatch({ effects: [setSelectedEffect.of(newSelectedIdx)] });
+
+    return true;
+  };
+};
+
+function applySelectedCodeAction(view) {
+  const menu = view.state.field(codeActionsField);
+  if (!menu) return false;
+  applyCodeAction(view, menu.selectedIdx);
+  return true;
+}
+
+const codeActionsKeymap = [
+  { key: "Mod-.", run: openCodeActions, preventDefault: true },
+  { key: "Escape", run: closeCodeActions },
+  { key: "ArrowDown", run: moveCodeActionsSelection(true) },
+  { key: "ArrowUp", run: moveCodeActionsSelection(false) },
+  { key: "Enter", run: applySelectedCodeAction },
+];
+
+/**
+ * Returns an extension with a menu of quick fixes, opened with
+ * Ctrl+. (Cmd+. on macOS).
+ *
+ * The menu lists actions of lint diagnostics on the cursor line, the
+ * same actions are shown in the diagnostic tooltip.
+ */
+export function codeActions() {
+  return [
+    codeActionsField,
+    codeActionsPlugin,
+    Prec.high(keymap.of(codeActionsKeymap)),
+    baseTheme,
+  ];
+}
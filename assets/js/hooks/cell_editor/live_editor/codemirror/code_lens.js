@@ -0,0 +1,148 @@
+import { EditorView, Decoration, WidgetType } from "@codemirror/view";
+import { StateField, StateEffect, Facet } from "@codemirror/state";
+
+const baseTheme = EditorView.baseTheme({
+  ".cm-codeLens": {
+    display: "flex",
+    gap: "8px",
+    fontSize: "0.8em",
+    opacity: "0.6",
+    userSelect: "none",
+  },
+
+  ".cm-codeLensAction": {
+    cursor: "pointer",
+
+    "&:hover": {
+      textDecoration: "underline",
+    },
+  },
+});
+
+const setCodeLensesEffect = StateEffect.define();
+
+const codeLensField = StateField.define({
+  create(state) {
+    return Decoration.none;
+  },
+
+  update(decorations, tr) {
+    decorations = decorations.map(tr.changes);
+
+    for (const effect of tr.effects) {
+      if (effect.is(setCodeLensesEffect)) {
+        const doc = tr.state.doc;
+
+        decorations = Decoration.set(
+          effect.value
+            .filter((lens) => lens.line <= doc.lines)
+            .map((lens) =>
+              Decoration.widget({
+                widget: new CodeLensWidget(lens),
+                block: true,
+                side: -1,
+              }).range(doc.line(lens.line).from),
+            ),
+        );
+      }
+    }
+
+    return decorations;
+  },
+
+  provide(field) {
+    return EditorView.decorations.from(field);
+  },
+});
+
+class CodeLensWidget extends WidgetType {
+  constructor(lens) {
+    super();
+
+    this.lens = lens;
+  }
+
+  toDOM(view) {
+    const node = document.createElement("div");
+    node.classList.add("cm-codeLens");
+
+    const lineText = view.state.doc.line(this.lens.line).text;
+    node.style.paddingLeft = `${lineText.search(/\S|$/)}ch`;
+
+    const { references } = this.lens;
+    const handlers = view.state.facet(codeLensHandlers);
+
+    node.appendChild(
+      this.actionElement(
+        view,
+        node,
+        references === 1 ? "1 reference" : `${references} references`,
+        handlers.onFindReferences,
+      ),
+    );
+
+    return node;
+  }
+
+  actionElement(view, node, label, handler) {
+    const actionEl = document.createElement("span");
+    actionEl.classList.add("cm-codeLensAction");
+    actionEl.textContent = label;
+
+    actionEl.addEventListener("click", (event) => {
+      // The definition may have moved since the lens was rendered, so
+      // we look up the position based on the widget
+      const line = view.state.doc.lineAt(view.posAtDOM(node));
+      const pos = Math.min(line.from + this.lens.offset, line.to);
+
+      view.dispatch({ selection: { anchor: pos } });
+      view.focus();
+      handler(view);
+    });
+
+    return actionEl;
+  }
+
+  eq(other) {
+    return (
+      this.lens.line === other.lens.line &&
+      this.lens.offset === other.lens.offset &&
+      this.lens.references === other.lens.references
+    );
+  }
+}
+
+const codeLensHandlers = Facet.define({
+  combine: (values) => values[0],
+});
+
+/**
+ * Returns an extension showing code lenses above Elixir function
+ * definitions. The lenses are set with `setCodeLenses`.
+ *
+ * ## Options
+ *
+ *   * `onFindReferences` - called with the view when the references
+ *     count is clicked. The cursor is moved to the function name
+ *     beforehand
+ *
+ */
+export function codeLens({ onFindReferences }) {
+  return [codeLensField, codeLensHandlers.of({ onFindReferences }), baseTheme];
+}
+
+/**
+ * Replaces code lenses in the editor.
+ *
+ * Each lens is an object with the following properties:
+ *
+ *   * `line` - the line where the definition starts
+ *
+ *   * `offset` - the function name offset within the line
+ *
+ *   * `references` - the number of calls to the function
+ *
+ */
+export function setCodeLenses(view, lenses) {
+  view.dispatch({ effects: setCodeLensesEffect.of(lenses) });
+}
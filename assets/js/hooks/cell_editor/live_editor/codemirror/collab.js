@@ -16,6 +16,8 @@ const collabConfig = Facet.define({
 
 const remoteTransaction = Annotation.define();
 
+const historyTransaction = Annotation.define();
+
 const collabPlugin = ViewPlugin.fromClass(
   class {
     constructor(view) {
@@ -56,7 +58,15 @@ const collabPlugin = ViewPlugin.fromClass(
       if (update.docChanged) {
         const delta = changesToDelta(update.changes);
         const selection = currentSelection(update);
-        this.collabClient.handleClientDelta(delta, selection);
+
+        // Undo and redo changes are already tracked by the history
+        const isHistoryChange = update.transactions.some((tr) =>
+          tr.annotation(historyTransaction),
+        );
+
+        this.collabClient.handleClientDelta(delta, selection, {
+          record: !isHistoryChange,
+        });
       } else if (
         update.focusChanged ||
         !update.state.selection.eq(update.startState.selection)
@@ -153,3 +163,43 @@ export function transformSelection(selection, delta) {
 export function collab(collabClient) {
   return [collabPlugin, collabConfig.of({ collabClient })];
 }
+
+/**
+ * Reverts the most recent local change.
+ *
+ * Changes made by other clients are never reverted. This command is
+ * meant to replace the default `undo` when the `collab` extension is
+ * used.
+ */
+export function collabUndo(view) {
+  const { collabClient } = view.state.facet(collabConfig);
+  return applyHistoryDelta(view, collabClient.undo(), "undo");
+}
+
+/**
+ * Reapplies the most recently reverted local change.
+ *
+ * See `collabUndo` for more details.
+ */
+export function collabRedo(view) {
+  const { collabClient } = view.state.facet(collabConfig);
+  return applyHistoryDelta(view, collabClient.redo(), "redo");
+}
+
+function applyHistoryDelta(view, delta, userEvent) {
+  if (!delta) {
+    return false;
+  }
+
+  view.dispatch({
+    changes: deltaToChanges(delta),
+    annotations: [
+      Transaction.addToHistory.of(false),
+      historyTransaction.of(true),
+    ],
+    userEvent,
+    scrollIntoView: true,
+  });
+
+  return true;
+}
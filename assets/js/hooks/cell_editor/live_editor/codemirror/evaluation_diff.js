@@ -0,0 +1,413 @@
+import {
+  Decoration,
+  EditorView,
+  ViewPlugin,
+  WidgetType,
+  showPanel,
+} from "@codemirror/view";
+import { Facet, StateEffect, StateField } from "@codemirror/state";
+import { myersDifference } from "../../../../lib/text_utils";
+
+const REFRESH_DEBOUNCE_MS = 300;
+
+const baseTheme = EditorView.baseTheme({
+  ".cm-diffInsertedLine": {
+    backgroundColor: "rgba(34, 197, 94, 0.12)",
+  },
+
+  ".cm-diffDeletedLine": {
+    backgroundColor: "rgba(239, 68, 68, 0.12)",
+  },
+
+  ".cm-diffDeletedChunk .cm-diffDeletedLine": {
+    padding: "0 2px 0 6px",
+    whiteSpace: "pre",
+    opacity: "0.8",
+  },
+
+  ".cm-diffPanel": {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    padding: "4px 12px",
+    fontSize: "0.75em",
+  },
+
+  ".cm-diffPanel button": {
+    padding: "2px 8px",
+    borderRadius: "4px",
+    opacity: "0.7",
+  },
+
+  ".cm-diffPanel button:hover, .cm-diffPanel button.cm-diffPanelActive": {
+    opacity: "1",
+  },
+
+  ".cm-diffPanel .cm-diffPanelSpacer": {
+    flexGrow: "1",
+  },
+});
+
+/**
+ * Computes line-level changes between two sources.
+ *
+ * Returns a list of chunks, where each chunk describes a range of
+ * lines in both sources, `[fromA, toA)` and `[fromB, toB)`. Line
+ * indices are 0-based.
+ */
+export function diffLineChunks(sourceA, sourceB) {
+  const chunks = [];
+
+  let a = 0;
+  let b = 0;
+  let chunk = null;
+
+  for (const [op, lines] of myersDifference(
+    sourceA.split("\n"),
+    sourceB.split("\n"),
+  )) {
+    if (op === "eq") {
+      if (chunk) {
+        chunks.push(chunk);
+        chunk = null;
+      }
+
+      a += lines.length;
+      b += lines.length;
+    } else {
+      chunk = chunk || { fromA: a, toA: a, fromB: b, toB: b };
+
+      if (op === "del") {
+        a += lines.length;
+        chunk.toA = a;
+      } else {
+        b += lines.length;
+        chunk.toB = b;
+      }
+    }
+  }
+
+  if (chunk) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+const diffConfig = Facet.define({
+  combine(values) {
+    return values[0];
+  },
+});
+
+const setDiffEffect = StateEffect.define();
+
+const refreshDiffEffect = StateEffect.define();
+
+const diffField = StateField.define({
+  create() {
+    return {
+      otherSource: null,
+      mode: null,
+      decorations: Decoration.none,
+      hasPanel: false,
+      outdated: false,
+    };
+  },
+
+  update(value, tr) {
+    let { otherSource, mode } = value;
+    let refresh = false;
+
+    for (const effect of tr.effects) {
+      if (effect.is(setDiffEffect)) {
+        if (effect.value.otherSource !== undefined) {
+          otherSource = effect.value.otherSource;
+        }
+
+        if (effect.value.mode !== undefined) {
+          mode = effect.value.mode;
+        }
+      } else if (effect.is(refreshDiffEffect)) {
+        refresh = true;
+      }
+    }
+
+    if (mode !== value.mode || (refresh && value.outdated)) {
+      const config = tr.state.facet(diffConfig);
+      const decorations = buildDecorations(tr.state, otherSource, mode, config);
+      const hasPanel = !!mode && config.side === "current";
+
+      return { otherSource, mode, decorations, hasPanel, outdated: false };
+    }
+
+    if (!tr.docChanged && otherSource === value.otherSource) {
+      return value;
+    }
+
+    // Computing the diff is expensive for long sources, so on changes
+    // we only map the decorations and recompute the diff once the
+    // changes stop, see diffRefresher
+    return {
+      ...value,
+      otherSource,
+      decorations: value.decorations.map(tr.changes),
+      outdated: !!mode,
+    };
+  },
+
+  provide: (field) => [
+    EditorView.decorations.from(field, (value) => value.decorations),
+    showPanel.from(field, (value) => (value.hasPanel ? createPanel : null)),
+  ],
+});
+
+const diffRefresher = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.view = view;
+      this.timeout = null;
+    }
+
+    update(update) {
+      const value = update.state.field(diffField);
+
+      if (value.outdated && value !== update.startState.field(diffField)) {
+        clearTimeout(this.timeout);
+
+        this.timeout = setTimeout(() => {
+          this.view.dispatch({ effects: refreshDiffEffect.of(null) });
+        }, REFRESH_DEBOUNCE_MS);
+      }
+    }
+
+    destroy() {
+      clearTimeout(this.timeout);
+    }
+  },
+);
+
+function buildDecorations(state, otherSource, mode, config) {
+  if (!mode || otherSource === null) {
+    return Decoration.none;
+  }
+
+  const isEvaluatedSide = config.side === "evaluated";
+  const doc = state.doc;
+
+  // Chunks in terms of this document (own) and the other one
+  const chunks = isEvaluatedSide
+    ? diffLineChunks(doc.toString(), otherSource).map(
+        ({ fromA, toA, fromB, toB }) => ({
+          from: fromA,
+          to: toA,
+          otherCount: toB - fromB,
+        }),
+      )
+    : diffLineChunks(otherSource, doc.toString()).map(
+        ({ fromA, toA, fromB, toB }) => ({
+          from: fromB,
+          to: toB,
+          otherLines: otherSource.split("\n").slice(fromA, toA),
+          otherCount: toA - fromA,
+        }),
+      );
+
+  const lineClass = isEvaluatedSide
+    ? "cm-diffDeletedLine"
+    : "cm-diffInsertedLine";
+
+  const ranges = [];
+
+  for (const chunk of chunks) {
+    const ownCount = chunk.to - chunk.from;
+
+    for (let index = chunk.from; index < chunk.to; index++) {
+      const line = doc.line(index + 1);
+      ranges.push(Decoration.line({ class: lineClass }).range(line.from));
+    }
+
+    let widget = null;
+
+    if (mode === "unified" && !isEvaluatedSide && chunk.otherCount > 0) {
+      widget = new DeletedLinesWidget(chunk.otherLines);
+    } else if (mode === "split" && chunk.otherCount > ownCount) {
+      // Keep the corresponding lines aligned in both editors
+      widget = new SpacerWidget(chunk.otherCount - ownCount);
+    }
+
+    if (widget) {
+      // Deleted lines go above the chunk, while spacers go below it
+      const above = widget instanceof DeletedLinesWidget || ownCount === 0;
+      const index = above ? chunk.from : chunk.to - 1;
+
+      if (index < doc.lines) {
+        const line = doc.line(index + 1);
+        const pos = above ? line.from : line.to;
+        const side = above ? -1 : 1;
+        ranges.push(
+          Decoration.widget({ widget, block: true, side }).range(pos),
+        );
+      } else {
+        ranges.push(
+          Decoration.widget({ widget, block: true, side: 1 }).range(doc.length),
+        );
+      }
+    }
+  }
+
+  return Decoration.set(ranges, true);
+}
+
+class DeletedLinesWidget extends WidgetType {
+  constructor(lines) {
+    super();
+    this.lines = lines;
+  }
+
+  eq(other) {
+    return (
+      other.lines.length === this.lines.length &&
+      other.lines.every((line, index) => line === this.lines[index])
+    );
+  }
+
+  toDOM() {
+    const node = document.createElement("div");
+    node.classList.add("cm-diffDeletedChunk");
+
+    for (const line of this.lines) {
+      const lineNode = document.createElement("div");
+      lineNode.classList.add("cm-diffDeletedLine");
+      // Make sure empty lines have the regular height
+      lineNode.textContent = line || "\u200b";
+      node.appendChild(lineNode);
+    }
+
+    return node;
+  }
+}
+
+class SpacerWidget extends WidgetType {
+  constructor(lineCount) {
+    super();
+    this.lineCount = lineCount;
+  }
+
+  eq(other) {
+    return other.lineCount === this.lineCount;
+  }
+
+  toDOM(view) {
+    const node = document.createElement("div");
+    node.style.height = `${this.lineCount * view.defaultLineHeight}px`;
+    return node;
+  }
+}
+
+function createPanel(view) {
+  const { onModeChange, onRevert } = view.state.facet(diffConfig);
+
+  const node = document.createElement("div");
+  node.classList.add("cm-diffPanel");
+
+  const label = document.createElement("span");
+  label.textContent = "Changes since last evaluation";
+
+  const spacer = document.createElement("span");
+  spacer.classList.add("cm-diffPanelSpacer");
+
+  function button(text, onClick) {
+    const buttonNode = document.createElement("button");
+    buttonNode.textContent = text;
+    buttonNode.addEventListener("click", (event) => {
+      event.preventDefault();
+      onClick();
+    });
+    return buttonNode;
+  }
+
+  const unifiedButton = button("Unified", () => onModeChange("unified"));
+  const splitButton = button("Side by side", () => onModeChange("split"));
+  const revertButton = button("Revert to evaluated", () => onRevert());
+  const closeButton = button("Close", () => onModeChange(null));
+
+  node.append(
+    label,
+    spacer,
+    unifiedButton,
+    splitButton,
+    revertButton,
+    closeButton,
+  );
+
+  function updateButtons(state) {
+    const { mode } = state.field(diffField);
+    unifiedButton.classList.toggle("cm-diffPanelActive", mode === "unified");
+    splitButton.classList.toggle("cm-diffPanelActive", mode === "split");
+  }
+
+  updateButtons(view.state);
+
+  return {
+    dom: node,
+    top: true,
+    update(update) {
+      updateButtons(update.state);
+    },
+  };
+}
+
+/**
+ * Returns an extension that highlights changes between the editor
+ * content and the source of the last evaluation.
+ *
+ * The diff is only shown once enabled with `setDiff`. As the sources
+ * change, the diff is recomputed once the changes stop. It can be
+ * shown in two modes:
+ *
+ *   * `"unified"` - inserted lines are highlighted and deleted lines
+ *     are shown inline as read-only blocks
+ *
+ *   * `"split"` - only inserted lines are highlighted, while deleted
+ *     lines are expected to be shown in a separate read-only editor
+ *     with the evaluated source, configured with the `"evaluated"`
+ *     side. Both editors are padded so that the lines stay aligned
+ *
+ * ## Options
+ *
+ *   * `side` - either `"current"` (default) for the regular editor,
+ *     or `"evaluated"` for the read-only editor with the evaluated
+ *     source in the split mode
+ *
+ *   * `onModeChange` - a function called with the new mode when
+ *     selected in the diff panel, `null` means closing the diff
+ *
+ *   * `onRevert` - a function called when revert is requested from
+ *     the diff panel
+ *
+ */
+export function evaluationDiff({
+  side = "current",
+  onModeChange = () => {},
+  onRevert = () => {},
+} = {}) {
+  return [
+    diffConfig.of({ side, onModeChange, onRevert }),
+    diffField,
+    diffRefresher,
+    baseTheme,
+  ];
+}
+
+/**
+ * Updates the diff state.
+ *
+ * Accepts `otherSource`, which is the evaluated source for the
+ * current editor, or the current source for the evaluated editor.
+ * Also accepts the diff `mode`, `null` hides the diff. Fields that
+ * are not given are left unchanged.
+ */
+export function setDiff(view, { otherSource, mode }) {
+  view.dispatch({ effects: setDiffEffect.of({ otherSource, mode }) });
+}
@@ -0,0 +1,129 @@
+import { Decoration, EditorView, ViewPlugin } from "@codemirror/view";
+import { syntaxTree } from "@codemirror/language";
+import { RangeSetBuilder, countColumn } from "@codemirror/state";
+
+// Matches the default horizontal padding of .cm-line
+const LINE_PADDING_LEFT = "6px";
+
+const baseTheme = EditorView.baseTheme({
+  ".cm-indentGuides": {
+    backgroundRepeat: "no-repeat",
+    backgroundSize: "1px 100%",
+  },
+});
+
+const indentGuidesPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.decorations = this.buildDecorations(view);
+    }
+
+    update(update) {
+      if (
+        update.docChanged ||
+        update.viewportChanged ||
+        syntaxTree(update.state) !== syntaxTree(update.startState)
+      ) {
+        this.decorations = this.buildDecorations(update.view);
+      }
+    }
+
+    buildDecorations(view) {
+      const { state } = view;
+      const builder = new RangeSetBuilder();
+      const { from, to } = view.viewport;
+
+      for (let pos = from; pos <= to; ) {
+        const line = state.doc.lineAt(pos);
+        const columns = guideColumns(state, line);
+
+        if (columns.length > 0) {
+          builder.add(line.from, line.from, guidesDecoration(columns));
+        }
+
+        pos = line.to + 1;
+      }
+
+      return builder.finish();
+    }
+  },
+  {
+    decorations: (plugin) => plugin.decorations,
+  },
+);
+
+/**
+ * Returns columns at which indentation guides should be drawn for
+ * the given line.
+ *
+ * The guides are determined by the syntax tree, we draw a guide for
+ * every multiline node enclosing the line, at the indentation of the
+ * line where the node starts. This way the guides reflect the actual
+ * structure, rather than the whitespace only.
+ */
+export function guideColumns(state, line) {
+  const indent = lineIndentation(state, line);
+  if (indent === 0) return [];
+
+  const leadingWhitespace = line.text.match(/^\s*/)[0].length;
+  const columns = new Set();
+
+  for (
+    let node = syntaxTree(state).resolveInner(line.from + leadingWhitespace, 1);
+    node && node.parent;
+    node = node.parent
+  ) {
+    if (node.from < line.from) {
+      const startLine = state.doc.lineAt(node.from);
+      const column = countColumn(
+        startLine.text.match(/^\s*/)[0],
+        state.tabSize,
+      );
+
+      if (column < indent) {
+        columns.add(column);
+      }
+    }
+  }
+
+  return Array.from(columns).sort((a, b) => a - b);
+}
+
+function lineIndentation(state, line) {
+  // Blank lines get the indentation of the next non-blank line, so
+  // that the guides are not interrupted
+  for (let number = line.number; number <= state.doc.lines; number++) {
+    const text = state.doc.line(number).text;
+
+    if (text.trim() !== "") {
+      return countColumn(text.match(/^\s*/)[0], state.tabSize);
+    }
+  }
+
+  return 0;
+}
+
+function guidesDecoration(columns) {
+  const images = columns.map(
+    () =>
+      "linear-gradient(var(--cm-indent-guide-color), var(--cm-indent-guide-color))",
+  );
+
+  const positions = columns.map(
+    (column) => `calc(${column}ch + ${LINE_PADDING_LEFT}) 0`,
+  );
+
+  return Decoration.line({
+    class: "cm-indentGuides",
+    attributes: {
+      style: `background-image: ${images.join(", ")}; background-position: ${positions.join(", ")};`,
+    },
+  });
+}
+
+/**
+ * Returns an extension drawing vertical indentation guides.
+ */
+export function indentGuides() {
+  return [indentGuidesPlugin, baseTheme];
+}
@@ -0,0 +1,91 @@
+import { EditorView, Decoration, WidgetType } from "@codemirror/view";
+import { StateField, StateEffect } from "@codemirror/state";
+
+const baseTheme = EditorView.baseTheme({
+  ".cm-inlineResult": {
+    marginLeft: "2ch",
+    opacity: "0.5",
+    fontStyle: "italic",
+    whiteSpace: "pre",
+    pointerEvents: "none",
+  },
+});
+
+const setInlineResultsEffect = StateEffect.define();
+
+const inlineResultsField = StateField.define({
+  create(state) {
+    return Decoration.none;
+  },
+
+  update(decorations, tr) {
+    decorations = decorations.map(tr.changes);
+
+    for (const effect of tr.effects) {
+      if (effect.is(setInlineResultsEffect)) {
+        decorations = Decoration.set(
+          decorationsForResults(effect.value, tr.state.doc),
+          true,
+        );
+      }
+    }
+
+    return decorations;
+  },
+
+  provide(field) {
+    return EditorView.decorations.from(field);
+  },
+});
+
+function decorationsForResults(results, doc) {
+  return (
+    results
+      // The source may have changed since the evaluation
+      .filter((result) => result.line <= doc.lines)
+      .map((result) =>
+        Decoration.widget({
+          widget: new InlineResultWidget(result.text),
+          side: 1,
+        }).range(doc.line(result.line).to),
+      )
+  );
+}
+
+class InlineResultWidget extends WidgetType {
+  constructor(text) {
+    super();
+
+    this.text = text;
+  }
+
+  toDOM(view) {
+    const node = document.createElement("span");
+    node.classList.add("cm-inlineResult");
+    node.textContent = `⇒ ${this.text}`;
+    return node;
+  }
+
+  eq(other) {
+    return this.text === other.text;
+  }
+}
+
+/**
+ * Shows the given evaluation results at the end of the corresponding
+ * lines, replacing any previous results.
+ *
+ * Passing an empty list clears all results.
+ */
+export function setInlineResults(view, results) {
+  const effects = [setInlineResultsEffect.of(results)];
+  view.dispatch({ effects: maybeEnableInlineResults(view.state, effects) });
+}
+
+const inlineResultsExtensions = [inlineResultsField, baseTheme];
+
+function maybeEnableInlineResults(state, effects) {
+  return state.field(inlineResultsField, false)
+    ? effects
+    : effects.concat(StateEffect.appendConfig.of(inlineResultsExtensions));
+}
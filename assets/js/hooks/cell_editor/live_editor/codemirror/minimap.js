@@ -0,0 +1,239 @@
+import { EditorView, ViewPlugin } from "@codemirror/view";
+
+const WIDTH = 64;
+const MAX_LINE_HEIGHT = 2;
+const MIN_LINES = 40;
+
+const baseTheme = EditorView.baseTheme({
+  "&.cm-withMinimap .cm-scroller": {
+    marginRight: `${WIDTH}px`,
+  },
+
+  ".cm-minimap": {
+    position: "absolute",
+    top: "0",
+    right: "0",
+    bottom: "0",
+    width: `${WIDTH}px`,
+    color: "#6b7280",
+  },
+
+  ".cm-minimapContent": {
+    position: "sticky",
+    top: "0",
+    cursor: "pointer",
+  },
+
+  ".cm-minimapViewport": {
+    position: "absolute",
+    left: "0",
+    right: "0",
+    backgroundColor: "rgba(145, 164, 183, 0.2)",
+    pointerEvents: "none",
+  },
+});
+
+// The minimap is only relevant for long sources, for shorter ones
+// we don't render it and don't reserve the space
+const minimapAttributes = EditorView.editorAttributes.compute(
+  ["doc"],
+  (state) => (state.doc.lines >= MIN_LINES ? { class: "cm-withMinimap" } : {}),
+);
+
+const minimapPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.view = view;
+      this.frame = null;
+
+      this.dom = document.createElement("div");
+      this.dom.classList.add("cm-minimap");
+
+      this.contentEl = document.createElement("div");
+      this.contentEl.classList.add("cm-minimapContent");
+
+      this.canvas = document.createElement("canvas");
+      this.canvas.style.width = `${WIDTH}px`;
+
+      this.viewportEl = document.createElement("div");
+      this.viewportEl.classList.add("cm-minimapViewport");
+
+      this.contentEl.append(this.canvas, this.viewportEl);
+      this.dom.appendChild(this.contentEl);
+      view.dom.appendChild(this.dom);
+
+      this.contentEl.addEventListener("mousedown", (event) => {
+        // Keep the focus as is
+        event.preventDefault();
+        this.scrollToY(event.offsetY);
+      });
+
+      // The editor grows with its content, so it is the page that
+      // scrolls, we listen in the capture phase to catch scrolling of
+      // any container. Scrolling only moves the viewport overlay, so
+      // we skip the canvas and editors that are off the screen
+      this.isVisible = false;
+      this.canvasOutdated = true;
+
+      this.visibilityObserver = new IntersectionObserver((entries) => {
+        this.isVisible = entries[entries.length - 1].isIntersecting;
+
+        if (this.isVisible) {
+          this.scheduleRender();
+        }
+      });
+      this.visibilityObserver.observe(view.dom);
+
+      this._handleScroll = () => {
+        if (this.isVisible) {
+          this.scheduleRender();
+        }
+      };
+      window.addEventListener("scroll", this._handleScroll, true);
+      window.addEventListener("resize", this._handleScroll);
+    }
+
+    update(update) {
+      if (update.docChanged) {
+        this.canvasOutdated = true;
+      }
+
+      if (update.docChanged || update.geometryChanged) {
+        this.scheduleRender();
+      }
+    }
+
+    scheduleRender() {
+      if (this.frame === null) {
+        this.frame = requestAnimationFrame(() => {
+          this.frame = null;
+          this.render();
+        });
+      }
+    }
+
+    render() {
+      const { doc } = this.view.state;
+
+      if (doc.lines < MIN_LINES) {
+        this.dom.classList.add("hidden");
+        return;
+      }
+
+      this.dom.classList.remove("hidden");
+
+      const editorRect = this.view.dom.getBoundingClientRect();
+      const height = Math.min(editorRect.height, window.innerHeight);
+
+      // The canvas is scaled to the visible height, so it needs to be
+      // redrawn whenever the height changes
+      if (this.canvasOutdated || height !== this.canvasHeight) {
+        this.renderCanvas(height);
+      }
+
+      this.renderViewport(editorRect);
+    }
+
+    renderCanvas(height) {
+      const { doc } = this.view.state;
+
+      const lineHeight = Math.min(MAX_LINE_HEIGHT, height / doc.lines);
+      this.lineHeight = lineHeight;
+      this.canvasHeight = height;
+      this.canvasOutdated = false;
+
+      const ratio = window.devicePixelRatio || 1;
+      this.canvas.style.height = `${height}px`;
+      this.canvas.width = WIDTH * ratio;
+      this.canvas.height = height * ratio;
+
+      const ctx = this.canvas.getContext("2d");
+      ctx.scale(ratio, ratio);
+      ctx.fillStyle = window.getComputedStyle(this.dom).color;
+
+      // Each character is drawn as a small block, with whitespace
+      // runs left empty, which outlines the code shape
+      for (let number = 1; number <= doc.lines; number++) {
+        const text = doc.line(number).text;
+        const y = (number - 1) * lineHeight;
+
+        for (const match of text.matchAll(/\S+/g)) {
+          ctx.fillRect(
+            match.index,
+            y,
+            Math.min(match[0].length, WIDTH - match.index),
+            Math.max(lineHeight - 0.5, 0.5),
+          );
+        }
+      }
+    }
+
+    renderViewport(editorRect) {
+      // Highlight the part of the editor visible on the screen
+      const visibleTop = Math.max(0, -editorRect.top);
+      const visibleBottom = Math.min(
+        editorRect.height,
+        window.innerHeight - editorRect.top,
+      );
+
+      if (visibleBottom <= visibleTop) {
+        this.viewportEl.classList.add("hidden");
+      } else {
+        const topLine = this.lineAtHeight(visibleTop);
+        const bottomLine = this.lineAtHeight(visibleBottom);
+
+        this.viewportEl.classList.remove("hidden");
+        this.viewportEl.style.top = `${(topLine - 1) * this.lineHeight}px`;
+        this.viewportEl.style.height = `${
+          (bottomLine - topLine + 1) * this.lineHeight
+        }px`;
+      }
+    }
+
+    lineAtHeight(height) {
+      const { doc } = this.view.state;
+      // Heights passed to the view are relative to the document top
+      const offset =
+        this.view.documentTop - this.view.dom.getBoundingClientRect().top;
+      const block = this.view.lineBlockAtHeight(height - offset);
+      return doc.lineAt(block.from).number;
+    }
+
+    scrollToY(y) {
+      const { doc } = this.view.state;
+      const number = Math.min(
+        Math.max(Math.floor(y / this.lineHeight) + 1, 1),
+        doc.lines,
+      );
+
+      this.view.dispatch({
+        effects: EditorView.scrollIntoView(doc.line(number).from, {
+          y: "center",
+        }),
+      });
+    }
+
+    destroy() {
+      if (this.frame !== null) {
+        cancelAnimationFrame(this.frame);
+      }
+
+      this.visibilityObserver.disconnect();
+      window.removeEventListener("scroll", this._handleScroll, true);
+      window.removeEventListener("resize", this._handleScroll);
+      this.dom.remove();
+    }
+  },
+);
+
+/**
+ * Returns an extension rendering a minimap column to the right of
+ * the editor.
+ *
+ * The minimap outlines the whole source, highlights the part visible
+ * on the screen and can be clicked to scroll to the given line. It
+ * is shown only for long sources.
+ */
+export function minimap() {
+  return [minimapAttributes, minimapPlugin, baseTheme];
+}
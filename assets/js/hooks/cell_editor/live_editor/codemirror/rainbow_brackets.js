@@ -0,0 +1,79 @@
+import { Decoration, ViewPlugin } from "@codemirror/view";
+import { syntaxTree } from "@codemirror/language";
+import { RangeSetBuilder } from "@codemirror/state";
+
+// The colors are defined in the editor theme
+const COLORS_COUNT = 3;
+
+// Elixir string interpolation is closed with a regular brace
+const OPENING_BRACKETS = ["(", "[", "{", "<<", "#{"];
+const CLOSING_BRACKETS = [")", "]", "}", ">>"];
+
+const bracketDecorations = Array.from({ length: COLORS_COUNT }, (_, idx) =>
+  Decoration.mark({ class: `cm-rainbowBracket-${idx}` }),
+);
+
+const rainbowBracketsPlugin = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      this.decorations = this.buildDecorations(view);
+    }
+
+    update(update) {
+      if (
+        update.docChanged ||
+        update.viewportChanged ||
+        syntaxTree(update.state) !== syntaxTree(update.startState)
+      ) {
+        this.decorations = this.buildDecorations(update.view);
+      }
+    }
+
+    buildDecorations(view) {
+      const builder = new RangeSetBuilder();
+      const { from, to } = view.viewport;
+      let depth = 0;
+
+      // We go through the tree from the beginning, since we need to
+      // know the nesting depth at the start of the viewport
+      syntaxTree(view.state).iterate({
+        to,
+        enter: (node) => {
+          if (OPENING_BRACKETS.includes(node.name)) {
+            if (node.to >= from) {
+              builder.add(node.from, node.to, decorationForDepth(depth));
+            }
+
+            depth++;
+          } else if (CLOSING_BRACKETS.includes(node.name)) {
+            depth = Math.max(depth - 1, 0);
+
+            if (node.to >= from) {
+              builder.add(node.from, node.to, decorationForDepth(depth));
+            }
+          }
+        },
+      });
+
+      return builder.finish();
+    }
+  },
+  {
+    decorations: (plugin) => plugin.decorations,
+  },
+);
+
+function decorationForDepth(depth) {
+  return bracketDecorations[depth % COLORS_COUNT];
+}
+
+/**
+ * Returns an extension coloring brackets based on their nesting
+ * depth.
+ *
+ * Brackets are determined based on the syntax tree, so brackets in
+ * strings and comments are not colored.
+ */
+export function rainbowBrackets() {
+  return rainbowBracketsPlugin;
+}
@@ -1,11 +1,6 @@
 import { EditorView } from "@codemirror/view";
 import { HighlightStyle, syntaxHighlighting } from "@codemirror/language";
-import { tags as t } from "@lezer/highlight";
-
-// Most of the colors for the editor widgets are based on the One Dark
-// theme in the Zed editor. The highlighting colors are based on the
-// Atom One Dark theme from VS Code, since they are more contrasting.
-// The comment color is brightened for AA accessibility.
+import { parseHighlightTag } from "../../../../lib/editor_themes";
 
 function buildEditorTheme(colors, { dark }) {
   const fonts = {
@@ -201,6 +196,18 @@ function buildEditorTheme(colors, { dark }) {
         backgroundColor: colors.selectionBackground,
       },
 
+      ".cm-rainbowBracket-0, .cm-rainbowBracket-0 *": {
+        color: colors.brackets[0],
+      },
+
+      ".cm-rainbowBracket-1, .cm-rainbowBracket-1 *": {
+        color: colors.brackets[1],
+      },
+
+      ".cm-rainbowBracket-2, .cm-rainbowBracket-2 *": {
+        color: colors.brackets[2],
+      },
+
       // Completion
 
       ".cm-tooltip.cm-tooltip-autocomplete": {
@@ -235,6 +242,7 @@ function buildEditorTheme(colors, { dark }) {
               "&.cm-completionIcon-variable:after": { content: "'𝑥'" },
               "&.cm-completionIcon-field:after": { content: "'•'" },
               "&.cm-completionIcon-keyword:after": { content: "'⚡'" },
+              "&.cm-completionIcon-snippet:after": { content: "'s'" },
             },
           },
         },
@@ -340,9 +348,39 @@ function buildEditorTheme(colors, { dark }) {
           "&.cm-diagnostic-warning::before": {
             color: "#d19a66",
           },
+
+          "& .cm-diagnosticAction": {
+            backgroundColor: colors.backgroundLightest,
+            color: colors.text,
+            borderRadius: "4px",
+          },
+        },
+      },
+
+      // Code actions
+
+      ".cm-tooltip.cm-codeActions": {
+        "& .cm-codeAction[aria-selected]": {
+          backgroundColor: colors.backgroundLightest,
+        },
+
+        "& .cm-codeAction i": {
+          color: "#d19a66",
         },
       },
 
+      // Minimap
+
+      ".cm-minimap": {
+        color: colors.lineNumber,
+      },
+
+      // Indentation guides
+
+      ".cm-indentGuides": {
+        "--cm-indent-guide-color": colors.indentGuide,
+      },
+
       // Search
       //
       // It is possible to build a fully custom panel and hook into the
@@ -507,138 +545,48 @@ function buildEditorTheme(colors, { dark }) {
   );
 }
 
-function buildHighlightStyle({
-  base,
-  lightRed,
-  blue,
-  gray,
-  green,
-  purple,
-  red,
-  teal,
-  peach,
-  yellow,
-}) {
-  return HighlightStyle.define([
-    { tag: t.keyword, color: purple },
-    { tag: t.null, color: blue },
-    { tag: t.bool, color: blue },
-    { tag: t.number, color: blue },
-    { tag: t.string, color: green },
-    { tag: t.special(t.string), color: yellow },
-    { tag: t.character, color: blue },
-    { tag: t.escape, color: blue },
-    { tag: t.atom, color: blue },
-    { tag: t.variableName, color: base },
-    { tag: t.special(t.variableName), color: lightRed },
-    {
-      tag: [t.function(t.variableName), t.function(t.propertyName)],
-      color: blue,
-    },
-    { tag: t.namespace, color: teal },
-    { tag: t.operator, color: peach },
-    { tag: t.comment, color: gray },
-    { tag: [t.docString, t.docComment], color: gray },
-    {
-      tag: [t.paren, t.squareBracket, t.brace, t.angleBracket, t.separator],
-      color: base,
-    },
-    { tag: t.special(t.brace), color: red },
-
-    // Markdown specific
-    { tag: t.strong, fontWeight: "bold" },
-    { tag: t.emphasis, fontStyle: "italic" },
-    { tag: t.strikethrough, textDecoration: "line-through" },
-    { tag: t.link, color: blue },
-    { tag: t.heading, color: lightRed },
-    { tag: t.monospace, color: green },
-
-    // JSON specific
-    { tag: t.propertyName, color: lightRed },
-
-    // HTML specific
-    { tag: t.tagName, color: purple },
+function buildHighlightStyle(highlight) {
+  return HighlightStyle.define(
+    Object.entries(highlight).map(([name, style]) => ({
+      tag: parseHighlightTag(name),
+      ...(typeof style === "string" ? { color: style } : style),
+    })),
+  );
+}
 
-    // CSS specific
-    { tag: t.className, color: peach },
-  ]);
+const editorThemes = new WeakMap();
+const highlightStyles = new WeakMap();
+
+/**
+ * Returns the highlight style for the given editor theme.
+ *
+ * See `lib/editor_themes.js` for the theme format.
+ */
+export function themeHighlightStyle(editorTheme) {
+  if (!highlightStyles.has(editorTheme)) {
+    highlightStyles.set(
+      editorTheme,
+      buildHighlightStyle(editorTheme.highlight),
+    );
+  }
+
+  return highlightStyles.get(editorTheme);
 }
 
-const editorTheme = buildEditorTheme(
-  {
-    text: "#c8ccd4",
-    background: "#282c34",
-    backgroundLighter: "#2f343e",
-    backgroundLightest: "#454a56",
-    border: "#363c46",
-    cursor: "#73ade8",
-    activeLine: "#2d323b",
-    selectionBackground: "#394c5f",
-    inactiveSelectionBackground: "#29333d",
-    selectionMatchBackground: "#343f4d",
-    gutterText: "#c8ccd4",
-    lineNumber: "#60646c",
-    lineNumberActive: "#c8ccd4",
-    matchingText: "#73ade8",
-    searchMatchBackground: "#4c6582",
-    searchMatchActiveBackground: "#54789e",
-    separator: "#464b57",
-  },
-  { dark: true },
-);
-
-export const highlightStyle = buildHighlightStyle({
-  base: "#c8ccd4",
-  lightRed: "#e06c75",
-  blue: "#61afef",
-  gray: "#8c92a3",
-  green: "#98c379",
-  purple: "#c678dd",
-  red: "#be5046",
-  teal: "#56b6c2",
-  peach: "#d19a66",
-  yellow: "#e5c07b",
-});
-
-export const theme = [editorTheme, syntaxHighlighting(highlightStyle)];
-
-const lightEditorTheme = buildEditorTheme(
-  {
-    text: "#383a41",
-    background: "#fafafa",
-    backgroundLighter: "#ebebec",
-    backgroundLightest: "#cacaca",
-    border: "#dfdfe0",
-    cursor: "#5c79e2",
-    activeLine: "#efeff0",
-    selectionBackground: "#d4dbf4",
-    inactiveSelectionBackground: "#ebeef9",
-    selectionMatchBackground: "#d3d5e1",
-    gutterText: "#383a41",
-    lineNumber: "#b6b7b9",
-    lineNumberActive: "#383a41",
-    matchingText: "#73ade8",
-    searchMatchBackground: "#bbc6f1",
-    searchMatchActiveBackground: "#9daeec",
-    separator: "#c9c9ca",
-  },
-  { dark: false },
-);
-
-export const lightHighlightStyle = buildHighlightStyle({
-  base: "#304254",
-  lightRed: "#e45649",
-  blue: "#4078F2",
-  gray: "#707177",
-  green: "#50a14f",
-  purple: "#a726a4",
-  red: "#ca1243",
-  teal: "#0084bc",
-  peach: "#986801",
-  yellow: "#c18401",
-});
-
-export const lightTheme = [
-  lightEditorTheme,
-  syntaxHighlighting(lightHighlightStyle),
-];
+/**
+ * Returns an extension applying the given editor theme, including
+ * syntax highlighting.
+ *
+ * The extensions are cached per theme, so that switching between
+ * editors with the same theme does not redefine the styles.
+ */
+export function themeExtension(editorTheme) {
+  if (!editorThemes.has(editorTheme)) {
+    editorThemes.set(editorTheme, [
+      buildEditorTheme(editorTheme.colors, { dark: editorTheme.dark }),
+      syntaxHighlighting(themeHighlightStyle(editorTheme)),
+    ]);
+  }
+
+  return editorThemes.get(editorTheme);
+}
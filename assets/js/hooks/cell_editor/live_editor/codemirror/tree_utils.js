@@ -30,3 +30,24 @@ export function ancestorNode(node, path) {
 
   return i === path.length && node ? node : null;
 }
+
+/**
+ * Returns the first error node in the tree, or null if the tree has
+ * no syntax errors.
+ */
+export function firstErrorNode(tree) {
+  let errorNode = null;
+
+  tree.iterate({
+    enter(node) {
+      if (errorNode) return false;
+
+      if (node.type.isError) {
+        errorNode = node.node;
+        return false;
+      }
+    },
+  });
+
+  return errorNode;
+}
@@ -1,6 +1,7 @@
 import Emitter from "../../../lib/emitter";
 import { pop } from "../../../lib/utils";
 import { transformSelection } from "./codemirror/collab";
+import UndoManager from "./undo_manager";
 
 const REVISION_REPORT_TIMEOUT_MS = 5000;
 
@@ -32,6 +33,21 @@ const REVISION_REPORT_TIMEOUT_MS = 5000;
  * should be treated as if it happened before our unacknowledged delta.
  * Other client's delta is transformed against the local unacknowledged
  * deltas and applied to the editor.
+ *
+ * ## Undo history
+ *
+ * The client keeps undo history of the local changes only, so that
+ * undo never reverts changes made by other clients. The history is
+ * transformed against every remote delta (see `UndoManager`).
+ *
+ * ## Disconnection
+ *
+ * When the connection drops, the client keeps accepting local edits
+ * and composes them into the buffer, but no longer sends anything.
+ * To make it possible to recover those edits once a new client is
+ * created, the client keeps track of the source and revision last
+ * confirmed by the server, and exposes the unsynced deltas relative
+ * to that source (see `getUnsyncedEdits`).
  */
 export default class CollabClient {
   /** @private */
@@ -42,7 +58,9 @@ export default class CollabClient {
    * by the client or the server.
    *
    * The deltas are transformed, such that applying them one by one
-   * keeps the document in sync.
+   * keeps the document in sync. Along with the delta, the callback
+   * receives an object with `remote` flag and the `clientId` of the
+   * client that authored the change.
    */
   onDelta = this._onDelta.event;
 
@@ -57,9 +75,25 @@ export default class CollabClient {
    */
   onPeersChange = this._onPeersChange.event;
 
-  constructor(connection, revision) {
+  /** @private */
+  _onUnsyncedEditsChange = new Emitter();
+
+  /**
+   * Registers a callback called whenever local edits are made while
+   * the client is disconnected.
+   *
+   * The callback receives the current unsynced edits, as returned by
+   * `getUnsyncedEdits`.
+   */
+  onUnsyncedEditsChange = this._onUnsyncedEditsChange.event;
+
+  constructor(connection, revision, source = "") {
     this.connection = connection;
     this.revision = revision;
+    this.source = source;
+    this.serverSource = source;
+    this.connected = true;
+    this.undoManager = new UndoManager();
 
     this.clientId = connection.getClientId();
 
@@ -68,6 +102,8 @@ export default class CollabClient {
 
     this.inflightDelta = null;
     this.bufferDelta = null;
+    this.inflightEditsCount = 0;
+    this.bufferEditsCount = 0;
     this.selection = null;
     this.selectionChanged = false;
     this.revisionReportTimeoutId = null;
@@ -77,6 +113,7 @@ export default class CollabClient {
       connection.onAcknowledgement(this.handleServerAcknowledgement.bind(this)),
       connection.onSelection(this.handleServerSelection.bind(this)),
       connection.onClientsUpdate(this.handleServerClientsUpdate.bind(this)),
+      connection.onDisconnect(this.handleServerDisconnect.bind(this)),
     ];
   }
 
@@ -91,28 +128,84 @@ export default class CollabClient {
     return this.peers;
   }
 
+  /**
+   * Returns local edits that have not been acknowledged by the server.
+   *
+   * The deltas apply to `source`, which is the source at `revision`
+   * as last confirmed by the server. Returns `null` if there are no
+   * unsynced edits.
+   */
+  getUnsyncedEdits() {
+    if (!this.inflightDelta && !this.bufferDelta) {
+      return null;
+    }
+
+    return {
+      source: this.serverSource,
+      revision: this.revision,
+      inflightDelta: this.inflightDelta,
+      bufferDelta: this.bufferDelta,
+      count: this.inflightEditsCount + this.bufferEditsCount,
+    };
+  }
+
+  /**
+   * Returns a delta reverting the most recent local change, or `null`
+   * if there is nothing to undo.
+   *
+   * The delta is moved to the redo history, so the caller is expected
+   * to apply it with `handleClientDelta`, without recording.
+   */
+  undo() {
+    return this.undoManager.undo(this.source);
+  }
+
+  /**
+   * Returns a delta reapplying the most recently undone change, or
+   * `null` if there is nothing to redo.
+   *
+   * See `undo` for more details.
+   */
+  redo() {
+    return this.undoManager.redo(this.source);
+  }
+
   /**
    * Sends a local delta to the server or puts it in the queue.
    *
    * Should be called by the editor, whenever the content is changed
-   * by the user.
+   * by the user. Unless `record` is disabled, the change is added to
+   * the undo history.
    */
-  handleClientDelta(delta, selection) {
+  handleClientDelta(delta, selection, { record = true } = {}) {
+    if (record) {
+      this.undoManager.record(delta, this.source);
+    }
+
+    this.source = delta.applyToString(this.source);
+
     this.peers = transformPeerSelections(this.peers, delta);
 
     this.selection = selection;
 
-    if (!this.inflightDelta) {
+    if (!this.inflightDelta && this.connected) {
       this.inflightDelta = delta;
+      this.inflightEditsCount = 1;
       this.sendDelta();
     } else if (!this.bufferDelta) {
       this.bufferDelta = delta;
+      this.bufferEditsCount = 1;
     } else {
       this.bufferDelta = this.bufferDelta.compose(delta);
+      this.bufferEditsCount++;
     }
 
-    this._onDelta.dispatch(delta, { remote: false });
+    this._onDelta.dispatch(delta, { remote: false, clientId: this.clientId });
     this._onPeersChange.dispatch(this.peers);
+
+    if (!this.connected) {
+      this._onUnsyncedEditsChange.dispatch(this.getUnsyncedEdits());
+    }
   }
 
   /**
@@ -124,6 +217,10 @@ export default class CollabClient {
   handleClientSelection(selection) {
     this.selection = selection;
 
+    if (!this.connected) {
+      return;
+    }
+
     if (!this.inflightDelta) {
       this.sendSelection();
     } else {
@@ -135,6 +232,10 @@ export default class CollabClient {
   handleServerDelta(delta, selection, clientId) {
     this.revision++;
 
+    // The delta comes from the server, so it applies to the source as
+    // confirmed by the server
+    this.serverSource = delta.applyToString(this.serverSource);
+
     // The server dictates the order of the deltas, so we consider the
     // incoming delta to have happened first
 
@@ -161,6 +262,9 @@ export default class CollabClient {
     this.inflightDelta = inflightDelta;
     this.bufferDelta = bufferDelta;
 
+    this.source = delta.applyToString(this.source);
+    this.undoManager.transform(delta);
+
     this.selection =
       this.selection && transformSelection(this.selection, delta);
 
@@ -173,7 +277,7 @@ export default class CollabClient {
 
     this.peers = peers;
 
-    this._onDelta.dispatch(delta, { remote: true });
+    this._onDelta.dispatch(delta, { remote: true, clientId });
     this._onPeersChange.dispatch(this.peers);
 
     // The client received a new delta, so we schedule a request to
@@ -185,11 +289,16 @@ export default class CollabClient {
   handleServerAcknowledgement() {
     this.revision++;
 
+    this.serverSource = this.inflightDelta.applyToString(this.serverSource);
+
     this.inflightDelta = null;
+    this.inflightEditsCount = 0;
 
     if (this.bufferDelta) {
       this.inflightDelta = this.bufferDelta;
+      this.inflightEditsCount = this.bufferEditsCount;
       this.bufferDelta = null;
+      this.bufferEditsCount = 0;
       this.sendDelta();
     }
   }
@@ -218,6 +327,15 @@ export default class CollabClient {
     this._onPeersChange.dispatch(this.peers);
   }
 
+  /** @private */
+  handleServerDisconnect() {
+    this.connected = false;
+
+    this.maybeCancelRevisionReport();
+
+    this._onUnsyncedEditsChange.dispatch(this.getUnsyncedEdits());
+  }
+
   /** @private */
   handleServerClientsUpdate(clients) {
     this.updatePeers(clients);
@@ -2,11 +2,18 @@ import Delta from "../../../lib/delta";
 import { EditorSelection } from "@codemirror/state";
 import { LiveStore } from "../../../lib/live_store";
 import Emitter from "../../../lib/emitter";
+import { encodeDeltaMessage, decodeDeltaMessage } from "../../../lib/codec";
+import { bufferToBase64, base64ToBuffer } from "../../../lib/utils";
 
 /**
  * Encapsulates the editor communication with the server.
  *
  * Uses the given hook instance socket for the communication.
+ *
+ * Deltas are sent either in the compressed JSON representation or in
+ * the binary representation (see `encodeDelta`). The binary encoding
+ * is only used when negotiated for the session and only for deltas
+ * where it is smaller, since it needs to be base64 encoded.
  */
 export default class Connection {
   /** @private */
@@ -44,12 +51,21 @@ export default class Connection {
    */
   onClientsUpdate = this._onClientsUpdate.event;
 
+  /** @private */
+  _onDisconnect = new Emitter();
+
+  /**
+   * Registers a callback called when the connection to the server is lost.
+   */
+  onDisconnect = this._onDisconnect.event;
+
   constructor(hook, cellId, tag) {
     this.hook = hook;
     this.cellId = cellId;
     this.tag = tag;
 
     this.sessionStore = LiveStore.getStore("session");
+    this.deltaEncoding = this.sessionStore.get("deltaEncoding");
     this.handlerByRef = {};
 
     this.setupCollaborationHandlers();
@@ -65,6 +81,17 @@ export default class Connection {
     this.clientsSubscription.destroy();
   }
 
+  /**
+   * Marks the connection as lost.
+   *
+   * Should be called by the hook once the socket disconnects. Note
+   * that a disconnected connection is never reestablished, instead
+   * a new connection is created on reconnection.
+   */
+  handleDisconnected() {
+    this._onDisconnect.dispatch();
+  }
+
   /**
    * Returns the list of clients currently connected to the session.
    */
@@ -83,13 +110,32 @@ export default class Connection {
    * Sends the given delta to the server.
    */
   sendDelta(delta, selection, revision) {
-    this.hook.pushEvent("apply_cell_delta", {
+    const compressedSelection = selection && selectionToCompressed(selection);
+
+    const compressedPayload = {
       cell_id: this.cellId,
       tag: this.tag,
       delta: delta.toCompressed(),
-      selection: selection && selectionToCompressed(selection),
+      selection: compressedSelection,
       revision,
-    });
+    };
+
+    if (this.deltaEncoding === "binary") {
+      const meta = { selection: compressedSelection, revision };
+      const binary = bufferToBase64(encodeDeltaMessage(meta, delta));
+
+      if (binary.length < JSON.stringify(compressedPayload).length) {
+        this.hook.pushEvent("apply_cell_delta", {
+          cell_id: this.cellId,
+          tag: this.tag,
+          binary,
+        });
+
+        return;
+      }
+    }
+
+    this.hook.pushEvent("apply_cell_delta", compressedPayload);
   }
 
   /**
@@ -126,8 +172,16 @@ export default class Connection {
   setupCollaborationHandlers() {
     this.hook.handleEvent(
       `cell_delta:${this.cellId}:${this.tag}`,
-      ({ delta, selection, client_id }) => {
-        delta = Delta.fromCompressed(delta);
+      (payload) => {
+        let { delta, selection, client_id } = payload;
+
+        if (payload.binary) {
+          const raw = base64ToBuffer(payload.binary);
+          [{ selection, client_id }, delta] = decodeDeltaMessage(raw);
+        } else {
+          delta = Delta.fromCompressed(delta);
+        }
+
         selection = selection && selectionFromCompressed(selection);
         this._onDelta.dispatch(delta, selection, client_id);
       },
@@ -222,7 +276,7 @@ function selectionFromCompressed(list) {
   return EditorSelection.create(ranges);
 }
 
-class IntellisenseError extends Error {
+export class IntellisenseError extends Error {
   constructor(message) {
     super(message);
     this.name = "IntellisenseError";
@@ -2,9 +2,10 @@ import { LanguageDescription } from "@codemirror/language";
 import { highlightCode } from "@lezer/highlight";
 import { StyleModule } from "style-mod";
 import { languages } from "./codemirror/languages";
-import { highlightStyle, lightHighlightStyle } from "./codemirror/theme";
+import { themeHighlightStyle } from "./codemirror/theme";
 import { escapeHtml } from "../../../lib/utils";
 import { settingsStore } from "../../../lib/settings";
+import { getEditorTheme } from "../../../lib/editor_themes";
 
 export function highlight(code, language) {
   const languageDesc = LanguageDescription.matchLanguageName(
@@ -42,8 +43,5 @@ export function highlight(code, language) {
 
 function getHighlightStyle() {
   const settings = settingsStore.get();
-
-  return settings.editor_theme === "light"
-    ? lightHighlightStyle
-    : highlightStyle;
+  return themeHighlightStyle(getEditorTheme(settings));
 }
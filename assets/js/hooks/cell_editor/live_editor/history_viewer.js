@@ -0,0 +1,158 @@
+import { EditorView } from "@codemirror/view";
+
+import { blameGutter, setLineBlame } from "./codemirror/blame_gutter";
+import { deltaToChanges } from "./codemirror/collab";
+import { createReadOnlyState } from "./read_only_state";
+
+/**
+ * Renders a panel for browsing the source history of an editor.
+ *
+ * The panel consists of a slider for scrubbing through revisions and
+ * a read-only editor with the source at the selected revision, along
+ * with a blame gutter showing the author of each line.
+ *
+ * While the latest revision is selected, the panel follows new
+ * changes as they come, applying them to the editor incrementally.
+ * Otherwise new changes only extend the slider range.
+ */
+export default class HistoryViewer {
+  constructor(container, history, language) {
+    this.container = container;
+    this.history = history;
+    this.language = language;
+    this.revision = history.getLastRevision();
+
+    this.render();
+
+    this.changeSubscription = history.onChange((entry) =>
+      this.handleHistoryChange(entry),
+    );
+  }
+
+  /**
+   * Performs necessary cleanup actions.
+   */
+  destroy() {
+    this.changeSubscription.destroy();
+    this.view.destroy();
+    this.container.replaceChildren();
+  }
+
+  /** @private */
+  render() {
+    const panelEl = document.createElement("div");
+    panelEl.classList.add(
+      "mt-2",
+      "rounded-lg",
+      "border",
+      "border-gray-200",
+      "overflow-hidden",
+    );
+
+    const headerEl = document.createElement("div");
+    headerEl.classList.add(
+      "flex",
+      "items-center",
+      "gap-4",
+      "px-4",
+      "py-2",
+      "bg-gray-50",
+      "border-b",
+      "border-gray-200",
+    );
+
+    this.sliderEl = document.createElement("input");
+    this.sliderEl.type = "range";
+    this.sliderEl.step = "1";
+    this.sliderEl.setAttribute("aria-label", "revision");
+    this.sliderEl.classList.add("grow", "accent-gray-700");
+    this.sliderEl.addEventListener("input", () => {
+      this.revision = parseInt(this.sliderEl.value, 10);
+      this.update();
+    });
+
+    this.labelEl = document.createElement("span");
+    this.labelEl.classList.add("text-xs", "text-gray-600", "whitespace-nowrap");
+
+    headerEl.append(this.sliderEl, this.labelEl);
+
+    const editorEl = document.createElement("div");
+    editorEl.classList.add("py-2", "bg-editor");
+
+    panelEl.append(headerEl, editorEl);
+    this.container.replaceChildren(panelEl);
+
+    this.view = new EditorView({ parent: editorEl });
+
+    this.update();
+  }
+
+  /** @private */
+  handleHistoryChange(entry) {
+    if (this.revision === entry.revision - 1) {
+      this.revision = entry.revision;
+      this.updateHeader();
+
+      const { lineBlame } = this.history.getSnapshot(this.revision);
+
+      this.view.dispatch({
+        changes: deltaToChanges(entry.delta),
+        effects: setLineBlame(lineBlame),
+      });
+    } else if (this.revision < this.history.getFirstRevision()) {
+      // The selected revision is no longer available
+      this.update();
+    } else {
+      this.updateHeader();
+    }
+  }
+
+  /** @private */
+  update() {
+    this.updateHeader();
+
+    const snapshot = this.history.getSnapshot(this.revision);
+    this.view.setState(this.createState(snapshot));
+  }
+
+  /** @private */
+  updateHeader() {
+    const firstRevision = this.history.getFirstRevision();
+    const lastRevision = this.history.getLastRevision();
+
+    // The oldest entries may have been dropped in the meantime
+    this.revision = Math.max(this.revision, firstRevision);
+
+    this.sliderEl.min = firstRevision.toString();
+    this.sliderEl.max = lastRevision.toString();
+    this.sliderEl.value = this.revision.toString();
+    this.sliderEl.disabled = firstRevision === lastRevision;
+
+    this.labelEl.textContent = this.revisionLabel(lastRevision);
+  }
+
+  /** @private */
+  revisionLabel(lastRevision) {
+    const entry = this.history.getEntry(this.revision);
+    const prefix = `Revision ${this.revision} of ${lastRevision}`;
+
+    if (!entry) {
+      return this.revision === 0
+        ? `${prefix} · initial source`
+        : `${prefix} · oldest available`;
+    }
+
+    const { author, timestamp } = entry;
+    const name = (author && author.meta && author.meta.name) || "Unknown";
+    const time = new Date(timestamp).toLocaleTimeString();
+
+    return `${prefix} · ${name} at ${time}`;
+  }
+
+  /** @private */
+  createState(snapshot) {
+    return createReadOnlyState(snapshot.source, this.language, [
+      blameGutter(snapshot.lineBlame),
+    ]);
+  }
+}
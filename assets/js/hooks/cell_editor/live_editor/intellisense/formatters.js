@@ -0,0 +1,353 @@
+import Delta from "../../../../lib/delta";
+
+/**
+ * Builds a format response with the delta between the original and
+ * the formatted code, similarly to the runtime format response.
+ *
+ * Returns `null` if the code cannot be formatted.
+ */
+export function formatResponse(code, formattedCode) {
+  if (formattedCode === null) {
+    return null;
+  }
+
+  const delta = formattedCode === code ? null : Delta.diff(code, formattedCode);
+
+  return { delta: delta && delta.toCompressed() };
+}
+
+/**
+ * Formats JSON with two space indentation.
+ *
+ * Only whitespace is changed, strings and numbers are kept exactly as
+ * written, so that large numbers do not lose precision and escape
+ * sequences are preserved.
+ *
+ * Returns `null` if the code is not a valid JSON.
+ */
+export function formatJson(code) {
+  if (code.trim() === "") return code;
+
+  try {
+    JSON.parse(code);
+  } catch (error) {
+    return null;
+  }
+
+  const tokens = tokenizeJson(code);
+
+  let result = "";
+  let depth = 0;
+
+  const newline = () => "\n" + "  ".repeat(depth);
+
+  for (const [idx, token] of tokens.entries()) {
+    const next = tokens[idx + 1];
+
+    if (token === "{" || token === "[") {
+      result += token;
+
+      // Keep empty containers on a single line
+      if (next !== "}" && next !== "]") {
+        depth++;
+        result += newline();
+      }
+    } else if (token === "}" || token === "]") {
+      const prev = tokens[idx - 1];
+
+      if (prev !== "{" && prev !== "[") {
+        depth--;
+        result += newline();
+      }
+
+      result += token;
+    } else if (token === ",") {
+      result += "," + newline();
+    } else if (token === ":") {
+      result += ": ";
+    } else {
+      result += token;
+    }
+  }
+
+  return result;
+}
+
+function tokenizeJson(code) {
+  const regex = /"(?:[^"\\]|\\.)*"|[{}[\],:]|[^\s{}[\],:"]+/g;
+  return code.match(regex) || [];
+}
+
+const SQL_KEYWORDS = [
+  "all",
+  "and",
+  "as",
+  "asc",
+  "between",
+  "by",
+  "case",
+  "cross",
+  "delete",
+  "desc",
+  "distinct",
+  "else",
+  "end",
+  "exists",
+  "from",
+  "full",
+  "group",
+  "having",
+  "in",
+  "inner",
+  "insert",
+  "into",
+  "is",
+  "join",
+  "left",
+  "like",
+  "limit",
+  "not",
+  "null",
+  "offset",
+  "on",
+  "or",
+  "order",
+  "outer",
+  "returning",
+  "right",
+  "select",
+  "set",
+  "then",
+  "union",
+  "update",
+  "using",
+  "values",
+  "when",
+  "where",
+  "with",
+];
+
+// Keywords starting a new clause, which we put on a separate line
+const SQL_CLAUSE_KEYWORDS = [
+  "select",
+  "from",
+  "where",
+  "group",
+  "having",
+  "order",
+  "limit",
+  "offset",
+  "union",
+  "insert",
+  "values",
+  "update",
+  "set",
+  "delete",
+  "returning",
+  "with",
+  "join",
+  "inner",
+  "left",
+  "right",
+  "full",
+  "cross",
+];
+
+// Keywords that may precede a clause keyword within the same clause,
+// as in LEFT OUTER JOIN
+const SQL_CLAUSE_MODIFIERS = [
+  "inner",
+  "left",
+  "right",
+  "full",
+  "cross",
+  "outer",
+];
+
+/**
+ * Formats SQL by putting each clause on a separate line, indenting
+ * conditions and upcasing keywords.
+ *
+ * Strings, quoted identifiers and comments are kept as is.
+ */
+export function formatSql(code) {
+  const tokens = tokenizeSql(code);
+
+  let result = "";
+  let depth = 0;
+  let prev = null;
+
+  const newline = (extraIndent = 0) => {
+    // Already at the beginning of a statement
+    if (result === "" || result.endsWith("\n\n")) return;
+
+    result = result.trimEnd() + "\n" + "  ".repeat(depth + extraIndent);
+  };
+
+  for (const token of tokens) {
+    const lower = token.type === "word" ? token.text.toLowerCase() : null;
+    let text = token.text;
+
+    if (lower && SQL_KEYWORDS.includes(lower)) {
+      text = token.text.toUpperCase();
+
+      const prevLower =
+        prev && prev.type === "word" ? prev.text.toLowerCase() : null;
+
+      if (
+        SQL_CLAUSE_KEYWORDS.includes(lower) &&
+        !SQL_CLAUSE_MODIFIERS.includes(prevLower)
+      ) {
+        newline();
+      } else if (lower === "and" || lower === "or") {
+        // Skip the AND in BETWEEN x AND y
+        if (!result.match(/\bBETWEEN\s+\S+\s*$/)) {
+          newline(1);
+        }
+      }
+    }
+
+    if (token.type === "comment" && token.text.startsWith("--")) {
+      result += (needsSpace(result, token) ? " " : "") + text;
+      // Line comments must be followed by a line break
+      result += "\n" + "  ".repeat(depth);
+      prev = token;
+      continue;
+    }
+
+    if (token.text === ";") {
+      // Keep the line break after a line comment, if any
+      result = result.replace(/[ \t]+$/, "") + ";\n\n";
+      depth = 0;
+      prev = token;
+      continue;
+    }
+
+    if (token.text === ")") {
+      depth = Math.max(depth - 1, 0);
+    }
+
+    result += (needsSpace(result, token, prev) ? " " : "") + text;
+
+    if (token.text === "(") {
+      depth++;
+    }
+
+    prev = token;
+  }
+
+  return result.trim();
+}
+
+function needsSpace(result, token, prev) {
+  if (result === "" || /\s$/.test(result)) return false;
+  if ([",", ")", ".", "::", ";"].includes(token.text)) return false;
+  if (prev && ["(", ".", "::", ":"].includes(prev.text)) return false;
+
+  // Function calls, as opposed to keywords followed by parentheses
+  if (
+    token.text === "(" &&
+    prev &&
+    prev.type === "word" &&
+    !SQL_KEYWORDS.includes(prev.text.toLowerCase())
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+function tokenizeSql(code) {
+  const regex =
+    /(--[^\n]*|\/\*[\s\S]*?\*\/)|('(?:[^']|'')*'?|"(?:[^"]|"")*"?|`[^`]*`?)|([\w$]+)|(\s+)|(::|[<>!=]=|<>|\|\||.)/g;
+
+  const tokens = [];
+
+  for (const [text, comment, string, word, space] of code.matchAll(regex)) {
+    if (space) continue;
+
+    const type = comment
+      ? "comment"
+      : string
+        ? "string"
+        : word
+          ? "word"
+          : "punctuation";
+
+    tokens.push({ type, text });
+  }
+
+  return tokens;
+}
+
+/**
+ * Formats Markdown by normalizing whitespace and list markers.
+ *
+ * The formatter is conservative, it removes trailing whitespace,
+ * collapses consecutive blank lines, surrounds headings with blank
+ * lines and uses `-` for bullet lists. Code blocks are kept as is.
+ */
+export function formatMarkdown(code) {
+  const lines = code.split("\n");
+  const result = [];
+  let fence = null;
+
+  const pushBlankLine = () => {
+    if (result.length > 0 && result[result.length - 1] !== "") {
+      result.push("");
+    }
+  };
+
+  for (const [idx, line] of lines.entries()) {
+    if (fence) {
+      result.push(line);
+
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+      }
+
+      continue;
+    }
+
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      result.push(line.trimEnd());
+      continue;
+    }
+
+    if (line.trim() === "") {
+      pushBlankLine();
+      continue;
+    }
+
+    const nextLine = lines[idx + 1];
+    const isHardBreak =
+      /\S {2,}$/.test(line) && nextLine !== undefined && nextLine.trim() !== "";
+
+    let text = isHardBreak ? line.trimEnd() + "  " : line.trimEnd();
+
+    if (/^\s*[*+]\s+/.test(text) && !isThematicBreak(text)) {
+      text = text.replace(/^(\s*)[*+](\s+)/, "$1-$2");
+    }
+
+    if (/^#{1,6}\s/.test(text)) {
+      pushBlankLine();
+      result.push(text);
+      result.push("");
+    } else {
+      result.push(text);
+    }
+  }
+
+  while (result[result.length - 1] === "") {
+    result.pop();
+  }
+
+  return result.join("\n");
+}
+
+function isThematicBreak(line) {
+  return /^\s*([*_-])(\s*\1){2,}\s*$/.test(line);
+}
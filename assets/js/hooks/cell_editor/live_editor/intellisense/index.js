@@ -0,0 +1,85 @@
+import { IntellisenseError } from "../connection";
+import jsonProvider from "./json";
+import yamlProvider from "./yaml";
+import sqlProvider from "./sql";
+import markdownProvider from "./markdown";
+
+/**
+ * Intellisense providers running locally in the browser, keyed by
+ * the editor language.
+ *
+ * Elixir intellisense is computed by the runtime. For other languages
+ * there is no runtime support, so we provide basic intellisense on
+ * the client side instead.
+ *
+ * A provider is an object with any of the following functions:
+ *
+ *   * `completion(props, context)`
+ *
+ *   * `details(props, context)`
+ *
+ *   * `diagnostics(props, context)`
+ *
+ *   * `format(props, context)`
+ *
+ * The functions receive the same props as the corresponding runtime
+ * intellisense requests and return a response in the same format,
+ * or `null` if there is no relevant response. Diagnostics are only
+ * available locally, the response is `{ diagnostics }` with a list
+ * of CodeMirror diagnostics.
+ *
+ * The context is an object with the following properties:
+ *
+ *   * `state` - the current editor state
+ *
+ *   * `pos` - the position the request refers to
+ *
+ *   * `schema` - the schema given by the cell, if any. For JSON and
+ *     YAML this is a JSON Schema, for SQL this is a map with tables
+ *     and their columns
+ */
+const providers = {
+  json: jsonProvider,
+  yaml: yamlProvider,
+  sql: sqlProvider,
+  markdown: markdownProvider,
+};
+
+/**
+ * Returns the local intellisense provider for the given language,
+ * or `null` if there is none.
+ */
+export function getIntellisenseProvider(language) {
+  return providers[language] || null;
+}
+
+/**
+ * Registers a local intellisense provider for the given language,
+ * replacing the existing one.
+ */
+export function registerIntellisenseProvider(language, provider) {
+  providers[language] = provider;
+}
+
+/**
+ * Sends an intellisense request to the given local provider.
+ *
+ * Mirrors `Connection.intellisenseRequest`, the returned promise is
+ * rejected if there is no relevant response.
+ */
+export function requestLocalIntellisense(provider, type, props, context) {
+  return new Promise((resolve, reject) => {
+    const handler = provider[type];
+    const response = handler ? handler(props, context) : null;
+
+    if (response) {
+      resolve(response);
+    } else {
+      reject(
+        new IntellisenseError(
+          "No relevant intellisense response for the given parameters",
+        ),
+      );
+    }
+  });
+}
@@ -0,0 +1,246 @@
+import { ensureSyntaxTree, syntaxTree } from "@codemirror/language";
+import {
+  schemaAtPath,
+  schemaProperties,
+  schemaValues,
+  schemaDocumentation,
+  validateSchema,
+} from "./json_schema";
+import { formatResponse, formatJson } from "./formatters";
+import { firstErrorNode } from "../codemirror/tree_utils";
+
+/**
+ * Local intellisense for JSON, based on the JSON Schema given by
+ * the cell.
+ *
+ * Formatting is available regardless of the schema.
+ */
+const jsonProvider = {
+  completion({ hint }, { state, pos, schema }) {
+    if (!schema) return null;
+
+    const { mode, path } = completionContextAt(state, pos);
+    const valueSchema = schemaAtPath(schema, path);
+    const typed = hint.match(/"?[^"\s:,{}[\]]*$/)[0];
+
+    if (mode === "key") {
+      const items = schemaProperties(valueSchema)
+        .map(({ key, schema }) => ({
+          label: JSON.stringify(key),
+          kind: "field",
+          documentation: schemaDocumentation(key, schema),
+          insert_text: `${JSON.stringify(key)}: `,
+        }))
+        .filter((item) => item.insert_text.startsWith(typed));
+
+      return items.length > 0 ? { items } : null;
+    }
+
+    if (mode === "value") {
+      const items = schemaValues(valueSchema)
+        .map((value) => ({
+          label: JSON.stringify(value),
+          kind: "keyword",
+          documentation: null,
+          insert_text: JSON.stringify(value),
+        }))
+        .filter((item) => item.insert_text.startsWith(typed));
+
+      return items.length > 0 ? { items } : null;
+    }
+
+    return null;
+  },
+
+  details(props, { state, pos, schema }) {
+    if (!schema) return null;
+
+    const node = tree(state).resolveInner(pos, 1);
+    if (node.name !== "PropertyName") return null;
+
+    const key = propertyKey(state, node);
+    const path = [...pathTo(state, node.parent.parent), key];
+    const propertySchema = schemaAtPath(schema, path);
+    if (!propertySchema) return null;
+
+    const line = state.doc.lineAt(pos);
+
+    return {
+      range: { from: node.from - line.from + 1, to: node.to - line.from + 1 },
+      contents: [schemaDocumentation(key, propertySchema)],
+    };
+  },
+
+  diagnostics(props, { state, schema }) {
+    if (state.doc.toString().trim() === "") {
+      return { diagnostics: [] };
+    }
+
+    const jsonTree = tree(state);
+    const syntaxError = firstErrorNode(jsonTree);
+
+    if (syntaxError) {
+      return {
+        diagnostics: [
+          {
+            from: syntaxError.from,
+            to: syntaxError.to,
+            severity: "error",
+            message: "Invalid JSON syntax",
+          },
+        ],
+      };
+    }
+
+    if (!schema) {
+      return { diagnostics: [] };
+    }
+
+    let value;
+
+    try {
+      value = JSON.parse(state.doc.toString());
+    } catch (error) {
+      return { diagnostics: [] };
+    }
+
+    const diagnostics = validateSchema(value, schema).map((error) => {
+      const node = nodeAtPath(state, jsonTree, error.path, error.key);
+      const isContainer = node.name === "Object" || node.name === "Array";
+
+      return {
+        from: node.from,
+        // For objects and arrays we only underline the opening bracket
+        to: isContainer ? node.from + 1 : node.to,
+        severity: "warning",
+        message: error.message,
+      };
+    });
+
+    return { diagnostics };
+  },
+
+  format({ code }) {
+    return formatResponse(code, formatJson(code));
+  },
+};
+
+function tree(state) {
+  return ensureSyntaxTree(state, state.doc.length) || syntaxTree(state);
+}
+
+/**
+ * Determines whether the given position is at an object key or at
+ * a value, and the path of the corresponding object or value.
+ */
+function completionContextAt(state, pos) {
+  for (let node = tree(state).resolveInner(pos, -1); node; node = node.parent) {
+    if (node.name === "Property") {
+      const nameNode = node.getChild("PropertyName");
+
+      if (nameNode && pos > nameNode.to) {
+        return {
+          mode: "value",
+          path: [...pathTo(state, node.parent), propertyKey(state, nameNode)],
+        };
+      }
+
+      return { mode: "key", path: pathTo(state, node.parent) };
+    }
+
+    if (node.name === "Object") {
+      return { mode: "key", path: pathTo(state, node) };
+    }
+
+    if (node.name === "Array") {
+      return { mode: "value", path: [...pathTo(state, node), 0] };
+    }
+  }
+
+  return { mode: null, path: [] };
+}
+
+/**
+ * Returns the path of the value represented by the given node.
+ *
+ * Array items are represented by a 0 index, since the path is only
+ * used to look up the schema.
+ */
+function pathTo(state, valueNode) {
+  const path = [];
+
+  for (let node = valueNode; node.parent; node = node.parent) {
+    const parent = node.parent;
+
+    if (parent.name === "Property") {
+      path.unshift(propertyKey(state, parent.getChild("PropertyName")));
+    } else if (parent.name === "Array") {
+      path.unshift(0);
+    }
+  }
+
+  return path;
+}
+
+function propertyKey(state, nameNode) {
+  const text = state.doc.sliceString(nameNode.from, nameNode.to);
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text.slice(1, -1);
+  }
+}
+
+/**
+ * Finds the node corresponding to the given path in the document.
+ *
+ * When `key` is true, returns the property name node for the last
+ * segment. If the path cannot be resolved, returns the closest node
+ * found so far.
+ */
+function nodeAtPath(state, tree, path, key = false) {
+  let node = tree.topNode.firstChild;
+
+  for (const [idx, segment] of path.entries()) {
+    if (!node) break;
+
+    if (typeof segment === "number") {
+      const items = valueChildren(node);
+      if (!items[segment]) break;
+      node = items[segment];
+    } else {
+      const property = node
+        .getChildren("Property")
+        .find(
+          (property) =>
+            propertyKey(state, property.getChild("PropertyName")) === segment,
+        );
+      if (!property) break;
+
+      const nameNode = property.getChild("PropertyName");
+
+      if (key && idx === path.length - 1) {
+        return nameNode;
+      }
+
+      node = nameNode.nextSibling || nameNode;
+    }
+  }
+
+  return node;
+}
+
+function valueChildren(node) {
+  const children = [];
+
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (!child.type.isError && !["[", "]"].includes(child.name)) {
+      children.push(child);
+    }
+  }
+
+  return children;
+}
+
+export default jsonProvider;
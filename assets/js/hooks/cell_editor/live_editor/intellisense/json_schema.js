@@ -0,0 +1,229 @@
+/**
+ * Helpers for working with a subset of JSON Schema.
+ *
+ * We support the `type`, `enum`, `properties`, `required`,
+ * `additionalProperties`, `items` and `description` keywords, which
+ * covers most configuration schemas.
+ *
+ * Paths are lists of object keys and array indices.
+ */
+
+/**
+ * Returns the subschema describing the value at the given path.
+ *
+ * Returns `null` if the schema doesn't describe the path.
+ */
+export function schemaAtPath(schema, path) {
+  let current = schema;
+
+  for (const segment of path) {
+    if (!isObject(current)) {
+      return null;
+    }
+
+    if (typeof segment === "number") {
+      current = current.items;
+    } else if (isObject(current.properties) && current.properties[segment]) {
+      current = current.properties[segment];
+    } else if (isObject(current.additionalProperties)) {
+      current = current.additionalProperties;
+    } else {
+      return null;
+    }
+  }
+
+  return isObject(current) ? current : null;
+}
+
+/**
+ * Returns a list of `{ key, schema }` for properties of the object
+ * described by the schema.
+ */
+export function schemaProperties(schema) {
+  if (!isObject(schema) || !isObject(schema.properties)) {
+    return [];
+  }
+
+  return Object.entries(schema.properties).map(([key, schema]) => ({
+    key,
+    schema,
+  }));
+}
+
+/**
+ * Returns a list of values allowed by the schema, if the schema
+ * limits the value to a fixed set.
+ */
+export function schemaValues(schema) {
+  if (!isObject(schema)) {
+    return [];
+  }
+
+  if (Array.isArray(schema.enum)) {
+    return schema.enum;
+  }
+
+  if (schemaTypes(schema).includes("boolean")) {
+    return [true, false];
+  }
+
+  return [];
+}
+
+/**
+ * Builds Markdown documentation for a property described by the
+ * schema.
+ */
+export function schemaDocumentation(key, schema) {
+  const types = schemaTypes(schema);
+  const signature = types.length > 0 ? `${key}: ${types.join(" | ")}` : key;
+
+  return [
+    "```",
+    signature,
+    "```",
+    schema.description ? `\n${schema.description}` : null,
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+/**
+ * Validates the value against the schema.
+ *
+ * Returns a list of errors, each being an object with `path` and
+ * `message`. Errors about unknown properties have the `key` flag,
+ * since they refer to the key rather than the value.
+ */
+export function validateSchema(value, schema, path = []) {
+  if (!isObject(schema)) {
+    return [];
+  }
+
+  if (
+    Array.isArray(schema.enum) &&
+    !schema.enum.some((item) => JSON.stringify(item) === JSON.stringify(value))
+  ) {
+    const values = schema.enum.map((item) => JSON.stringify(item)).join(", ");
+
+    return [
+      {
+        path,
+        message: `expected ${formatPath(path)} to be one of: ${values}`,
+      },
+    ];
+  }
+
+  const types = schemaTypes(schema);
+
+  if (types.length > 0 && !types.some((type) => hasType(value, type))) {
+    return [
+      {
+        path,
+        message: `expected ${formatPath(path)} to be of type ${types.join(" | ")}`,
+      },
+    ];
+  }
+
+  if (isObject(value)) {
+    return validateObject(value, schema, path);
+  }
+
+  if (Array.isArray(value) && isObject(schema.items)) {
+    return value.flatMap((item, idx) =>
+      validateSchema(item, schema.items, [...path, idx]),
+    );
+  }
+
+  return [];
+}
+
+function validateObject(value, schema, path) {
+  const errors = [];
+
+  if (Array.isArray(schema.required)) {
+    for (const key of schema.required) {
+      if (!(key in value)) {
+        errors.push({
+          path,
+          message: `missing required property "${key}"`,
+        });
+      }
+    }
+  }
+
+  const properties = isObject(schema.properties) ? schema.properties : {};
+
+  for (const [key, propertyValue] of Object.entries(value)) {
+    if (properties[key]) {
+      errors.push(
+        ...validateSchema(propertyValue, properties[key], [...path, key]),
+      );
+    } else if (isObject(schema.additionalProperties)) {
+      errors.push(
+        ...validateSchema(propertyValue, schema.additionalProperties, [
+          ...path,
+          key,
+        ]),
+      );
+    } else if (schema.additionalProperties === false) {
+      errors.push({
+        path: [...path, key],
+        message: `unknown property "${key}"`,
+        key: true,
+      });
+    }
+  }
+
+  return errors;
+}
+
+function schemaTypes(schema) {
+  if (typeof schema.type === "string") {
+    return [schema.type];
+  }
+
+  if (Array.isArray(schema.type)) {
+    return schema.type;
+  }
+
+  return [];
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number";
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isObject(value);
+    default:
+      return true;
+  }
+}
+
+function formatPath(path) {
+  if (path.length === 0) {
+    return "the document";
+  }
+
+  return path
+    .map((segment, idx) => {
+      if (typeof segment === "number") return `[${segment}]`;
+      return idx === 0 ? segment : `.${segment}`;
+    })
+    .join("");
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
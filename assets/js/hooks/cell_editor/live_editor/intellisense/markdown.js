@@ -0,0 +1,12 @@
+import { formatResponse, formatMarkdown } from "./formatters";
+
+/**
+ * Local intellisense for Markdown, currently limited to formatting.
+ */
+const markdownProvider = {
+  format({ code }) {
+    return formatResponse(code, formatMarkdown(code));
+  },
+};
+
+export default markdownProvider;
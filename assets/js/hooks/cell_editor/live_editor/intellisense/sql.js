@@ -0,0 +1,161 @@
+import { formatResponse, formatSql } from "./formatters";
+
+// Words that may follow a table name and shouldn't be taken for an
+// alias
+const RESERVED_WORDS = [
+  "where",
+  "join",
+  "inner",
+  "left",
+  "right",
+  "full",
+  "cross",
+  "outer",
+  "on",
+  "using",
+  "group",
+  "order",
+  "limit",
+  "offset",
+  "having",
+  "union",
+  "set",
+  "values",
+];
+
+/**
+ * Local intellisense for SQL, based on the database schema given by
+ * the cell.
+ *
+ * The schema is a map with a `tables` map, where keys are table names
+ * and values are lists of column names.
+ */
+const sqlProvider = {
+  completion({ hint }, { state, schema }) {
+    const tables = schemaTables(schema);
+    if (tables.length === 0) return null;
+
+    const memberMatch = hint.match(/([\w$]+)\.([\w$]*)$/);
+
+    if (memberMatch) {
+      const [, name, word] = memberMatch;
+      const aliases = tableAliases(state.doc.toString());
+      const table = findTable(tables, aliases[name.toLowerCase()] || name);
+      if (!table) return null;
+
+      const items = table.columns
+        .map((column) => columnItem(table, column))
+        .filter((item) => item.label.startsWith(word));
+
+      return items.length > 0 ? { items } : null;
+    }
+
+    const word = hint.match(/[\w$]*$/)[0];
+
+    // Columns of the tables referenced in the query are the most
+    // relevant, so we list them first
+    const referencedTables = Object.values(
+      tableAliases(state.doc.toString()),
+    ).map((name) => findTable(tables, name));
+
+    const columnItems = tables
+      .filter((table) => referencedTables.includes(table))
+      .flatMap((table) =>
+        table.columns.map((column) => columnItem(table, column)),
+      );
+
+    const tableItems = tables.map((table) => ({
+      label: table.name,
+      kind: "type",
+      documentation: tableDocumentation(table),
+      insert_text: table.name,
+    }));
+
+    const items = columnItems
+      .concat(tableItems)
+      .filter((item) => item.label.startsWith(word));
+
+    return items.length > 0 ? { items } : null;
+  },
+
+  details({ line, column }, { schema }) {
+    const tables = schemaTables(schema);
+
+    // Find the identifier under cursor (column is 1-based)
+    for (const match of line.matchAll(/[\w$]+/g)) {
+      const from = match.index + 1;
+      const to = from + match[0].length;
+
+      if (column >= from && column < to) {
+        const table = findTable(tables, match[0]);
+        if (!table) return null;
+
+        return {
+          range: { from, to },
+          contents: [tableDocumentation(table)],
+        };
+      }
+    }
+
+    return null;
+  },
+
+  format({ code }) {
+    return formatResponse(code, formatSql(code));
+  },
+};
+
+function schemaTables(schema) {
+  if (!schema || typeof schema.tables !== "object" || !schema.tables) {
+    return [];
+  }
+
+  return Object.entries(schema.tables).map(([name, columns]) => ({
+    name,
+    columns: Array.isArray(columns) ? columns.map(String) : [],
+  }));
+}
+
+function findTable(tables, name) {
+  const lowerName = name.toLowerCase();
+  return tables.find((table) => table.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Returns a map from the names used to refer to tables in the query
+ * to the table names.
+ */
+function tableAliases(query) {
+  const aliases = {};
+
+  for (const match of query.matchAll(
+    /\b(?:from|join|update|into)\s+([\w$]+)(?:\s+(?:as\s+)?([\w$]+))?/gi,
+  )) {
+    const [, table, alias] = match;
+
+    aliases[table.toLowerCase()] = table;
+
+    if (alias && !RESERVED_WORDS.includes(alias.toLowerCase())) {
+      aliases[alias.toLowerCase()] = table;
+    }
+  }
+
+  return aliases;
+}
+
+function columnItem(table, column) {
+  return {
+    label: column,
+    kind: "field",
+    documentation: `Column of \`${table.name}\``,
+    insert_text: column,
+  };
+}
+
+function tableDocumentation(table) {
+  return ["```", `${table.name}(${table.columns.join(", ")})`, "```"].join(
+    "\n",
+  );
+}
+
+export default sqlProvider;
@@ -0,0 +1,200 @@
+import { ensureSyntaxTree, syntaxTree } from "@codemirror/language";
+import {
+  schemaAtPath,
+  schemaProperties,
+  schemaValues,
+  schemaDocumentation,
+} from "./json_schema";
+import { firstErrorNode } from "../codemirror/tree_utils";
+
+// Matches the beginning of a block line, that is the indentation,
+// an optional sequence item dash and an optional mapping key
+const LINE_REGEX = /^(\s*)(-\s+)?(?:([\w.-]+|"[^"]*"|'[^']*')\s*:(?=\s|$))?/;
+
+/**
+ * Local intellisense for YAML, based on the JSON Schema given by
+ * the cell.
+ *
+ * We determine the structure based on indentation of block mappings
+ * and sequences, which is what configuration files usually consist
+ * of.
+ */
+const yamlProvider = {
+  completion(props, { state, pos, schema }) {
+    if (!schema) return null;
+
+    const line = state.doc.lineAt(pos);
+    const lines = docLines(state);
+    const textUntilCursor = line.text.slice(0, pos - line.from);
+
+    const keyMatch = textUntilCursor.match(/^(\s*)(-\s+)?([\w.-]*)$/);
+
+    if (keyMatch) {
+      const [, indent, dash = "", typed] = keyMatch;
+      const path = pathAt(lines, line.number - 1, indent.length + dash.length);
+
+      const items = schemaProperties(schemaAtPath(schema, path))
+        .map(({ key, schema }) => ({
+          label: key,
+          kind: "field",
+          documentation: schemaDocumentation(key, schema),
+          insert_text: `${key}: `,
+        }))
+        .filter((item) => item.label.startsWith(typed));
+
+      return items.length > 0 ? { items } : null;
+    }
+
+    const valueMatch = textUntilCursor.match(
+      /^(\s*)(-\s+)?([\w.-]+)\s*:\s+([\w.-]*)$/,
+    );
+
+    if (valueMatch) {
+      const [, indent, dash = "", key, typed] = valueMatch;
+      const path = pathAt(lines, line.number - 1, indent.length + dash.length);
+
+      const items = schemaValues(schemaAtPath(schema, [...path, key]))
+        .map((value) => ({
+          label: String(value),
+          kind: "keyword",
+          documentation: null,
+          insert_text: String(value),
+        }))
+        .filter((item) => item.label.startsWith(typed));
+
+      return items.length > 0 ? { items } : null;
+    }
+
+    return null;
+  },
+
+  details(props, { state, pos, schema }) {
+    if (!schema) return null;
+
+    const line = state.doc.lineAt(pos);
+    const [, indent, dash = "", key] = line.text.match(LINE_REGEX);
+    if (!key) return null;
+
+    const keyFrom = indent.length + dash.length;
+    const column = pos - line.from;
+    if (column < keyFrom || column >= keyFrom + key.length) return null;
+
+    const name = unquote(key);
+    const path = [...pathAt(docLines(state), line.number - 1, keyFrom), name];
+    const propertySchema = schemaAtPath(schema, path);
+    if (!propertySchema) return null;
+
+    return {
+      range: { from: keyFrom + 1, to: keyFrom + key.length + 1 },
+      contents: [schemaDocumentation(name, propertySchema)],
+    };
+  },
+
+  diagnostics(props, { state, schema }) {
+    const syntaxError = firstErrorNode(
+      ensureSyntaxTree(state, state.doc.length) || syntaxTree(state),
+    );
+
+    if (syntaxError) {
+      return {
+        diagnostics: [
+          {
+            from: syntaxError.from,
+            to: syntaxError.to,
+            severity: "error",
+            message: "Invalid YAML syntax",
+          },
+        ],
+      };
+    }
+
+    if (!schema) {
+      return { diagnostics: [] };
+    }
+
+    const lines = docLines(state);
+    const diagnostics = [];
+
+    for (const [idx, text] of lines.entries()) {
+      const [, indent, dash = "", key] = text.match(LINE_REGEX);
+      if (!key) continue;
+
+      const keyFrom = indent.length + dash.length;
+      const objectSchema = schemaAtPath(schema, pathAt(lines, idx, keyFrom));
+
+      if (
+        objectSchema &&
+        objectSchema.additionalProperties === false &&
+        !(objectSchema.properties && objectSchema.properties[unquote(key)])
+      ) {
+        const from = state.doc.line(idx + 1).from + keyFrom;
+
+        diagnostics.push({
+          from,
+          to: from + key.length,
+          severity: "warning",
+          message: `unknown property "${unquote(key)}"`,
+        });
+      }
+    }
+
+    return { diagnostics };
+  },
+};
+
+function docLines(state) {
+  return state.doc.toString().split("\n");
+}
+
+/**
+ * Returns the path of the mapping containing a key at the given
+ * line and column.
+ *
+ * We walk up the lines and look for less indented keys and sequence
+ * items. Sequence items are represented by a 0 index, since the path
+ * is only used to look up the schema.
+ */
+function pathAt(lines, lineIdx, column) {
+  const path = [];
+  let target = column;
+
+  const [, indent, dash] = lines[lineIdx].match(LINE_REGEX);
+
+  if (dash && indent.length < target) {
+    path.unshift(0);
+    target = indent.length;
+  }
+
+  for (let idx = lineIdx - 1; idx >= 0 && target > 0; idx--) {
+    const text = lines[idx];
+    if (text.trim() === "" || text.trim().startsWith("#")) continue;
+
+    const [, indent, dash = "", key] = text.match(LINE_REGEX);
+    const keyFrom = indent.length + dash.length;
+
+    if (dash && indent.length < target && keyFrom === target) {
+      // A sequence item with the key being its first entry
+      path.unshift(0);
+      target = indent.length;
+    } else if (key && keyFrom < target) {
+      path.unshift(unquote(key));
+      target = keyFrom;
+
+      if (dash) {
+        path.unshift(0);
+        target = indent.length;
+      }
+    } else if (indent.length < target) {
+      // A line we don't understand, such as a multiline string
+      return path;
+    }
+  }
+
+  return path;
+}
+
+function unquote(key) {
+  return /^["']/.test(key) ? key.slice(1, -1) : key;
+}
+
+export default yamlProvider;
@@ -0,0 +1,43 @@
+import { EditorView, lineNumbers } from "@codemirror/view";
+import { EditorState } from "@codemirror/state";
+import { LanguageDescription } from "@codemirror/language";
+import { themeExtension } from "./codemirror/theme";
+import { languages } from "./codemirror/languages";
+import { settingsStore } from "../../../lib/settings";
+import { getEditorTheme } from "../../../lib/editor_themes";
+
+/**
+ * Creates state for a read-only editor showing the given source.
+ *
+ * The editor looks the same as the regular cell editor, according
+ * to the user settings, but has no interactive features. Additional
+ * extensions may be given, such as gutters or decorations.
+ */
+export function createReadOnlyState(source, language, extensions = []) {
+  const settings = settingsStore.get();
+
+  const fontSizeTheme = EditorView.theme({
+    "&": { fontSize: `${settings.editor_font_size}px` },
+  });
+
+  const languageDesc =
+    language &&
+    LanguageDescription.matchLanguageName(languages, language, false);
+
+  return EditorState.create({
+    doc: source,
+    extensions: [
+      extensions,
+      lineNumbers({
+        formatNumber: (number) => number.toString().padStart(3, " "),
+      }),
+      EditorState.readOnly.of(true),
+      EditorState.tabSize.of(2),
+      EditorState.lineSeparator.of("\n"),
+      EditorView.contentAttributes.of({ tabIndex: -1 }),
+      fontSizeTheme,
+      themeExtension(getEditorTheme(settings)),
+      languageDesc ? languageDesc.support : [],
+    ],
+  });
+}
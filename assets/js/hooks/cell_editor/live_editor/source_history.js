@@ -0,0 +1,231 @@
+import Emitter from "../../../lib/emitter";
+import { isDelete, isInsert, isRetain } from "../../../lib/delta";
+
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * History of changes applied to a collaboratively edited document.
+ *
+ * Every delta is recorded along with its author, which makes it
+ * possible to reconstruct the document at any recorded revision, as
+ * well as to tell which change last touched each line (blame).
+ *
+ * To keep the memory bounded, only a limited number of the most
+ * recent entries is kept. Older entries are squashed into the base
+ * document, however the authorship information is preserved, so it
+ * still shows up in the blame.
+ *
+ * Note that revisions are local to the history and they do not match
+ * the server revisions.
+ */
+export default class SourceHistory {
+  /** @private */
+  _onChange = new Emitter();
+
+  /**
+   * Registers a callback called with the entry whenever a new entry
+   * is recorded.
+   */
+  onChange = this._onChange.event;
+
+  constructor(source, { limit = DEFAULT_LIMIT } = {}) {
+    this.limit = limit;
+    this.baseSource = source;
+    this.baseRevision = 0;
+    this.baseSpans = pushSpan([], source.length, null);
+    this.entries = [];
+
+    // We keep the latest document up to date, so that following the
+    // changes does not require replaying all entries
+    this.headSource = source;
+    this.headSpans = this.baseSpans;
+  }
+
+  /**
+   * Records a delta applied to the current document.
+   *
+   * The author is an object with client `id` and `meta` (as in the
+   * session clients store), or `null` if the author is not known.
+   */
+  record(delta, author) {
+    const entry = {
+      revision: this.getLastRevision() + 1,
+      delta,
+      author,
+      timestamp: Date.now(),
+    };
+
+    this.entries.push(entry);
+    this.headSource = delta.applyToString(this.headSource);
+    this.headSpans = applyToSpans(this.headSpans, delta, entry);
+
+    if (this.entries.length > this.limit) {
+      const entry = this.entries.shift();
+      this.baseSource = entry.delta.applyToString(this.baseSource);
+      this.baseSpans = applyToSpans(this.baseSpans, entry.delta, entry);
+      this.baseRevision = entry.revision;
+    }
+
+    this._onChange.dispatch(entry);
+  }
+
+  /**
+   * Returns the oldest revision available in the history.
+   */
+  getFirstRevision() {
+    return this.baseRevision;
+  }
+
+  /**
+   * Returns the current revision.
+   */
+  getLastRevision() {
+    return this.baseRevision + this.entries.length;
+  }
+
+  /**
+   * Returns the entry that produced the given revision, or `null` if
+   * the revision is not available in the history.
+   */
+  getEntry(revision) {
+    return this.entries[revision - this.baseRevision - 1] || null;
+  }
+
+  /**
+   * Reconstructs the document at the given revision.
+   *
+   * Returns an object with the `source` and `lineBlame`. The blame
+   * is a list with an item per line, which is the most recent entry
+   * that changed the given line, or `null` if the line has not been
+   * changed since the history started.
+   */
+  getSnapshot(revision) {
+    if (revision >= this.getLastRevision()) {
+      return {
+        source: this.headSource,
+        lineBlame: lineBlame(this.headSource, this.headSpans),
+      };
+    }
+
+    let source = this.baseSource;
+    let spans = this.baseSpans;
+
+    for (const entry of this.entries) {
+      if (entry.revision > revision) break;
+
+      source = entry.delta.applyToString(source);
+      spans = applyToSpans(spans, entry.delta, entry);
+    }
+
+    return { source, lineBlame: lineBlame(source, spans) };
+  }
+}
+
+// Spans attribute consecutive characters of the document to history
+// entries, similarly to how deltas describe changes
+
+function pushSpan(spans, length, entry) {
+  if (length === 0) {
+    return spans;
+  }
+
+  const lastSpan = spans[spans.length - 1];
+
+  if (lastSpan && lastSpan.entry === entry) {
+    spans[spans.length - 1] = { length: lastSpan.length + length, entry };
+  } else {
+    spans.push({ length, entry });
+  }
+
+  return spans;
+}
+
+function applyToSpans(spans, delta, entry) {
+  const newSpans = [];
+
+  let index = 0;
+  let offset = 0;
+
+  function take(length, keep) {
+    while (length > 0 && index < spans.length) {
+      const span = spans[index];
+      const taken = Math.min(length, span.length - offset);
+
+      if (keep) {
+        pushSpan(newSpans, taken, span.entry);
+      }
+
+      offset += taken;
+      length -= taken;
+
+      if (offset === span.length) {
+        index++;
+        offset = 0;
+      }
+    }
+  }
+
+  delta.ops.forEach((op) => {
+    if (isRetain(op)) {
+      take(op.retain, true);
+    }
+
+    if (isInsert(op)) {
+      pushSpan(newSpans, op.insert.length, entry);
+    }
+
+    if (isDelete(op)) {
+      take(op.delete, false);
+    }
+  });
+
+  take(Infinity, true);
+
+  return newSpans;
+}
+
+function lineBlame(source, spans) {
+  const blame = [];
+
+  let spanIndex = 0;
+  let spanFrom = 0;
+  let lineFrom = 0;
+
+  source.split("\n").forEach((line, lineIndex, lines) => {
+    const isLast = lineIndex === lines.length - 1;
+
+    // Each line includes the trailing newline, so that changes to an
+    // empty line are also attributed. The last line has no newline,
+    // so when empty, we attribute it to the preceding one
+    const to = lineFrom + line.length + (isLast ? 0 : 1);
+    const from =
+      line.length === 0 && isLast ? Math.max(lineFrom - 1, 0) : lineFrom;
+
+    while (
+      spanIndex < spans.length &&
+      spanFrom + spans[spanIndex].length <= from
+    ) {
+      spanFrom += spans[spanIndex].length;
+      spanIndex++;
+    }
+
+    let entry = null;
+    let position = spanFrom;
+
+    for (let i = spanIndex; i < spans.length && position < to; i++) {
+      const spanEntry = spans[i].entry;
+
+      if (spanEntry && (!entry || spanEntry.revision > entry.revision)) {
+        entry = spanEntry;
+      }
+
+      position += spans[i].length;
+    }
+
+    blame.push(entry);
+
+    lineFrom += line.length + 1;
+  });
+
+  return blame;
+}
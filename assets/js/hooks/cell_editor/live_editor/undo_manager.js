@@ -0,0 +1,123 @@
+const NEW_GROUP_DELAY_MS = 500;
+
+/**
+ * Undo history for a collaboratively edited document.
+ *
+ * Only local changes are recorded, so undo never reverts changes made
+ * by other clients. Both stacks hold deltas that revert the recorded
+ * changes and the delta at the top of each stack always applies to
+ * the current document. To keep it that way, every remote delta must
+ * be passed to `transform`, which rebases all the entries.
+ *
+ * Consecutive changes made in a short time window are grouped into
+ * a single undo entry.
+ */
+export default class UndoManager {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastRecordedAt = null;
+  }
+
+  /**
+   * Records a local delta applied to the given document.
+   */
+  record(delta, source) {
+    const inverse = delta.invert(source);
+    const now = Date.now();
+
+    if (
+      this.undoStack.length > 0 &&
+      this.lastRecordedAt !== null &&
+      now - this.lastRecordedAt < NEW_GROUP_DELAY_MS
+    ) {
+      const lastInverse = this.undoStack.pop();
+      this.undoStack.push(inverse.compose(lastInverse));
+    } else {
+      this.undoStack.push(inverse);
+    }
+
+    this.redoStack = [];
+    this.lastRecordedAt = now;
+  }
+
+  /**
+   * Checks if there is any change to undo.
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Checks if there is any change to redo.
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Returns a delta reverting the most recent local change, or `null`
+   * if there is nothing to undo.
+   *
+   * The given document is the one the returned delta applies to.
+   */
+  undo(source) {
+    return this.move(this.undoStack, this.redoStack, source);
+  }
+
+  /**
+   * Returns a delta reapplying the most recently undone change, or
+   * `null` if there is nothing to redo.
+   *
+   * The given document is the one the returned delta applies to.
+   */
+  redo(source) {
+    return this.move(this.redoStack, this.undoStack, source);
+  }
+
+  /**
+   * Rebases the history entries on top of the given remote delta.
+   */
+  transform(delta) {
+    this.undoStack = transformStack(this.undoStack, delta);
+    this.redoStack = transformStack(this.redoStack, delta);
+  }
+
+  /** @private */
+  move(fromStack, toStack, source) {
+    const delta = fromStack.pop();
+
+    if (!delta) {
+      return null;
+    }
+
+    toStack.push(delta.invert(source));
+
+    // Subsequent changes should never be grouped with undo/redo
+    this.lastRecordedAt = null;
+
+    return delta;
+  }
+}
+
+function transformStack(stack, delta) {
+  const newStack = [];
+
+  // The top entry applies to the current document, while each entry
+  // below applies to the document with the entries above reverted.
+  // We go from the top and transform the remote delta along the way,
+  // so that it always matches the document of the given entry
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const entry = stack[i];
+
+    // The remote delta happened first
+    const newEntry = delta.transform(entry, "left");
+    delta = entry.transform(delta, "right");
+
+    if (newEntry.ops.length > 0) {
+      newStack.unshift(newEntry);
+    }
+  }
+
+  return newStack;
+}
@@ -0,0 +1,166 @@
+import Delta, { isInsert, isDelete } from "../../../lib/delta";
+import { load, store, remove } from "../../../lib/storage";
+
+/**
+ * Persistence for local edits that could not be sent to the server.
+ *
+ * When the connection drops, the editor is recreated on reconnection
+ * with the server source, so any edits made in the meantime would be
+ * lost. We store those edits locally and rebase them on top of the
+ * new source once the editor is initialized again.
+ */
+
+// Cell ids are preserved when a notebook is forked, so we scope the
+// edits to the session
+function storageKey(sessionId, cellId, tag) {
+  return `unsynced_edits:${sessionId}:${cellId}:${tag}`;
+}
+
+/**
+ * Stores unsynced edits, as returned by `CollabClient.getUnsyncedEdits`.
+ *
+ * Passing `null` removes the stored edits.
+ */
+export function storeUnsyncedEdits(sessionId, cellId, tag, unsyncedEdits) {
+  if (!unsyncedEdits) {
+    clearUnsyncedEdits(sessionId, cellId, tag);
+    return;
+  }
+
+  const { source, revision, inflightDelta, bufferDelta, count } = unsyncedEdits;
+
+  store(storageKey(sessionId, cellId, tag), {
+    source,
+    revision,
+    inflight_delta: inflightDelta && inflightDelta.toCompressed(),
+    buffer_delta: bufferDelta && bufferDelta.toCompressed(),
+    count,
+  });
+}
+
+/**
+ * Loads unsynced edits previously stored with `storeUnsyncedEdits`.
+ *
+ * Returns `null` if there are no edits stored.
+ */
+export function loadUnsyncedEdits(sessionId, cellId, tag) {
+  const data = load(storageKey(sessionId, cellId, tag));
+
+  if (!data) {
+    return null;
+  }
+
+  return {
+    source: data.source,
+    revision: data.revision,
+    inflightDelta:
+      data.inflight_delta && Delta.fromCompressed(data.inflight_delta),
+    bufferDelta: data.buffer_delta && Delta.fromCompressed(data.buffer_delta),
+    count: data.count,
+  };
+}
+
+/**
+ * Removes the stored unsynced edits.
+ */
+export function clearUnsyncedEdits(sessionId, cellId, tag) {
+  remove(storageKey(sessionId, cellId, tag));
+}
+
+/**
+ * Rebases unsynced edits on top of the given server source.
+ *
+ * The server source may include changes from other clients made
+ * while we were disconnected, so we compute the difference from the
+ * source that the edits were made against and transform the edits
+ * accordingly. The server changes are considered to have happened
+ * first.
+ *
+ * The inflight delta may or may not have reached the server before
+ * the connection dropped. We rebase it only if the server does not
+ * have it, otherwise it would be applied twice. When this cannot be
+ * determined, we keep the inflight delta, so that no text is lost,
+ * and mark the result as uncertain, in which case the user should
+ * review the source.
+ *
+ * Returns an object with `delta` applicable to `source`, or `null`
+ * if there is nothing left to apply, and the `uncertain` flag.
+ */
+export function rebaseUnsyncedEdits(unsyncedEdits, source, revision) {
+  const { inflightDelta, bufferDelta } = unsyncedEdits;
+
+  let baseSource = unsyncedEdits.source;
+  let delta = compose(inflightDelta, bufferDelta);
+  let uncertain = false;
+
+  if (inflightDelta && revision !== unsyncedEdits.revision) {
+    const inflightSource = inflightDelta.applyToString(unsyncedEdits.source);
+
+    const inflightStatus = getInflightStatus(
+      unsyncedEdits.source,
+      inflightSource,
+      source,
+      revision - unsyncedEdits.revision,
+    );
+
+    if (inflightStatus === "applied") {
+      baseSource = inflightSource;
+      delta = bufferDelta;
+    } else if (inflightStatus === "unknown") {
+      uncertain = true;
+    }
+  }
+
+  if (delta && baseSource !== source) {
+    const serverDelta = Delta.diff(baseSource, source);
+    delta = serverDelta.transform(delta, "left");
+  }
+
+  if (!delta || delta.ops.length === 0) {
+    return { delta: null, uncertain: false };
+  }
+
+  return { delta, uncertain };
+}
+
+// Determines whether the server applied the inflight delta, given
+// the number of revisions the server moved by
+function getInflightStatus(baseSource, inflightSource, source, revisions) {
+  if (inflightSource === source) {
+    return "applied";
+  }
+
+  // The server applies deltas one by one, so with a single new
+  // revision that is not the inflight delta, we know the server
+  // does not have it
+  if (revisions === 1) {
+    return "missing";
+  }
+
+  // Otherwise we check which source is closer to the server one. If
+  // the server has the inflight delta, it takes fewer changes to get
+  // from the inflight source, and the other way round
+  const changesFromBase = changesSize(Delta.diff(baseSource, source));
+  const changesFromInflight = changesSize(Delta.diff(inflightSource, source));
+
+  if (changesFromInflight < changesFromBase) {
+    return "applied";
+  } else if (changesFromInflight > changesFromBase) {
+    return "missing";
+  } else {
+    return "unknown";
+  }
+}
+
+function changesSize(delta) {
+  return delta.ops.reduce((size, op) => {
+    if (isInsert(op)) return size + op.insert.length;
+    if (isDelete(op)) return size + op.delete;
+    return size;
+  }, 0);
+}
+
+function compose(delta1, delta2) {
+  if (delta1 && delta2) return delta1.compose(delta2);
+  return delta1 || delta2;
+}
@@ -1,4 +1,5 @@
 import { settingsStore, EDITOR_FONT_SIZE, EDITOR_THEME } from "../lib/settings";
+import { getEditorTheme, exportTheme, importTheme } from "../lib/editor_themes";
 
 /**
  * A hook for the editor settings.
@@ -26,13 +27,32 @@ const EditorSettings = {
     const editorLigaturesCheckbox = this.el.querySelector(
       `[name="editor_ligatures"][value="true"]`,
     );
-    const editorLightThemeCheckbox = this.el.querySelector(
-      `[name="editor_light_theme"][value="true"]`,
-    );
     const editorMarkdownWordWrapCheckbox = this.el.querySelector(
       `[name="editor_markdown_word_wrap"][value="true"]`,
     );
+    const editorInlineResultsCheckbox = this.el.querySelector(
+      `[name="editor_inline_results"][value="true"]`,
+    );
+    const editorMinimapCheckbox = this.el.querySelector(
+      `[name="editor_minimap"][value="true"]`,
+    );
+    const editorRainbowBracketsCheckbox = this.el.querySelector(
+      `[name="editor_rainbow_brackets"][value="true"]`,
+    );
+    const editorIndentGuidesCheckbox = this.el.querySelector(
+      `[name="editor_indent_guides"][value="true"]`,
+    );
+    const editorFormatOnEvaluateCheckbox = this.el.querySelector(
+      `[name="editor_format_on_evaluate"][value="true"]`,
+    );
     const editorMode = this.el.querySelector(`select[name="editor_mode"]`);
+    const editorTheme = this.el.querySelector(`select[name="editor_theme"]`);
+    this.editorThemeImportInput = this.el.querySelector(
+      `[data-el-editor-theme-import-input]`,
+    );
+    this.editorThemeImportError = this.el.querySelector(
+      `[data-el-editor-theme-import-error]`,
+    );
 
     editorAutoCompletionCheckbox.checked = settings.editor_auto_completion;
     editorAutoSignatureCheckbox.checked = settings.editor_auto_signature;
@@ -41,9 +61,12 @@ const EditorSettings = {
     editorFontSizeCheckbox.checked =
       settings.editor_font_size === EDITOR_FONT_SIZE.large ? true : false;
     editorLigaturesCheckbox.checked = settings.editor_ligatures;
-    editorLightThemeCheckbox.checked =
-      settings.editor_theme === EDITOR_THEME.light ? true : false;
     editorMarkdownWordWrapCheckbox.checked = settings.editor_markdown_word_wrap;
+    editorInlineResultsCheckbox.checked = settings.editor_inline_results;
+    editorMinimapCheckbox.checked = settings.editor_minimap;
+    editorRainbowBracketsCheckbox.checked = settings.editor_rainbow_brackets;
+    editorIndentGuidesCheckbox.checked = settings.editor_indent_guides;
+    editorFormatOnEvaluateCheckbox.checked = settings.editor_format_on_evaluate;
     editorMode.value = settings.editor_mode;
 
     editorAutoCompletionCheckbox.addEventListener("change", (event) => {
@@ -72,21 +95,100 @@ const EditorSettings = {
       settingsStore.update({ editor_ligatures: event.target.checked });
     });
 
-    editorLightThemeCheckbox.addEventListener("change", (event) => {
-      settingsStore.update({
-        editor_theme: event.target.checked
-          ? EDITOR_THEME.light
-          : EDITOR_THEME.default,
-      });
-    });
-
     editorMarkdownWordWrapCheckbox.addEventListener("change", (event) => {
       settingsStore.update({ editor_markdown_word_wrap: event.target.checked });
     });
 
+    editorInlineResultsCheckbox.addEventListener("change", (event) => {
+      settingsStore.update({ editor_inline_results: event.target.checked });
+    });
+
+    editorMinimapCheckbox.addEventListener("change", (event) => {
+      settingsStore.update({ editor_minimap: event.target.checked });
+    });
+
+    editorRainbowBracketsCheckbox.addEventListener("change", (event) => {
+      settingsStore.update({ editor_rainbow_brackets: event.target.checked });
+    });
+
+    editorIndentGuidesCheckbox.addEventListener("change", (event) => {
+      settingsStore.update({ editor_indent_guides: event.target.checked });
+    });
+
+    editorFormatOnEvaluateCheckbox.addEventListener("change", (event) => {
+      settingsStore.update({ editor_format_on_evaluate: event.target.checked });
+    });
+
     editorMode.addEventListener("change", (event) => {
       settingsStore.update({ editor_mode: event.target.value });
     });
+
+    editorTheme.addEventListener("change", (event) => {
+      settingsStore.update({ editor_theme: event.target.value });
+    });
+
+    this.el
+      .querySelector(`[data-el-editor-theme-export-button]`)
+      .addEventListener("click", (event) => {
+        this.exportTheme();
+      });
+
+    this.el
+      .querySelector(`[data-el-editor-theme-import-button]`)
+      .addEventListener("click", (event) => {
+        this.editorThemeImportInput.click();
+      });
+
+    this.editorThemeImportInput.addEventListener("change", (event) => {
+      const [file] = event.target.files;
+
+      if (file) {
+        file.text().then((json) => this.importTheme(json));
+      }
+
+      // Allow importing the same file again
+      event.target.value = "";
+    });
+
+    this.settingsSubscription = settingsStore.getAndSubscribe((settings) => {
+      // The custom theme can only be selected once imported
+      editorTheme.querySelector(
+        `option[value="${EDITOR_THEME.custom}"]`,
+      ).disabled = !settings.editor_custom_theme;
+
+      editorTheme.value = settings.editor_theme;
+    });
+  },
+
+  destroyed() {
+    this.settingsSubscription.destroy();
+  },
+
+  exportTheme() {
+    const editorTheme = getEditorTheme(settingsStore.get());
+    const json = exportTheme(editorTheme);
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const linkEl = document.createElement("a");
+    linkEl.href = url;
+    linkEl.download = "livebook-theme.json";
+    linkEl.click();
+
+    // Revoke once the download starts
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  importTheme(json) {
+    try {
+      settingsStore.update({
+        editor_custom_theme: importTheme(json),
+        editor_theme: EDITOR_THEME.custom,
+      });
+      this.editorThemeImportError.textContent = "";
+    } catch (error) {
+      this.editorThemeImportError.textContent = `Failed to import theme, ${error.message}`;
+    }
   },
 };
 
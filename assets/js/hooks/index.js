@@ -12,9 +12,12 @@ import ImageInput from "./image_input";
 import ImageOutput from "./image_output";
 import JSView from "./js_view";
 import KeyboardControl from "./keyboard_control";
+import KeymapSettings from "./keymap_settings";
 import MarkdownRenderer from "./markdown_renderer";
+import NavigationShortcuts from "./navigation_shortcuts";
 import ScrollOnUpdate from "./scroll_on_update";
 import Session from "./session";
+import SnippetSettings from "./snippet_settings";
 import TextareaAutosize from "./textarea_autosize";
 import Timer from "./timer";
 import UserForm from "./user_form";
@@ -38,9 +41,12 @@ export default {
   ImageOutput,
   JSView,
   KeyboardControl,
+  KeymapSettings,
   MarkdownRenderer,
+  NavigationShortcuts,
   ScrollOnUpdate,
   Session,
+  SnippetSettings,
   TextareaAutosize,
   Timer,
   UserForm,
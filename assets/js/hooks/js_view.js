@@ -1,8 +1,10 @@
 import { parseHookProps } from "../lib/attribute";
 import {
   isElementHidden,
+  isScrolledToEnd,
   randomId,
   randomToken,
+  scrollToEnd,
   waitUntilInViewport,
 } from "../lib/utils";
 import { globalPubsub } from "../lib/pubsub";
@@ -12,6 +14,24 @@ import {
   transportEncode,
 } from "./js_view/channel";
 import { initializeIframeSource } from "./js_view/iframe";
+import SharedState from "./js_view/shared_state";
+import MessageLog, {
+  DIRECTION_LABELS,
+  formatDuration,
+  formatSize,
+} from "./js_view/message_log";
+
+// Chunks may be sent over a slow connection, so we allow for more
+// time than the default push timeout
+const STREAM_CHUNK_TIMEOUT = 60_000;
+
+// Snapshots are rendered as images, so we only accept data URLs
+// of the formats that the iframe produces
+const SNAPSHOT_SRC_PREFIXES = ["data:image/png;base64,", "data:image/svg+xml"];
+
+// Snapshots captured in this tab, so that we can show them even
+// if the channel is not available
+const snapshotsCache = new Map();
 
 /**
  * A hook used to render a runtime-connected JavaScript view.
@@ -27,11 +47,38 @@ import { initializeIframeSource } from "./js_view/iframe";
  * The hook connects to a dedicated channel, sending the token and
  * view ref in an initial message. It expects `init:<ref>` message
  * with `{ data }` payload, the data is then used in the initial call
- * to the custom JS module.
+ * to the custom JS module. The message also lists the optional
+ * features supported by the widget server, the component can only
+ * use the corresponding APIs if they are supported.
  *
  * Then, a number of `event:<ref>` with `{ event, payload }` payload
  * can be sent. The `event` is forwarded to the initialized component.
  *
+ * The component may also send a request with `ctx.call`, in which
+ * case we tag it with an id and the server replies with a correlated
+ * `call_reply:<ref>:<id>` message.
+ *
+ * The component may also share state with the server and other
+ * clients using `ctx.syncState`. Changes are sent as JSON Patch
+ * operations and reconciled, see `SharedState` for details.
+ *
+ * The component may also stream large binary data back to the server
+ * with `ctx.pushStream`. The data is sent in binary chunks and each
+ * chunk is acknowledged once processed by the widget server, which
+ * provides backpressure, so that neither the iframe nor the server
+ * buffer more data than the widget can handle.
+ *
+ * The component may also capture a snapshot, which is a static image
+ * of the rendered view, either with `ctx.snapshot` or automatically
+ * after `ctx.enableAutoSnapshot`. The snapshot is stored on the server
+ * and shown in place of the view whenever the initial data does not
+ * load, such as when the runtime is disconnected.
+ *
+ * For debugging widgets, the view within a notebook cell has an
+ * inspector, which lists all messages exchanged with the server and
+ * the iframe, together with their sizes and timings. When inspecting,
+ * the iframe also forwards console messages and uncaught errors.
+ *
  * ## Props
  *
  *   * `ref` - a unique identifier used as messages scope
@@ -71,6 +118,9 @@ const JSView = {
     this.initReceived = false;
     this.syncCallbackQueue = [];
     this.pongCallbackQueue = [];
+    this.sharedState = null;
+    this.features = [];
+    this.inspector = null;
 
     this.initTimeout = setTimeout(() => this.handleInitTimeout(), 2_000);
 
@@ -97,13 +147,17 @@ const JSView = {
       this.loadIframe();
     });
 
+    if (this.el.closest(`[data-el-cell]`)) {
+      this.createInspectorToggle();
+    }
+
     // Channel events
 
     const initRef = this.channel.on(
       `init:${this.props.ref}:${this.id}`,
       (raw) => {
-        const [, payload] = transportDecode(raw);
-        this.handleServerInit(payload);
+        const [[features], payload] = transportDecode(raw);
+        this.handleServerInit(payload, features);
       },
     );
 
@@ -112,6 +166,30 @@ const JSView = {
       this.handleServerEvent(event, payload);
     });
 
+    const callReplyRef = this.channel.on(
+      `call_reply:${this.props.ref}:${this.id}`,
+      (raw) => {
+        const [[callId, error], payload] = transportDecode(raw);
+        this.handleServerCallReply(callId, error, payload);
+      },
+    );
+
+    const stateRef = this.channel.on(
+      `state:${this.props.ref}:${this.id}`,
+      (raw) => {
+        const [[version], state] = transportDecode(raw);
+        this.handleServerState(state, version);
+      },
+    );
+
+    const statePatchRef = this.channel.on(
+      `state_patch:${this.props.ref}`,
+      (raw) => {
+        const [[version, viewId], ops] = transportDecode(raw);
+        this.handleServerStatePatch(ops, version, viewId);
+      },
+    );
+
     const errorRef = this.channel.on(
       `error:${this.props.ref}`,
       ({ message, init }) => {
@@ -126,6 +204,9 @@ const JSView = {
     this.unsubscribeFromChannelEvents = () => {
       this.channel.off(`init:${this.props.ref}:${this.id}`, initRef);
       this.channel.off(`event:${this.props.ref}`, eventRef);
+      this.channel.off(`call_reply:${this.props.ref}:${this.id}`, callReplyRef);
+      this.channel.off(`state:${this.props.ref}:${this.id}`, stateRef);
+      this.channel.off(`state_patch:${this.props.ref}`, statePatchRef);
       this.channel.off(`error:${this.props.ref}`, errorRef);
       this.channel.off(`pong:${this.props.ref}`, pongRef);
     };
@@ -144,7 +225,7 @@ const JSView = {
       ),
     ];
 
-    this.channel.push(
+    this.pushToServer(
       "connect",
       {
         connect_token: this.props.connectToken,
@@ -153,7 +234,7 @@ const JSView = {
       },
       // If the client is very busy with executing JS we may reach the
       // default timeout of 10s, so we increase it
-      30_000,
+      { timeout: 30_000 },
     );
   },
 
@@ -172,7 +253,7 @@ const JSView = {
     this.iframeActions.remove();
 
     this.unsubscribeFromChannelEvents();
-    this.channel.push("disconnect", { ref: this.props.ref });
+    this.pushToServer("disconnect", { ref: this.props.ref });
 
     this.subscriptions.forEach((subscription) => subscription.destroy());
   },
@@ -334,6 +415,13 @@ const JSView = {
   },
 
   handleChildMessage(message, onReady) {
+    if (message.type !== "console") {
+      const { token, type, ...payload } = message;
+      this.inspect("fromIframe", type, payload, {
+        stopTimer: type === "syncReply" ? "sync" : null,
+      });
+    }
+
     if (message.type === "ready" && !this.childReady) {
       this.getAssetsBaseUrl().then((assetsBaseUrl) => {
         this.postMessage({
@@ -373,20 +461,133 @@ const JSView = {
       } else if (message.type === "event") {
         const { event, payload } = message;
         const raw = transportEncode([event, this.props.ref], payload);
-        this.channel.push("event", raw);
+        this.pushToServer("event", raw);
+      } else if (message.type === "call") {
+        const { event, payload, callId } = message;
+
+        if (!this.features.includes("call")) {
+          this.postMessage({
+            type: "callReply",
+            callId,
+            error: notSupportedMessage("ctx.call"),
+            payload: null,
+          });
+
+          return;
+        }
+
+        const raw = transportEncode(
+          [event, this.props.ref, this.id, callId],
+          payload,
+        );
+        this.pushToServer("call", raw, { startTimer: `call:${callId}` });
+      } else if (message.type === "stateConnect") {
+        if (!this.features.includes("state")) {
+          this.handleServerError(notSupportedMessage("ctx.syncState"), false);
+          return;
+        }
+
+        this.sharedState = new SharedState(message.initial);
+        this.connectSharedState();
+      } else if (message.type === "statePatch") {
+        // The iframe may send patches without connecting the state
+        if (!this.sharedState) {
+          return;
+        }
+
+        const version = this.sharedState.version;
+        this.sharedState.pushLocal(message.ops);
+        const raw = transportEncode(
+          [this.props.ref, this.id, version],
+          message.ops,
+        );
+        this.pushToServer("state_patch", raw);
+      } else if (message.type === "streamChunk") {
+        this.handleStreamChunk(message);
+      } else if (message.type === "snapshot") {
+        this.handleSnapshot(message.snapshot);
       } else if (message.type === "syncReply") {
         this.pongCallbackQueue.push(this.syncCallbackQueue.shift());
-        this.channel.push("ping", { ref: this.props.ref });
+        this.pushToServer(
+          "ping",
+          { ref: this.props.ref },
+          { startTimer: "ping" },
+        );
       } else if (message.type === "selectSecret") {
         this.pushEvent("select_secret", {
           js_view_ref: this.props.ref,
           preselect_name: message.preselectName,
           options: message.options,
         });
+      } else if (message.type === "console") {
+        this.handleConsoleMessage(message);
       }
     }
   },
 
+  handleStreamChunk({ event, meta, chunk }) {
+    if (!this.features.includes("stream")) {
+      this.postMessage({
+        type: "streamError",
+        stream: meta.stream,
+        message: notSupportedMessage("ctx.pushStream"),
+      });
+
+      return;
+    }
+
+    const raw = transportEncode([event, this.props.ref], [meta, chunk]);
+    const timer = `stream_chunk:${meta.stream}:${meta.offset}`;
+
+    this.pushToServer("stream_chunk", raw, {
+      timeout: STREAM_CHUNK_TIMEOUT,
+      startTimer: timer,
+    })
+      .receive("ok", () => {
+        this.inspect("fromServer", "stream_chunk_reply", null, {
+          stopTimer: timer,
+        });
+
+        this.postMessage({
+          type: "streamAck",
+          stream: meta.stream,
+          size: chunk.byteLength,
+        });
+      })
+      .receive("error", ({ message }) => {
+        this.inspect(
+          "fromServer",
+          "stream_chunk_reply",
+          { message },
+          { stopTimer: timer },
+        );
+
+        this.postMessage({ type: "streamError", stream: meta.stream, message });
+      })
+      .receive("timeout", () => {
+        this.postMessage({
+          type: "streamError",
+          stream: meta.stream,
+          message: "Timed out while sending the stream to the server",
+        });
+      });
+  },
+
+  handleSnapshot(snapshot) {
+    // The iframe is not trusted, so we ignore invalid snapshots
+    if (!isValidSnapshot(snapshot)) {
+      return;
+    }
+
+    const { src, width, height } = snapshot;
+    snapshotsCache.set(this.props.ref, { src, width, height });
+
+    this.pushToServer("snapshot", {
+      ref: this.props.ref,
+      snapshot: { src, width, height },
+    });
+  },
+
   getAssetsBaseUrl() {
     // Livebook may be running behind an authentication proxy, in
     // which case the internal assets URL is not accessible from
@@ -402,7 +603,14 @@ const JSView = {
     });
   },
 
-  postMessage(message) {
+  pushToServer(event, payload, { timeout, startTimer } = {}) {
+    this.inspect("toServer", event, payload, { startTimer });
+    return this.channel.push(event, payload, timeout);
+  },
+
+  postMessage(message, { startTimer } = {}) {
+    const { token, type, ...payload } = message;
+    this.inspect("toIframe", type, payload, { startTimer });
     this.iframe.contentWindow.postMessage(message, "*");
   },
 
@@ -421,6 +629,40 @@ const JSView = {
     this.initTimeoutContainer.classList.add("info-box");
     this.el.prepend(this.initTimeoutContainer);
     this.initTimeoutContainer.textContent = this.props.timeoutMessage;
+
+    const snapshot = snapshotsCache.get(this.props.ref);
+
+    if (snapshot) {
+      this.renderSnapshot(snapshot);
+    } else {
+      this.pushToServer("get_snapshot", { ref: this.props.ref }).receive(
+        "ok",
+        ({ snapshot }) => this.renderSnapshot(snapshot),
+      );
+    }
+  },
+
+  renderSnapshot(snapshot) {
+    // The initial data may have loaded in the meantime
+    if (this.initReceived || !this.initTimeoutContainer.isConnected) {
+      return;
+    }
+
+    if (!isValidSnapshot(snapshot)) {
+      return;
+    }
+
+    const imgEl = document.createElement("img");
+    imgEl.src = snapshot.src;
+    imgEl.width = snapshot.width;
+    imgEl.height = snapshot.height;
+    imgEl.alt = "Output snapshot";
+    imgEl.className = "max-w-full h-auto";
+
+    this.snapshotContainer = document.createElement("div");
+    this.snapshotContainer.classList.add("mt-2");
+    this.snapshotContainer.appendChild(imgEl);
+    this.initTimeoutContainer.after(this.snapshotContainer);
   },
 
   clearInitTimeout() {
@@ -429,18 +671,26 @@ const JSView = {
     if (this.initTimeoutContainer) {
       this.initTimeoutContainer.remove();
     }
+
+    if (this.snapshotContainer) {
+      this.snapshotContainer.remove();
+    }
   },
 
-  handleServerInit(payload) {
+  handleServerInit(payload, features) {
+    this.inspect("fromServer", "init", { features, payload });
     this.clearInitTimeout();
     this.initReceived = true;
+    this.features = features;
 
     this.childReadyPromise.then(() => {
-      this.postMessage({ type: "init", data: payload });
+      this.postMessage({ type: "init", data: payload, features });
     });
   },
 
   handleServerEvent(event, payload) {
+    this.inspect("fromServer", "event", { event, payload });
+
     if (!this.initReceived) {
       return;
     }
@@ -450,7 +700,54 @@ const JSView = {
     });
   },
 
+  handleServerCallReply(callId, error, payload) {
+    this.inspect(
+      "fromServer",
+      "call_reply",
+      { callId, error, payload },
+      { stopTimer: `call:${callId}` },
+    );
+
+    this.postMessage({ type: "callReply", callId, error, payload });
+  },
+
+  connectSharedState() {
+    const state = this.sharedState.connect();
+    const raw = transportEncode([this.props.ref, this.id], state);
+    this.pushToServer("state_connect", raw);
+  },
+
+  handleServerState(state, version) {
+    this.inspect("fromServer", "state", { version, state });
+
+    if (this.sharedState) {
+      this.applySharedStateChange(this.sharedState.reset(state, version));
+    }
+  },
+
+  handleServerStatePatch(ops, version, viewId) {
+    this.inspect("fromServer", "state_patch", { version, viewId, ops });
+
+    if (this.sharedState) {
+      this.applySharedStateChange(
+        this.sharedState.applyRemote(ops, version, viewId === this.id),
+      );
+    }
+  },
+
+  applySharedStateChange(ops) {
+    if (ops.length > 0) {
+      this.postMessage({ type: "statePatch", ops });
+    }
+
+    if (this.sharedState.needsResync) {
+      this.connectSharedState();
+    }
+  },
+
   handleServerError(message, init) {
+    this.inspect("fromServer", "error", { message, init });
+
     if (init) {
       this.clearInitTimeout();
     }
@@ -465,6 +762,8 @@ const JSView = {
   },
 
   handleServerPong() {
+    this.inspect("fromServer", "pong", null, { stopTimer: "ping" });
+
     const callback = this.pongCallbackQueue.shift();
     callback();
   },
@@ -474,7 +773,7 @@ const JSView = {
     // that may send any deferred UI changes to the server. Then, we
     // do a ping to synchronize with the server
     this.syncCallbackQueue.push(callback);
-    this.postMessage({ type: "sync" });
+    this.postMessage({ type: "sync" }, { startTimer: "sync" });
   },
 
   handleSecretSelected(secretName) {
@@ -497,8 +796,198 @@ const JSView = {
       parentFocusableId === focusableId,
     );
   },
+
+  // Inspector
+
+  createInspectorToggle() {
+    const buttonEl = document.createElement("button");
+    buttonEl.type = "button";
+    buttonEl.classList.add(
+      "absolute",
+      "top-0",
+      "right-0",
+      "z-20",
+      "p-1",
+      "flex",
+      "items-center",
+      "justify-center",
+      "rounded-full",
+      "leading-none",
+      "bg-white",
+      "text-gray-500",
+      "hover:text-gray-900",
+      "hover:bg-gray-50",
+      "focus-visible:bg-gray-100",
+      "focus-visible:outline-none",
+    );
+    buttonEl.setAttribute("aria-label", "Inspect messages");
+    buttonEl.setAttribute("data-el-js-view-inspect-toggle", "");
+
+    const iconEl = document.createElement("i");
+    iconEl.classList.add("ri-bug-line", "text-lg");
+    buttonEl.appendChild(iconEl);
+
+    buttonEl.addEventListener("click", (event) => {
+      if (this.inspector) {
+        this.closeInspector();
+      } else {
+        this.openInspector();
+      }
+    });
+
+    this.el.appendChild(buttonEl);
+  },
+
+  openInspector() {
+    const panelEl = document.createElement("div");
+    panelEl.classList.add(
+      "mt-2",
+      "border",
+      "border-gray-200",
+      "rounded-lg",
+      "text-xs",
+    );
+
+    const headerEl = document.createElement("div");
+    headerEl.classList.add(
+      "px-3",
+      "py-1.5",
+      "flex",
+      "items-center",
+      "justify-between",
+      "border-b",
+      "border-gray-200",
+      "text-gray-700",
+      "font-medium",
+    );
+    headerEl.textContent = "Inspector";
+
+    const clearButtonEl = document.createElement("button");
+    clearButtonEl.type = "button";
+    clearButtonEl.classList.add("text-gray-500", "hover:text-gray-900");
+    clearButtonEl.textContent = "Clear";
+    clearButtonEl.addEventListener("click", (event) => {
+      this.inspector.log.clear();
+      this.inspector.listEl.replaceChildren();
+    });
+    headerEl.appendChild(clearButtonEl);
+
+    const listEl = document.createElement("div");
+    listEl.classList.add(
+      "max-h-80",
+      "overflow-y-auto",
+      "font-mono",
+      "divide-y",
+      "divide-gray-100",
+    );
+
+    panelEl.append(headerEl, listEl);
+    this.el.appendChild(panelEl);
+
+    this.inspector = { log: new MessageLog(), panelEl, listEl };
+
+    // Console messages are forwarded only when inspecting
+    this.childReadyPromise.then(() => {
+      if (this.inspector) {
+        this.postMessage({ type: "inspect", enabled: true });
+      }
+    });
+  },
+
+  closeInspector() {
+    this.inspector.panelEl.remove();
+    this.inspector = null;
+
+    if (this.childReady) {
+      this.postMessage({ type: "inspect", enabled: false });
+    }
+  },
+
+  inspect(direction, type, payload, options = {}) {
+    if (this.inspector) {
+      const entry = this.inspector.log.record(
+        direction,
+        type,
+        payload,
+        options,
+      );
+      this.renderInspectorEntry(entry);
+    }
+  },
+
+  handleConsoleMessage({ level, text, uncaught, timestamp }) {
+    if (this.inspector) {
+      const entry = this.inspector.log.recordConsole(
+        level,
+        text,
+        uncaught,
+        timestamp,
+      );
+      this.renderInspectorEntry(entry);
+    }
+  },
+
+  renderInspectorEntry(entry) {
+    const { log, listEl } = this.inspector;
+    const wasScrolledToEnd = isScrolledToEnd(listEl);
+
+    const rowEl = document.createElement("div");
+    rowEl.classList.add("px-3", "py-1", "flex", "gap-3", "text-gray-600");
+
+    if (entry.level === "error") {
+      rowEl.classList.add("bg-red-50", "text-red-600");
+    } else if (entry.level === "warn") {
+      rowEl.classList.add("bg-yellow-50", "text-yellow-700");
+    }
+
+    const details = [
+      formatDuration(entry.time),
+      DIRECTION_LABELS[entry.direction],
+      entry.type,
+      entry.size === null ? null : formatSize(entry.size),
+      entry.duration === null ? null : `took ${formatDuration(entry.duration)}`,
+    ].filter((detail) => detail !== null);
+
+    const detailsEl = document.createElement("span");
+    detailsEl.classList.add("shrink-0", "whitespace-nowrap");
+    detailsEl.textContent = details.join(" · ");
+
+    const previewEl = document.createElement("span");
+    previewEl.classList.add("whitespace-pre-wrap", "break-all");
+    previewEl.textContent = entry.preview;
+
+    rowEl.append(detailsEl, previewEl);
+    listEl.appendChild(rowEl);
+
+    // Keep in sync with the log, which drops the oldest entries
+    while (listEl.childElementCount > log.entries.length) {
+      listEl.firstElementChild.remove();
+    }
+
+    if (wasScrolledToEnd) {
+      scrollToEnd(listEl);
+    }
+  },
 };
 
+function isValidSnapshot(snapshot) {
+  return (
+    snapshot !== null &&
+    typeof snapshot === "object" &&
+    typeof snapshot.src === "string" &&
+    SNAPSHOT_SRC_PREFIXES.some((prefix) => snapshot.src.startsWith(prefix)) &&
+    Number.isFinite(snapshot.width) &&
+    Number.isFinite(snapshot.height)
+  );
+}
+
+// Used when the component uses an API that the widget server does
+// not support. The iframe checks the features on its own, but it is
+// not trusted, so we check them here as well
+function notSupportedMessage(name) {
+  return `${name} is not supported by the runtime, make sure to use a recent version of Kino`;
+}
+
 /**
  * Checks if Livebook public endpoint is accessible without auth cookies.
  *
@@ -26,7 +26,7 @@ import { sha256Base64 } from "../../lib/utils";
 // (2): https://developer.mozilla.org/en-US/docs/Web/HTML/Element/iframe#attr-sandbox
 // (3): https://developer.mozilla.org/en-US/docs/Web/Security/Secure_Contexts
 
-const IFRAME_SHA256 = "wcqj5QWCo66osdAWDnEgPRFyL7nfe8oNqNggnw4vvW8=";
+const IFRAME_SHA256 = "02OeRKY+pYlJ4ivMhiVgyRnNeNaipPR/zi9DhcL1MR4=";
 
 export function initializeIframeSource(iframe, iframePort, iframeUrl) {
   const url = getIframeUrl(iframePort, iframeUrl);
@@ -48,8 +48,8 @@ function getIframeUrl(iframePort, iframeUrl) {
   }
 
   return protocol === "https:"
-    ? "https://livebookusercontent.com/iframe/v5.html"
-    : `http://${window.location.hostname}:${iframePort}/iframe/v5.html`;
+    ? "https://livebookusercontent.com/iframe/v6.html"
+    : `http://${window.location.hostname}:${iframePort}/iframe/v6.html`;
 }
 
 let iframeVerificationPromise = null;
@@ -0,0 +1,209 @@
+const MAX_ENTRIES = 500;
+
+const PREVIEW_LENGTH = 200;
+
+export const DIRECTION_LABELS = {
+  fromServer: "server → view",
+  toServer: "view → server",
+  fromIframe: "iframe → view",
+  toIframe: "view → iframe",
+};
+
+/**
+ * A log of messages exchanged by a JS view, used by the inspector
+ * for debugging widgets.
+ *
+ * Every entry has the message direction and type, the time relative
+ * to when the log started, the payload size and a short preview of
+ * the payload. Console messages forwarded from the iframe are logged
+ * as well, in which case the entry includes the console level and
+ * the message text.
+ *
+ * For messages that expect a reply, such as calls and pings, the time
+ * until the reply can be measured, in which case the reply entry
+ * includes the duration.
+ *
+ * Only the most recent entries are kept.
+ */
+export default class MessageLog {
+  constructor(maxEntries = MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.startTime = now();
+    this.entries = [];
+    this.timers = {};
+  }
+
+  /**
+   * Records a message and returns the new entry.
+   *
+   * ## Options
+   *
+   *   * `startTimer` - a key to start measuring the time under. Timers
+   *     with the same key are stopped in the order they are started
+   *
+   *   * `stopTimer` - a key of a started timer, the elapsed time is
+   *     stored in the entry
+   *
+   */
+  record(direction, type, payload, options = {}) {
+    const time = now();
+
+    return this.push({
+      time: time - this.startTime,
+      direction,
+      type,
+      size: payloadSize(payload),
+      preview: previewPayload(payload),
+      duration: this.updateTimers(time, options),
+      level: null,
+    });
+  }
+
+  /**
+   * Records a console message and returns the new entry.
+   *
+   * Console messages may be logged before they are forwarded, so
+   * the original timestamp is expected.
+   */
+  recordConsole(level, text, uncaught, timestamp) {
+    return this.push({
+      time: timestamp - this.startTime,
+      direction: "fromIframe",
+      type: uncaught ? "uncaught error" : `console.${level}`,
+      size: null,
+      preview: text,
+      duration: null,
+      level,
+    });
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this.entries = [];
+    this.timers = {};
+  }
+
+  /** @private */
+  push(entry) {
+    this.entries.push(entry);
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    return entry;
+  }
+
+  /** @private */
+  updateTimers(time, { startTimer, stopTimer }) {
+    if (startTimer) {
+      this.timers[startTimer] = this.timers[startTimer] || [];
+      this.timers[startTimer].push(time);
+    }
+
+    if (stopTimer && this.timers[stopTimer]) {
+      const startTime = this.timers[stopTimer].shift();
+
+      if (this.timers[stopTimer].length === 0) {
+        delete this.timers[stopTimer];
+      }
+
+      return time - startTime;
+    }
+
+    return null;
+  }
+}
+
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Returns the approximate size of the given payload in bytes.
+ *
+ * Binary data is measured directly, other payloads are measured as
+ * serialized JSON. Returns `null` if the payload is not serializable.
+ */
+export function payloadSize(payload) {
+  if (isBinary(payload)) {
+    return payload.byteLength;
+  }
+
+  let binarySize = 0;
+
+  const json = safeStringify(payload, (binary) => {
+    binarySize += binary.byteLength;
+    return null;
+  });
+
+  return json === null
+    ? null
+    : new TextEncoder().encode(json).length + binarySize;
+}
+
+/**
+ * Returns a short textual representation of the given payload.
+ */
+export function previewPayload(payload) {
+  if (isBinary(payload)) {
+    return `<binary, ${formatSize(payload.byteLength)}>`;
+  }
+
+  const json = safeStringify(
+    payload,
+    (binary) => `<binary, ${formatSize(binary.byteLength)}>`,
+  );
+
+  return json === null ? "<not serializable>" : truncate(json);
+}
+
+/**
+ * Formats the given number of bytes for display.
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  } else if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  } else {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+/**
+ * Formats the given number of milliseconds for display.
+ */
+export function formatDuration(milliseconds) {
+  if (milliseconds < 1000) {
+    return `${milliseconds.toFixed(1)} ms`;
+  } else {
+    return `${(milliseconds / 1000).toFixed(2)} s`;
+  }
+}
+
+function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+// Binary data may be nested in the payload, for example in streamed
+// chunks, in which case we replace it with the given function
+function safeStringify(value, replaceBinary) {
+  try {
+    const json = JSON.stringify(value, (key, value) =>
+      isBinary(value) ? replaceBinary(value) : value,
+    );
+
+    return json === undefined ? "null" : json;
+  } catch (error) {
+    return null;
+  }
+}
+
+function truncate(string) {
+  return string.length > PREVIEW_LENGTH
+    ? string.slice(0, PREVIEW_LENGTH) + "…"
+    : string;
+}
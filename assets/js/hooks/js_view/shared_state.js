@@ -0,0 +1,291 @@
+/**
+ * Client side of a state shared between a JS view server and all the
+ * clients viewing it.
+ *
+ * The state is a JSON object and changes are exchanged as JSON Patch
+ * operations (1). Only the `add`, `remove` and `replace` operations
+ * are used.
+ *
+ * ## Synchronization flow
+ *
+ * The server is the source of truth and determines the order of all
+ * changes. Every change applied by the server is broadcasted to all
+ * clients, together with the resulting state version and the id of
+ * the view that originated it. This way each view receives its own
+ * changes back, which serves as an acknowledgement.
+ *
+ * The client keeps the last state confirmed by the server and a list
+ * of local changes that are not acknowledged yet. The local state is
+ * always the confirmed state with the pending changes applied on top.
+ * When a change from another client comes, it is applied to the
+ * confirmed state and the pending changes are rebased onto it. Pending
+ * changes that no longer apply are skipped, the server rejects them
+ * as well.
+ *
+ * All the functions that change the local state return patch operations
+ * that bring the previous local state to the new one, so that they can
+ * be applied to the view.
+ *
+ * (1): https://datatracker.ietf.org/doc/html/rfc6902
+ */
+export default class SharedState {
+  constructor(initial) {
+    this.confirmed = null;
+    this.version = null;
+    this.local = initial;
+    this.pending = [];
+    this.pendingAtConnect = 0;
+    this.buffered = [];
+    this.needsResync = false;
+  }
+
+  /**
+   * Returns whether the initial state has been received from the
+   * server.
+   */
+  isConnected() {
+    return this.version !== null;
+  }
+
+  /**
+   * Marks the start of (re)connection and returns the state to send
+   * to the server.
+   *
+   * The server adopts the given state, unless it already has one.
+   */
+  connect() {
+    this.version = null;
+    this.needsResync = false;
+    this.pendingAtConnect = this.pending.length;
+    return this.local;
+  }
+
+  /**
+   * Registers local changes, which are then sent to the server.
+   */
+  pushLocal(ops) {
+    this.local = applyPatchSafely(this.local, ops);
+    this.pending.push(ops);
+  }
+
+  /**
+   * Resets the confirmed state to the one received from the server.
+   */
+  reset(state, version) {
+    // Pending changes sent before connecting are already reflected
+    // in the received state
+    this.pending = this.pending.slice(this.pendingAtConnect);
+    this.pendingAtConnect = 0;
+    this.confirmed = state;
+    this.version = version;
+
+    const prevLocal = this.local;
+    this.local = this.rebase();
+
+    // Changes broadcasted before we received the state may not be
+    // reflected in it, so we apply the ones with higher version
+    const buffered = this.buffered;
+    this.buffered = [];
+
+    for (const { ops, version, isOwn } of buffered) {
+      this.applyRemote(ops, version, isOwn);
+    }
+
+    return diff(prevLocal, this.local);
+  }
+
+  /**
+   * Applies changes broadcasted by the server.
+   *
+   * If the client missed some of the changes, the changes are ignored
+   * and `needsResync` is set, in which case the client should connect
+   * again.
+   */
+  applyRemote(ops, version, isOwn) {
+    if (!this.isConnected()) {
+      this.buffered.push({ ops, version, isOwn });
+      return [];
+    }
+
+    if (this.needsResync || version <= this.version) {
+      return [];
+    }
+
+    if (version !== this.version + 1) {
+      this.needsResync = true;
+      return [];
+    }
+
+    if (isOwn) {
+      this.pending.shift();
+    }
+
+    this.confirmed = applyPatchSafely(this.confirmed, ops);
+    this.version = version;
+
+    const prevLocal = this.local;
+    this.local = this.rebase();
+    return diff(prevLocal, this.local);
+  }
+
+  /** @private */
+  rebase() {
+    return this.pending.reduce(applyPatchSafely, this.confirmed);
+  }
+}
+
+function applyPatchSafely(doc, ops) {
+  try {
+    return applyPatch(doc, ops);
+  } catch (error) {
+    return doc;
+  }
+}
+
+/**
+ * Applies the given JSON Patch operations to a JSON document.
+ *
+ * The document is not modified, a new document is returned instead.
+ * Parts of the document that are not changed are shared.
+ *
+ * Throws an error if any of the operations does not apply.
+ */
+export function applyPatch(doc, ops) {
+  return ops.reduce(
+    (doc, op) => applyOperation(doc, parsePointer(op.path), op),
+    doc,
+  );
+}
+
+function applyOperation(doc, keys, op) {
+  if (keys.length === 0) {
+    if (op.op === "remove") {
+      throw new Error("Cannot remove the document root");
+    }
+
+    return op.value;
+  }
+
+  const [key, ...rest] = keys;
+
+  if (Array.isArray(doc)) {
+    const index = key === "-" ? doc.length : parseIndex(key, doc);
+    const copy = [...doc];
+
+    if (rest.length > 0) {
+      assertMember(index in doc, key);
+      copy[index] = applyOperation(doc[index], rest, op);
+    } else if (op.op === "add") {
+      copy.splice(index, 0, op.value);
+    } else if (op.op === "replace") {
+      assertMember(index in doc, key);
+      copy[index] = op.value;
+    } else if (op.op === "remove") {
+      assertMember(index in doc, key);
+      copy.splice(index, 1);
+    }
+
+    return copy;
+  }
+
+  if (isObject(doc)) {
+    const copy = { ...doc };
+
+    if (rest.length > 0) {
+      assertMember(hasKey(doc, key), key);
+      copy[key] = applyOperation(doc[key], rest, op);
+    } else if (op.op === "add") {
+      copy[key] = op.value;
+    } else if (op.op === "replace") {
+      assertMember(hasKey(doc, key), key);
+      copy[key] = op.value;
+    } else if (op.op === "remove") {
+      assertMember(hasKey(doc, key), key);
+      delete copy[key];
+    }
+
+    return copy;
+  }
+
+  throw new Error(`Cannot access "${key}" on a primitive value`);
+}
+
+function parseIndex(key, array) {
+  const index = /^\d+$/.test(key) ? parseInt(key, 10) : NaN;
+
+  if (Number.isNaN(index) || index > array.length) {
+    throw new Error(`Invalid array index "${key}"`);
+  }
+
+  return index;
+}
+
+function assertMember(condition, key) {
+  if (!condition) {
+    throw new Error(`No member at "${key}"`);
+  }
+}
+
+function hasKey(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Returns JSON Patch operations that transform one JSON document
+ * into another.
+ *
+ * Objects are compared recursively, while arrays and other values
+ * are replaced as a whole.
+ */
+export function diff(from, to, path = "") {
+  if (isObject(from) && isObject(to)) {
+    const ops = [];
+
+    for (const key of Object.keys(from)) {
+      if (!hasKey(to, key)) {
+        ops.push({ op: "remove", path: `${path}/${escapeKey(key)}` });
+      }
+    }
+
+    for (const key of Object.keys(to)) {
+      const keyPath = `${path}/${escapeKey(key)}`;
+
+      if (!hasKey(from, key)) {
+        ops.push({ op: "add", path: keyPath, value: to[key] });
+      } else {
+        ops.push(...diff(from[key], to[key], keyPath));
+      }
+    }
+
+    return ops;
+  }
+
+  if (from === to || JSON.stringify(from) === JSON.stringify(to)) {
+    return [];
+  }
+
+  return [{ op: "replace", path, value: to }];
+}
+
+function parsePointer(pointer) {
+  if (pointer === "") {
+    return [];
+  }
+
+  if (!pointer.startsWith("/")) {
+    throw new Error(`Invalid JSON pointer "${pointer}"`);
+  }
+
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function escapeKey(key) {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
@@ -0,0 +1,197 @@
+import { settingsStore } from "../lib/settings";
+import {
+  NAVIGATION_ACTIONS,
+  KEYMAP_PRESETS,
+  getKeymap,
+  findKeymapConflicts,
+  formatKeys,
+  parseKeys,
+  exportKeymap,
+  importKeymap,
+} from "../lib/keymap";
+
+/**
+ * A hook for the navigation mode keymap settings.
+ *
+ * Similarly to the editor settings, the keymap is stored locally in
+ * the browser storage. The user picks one of the preset keymaps and
+ * may rebind individual actions on top of it.
+ */
+const KeymapSettings = {
+  mounted() {
+    this.presetSelect = this.el.querySelector(`select[name="keymap_preset"]`);
+    this.bindingsEl = this.el.querySelector(`[data-el-keymap-bindings]`);
+    this.conflictsEl = this.el.querySelector(`[data-el-keymap-conflicts]`);
+    this.importInput = this.el.querySelector(`[data-el-keymap-import-input]`);
+    this.importErrorEl = this.el.querySelector(`[data-el-keymap-import-error]`);
+
+    this.renderBindings();
+
+    this.presetSelect.addEventListener("change", (event) => {
+      settingsStore.update({ keymap_preset: event.target.value });
+    });
+
+    this.bindingsEl.addEventListener("change", (event) => {
+      const actionId = event.target.getAttribute("data-action-id");
+
+      if (actionId) {
+        this.updateBinding(actionId, parseKeys(event.target.value));
+      }
+    });
+
+    this.el
+      .querySelector(`[data-el-keymap-reset-button]`)
+      .addEventListener("click", (event) => {
+        settingsStore.update({ keymap_overrides: {} });
+      });
+
+    this.el
+      .querySelector(`[data-el-keymap-export-button]`)
+      .addEventListener("click", (event) => {
+        this.exportKeymap();
+      });
+
+    this.el
+      .querySelector(`[data-el-keymap-import-button]`)
+      .addEventListener("click", (event) => {
+        this.importInput.click();
+      });
+
+    this.importInput.addEventListener("change", (event) => {
+      const [file] = event.target.files;
+
+      if (file) {
+        file.text().then((json) => this.importKeymap(json));
+      }
+
+      // Allow importing the same file again
+      event.target.value = "";
+    });
+
+    this.settingsSubscription = settingsStore.getAndSubscribe((settings) =>
+      this.updateSettings(settings),
+    );
+  },
+
+  destroyed() {
+    this.settingsSubscription.destroy();
+  },
+
+  renderBindings() {
+    const rowEls = NAVIGATION_ACTIONS.map(({ id, title }) => {
+      const rowEl = document.createElement("label");
+      rowEl.classList.add(
+        "flex",
+        "items-center",
+        "justify-between",
+        "gap-3",
+        "text-gray-700",
+      );
+
+      const titleEl = document.createElement("span");
+      titleEl.textContent = title;
+
+      const inputEl = document.createElement("input");
+      inputEl.type = "text";
+      inputEl.setAttribute("data-action-id", id);
+      inputEl.setAttribute("aria-label", title);
+      inputEl.setAttribute("autocomplete", "off");
+      inputEl.setAttribute("spellcheck", "false");
+      inputEl.placeholder = "Not bound";
+      inputEl.classList.add(
+        "w-32",
+        "px-3",
+        "py-1",
+        "text-sm",
+        "font-mono",
+        "border",
+        "rounded-lg",
+        "bg-gray-50",
+        "border-gray-200",
+        "text-gray-600",
+        "placeholder-gray-400",
+        "focus:border-blue-600",
+        "focus-visible:outline-none",
+      );
+
+      rowEl.append(titleEl, inputEl);
+
+      return rowEl;
+    });
+
+    this.bindingsEl.replaceChildren(...rowEls);
+  },
+
+  updateSettings(settings) {
+    const keymap = getKeymap(settings);
+    const conflicts = findKeymapConflicts(keymap);
+    const conflictingIds = new Set(conflicts.flatMap(({ ids }) => ids));
+
+    this.presetSelect.value = KEYMAP_PRESETS[settings.keymap_preset]
+      ? settings.keymap_preset
+      : "default";
+
+    this.bindingsEl.querySelectorAll(`[data-action-id]`).forEach((inputEl) => {
+      const actionId = inputEl.getAttribute("data-action-id");
+      const isConflicting = conflictingIds.has(actionId);
+
+      inputEl.value = formatKeys(keymap[actionId]);
+      inputEl.classList.toggle("border-red-600", isConflicting);
+      inputEl.classList.toggle("text-red-600", isConflicting);
+    });
+
+    this.conflictsEl.replaceChildren(
+      ...conflicts.map(({ ids, keys }) => {
+        const [title1, title2] = ids.map(actionTitle);
+        const conflictEl = document.createElement("p");
+        conflictEl.textContent = `"${title1}" conflicts with "${title2}" on ${formatKeys(keys)}`;
+        return conflictEl;
+      }),
+    );
+  },
+
+  updateBinding(actionId, keys) {
+    const settings = settingsStore.get();
+    const preset =
+      KEYMAP_PRESETS[settings.keymap_preset] || KEYMAP_PRESETS.default;
+
+    const overrides = { ...settings.keymap_overrides };
+
+    if (formatKeys(keys) === formatKeys(preset[actionId])) {
+      delete overrides[actionId];
+    } else {
+      overrides[actionId] = keys;
+    }
+
+    settingsStore.update({ keymap_overrides: overrides });
+  },
+
+  exportKeymap() {
+    const json = exportKeymap(settingsStore.get());
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const linkEl = document.createElement("a");
+    linkEl.href = url;
+    linkEl.download = "livebook-keymap.json";
+    linkEl.click();
+
+    // Revoke once the download starts
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  importKeymap(json) {
+    try {
+      settingsStore.update(importKeymap(json));
+      this.importErrorEl.textContent = "";
+    } catch (error) {
+      this.importErrorEl.textContent = `Failed to import keymap, ${error.message}`;
+    }
+  },
+};
+
+function actionTitle(actionId) {
+  return NAVIGATION_ACTIONS.find(({ id }) => id === actionId).title;
+}
+
+export default KeymapSettings;
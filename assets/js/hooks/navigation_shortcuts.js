@@ -0,0 +1,89 @@
+import { parseHookProps } from "../lib/attribute";
+import { settingsStore } from "../lib/settings";
+import { listKeyBindings } from "../lib/keymap";
+
+const KEY_LABELS = { Escape: "esc", Enter: "↵" };
+
+/**
+ * A hook listing navigation mode shortcuts.
+ *
+ * The keymap is configured locally in the browser storage, so the
+ * shortcuts are rendered on the client, as bound in the active keymap.
+ *
+ * ## Props
+ *
+ *   * `basic` - whether to list only the essential shortcuts
+ *
+ */
+const NavigationShortcuts = {
+  mounted() {
+    this.props = this.getProps();
+
+    this.settingsSubscription = settingsStore.getAndSubscribe((settings) =>
+      this.render(settings),
+    );
+  },
+
+  updated() {
+    this.props = this.getProps();
+    this.render(settingsStore.get());
+  },
+
+  destroyed() {
+    this.settingsSubscription.destroy();
+  },
+
+  getProps() {
+    return parseHookProps(this.el, ["basic"]);
+  },
+
+  render(settings) {
+    const bindings = listKeyBindings(settings, { basic: this.props.basic });
+
+    const halfIdx = Math.ceil(bindings.length / 2);
+    const leftEl = document.createElement("div");
+    leftEl.classList.add("lg:grow");
+    leftEl.append(bindingsTable(bindings.slice(0, halfIdx)));
+    const rightEl = document.createElement("div");
+    rightEl.classList.add("lg:w-1/2");
+    rightEl.append(bindingsTable(bindings.slice(halfIdx)));
+
+    this.el.replaceChildren(leftEl, rightEl);
+  },
+};
+
+function bindingsTable(bindings) {
+  const tableEl = document.createElement("table");
+  const tbodyEl = document.createElement("tbody");
+
+  for (const { title, keys } of bindings) {
+    const keysEl = document.createElement("div");
+    keysEl.classList.add("flex", "space-x-1", "items-center", "markdown");
+
+    keysEl.append(
+      ...keys.map((key) => {
+        const kbdEl = document.createElement("kbd");
+        kbdEl.textContent = KEY_LABELS[key] || key;
+        return kbdEl;
+      }),
+    );
+
+    const keysCellEl = document.createElement("td");
+    keysCellEl.classList.add("py-2", "pr-3");
+    keysCellEl.append(keysEl);
+
+    const titleCellEl = document.createElement("td");
+    titleCellEl.classList.add("lg:whitespace-nowrap");
+    titleCellEl.textContent = title;
+
+    const rowEl = document.createElement("tr");
+    rowEl.append(keysCellEl, titleCellEl);
+    tbodyEl.append(rowEl);
+  }
+
+  tableEl.append(tbodyEl);
+
+  return tableEl;
+}
+
+export default NavigationShortcuts;
@@ -1,3 +1,4 @@
+import { elixirLanguage } from "codemirror-lang-elixir";
 import {
   isMacOS,
   isEditableElement,
@@ -17,8 +18,37 @@ import { globalPubsub } from "../lib/pubsub";
 import { leaveChannel } from "./js_view/channel";
 import { isDirectlyEditable, isEvaluable } from "../lib/notebook";
 import { settingsStore } from "../lib/settings";
+import { NAVIGATION_ACTIONS, getKeymap } from "../lib/keymap";
 import { LiveStore } from "../lib/live_store";
 import CursorHistory from "./session/cursor_history";
+import {
+  buildSearchRegExp,
+  findMatches,
+  replaceMatches,
+} from "./session/find_replace";
+import CommandRegistry from "./session/command_registry";
+import CommandPalette from "./session/command_palette";
+import {
+  writeCellsToClipboard,
+  readCellsFromClipboard,
+} from "./session/cell_clipboard";
+import { cellIdsBetween } from "./session/cell_selection";
+import { findSymbols } from "./session/symbols";
+import { findCodeLenses } from "./session/code_lenses";
+import {
+  symbolAt,
+  findReferences,
+  countFunctionCalls,
+  symbolLabel,
+  isValidName,
+  renameReferencesDelta,
+} from "./session/references";
+import Delta from "../lib/delta";
+
+/**
+ * The maximum number of find results rendered in the panel.
+ */
+const MAX_FIND_RESULTS = 500;
 
 /**
  * A hook managing the whole session.
@@ -42,6 +72,13 @@ import CursorHistory from "./session/cursor_history";
  * see `LivebookWeb.SessionLive.ShortcutsComponent`
  * for the complete list of available shortcuts.
  *
+ * ## Commands
+ *
+ * Session actions are registered as commands (see `CommandRegistry`),
+ * which are triggered by the navigation mode key sequences and can
+ * also be searched and run from the command palette, along with
+ * jumping to sections and definitions.
+ *
  * ## Navigation
  *
  * This hook handles focusing section titles, cells and moving the
@@ -51,6 +88,11 @@ import CursorHistory from "./session/cursor_history";
  * accordingly (see assets/css/js_interop.css). Navigation changes
  * are also broadcasted to all cell hooks via PubSub.
  *
+ * Apart from the focused element, the user may select a range of
+ * cells, starting at the selection anchor and ending at the focused
+ * cell. Cell actions, such as evaluation, deletion or moving, apply
+ * to all selected cells. Any regular focus change clears the selection.
+ *
  * ## Location tracking and following
  *
  * Location describes where the given client is within the notebook
@@ -71,12 +113,22 @@ import CursorHistory from "./session/cursor_history";
  * the `"session_init"` event and then update this information whenever
  * clients join/leave/update. This way subsequent messages only include
  * the client id and we already have the necessary color/name locally.
+ *
+ * ## Find and replace
+ *
+ * Cell editors are mounted lazily, so the browser search only sees the
+ * initial sources and editor search is limited to a single cell. The
+ * find and replace panel searches the current source of every cell
+ * editor instead. Replacements are applied through the editors, so
+ * they are sent to the server and other clients as regular changes.
  */
 const Session = {
   mounted() {
     this.props = this.getProps();
 
     this.focusedId = null;
+    this.selectedIds = [];
+    this.selectionAnchorId = null;
     this.insertMode = false;
     this.view = null;
     this.viewOptions = null;
@@ -85,6 +137,23 @@ const Session = {
     this.cursorHistory = new CursorHistory();
     this.followedClientId = null;
     this.store = LiveStore.create("session");
+    this.liveEditors = {};
+    this.findResultsTimeout = null;
+    this.symbolsByCellId = {};
+    this.callCountsByCellId = {};
+    this.outlineSymbolsKeys = new WeakMap();
+    this.codeLensesJSONByCellId = {};
+    this.outdatedSymbolsCellIds = new Set();
+    this.symbolsTimeout = null;
+    this.referencesSymbol = null;
+    this.referencesCellId = null;
+    this.commandRegistry = new CommandRegistry();
+
+    this.registerCommands();
+
+    this.settingsSubscription = settingsStore.getAndSubscribe((settings) => {
+      this.commandRegistry.setKeymap(getKeymap(settings));
+    });
 
     setFavicon(this.faviconForEvaluationStatus(this.props.globalStatus));
 
@@ -94,9 +163,13 @@ const Session = {
 
     this._handleDocumentKeyDown = this.handleDocumentKeyDown.bind(this);
     this._handleEditorEscape = this.handleEditorEscape.bind(this);
+    this._handleEditorFindReferences =
+      this.handleEditorFindReferences.bind(this);
     this._handleDocumentMouseDown = this.handleDocumentMouseDown.bind(this);
     this._handleDocumentFocus = this.handleDocumentFocus.bind(this);
     this._handleDocumentClick = this.handleDocumentClick.bind(this);
+    this._handleDocumentCopy = this.handleDocumentCopy.bind(this);
+    this._handleDocumentPaste = this.handleDocumentPaste.bind(this);
 
     // Note: we register for the capture phase, so that we handle the
     // event before the editor. Specifically, in case of Ctrl + Enter
@@ -104,10 +177,16 @@ const Session = {
     // editor doesn't insert a newline
     document.addEventListener("keydown", this._handleDocumentKeyDown, true);
     document.addEventListener("lb:editor_escape", this._handleEditorEscape);
+    document.addEventListener(
+      "lb:editor_find_references",
+      this._handleEditorFindReferences,
+    );
     document.addEventListener("mousedown", this._handleDocumentMouseDown);
     // Note: the focus event doesn't bubble, so we register for the capture phase
     document.addEventListener("focus", this._handleDocumentFocus, true);
     document.addEventListener("click", this._handleDocumentClick);
+    document.addEventListener("copy", this._handleDocumentCopy);
+    document.addEventListener("paste", this._handleDocumentPaste);
 
     this.getElement("outline").addEventListener("click", (event) => {
       this.handleOutlineClick(event);
@@ -159,6 +238,55 @@ const Session = {
       (event) => this.toggleCollapseAllSections(),
     );
 
+    this.commandPalette = new CommandPalette(
+      this.getElement("command-palette"),
+      { getItems: () => this.getCommandPaletteItems() },
+    );
+
+    this.getElement("find-replace-toggle").addEventListener("click", (event) =>
+      this.toggleFindReplace(),
+    );
+
+    this.getElement("find-replace").addEventListener("input", (event) =>
+      this.updateFindResults(),
+    );
+
+    this.getElement("find-results").addEventListener("click", (event) =>
+      this.handleFindResultsClick(event),
+    );
+
+    this.getElement("replace-all-button").addEventListener("click", (event) =>
+      this.replaceAll(),
+    );
+
+    this.getElement("references-results").addEventListener("click", (event) =>
+      this.handleFindResultsClick(event),
+    );
+
+    this.getElement("rename-input").addEventListener("input", (event) =>
+      this.updateReferences(),
+    );
+
+    this.getElement("rename-input").addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        this.renameReferences();
+      }
+    });
+
+    this.getElement("rename-button").addEventListener("click", (event) =>
+      this.renameReferences(),
+    );
+
+    this.el.addEventListener("lb:cell:editor_created", (event) => {
+      const { cellId, tag, liveEditor } = event.detail;
+      this.handleCellEditorCreated(cellId, tag, liveEditor);
+    });
+
+    this.el.addEventListener("lb:cell:editor_removed", (event) => {
+      const { cellId, tag } = event.detail;
+      this.handleCellEditorRemoved(cellId, tag);
+    });
+
     this.subscriptions = [
       globalPubsub.subscribe("jump_to_editor", ({ line, file }) =>
         this.jumpToLine(file, line),
@@ -182,19 +310,23 @@ const Session = {
 
     // Server events
 
-    this.handleEvent("session_init", ({ clients, client_id }) => {
-      const clientsMap = {};
+    this.handleEvent(
+      "session_init",
+      ({ clients, client_id, delta_encoding }) => {
+        const clientsMap = {};
 
-      for (const client of clients) {
-        clientsMap[client.id] = client;
-      }
+        for (const client of clients) {
+          clientsMap[client.id] = client;
+        }
 
-      // Note that we keep clients in a global store, so that all cell
-      // hooks can access this information, without pushing it for each
-      // of them separately
-      this.store.set("clients", clientsMap);
-      this.store.set("clientId", client_id);
-    });
+        // Note that we keep clients in a global store, so that all cell
+        // hooks can access this information, without pushing it for each
+        // of them separately
+        this.store.set("clients", clientsMap);
+        this.store.set("clientId", client_id);
+        this.store.set("deltaEncoding", delta_encoding);
+      },
+    );
 
     this.handleEvent("cell_inserted", ({ cell_id: cellId }) => {
       this.handleCellInserted(cellId);
@@ -259,6 +391,10 @@ const Session = {
     if (this.props.globalStatus !== prevProps.globalStatus) {
       setFavicon(this.faviconForEvaluationStatus(this.props.globalStatus));
     }
+
+    // Sections and evaluated definitions in the outline may have
+    // changed
+    this.renderOutlineSymbols();
   },
 
   disconnected() {
@@ -273,9 +409,15 @@ const Session = {
   destroyed() {
     document.removeEventListener("keydown", this._handleDocumentKeyDown, true);
     document.removeEventListener("lb:editor_scape", this._handleEditorEscape);
+    document.removeEventListener(
+      "lb:editor_find_references",
+      this._handleEditorFindReferences,
+    );
     document.removeEventListener("mousedown", this._handleDocumentMouseDown);
     document.removeEventListener("focus", this._handleDocumentFocus, true);
     document.removeEventListener("click", this._handleDocumentClick);
+    document.removeEventListener("copy", this._handleDocumentCopy);
+    document.removeEventListener("paste", this._handleDocumentPaste);
 
     setFavicon("favicon");
 
@@ -285,6 +427,10 @@ const Session = {
 
     this.subscriptions.forEach((subscription) => subscription.destroy());
     this.store.destroy();
+
+    clearTimeout(this.findResultsTimeout);
+    clearTimeout(this.symbolsTimeout);
+    this.settingsSubscription.destroy();
   },
 
   getProps() {
@@ -346,14 +492,20 @@ const Session = {
         return;
       } else if (cmd && !alt && key === "Enter") {
         cancelEvent(event);
-        if (isEvaluable(this.focusedCellType())) {
-          this.queueFocusedCellEvaluation();
-        }
+        this.queueSelectedCellsEvaluation();
         return;
       } else if (cmd && key === "s") {
         cancelEvent(event);
         this.saveNotebook();
         return;
+      } else if (cmd && shift && !alt && key.toLowerCase() === "f") {
+        cancelEvent(event);
+        this.toggleFindReplace(true);
+        return;
+      } else if (cmd && shift && !alt && key.toLowerCase() === "p") {
+        cancelEvent(event);
+        this.toggleCommandPalette();
+        return;
       } else if (cmd || alt) {
         return;
       }
@@ -367,6 +519,12 @@ const Session = {
 
       if (!isEditor && key === "Escape") {
         this.escapeInsertMode();
+      } else if (isEditor && shift && key === "F12") {
+        cancelEvent(event);
+        this.findReferencesAtCursor();
+      } else if (isEditor && !shift && key === "F2") {
+        cancelEvent(event);
+        this.findReferencesAtCursor({ rename: true });
       }
 
       // Ignore keystrokes on input fields
@@ -380,86 +538,29 @@ const Session = {
     } else {
       keyBuffer.push(event.key);
 
-      if (keyBuffer.tryMatch(["d", "d"])) {
-        this.deleteFocusedCell();
-      } else if (keyBuffer.tryMatch(["e", "a"])) {
-        this.queueFullCellsEvaluation(false);
-      } else if (keyBuffer.tryMatch(["e", "e"])) {
-        if (isEvaluable(this.focusedCellType())) {
-          this.queueFocusedCellEvaluation();
+      // Note that navigation mode actions are bound to keys based on
+      // the keymap configured by the user, see NAVIGATION_ACTIONS
+      const command = this.commandRegistry.matchKeys(keyBuffer);
+
+      if (command) {
+        this.commandRegistry.run(command);
+
+        // If the command entered insert mode, make sure the key does
+        // not reach the editor
+        if (this.insertMode) {
+          cancelEvent(event);
         }
-      } else if (keyBuffer.tryMatch(["e", "s"])) {
-        this.queueFocusedSectionEvaluation();
-      } else if (keyBuffer.tryMatch(["s", "o"])) {
-        this.toggleOutline();
-      } else if (keyBuffer.tryMatch(["s", "s"])) {
-        this.toggleSecretsList();
-      } else if (keyBuffer.tryMatch(["s", "a"])) {
-        this.toggleAppInfo();
-      } else if (keyBuffer.tryMatch(["s", "u"])) {
-        this.toggleClientsList();
-      } else if (keyBuffer.tryMatch(["s", "f"])) {
-        this.toggleFilesList();
-      } else if (keyBuffer.tryMatch(["s", "r"])) {
-        this.toggleRuntimeInfo();
-      } else if (keyBuffer.tryMatch(["s", "b"])) {
-        this.showBin();
-      } else if (keyBuffer.tryMatch(["s", "p"])) {
-        this.showPackageSearch();
-      } else if (keyBuffer.tryMatch(["e", "x"])) {
-        this.cancelFocusedCellEvaluation();
-      } else if (keyBuffer.tryMatch(["0", "0"])) {
-        this.reconnectRuntime();
-      } else if (keyBuffer.tryMatch(["Escape", "Escape"])) {
-        this.setFocusedEl(null);
-      } else if (keyBuffer.tryMatch(["?"])) {
-        this.showShortcuts();
       } else if (
-        keyBuffer.tryMatch(["i"]) ||
-        (event.target.matches(
+        event.target.matches(
           `body, [data-el-cell-body], [data-el-heading], [data-focusable-id]`,
         ) &&
-          this.focusedId &&
-          key === "Enter")
+        this.focusedId &&
+        key === "Enter"
       ) {
         cancelEvent(event);
         if (this.isInsertModeAvailable()) {
           this.enterInsertMode();
         }
-      } else if (keyBuffer.tryMatch(["j"])) {
-        this.moveFocus(1);
-      } else if (keyBuffer.tryMatch(["k"])) {
-        this.moveFocus(-1);
-      } else if (keyBuffer.tryMatch(["J"])) {
-        this.moveFocusedCell(1);
-      } else if (keyBuffer.tryMatch(["K"])) {
-        this.moveFocusedCell(-1);
-      } else if (keyBuffer.tryMatch(["n"])) {
-        this.insertCellBelowFocused("code");
-      } else if (keyBuffer.tryMatch(["N"])) {
-        this.insertCellAboveFocused("code");
-      } else if (keyBuffer.tryMatch(["m"])) {
-        if (!this.view || this.viewOptions.showMarkdown) {
-          this.insertCellBelowFocused("markdown");
-        }
-      } else if (keyBuffer.tryMatch(["M"])) {
-        if (!this.view || this.viewOptions.showMarkdown) {
-          this.insertCellAboveFocused("markdown");
-        }
-      } else if (keyBuffer.tryMatch(["v", "z"])) {
-        this.toggleView("code-zen");
-      } else if (keyBuffer.tryMatch(["v", "p"])) {
-        this.toggleView("presentation");
-      } else if (keyBuffer.tryMatch(["v", "c"])) {
-        this.toggleView("custom");
-      } else if (keyBuffer.tryMatch(["c"])) {
-        if (!this.view || this.viewOptions.showSection) {
-          this.toggleCollapseSection();
-        }
-      } else if (keyBuffer.tryMatch(["C"])) {
-        if (!this.view || this.viewOptions.showSection) {
-          this.toggleCollapseAllSections();
-        }
       }
     }
   },
@@ -471,6 +572,10 @@ const Session = {
     }
   },
 
+  handleEditorFindReferences() {
+    this.findReferencesAtCursor();
+  },
+
   /**
    * Focuses/blurs a cell when the user clicks somewhere.
    *
@@ -509,8 +614,24 @@ const Session = {
     const focusableId = focusableEl ? focusableEl.dataset.focusableId : null;
     const insertMode = this.editableElementClicked(event, focusableEl);
 
+    // Shift-click extends the selection from the focused cell
+    if (
+      event.shiftKey &&
+      focusableId &&
+      this.isCell(focusableId) &&
+      this.focusedId &&
+      this.isCell(this.focusedId)
+    ) {
+      // Prevent text selection
+      event.preventDefault();
+      this.selectCellsTo(focusableId, { scroll: false });
+      return;
+    }
+
     if (focusableId !== this.focusedId) {
       this.setFocusedEl(focusableId, { scroll: false, focusElement: false });
+    } else {
+      this.setSelection([]);
     }
 
     // If a cell action is clicked, keep the insert mode as is
@@ -535,6 +656,53 @@ const Session = {
     return false;
   },
 
+  /**
+   * Copies the selected cells in navigation mode.
+   *
+   * We only intercept the event when there is no text selection, so
+   * that copying text from outputs works as usual.
+   */
+  handleDocumentCopy(event) {
+    if (
+      this.insertMode ||
+      isEditableElement(event.target) ||
+      !window.getSelection().isCollapsed
+    ) {
+      return;
+    }
+
+    if (this.getSelectedCellIds().length > 0) {
+      event.preventDefault();
+      this.copySelectedCells();
+    }
+  },
+
+  /**
+   * Pastes cells below the focused element in navigation mode.
+   *
+   * Only cells copied from a notebook are pasted, any other text is
+   * ignored, so that it does not end up in Markdown cells by accident.
+   * Pasting text as Live Markdown requires the explicit paste action.
+   *
+   * The structured cells are only accessible via the asynchronous
+   * clipboard API, so we read the clipboard rather than the event data.
+   */
+  handleDocumentPaste(event) {
+    if (this.insertMode || isEditableElement(event.target) || !this.focusedId) {
+      return;
+    }
+
+    event.preventDefault();
+
+    readCellsFromClipboard({ structuredOnly: true })
+      .then((content) => {
+        if (content) {
+          this.insertCellsBelowSelection(content);
+        }
+      })
+      .catch((error) => {});
+  },
+
   /**
    * Focuses a focusable element if the user "tab"s anywhere into it.
    */
@@ -608,9 +776,22 @@ const Session = {
     );
 
     if (sectionDefinitionButton) {
-      const file = sectionDefinitionButton.getAttribute("data-file");
-      const line = sectionDefinitionButton.getAttribute("data-line");
+      this.jumpToOutlineDefinition(sectionDefinitionButton);
+    }
+  },
+
+  /**
+   * Jumps to the definition from the outline, either reported by
+   * evaluation or found in the cell source.
+   */
+  jumpToOutlineDefinition(definitionEl) {
+    const line = definitionEl.getAttribute("data-line");
 
+    if (definitionEl.hasAttribute("data-cell-id")) {
+      const cellId = definitionEl.getAttribute("data-cell-id");
+      this.jumpToCellLine(cellId, parseInt(line, 10));
+    } else {
+      const file = definitionEl.getAttribute("data-file");
       this.jumpToLine(file, line);
     }
   },
@@ -845,8 +1026,207 @@ const Session = {
     });
   },
 
+  // Commands
+
+  /**
+   * Registers a new session action.
+   *
+   * See `CommandRegistry` for the command format. Returns a subscription
+   * object with `destroy` method that unregisters the command.
+   */
+  registerCommand(command) {
+    return this.commandRegistry.register(command);
+  },
+
+  registerCommands() {
+    const canInsertMarkdown = () => !this.view || this.viewOptions.showMarkdown;
+    const canCollapseSection = () => !this.view || this.viewOptions.showSection;
+
+    // Handlers for actions listed in NAVIGATION_ACTIONS, these are
+    // bound to keys according to the configured keymap
+    const navigationActions = {
+      enter_insert_mode: {
+        isAvailable: () => this.isInsertModeAvailable(),
+        run: () => this.enterInsertMode(),
+      },
+      clear_focus: { run: () => this.setFocusedEl(null) },
+      show_shortcuts: { run: () => this.showShortcuts() },
+      focus_next: { run: () => this.moveFocus(1) },
+      focus_previous: { run: () => this.moveFocus(-1) },
+      select_next: { run: () => this.extendSelection(1) },
+      select_previous: { run: () => this.extendSelection(-1) },
+      move_cell_down: { run: () => this.moveSelectedCells(1) },
+      move_cell_up: { run: () => this.moveSelectedCells(-1) },
+      insert_code_cell_below: {
+        run: () => this.insertCellBelowFocused("code"),
+      },
+      insert_code_cell_above: {
+        run: () => this.insertCellAboveFocused("code"),
+      },
+      insert_markdown_cell_below: {
+        isAvailable: canInsertMarkdown,
+        run: () => this.insertCellBelowFocused("markdown"),
+      },
+      insert_markdown_cell_above: {
+        isAvailable: canInsertMarkdown,
+        run: () => this.insertCellAboveFocused("markdown"),
+      },
+      toggle_collapse_section: {
+        isAvailable: canCollapseSection,
+        run: () => this.toggleCollapseSection(),
+      },
+      toggle_collapse_all_sections: {
+        isAvailable: canCollapseSection,
+        run: () => this.toggleCollapseAllSections(),
+      },
+      toggle_code_zen_view: { run: () => this.toggleView("code-zen") },
+      toggle_presentation_view: {
+        run: () => this.toggleView("presentation"),
+      },
+      toggle_custom_view: { run: () => this.toggleView("custom") },
+      delete_cell: { run: () => this.deleteSelectedCells() },
+      convert_cells_to_markdown: {
+        isAvailable: canInsertMarkdown,
+        run: () => this.convertSelectedCellsToMarkdown(),
+      },
+      copy_cells: { run: () => this.copySelectedCells() },
+      paste_cells: { run: () => this.pasteCells() },
+      evaluate_cell: {
+        isAvailable: () =>
+          this.getSelectedCellIds().some((cellId) =>
+            isEvaluable(this.getCellType(cellId)),
+          ),
+        run: () => this.queueSelectedCellsEvaluation(),
+      },
+      evaluate_section: { run: () => this.queueFocusedSectionEvaluation() },
+      evaluate_outdated_cells: {
+        run: () => this.queueFullCellsEvaluation(false),
+      },
+      cancel_cell_evaluation: {
+        run: () => this.cancelFocusedCellEvaluation(),
+      },
+      toggle_outline: { run: () => this.toggleOutline() },
+      toggle_clients_list: { run: () => this.toggleClientsList() },
+      toggle_secrets_list: { run: () => this.toggleSecretsList() },
+      toggle_files_list: { run: () => this.toggleFilesList() },
+      toggle_runtime_info: { run: () => this.toggleRuntimeInfo() },
+      toggle_app_info: { run: () => this.toggleAppInfo() },
+      show_bin: { run: () => this.showBin() },
+      show_package_search: { run: () => this.showPackageSearch() },
+      go_to_symbol: { run: () => this.goToSymbol() },
+      reconnect_runtime: { run: () => this.reconnectRuntime() },
+    };
+
+    for (const { id, title } of NAVIGATION_ACTIONS) {
+      this.registerCommand({ id, title, ...navigationActions[id] });
+    }
+
+    const modifierShortcut = (keys, macKeys) => (isMacOS() ? macKeys : keys);
+
+    // Actions with modifier shortcuts, which are handled directly in
+    // the keydown handler
+    const modifierCommands = [
+      {
+        id: "evaluate_current_and_outdated_cells",
+        title: "Evaluate current and all outdated cells",
+        shortcut: modifierShortcut(["ctrl", "shift", "↵"], ["⌘", "⇧", "↵"]),
+        run: () => this.queueFullCellsEvaluation(true),
+      },
+      {
+        id: "save_notebook",
+        title: "Save notebook",
+        shortcut: modifierShortcut(["ctrl", "s"], ["⌘", "s"]),
+        run: () => this.saveNotebook(),
+      },
+      {
+        id: "toggle_find_replace",
+        title: "Find and replace in notebook",
+        shortcut: modifierShortcut(["ctrl", "shift", "f"], ["⌘", "⇧", "f"]),
+        run: () => this.toggleFindReplace(true),
+      },
+      {
+        id: "go_back",
+        title: "Go back to previous editor",
+        shortcut: modifierShortcut(["ctrl", "alt", "-"], ["⌃", "⌥", "-"]),
+        run: () => this.cursorHistoryGoBack(),
+      },
+      {
+        id: "go_forward",
+        title: "Go forward to next editor",
+        shortcut: modifierShortcut(["ctrl", "alt", "="], ["⌃", "⌥", "="]),
+        run: () => this.cursorHistoryGoForward(),
+      },
+    ];
+
+    modifierCommands.forEach((command) => this.registerCommand(command));
+  },
+
+  /**
+   * Returns all items listed in the command palette.
+   */
+  getCommandPaletteItems() {
+    const commandItems = this.commandRegistry
+      .getAvailableCommands()
+      .map((command) => ({
+        title: command.title,
+        shortcut: command.shortcut || this.commandRegistry.getKeys(command),
+        run: () => this.commandRegistry.run(command),
+      }));
+
+    const sectionItems = this.getSections().map((section) => {
+      const headlineEl = section.querySelector(`[data-el-section-headline]`);
+      const focusableId = headlineEl.getAttribute("data-focusable-id");
+
+      return {
+        title: section.querySelector(`[data-el-heading]`).textContent,
+        kind: "Section",
+        run: () => this.setFocusedEl(focusableId),
+      };
+    });
+
+    const definitionItems = Array.from(
+      this.el.querySelectorAll(`[data-el-outline-definition-item]`),
+    ).map((definitionEl) => ({
+      title: definitionEl.textContent.trim(),
+      kind: "Definition",
+      run: () => this.jumpToOutlineDefinition(definitionEl),
+    }));
+
+    return [...commandItems, ...sectionItems, ...definitionItems];
+  },
+
   // User action handlers (mostly keybindings)
 
+  toggleCommandPalette() {
+    if (this.commandPalette.isOpen()) {
+      this.commandPalette.close();
+    } else {
+      // Leave the editor, otherwise it would take the focus back
+      if (this.insertMode) {
+        this.setInsertMode(false);
+      }
+
+      this.commandPalette.open();
+    }
+  },
+
+  goToSymbol() {
+    // Leave the editor, otherwise it would take the focus back
+    if (this.insertMode) {
+      this.setInsertMode(false);
+    }
+
+    this.commandPalette.open({
+      placeholder: "Go to symbol",
+      getItems: () =>
+        this.getSymbols().map((symbol) => ({
+          title: symbol.label,
+          kind: symbol.kind,
+          run: () => this.jumpToCellLine(symbol.cellId, symbol.line),
+        })),
+    });
+  },
+
   toggleOutline(force = null) {
     this.toggleSidePanelContent("outline", force);
   },
@@ -871,6 +1251,22 @@ const Session = {
     this.toggleSidePanelContent("runtime-info", force);
   },
 
+  toggleFindReplace(force = null) {
+    this.toggleSidePanelContent("find-replace", force);
+
+    if (this.isFindReplaceOpen()) {
+      // Leave the editor, otherwise it would take the focus back
+      if (this.insertMode) {
+        this.setInsertMode(false);
+      }
+
+      const inputEl = this.getElement("find-input");
+      inputEl.focus();
+      inputEl.select();
+      this.updateFindResults();
+    }
+  },
+
   toggleSidePanelContent(name, force = null) {
     const shouldOpen =
       force === null
@@ -900,9 +1296,81 @@ const Session = {
     this.pushEvent("save", {});
   },
 
-  deleteFocusedCell() {
-    if (this.focusedId && this.isCell(this.focusedId)) {
-      this.pushEvent("delete_cell", { cell_id: this.focusedId });
+  deleteSelectedCells() {
+    const cellIds = this.getSelectedCellIds();
+
+    if (cellIds.length === 1) {
+      this.pushEvent("delete_cell", { cell_id: cellIds[0] });
+    } else if (cellIds.length > 1) {
+      this.pushEvent("delete_cells", { cell_ids: cellIds });
+    }
+  },
+
+  convertSelectedCellsToMarkdown() {
+    const cellIds = this.getSelectedCellIds().filter(
+      (cellId) => this.getCellType(cellId) === "code",
+    );
+
+    if (cellIds.length > 0) {
+      this.pushEvent("convert_cells_to_markdown", { cell_ids: cellIds });
+    }
+  },
+
+  copySelectedCells() {
+    const cellIds = this.getSelectedCellIds();
+
+    if (cellIds.length === 0) {
+      return;
+    }
+
+    // The server has the latest source and attributes of every cell,
+    // so we ask it for the clipboard content
+    const contentPromise = new Promise((resolve) => {
+      this.pushEvent("copy_cells", { cell_ids: cellIds }, (reply) =>
+        resolve(reply),
+      );
+    });
+
+    writeCellsToClipboard(contentPromise).catch((error) => {
+      alert(
+        "Sorry, your browser does not support clipboard copy.\nThis generally requires a secure origin — either HTTPS or localhost.",
+      );
+    });
+  },
+
+  pasteCells() {
+    readCellsFromClipboard()
+      .then((content) => {
+        if (content) {
+          this.insertCellsBelowSelection(content);
+        }
+      })
+      .catch((error) => {
+        alert(
+          "Sorry, your browser does not support clipboard paste or the permission was denied.\nThis generally requires a secure origin — either HTTPS or localhost.",
+        );
+      });
+  },
+
+  /**
+   * Inserts cells from the clipboard content, which is either
+   * `{ cells }` or `{ markdown }`, see `readCellsFromClipboard`.
+   */
+  insertCellsBelowSelection(content) {
+    const cellIds = this.getSelectedCellIds();
+
+    if (cellIds.length > 0) {
+      this.insertCellsBelowFocusableId(cellIds[cellIds.length - 1], content);
+    } else if (this.focusedId) {
+      this.insertCellsBelowFocusableId(this.focusedId, content);
+    } else {
+      const focusableIds = this.getFocusableIds();
+      if (focusableIds.length > 0) {
+        this.insertCellsBelowFocusableId(
+          focusableIds[focusableIds.length - 1],
+          content,
+        );
+      }
     }
   },
 
@@ -911,6 +1379,7 @@ const Session = {
       this.pushEvent("queue_cell_evaluation", {
         cell_id: cellId,
         disable_dependencies_cache: disableDependenciesCache,
+        inline_results: this.inlineResultsEnabled(),
       });
     });
   },
@@ -918,7 +1387,27 @@ const Session = {
   queueFocusedCellEvaluation() {
     if (this.focusedId && this.isCell(this.focusedId)) {
       this.dispatchQueueEvaluation(() => {
-        this.pushEvent("queue_cell_evaluation", { cell_id: this.focusedId });
+        this.pushEvent("queue_cell_evaluation", {
+          cell_id: this.focusedId,
+          inline_results: this.inlineResultsEnabled(),
+        });
+      });
+    }
+  },
+
+  queueSelectedCellsEvaluation() {
+    const cellIds = this.getSelectedCellIds().filter((cellId) =>
+      isEvaluable(this.getCellType(cellId)),
+    );
+
+    if (cellIds.length > 0) {
+      this.dispatchQueueEvaluation(() => {
+        cellIds.forEach((cellId) => {
+          this.pushEvent("queue_cell_evaluation", {
+            cell_id: cellId,
+            inline_results: this.inlineResultsEnabled(),
+          });
+        });
       });
     }
   },
@@ -932,6 +1421,7 @@ const Session = {
     this.dispatchQueueEvaluation(() => {
       this.pushEvent("queue_full_evaluation", {
         forced_cell_ids: forcedCellIds,
+        inline_results: this.inlineResultsEnabled(),
       });
     });
   },
@@ -944,12 +1434,19 @@ const Session = {
         this.dispatchQueueEvaluation(() => {
           this.pushEvent("queue_section_evaluation", {
             section_id: sectionId,
+            inline_results: this.inlineResultsEnabled(),
           });
         });
       }
     }
   },
 
+  // Inline results require instrumenting the evaluated code, so we
+  // only request them when enabled in the settings
+  inlineResultsEnabled() {
+    return settingsStore.get().editor_inline_results;
+  },
+
   dispatchQueueEvaluation(dispatch) {
     if (isEvaluable(this.focusedCellType())) {
       // If an evaluable cell is focused, we forward the evaluation
@@ -1009,12 +1506,85 @@ const Session = {
     this.setFocusedEl(focusableId);
   },
 
-  moveFocusedCell(offset) {
+  moveSelectedCells(offset) {
+    const cellIds = this.getSelectedCellIds();
+
+    if (cellIds.length === 1) {
+      this.pushEvent("move_cell", { cell_id: cellIds[0], offset });
+    } else if (cellIds.length > 1) {
+      this.pushEvent("move_cells", { cell_ids: cellIds, offset });
+    }
+  },
+
+  /**
+   * Moves focus to the nearby cell, while extending the selection.
+   */
+  extendSelection(offset) {
     if (this.focusedId && this.isCell(this.focusedId)) {
-      this.pushEvent("move_cell", { cell_id: this.focusedId, offset });
+      const cellIds = this.getCellIds();
+      const index = cellIds.indexOf(this.focusedId);
+      const nextIndex = Math.min(
+        Math.max(index + offset, 0),
+        cellIds.length - 1,
+      );
+
+      this.selectCellsTo(cellIds[nextIndex]);
     }
   },
 
+  /**
+   * Selects all cells between the selection anchor and the given cell,
+   * and focuses the cell.
+   *
+   * The anchor is the focused cell, unless a selection is already in
+   * place.
+   */
+  selectCellsTo(cellId, { scroll = true } = {}) {
+    const anchorId = this.selectionAnchorId || this.focusedId;
+    const cellIds = cellIdsBetween(this.getCellIds(), anchorId, cellId);
+
+    if (cellId !== this.focusedId) {
+      this.setFocusedEl(cellId, {
+        scroll,
+        focusElement: false,
+        keepSelection: true,
+      });
+    }
+
+    this.setSelection(cellIds, anchorId);
+  },
+
+  setSelection(cellIds, anchorId = null) {
+    if (cellIds.length === 0 && this.selectedIds.length === 0) {
+      return;
+    }
+
+    this.selectedIds = cellIds;
+    this.selectionAnchorId = cellIds.length > 0 ? anchorId : null;
+
+    globalPubsub.broadcast("navigation:selection_changed", { cellIds });
+  },
+
+  /**
+   * Returns ids of the selected cells, in the notebook order.
+   *
+   * When there is no selection, the focused cell is considered the
+   * only selected cell.
+   */
+  getSelectedCellIds() {
+    if (this.selectedIds.length > 0) {
+      return this.getCellIds().filter((cellId) =>
+        this.selectedIds.includes(cellId),
+      );
+    }
+
+    if (this.focusedId && this.isCell(this.focusedId)) {
+      return [this.focusedId];
+    }
+
+    return [];
+  },
+
   insertCellBelowFocused(type) {
     if (this.focusedId) {
       this.insertCellBelowFocusableId(this.focusedId, type);
@@ -1041,6 +1611,28 @@ const Session = {
     }
   },
 
+  insertCellsBelowFocusableId(focusableId, content) {
+    if (this.isCell(focusableId)) {
+      this.pushEvent("insert_cells_below", {
+        ...content,
+        cell_id: focusableId,
+      });
+    } else if (this.isSection(focusableId)) {
+      this.pushEvent("insert_cells_below", {
+        ...content,
+        section_id: focusableId,
+      });
+    } else if (this.isNotebook(focusableId)) {
+      const sectionIds = this.getSectionIds();
+      if (sectionIds.length > 0) {
+        this.pushEvent("insert_cells_below", {
+          ...content,
+          section_id: sectionIds[0],
+        });
+      }
+    }
+  },
+
   insertCellBelowFocusableId(focusableId, type) {
     if (this.isCell(focusableId)) {
       this.pushEvent("insert_cell_below", { type, cell_id: focusableId });
@@ -1057,9 +1649,16 @@ const Session = {
     }
   },
 
-  setFocusedEl(focusableId, { scroll = true, focusElement = true } = {}) {
+  setFocusedEl(
+    focusableId,
+    { scroll = true, focusElement = true, keepSelection = false } = {},
+  ) {
     this.focusedId = focusableId;
 
+    if (!keepSelection) {
+      this.setSelection([]);
+    }
+
     if (focusableId) {
       this.el.setAttribute("data-js-focused-id", focusableId);
     } else {
@@ -1102,6 +1701,10 @@ const Session = {
   setInsertMode(insertModeEnabled) {
     this.insertMode = insertModeEnabled;
 
+    if (insertModeEnabled) {
+      this.setSelection([]);
+    }
+
     if (insertModeEnabled) {
       this.el.setAttribute("data-js-insert-mode", "");
     } else {
@@ -1265,6 +1868,7 @@ const Session = {
 
   handleCellMoved(cellId) {
     this.repositionJSViews();
+    this.renderOutlineSymbols();
 
     if (this.focusedId === cellId) {
       globalPubsub.broadcast("cells:cell_moved", { cellId });
@@ -1289,6 +1893,7 @@ const Session = {
 
   handleSectionMoved(sectionId) {
     this.repositionJSViews();
+    this.renderOutlineSymbols();
 
     const section = this.getSectionById(sectionId);
     smoothlyScrollToElement(section);
@@ -1324,6 +1929,50 @@ const Session = {
     this.store.set("clients", newClientsMap);
   },
 
+  handleCellEditorCreated(cellId, tag, liveEditor) {
+    // We only search the editors targeted by cell jumps
+    if (tag !== "primary" || liveEditor.readOnly) {
+      return;
+    }
+
+    const subscription = liveEditor.onChange(() => {
+      this.scheduleFindResultsUpdate();
+      this.scheduleSymbolsUpdate(cellId);
+    });
+
+    this.liveEditors[cellId] = { liveEditor, subscription };
+    // The new editor has no code lenses yet
+    delete this.codeLensesJSONByCellId[cellId];
+    this.scheduleFindResultsUpdate();
+    this.scheduleSymbolsUpdate(cellId);
+  },
+
+  handleCellEditorRemoved(cellId, tag) {
+    const entry = this.liveEditors[cellId];
+
+    if (tag === "primary" && entry) {
+      entry.subscription.destroy();
+      delete this.liveEditors[cellId];
+      this.scheduleFindResultsUpdate();
+      this.scheduleSymbolsUpdate(cellId);
+    }
+  },
+
+  handleFindResultsClick(event) {
+    const resultEl = event.target.closest(`[data-el-find-result]`);
+
+    if (resultEl) {
+      const cellId = resultEl.getAttribute("data-cell-id");
+      const line = parseInt(resultEl.getAttribute("data-line"), 10);
+      const offset = parseInt(resultEl.getAttribute("data-offset"), 10);
+
+      this.setFocusedEl(cellId, { scroll: false });
+      this.setInsertMode(true);
+
+      globalPubsub.broadcast(`cells:${cellId}:jump_to_line`, { line, offset });
+    }
+  },
+
   handleSecretSelected(select_secret_ref, secretName) {
     globalPubsub.broadcast(`js_views:${select_secret_ref}:secret_selected`, {
       secretName,
@@ -1361,6 +2010,574 @@ const Session = {
     }
   },
 
+  // Find and replace
+
+  isFindReplaceOpen() {
+    return (
+      this.el.getAttribute("data-js-side-panel-content") === "find-replace"
+    );
+  },
+
+  /**
+   * Updates find or references results shortly, so that consecutive
+   * changes are batched together.
+   */
+  scheduleFindResultsUpdate() {
+    if (
+      (this.isFindReplaceOpen() || this.isReferencesOpen()) &&
+      !this.findResultsTimeout
+    ) {
+      this.findResultsTimeout = setTimeout(() => {
+        this.findResultsTimeout = null;
+
+        if (this.isFindReplaceOpen()) {
+          this.updateFindResults();
+        } else if (this.isReferencesOpen()) {
+          this.updateReferences();
+        }
+      }, 250);
+    }
+  },
+
+  /**
+   * Returns the current search regular expression.
+   *
+   * Returns `null` if the query is empty and throws if the query is
+   * an invalid regular expression.
+   */
+  getSearchRegExp() {
+    const query = this.getElement("find-input").value;
+
+    if (query === "") {
+      return null;
+    }
+
+    return buildSearchRegExp(query, {
+      regex: this.getElement("find-regex").checked,
+      caseSensitive: this.getElement("find-case-sensitive").checked,
+    });
+  },
+
+  /**
+   * Returns cell ids with a searchable editor, in the notebook order.
+   */
+  getSearchableCellIds() {
+    return Array.from(this.el.querySelectorAll(`[data-el-cell]`))
+      .map((el) => el.getAttribute("data-focusable-id"))
+      .filter((cellId) => this.liveEditors[cellId]);
+  },
+
+  updateFindResults() {
+    const summaryEl = this.getElement("find-summary");
+    const resultsEl = this.getElement("find-results");
+
+    let searchRegExp;
+
+    try {
+      searchRegExp = this.getSearchRegExp();
+    } catch (error) {
+      summaryEl.textContent = "Invalid regular expression";
+      resultsEl.replaceChildren();
+      return;
+    }
+
+    if (!searchRegExp) {
+      summaryEl.textContent = "";
+      resultsEl.replaceChildren();
+      return;
+    }
+
+    const cellIds = this.getSearchableCellIds();
+    const groupEls = [];
+    let matchesCount = 0;
+    let cellsCount = 0;
+
+    cellIds.forEach((cellId, index) => {
+      const { liveEditor } = this.liveEditors[cellId];
+      const matches = findMatches(liveEditor.getSource(), searchRegExp);
+
+      if (matches.length === 0) {
+        return;
+      }
+
+      matchesCount += matches.length;
+      cellsCount += 1;
+
+      const remaining = MAX_FIND_RESULTS - (matchesCount - matches.length);
+
+      if (remaining > 0) {
+        groupEls.push(
+          this.renderFindResultsGroup(
+            cellId,
+            index,
+            matches.slice(0, remaining),
+          ),
+        );
+      }
+    });
+
+    const matchesLabel = matchesCount === 1 ? "match" : "matches";
+    const cellsLabel = cellsCount === 1 ? "cell" : "cells";
+    summaryEl.textContent =
+      matchesCount > MAX_FIND_RESULTS
+        ? `${matchesCount} ${matchesLabel} in ${cellsCount} ${cellsLabel}, showing first ${MAX_FIND_RESULTS}`
+        : `${matchesCount} ${matchesLabel} in ${cellsCount} ${cellsLabel}`;
+
+    resultsEl.replaceChildren(...groupEls);
+  },
+
+  /**
+   * Renders a group of matches in a single cell.
+   *
+   * When `replacement` is given, each result shows a preview of the
+   * match replaced.
+   */
+  renderFindResultsGroup(cellId, index, matches, replacement = null) {
+    const groupEl = document.createElement("div");
+    groupEl.classList.add("flex", "flex-col", "space-y-1");
+
+    const headingEl = document.createElement("span");
+    headingEl.classList.add("text-xs", "font-semibold", "text-gray-500");
+    headingEl.textContent = `Cell ${index + 1}`;
+    groupEl.appendChild(headingEl);
+
+    for (const match of matches) {
+      const resultEl = document.createElement("button");
+      resultEl.classList.add(
+        "flex",
+        "items-baseline",
+        "gap-2",
+        "text-left",
+        "text-sm",
+        "text-gray-600",
+        "hover:text-gray-900",
+      );
+      resultEl.setAttribute("data-el-find-result", "");
+      resultEl.setAttribute("data-cell-id", cellId);
+      resultEl.setAttribute("data-line", match.line.toString());
+      resultEl.setAttribute("data-offset", match.offset.toString());
+
+      const lineNumberEl = document.createElement("span");
+      lineNumberEl.classList.add("shrink-0", "text-xs", "text-gray-400");
+      lineNumberEl.textContent = match.line.toString();
+
+      const matchTo = Math.min(
+        match.offset + match.to - match.from,
+        match.lineText.length,
+      );
+
+      const highlightEl = document.createElement("span");
+      highlightEl.classList.add("bg-yellow-200", "rounded-sm");
+      highlightEl.textContent = match.lineText.slice(match.offset, matchTo);
+
+      const textEl = document.createElement("span");
+      textEl.classList.add("font-mono", "truncate");
+      textEl.append(match.lineText.slice(0, match.offset), highlightEl);
+
+      if (replacement !== null) {
+        highlightEl.classList.replace("bg-yellow-200", "bg-red-100");
+        highlightEl.classList.add("line-through");
+
+        const replacementEl = document.createElement("span");
+        replacementEl.classList.add("bg-green-100", "rounded-sm");
+        replacementEl.textContent = replacement;
+        textEl.append(replacementEl);
+      }
+
+      textEl.append(match.lineText.slice(matchTo));
+
+      resultEl.append(lineNumberEl, textEl);
+      groupEl.appendChild(resultEl);
+    }
+
+    return groupEl;
+  },
+
+  replaceAll() {
+    let searchRegExp;
+
+    try {
+      searchRegExp = this.getSearchRegExp();
+    } catch (error) {
+      return;
+    }
+
+    if (!searchRegExp) {
+      return;
+    }
+
+    const replacement = this.getElement("replace-input").value;
+    const regex = this.getElement("find-regex").checked;
+
+    for (const cellId of this.getSearchableCellIds()) {
+      const { liveEditor } = this.liveEditors[cellId];
+      const source = liveEditor.getSource();
+      const newSource = replaceMatches(source, searchRegExp, replacement, {
+        regex,
+      });
+
+      if (newSource !== source) {
+        // The change goes through the collaborative client, so it is
+        // propagated to other clients as usual
+        liveEditor.applyDelta(Delta.diff(source, newSource));
+      }
+    }
+
+    this.updateFindResults();
+  },
+
+  // References
+
+  isReferencesOpen() {
+    return this.el.getAttribute("data-js-side-panel-content") === "references";
+  },
+
+  /**
+   * Opens the references panel for the symbol under the cursor in the
+   * focused cell editor.
+   *
+   * With the `rename` option, the rename input gets focused.
+   */
+  findReferencesAtCursor({ rename = false } = {}) {
+    const entry = this.liveEditors[this.focusedId];
+
+    if (!entry || entry.liveEditor.language !== "elixir") {
+      return;
+    }
+
+    const { liveEditor } = entry;
+    const position = liveEditor.getCurrentCursorPosition();
+    const symbol = position && symbolAt(liveEditor.getSource(), position);
+
+    if (!symbol) {
+      return;
+    }
+
+    this.referencesSymbol = symbol;
+    this.referencesCellId = this.focusedId;
+    this.toggleSidePanelContent("references", true);
+
+    const inputEl = this.getElement("rename-input");
+    inputEl.value = symbol.name;
+    this.updateReferences();
+
+    if (rename && this.isReferencesRenamable()) {
+      // Leave the editor, otherwise it would take the focus back
+      this.setInsertMode(false);
+      inputEl.focus();
+      inputEl.select();
+    }
+  },
+
+  getRenameName() {
+    const newName = this.getElement("rename-input").value.trim();
+    return newName !== this.referencesSymbol.name && isValidName(newName)
+      ? newName
+      : null;
+  },
+
+  /**
+   * Returns references to the current symbol, grouped by cell.
+   */
+  getReferencesByCellId() {
+    const symbol = this.referencesSymbol;
+    const referencesByCellId = {};
+
+    for (const cellId of this.getSearchableCellIds()) {
+      const { liveEditor } = this.liveEditors[cellId];
+
+      // Variables scoped to a function or module are local to the cell
+      if (
+        liveEditor.language !== "elixir" ||
+        (symbol.type === "variable" &&
+          symbol.scope !== null &&
+          cellId !== this.referencesCellId)
+      ) {
+        continue;
+      }
+
+      const references = findReferences(liveEditor.getSource(), symbol);
+
+      if (references.length > 0) {
+        referencesByCellId[cellId] = references;
+      }
+    }
+
+    return referencesByCellId;
+  },
+
+  /**
+   * Checks if the current symbol can be safely renamed.
+   *
+   * Functions are only renamed when defined in the notebook, otherwise
+   * we would leave the calls pointing to a function that does not
+   * exist.
+   */
+  isReferencesRenamable(referencesByCellId = this.getReferencesByCellId()) {
+    return (
+      this.referencesSymbol.type === "variable" ||
+      Object.values(referencesByCellId).some((references) =>
+        references.some((reference) => reference.definition),
+      )
+    );
+  },
+
+  updateReferences() {
+    if (!this.referencesSymbol) {
+      return;
+    }
+
+    const referencesByCellId = this.getReferencesByCellId();
+    const renamable = this.isReferencesRenamable(referencesByCellId);
+    const name = this.referencesSymbol.name;
+    const label = symbolLabel(this.referencesSymbol);
+    const newName = renamable ? this.getRenameName() : null;
+    const inputValue = this.getElement("rename-input").value.trim();
+
+    this.getElement("rename").classList.toggle("hidden", !renamable);
+
+    this.getElement("rename-error").textContent =
+      inputValue === "" || inputValue === name || newName
+        ? ""
+        : "Not a valid variable or function name";
+
+    const groupEls = [];
+    let referencesCount = 0;
+    let cellsCount = 0;
+
+    this.getSearchableCellIds().forEach((cellId, index) => {
+      const references = referencesByCellId[cellId];
+
+      if (!references) {
+        return;
+      }
+
+      referencesCount += references.length;
+      cellsCount += 1;
+
+      // Read-only editors, such as Smart cell source, are not renamed
+      const { liveEditor } = this.liveEditors[cellId];
+      const replacement = liveEditor.readOnly ? null : newName;
+
+      groupEls.push(
+        this.renderFindResultsGroup(cellId, index, references, replacement),
+      );
+    });
+
+    const referencesLabel = referencesCount === 1 ? "reference" : "references";
+    const cellsLabel = cellsCount === 1 ? "cell" : "cells";
+    let summary = `${referencesCount} ${referencesLabel} to ${label} in ${cellsCount} ${cellsLabel}`;
+
+    if (!renamable) {
+      summary += ` (${label} is not defined in the notebook, so it cannot be renamed)`;
+    }
+
+    this.getElement("references-summary").textContent = summary;
+
+    this.getElement("references-results").replaceChildren(...groupEls);
+  },
+
+  renameReferences() {
+    if (!this.referencesSymbol) {
+      return;
+    }
+
+    const referencesByCellId = this.getReferencesByCellId();
+    const newName = this.getRenameName();
+
+    if (!newName || !this.isReferencesRenamable(referencesByCellId)) {
+      return;
+    }
+
+    for (const [cellId, references] of Object.entries(referencesByCellId)) {
+      const { liveEditor } = this.liveEditors[cellId];
+
+      if (!liveEditor.readOnly) {
+        // The change goes through the collaborative client, so it is
+        // propagated to other clients as usual
+        liveEditor.applyDelta(renameReferencesDelta(references, newName));
+      }
+    }
+
+    this.referencesSymbol = { ...this.referencesSymbol, name: newName };
+    this.updateReferences();
+  },
+
+  // Symbols
+
+  scheduleSymbolsUpdate(cellId) {
+    this.outdatedSymbolsCellIds.add(cellId);
+
+    if (!this.symbolsTimeout) {
+      this.symbolsTimeout = setTimeout(() => {
+        this.symbolsTimeout = null;
+        this.updateSymbols();
+      }, 500);
+    }
+  },
+
+  /**
+   * Parses sources of the cells changed since the last update, then
+   * renders the symbols outline and code lenses.
+   */
+  updateSymbols() {
+    for (const cellId of this.outdatedSymbolsCellIds) {
+      const entry = this.liveEditors[cellId];
+
+      if (entry && entry.liveEditor.language === "elixir") {
+        const source = entry.liveEditor.getSource();
+        const tree = elixirLanguage.parser.parse(source);
+
+        this.symbolsByCellId[cellId] = findSymbols(source, tree);
+        this.callCountsByCellId[cellId] = countFunctionCalls(source, tree);
+      } else {
+        delete this.symbolsByCellId[cellId];
+        delete this.callCountsByCellId[cellId];
+        delete this.codeLensesJSONByCellId[cellId];
+      }
+    }
+
+    this.outdatedSymbolsCellIds.clear();
+    this.renderOutlineSymbols();
+    this.updateCodeLenses();
+  },
+
+  /**
+   * Updates code lenses in all Elixir editors, counting function
+   * calls across the notebook.
+   */
+  updateCodeLenses() {
+    const callCounts = new Map();
+
+    for (const cellCallCounts of Object.values(this.callCountsByCellId)) {
+      for (const [label, count] of cellCallCounts) {
+        callCounts.set(label, (callCounts.get(label) || 0) + count);
+      }
+    }
+
+    for (const [cellId, symbols] of Object.entries(this.symbolsByCellId)) {
+      const { liveEditor } = this.liveEditors[cellId];
+      const lenses = findCodeLenses(
+        liveEditor.getSource(),
+        symbols,
+        callCounts,
+      );
+
+      // Most updates don't affect lenses in other cells, in which
+      // case we skip the update
+      const lensesJSON = JSON.stringify(lenses);
+
+      if (this.codeLensesJSONByCellId[cellId] !== lensesJSON) {
+        this.codeLensesJSONByCellId[cellId] = lensesJSON;
+        liveEditor.setCodeLenses(lenses);
+      }
+    }
+  },
+
+  /**
+   * Returns symbols defined across all Elixir cells, in the notebook
+   * order. See `findSymbols` for the symbol format, additionally each
+   * symbol has `cellId`.
+   */
+  getSymbols() {
+    return Array.from(this.el.querySelectorAll(`[data-el-cell]`))
+      .map((el) => el.getAttribute("data-focusable-id"))
+      .flatMap((cellId) =>
+        (this.symbolsByCellId[cellId] || []).map((symbol) => ({
+          ...symbol,
+          cellId,
+        })),
+      );
+  },
+
+  /**
+   * Renders symbols in the outline, extending the definitions list of
+   * the corresponding section.
+   *
+   * The list already includes modules reported by evaluation, so we
+   * skip those.
+   */
+  renderOutlineSymbols() {
+    const symbolsBySectionId = {};
+
+    for (const symbol of this.getSymbols()) {
+      const sectionId = this.getSectionIdByFocusableId(symbol.cellId);
+
+      if (sectionId) {
+        symbolsBySectionId[sectionId] = symbolsBySectionId[sectionId] || [];
+        symbolsBySectionId[sectionId].push(symbol);
+      }
+    }
+
+    for (const symbolsEl of this.el.querySelectorAll(
+      `[data-el-outline-symbols]`,
+    )) {
+      const sectionId = symbolsEl.getAttribute("data-section-id");
+
+      const evaluatedLabels = Array.from(
+        symbolsEl.parentElement.querySelectorAll(
+          `[data-el-outline-definition-item][data-file]`,
+        ),
+      ).map((definitionEl) => definitionEl.textContent.trim());
+
+      const symbols = (symbolsBySectionId[sectionId] || []).filter(
+        (symbol) =>
+          symbol.kind !== "defmodule" ||
+          !evaluatedLabels.includes(symbol.label),
+      );
+
+      // This runs on every page update, so we only replace the
+      // elements when the symbols change
+      const key = JSON.stringify(symbols);
+
+      if (this.outlineSymbolsKeys.get(symbolsEl) !== key) {
+        this.outlineSymbolsKeys.set(symbolsEl, key);
+        symbolsEl.replaceChildren(
+          ...symbols.map((symbol) => this.outlineSymbolElement(symbol)),
+        );
+      }
+    }
+  },
+
+  outlineSymbolElement(symbol) {
+    const symbolEl = document.createElement("button");
+    symbolEl.classList.add(
+      "flex",
+      "items-baseline",
+      "max-w-full",
+      "text-gray-600",
+      "hover:text-gray-900",
+      "text-sm",
+      "gap-1",
+    );
+    symbolEl.setAttribute("data-el-outline-definition-item", "");
+    symbolEl.setAttribute("data-cell-id", symbol.cellId);
+    symbolEl.setAttribute("data-line", symbol.line.toString());
+
+    // Definitions are listed under their module
+    if (symbol.module) {
+      symbolEl.classList.add("ml-4");
+    }
+
+    const iconEl = document.createElement("i");
+    iconEl.classList.add(
+      symbol.kind === "defmodule" ? "ri-braces-line" : "ri-function-line",
+      "font-normal",
+      "opacity-50",
+    );
+
+    const nameEl = document.createElement("span");
+    nameEl.classList.add("font-mono", "break-all", "text-left");
+    nameEl.textContent =
+      symbol.kind === "defmodule"
+        ? symbol.name
+        : `${symbol.kind} ${symbol.name}`;
+
+    symbolEl.append(iconEl, nameEl);
+
+    return symbolEl;
+  },
+
   // Helpers
 
   focusedCellType() {
@@ -1372,6 +2589,11 @@ const Session = {
     }
   },
 
+  getCellType(cellId) {
+    const el = this.getFocusableEl(cellId);
+    return el && el.getAttribute("data-type");
+  },
+
   nearbyFocusableId(focusableId, offset) {
     const focusableIds = this.getFocusableIds();
 
@@ -1441,6 +2663,12 @@ const Session = {
     );
   },
 
+  getCellIds() {
+    return this.getFocusableEls()
+      .filter((el) => el.hasAttribute("data-el-cell"))
+      .map((el) => el.getAttribute("data-focusable-id"));
+  },
+
   getSectionIdByFocusableId(focusableId) {
     const el = this.getFocusableEl(focusableId);
     const section = el.closest(`[data-el-section]`);
@@ -1468,6 +2696,10 @@ const Session = {
 
   jumpToLine(file, line) {
     const [_filename, cellId] = file.split("#cell:");
+    this.jumpToCellLine(cellId, line);
+  },
+
+  jumpToCellLine(cellId, line) {
     this.setFocusedEl(cellId, { scroll: false });
     this.setInsertMode(true);
 
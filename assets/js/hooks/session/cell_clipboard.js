@@ -0,0 +1,182 @@
+/**
+ * The clipboard type for the structured cells representation.
+ *
+ * Browsers only allow custom types with the "web " prefix, which are
+ * not visible to other applications.
+ */
+export const CELLS_CLIPBOARD_TYPE = "web application/x-livebook-cells+json";
+
+/**
+ * Serializes the given cells for the clipboard.
+ *
+ * Each cell is an object with `type` and `source`, code cells also
+ * have `language`, while smart cells have `kind` and `attrs`.
+ */
+export function encodeCells(cells) {
+  return JSON.stringify({ livebook_cells: cells });
+}
+
+/**
+ * Parses the structured clipboard content, as returned by `encodeCells`.
+ *
+ * Returns a list of cells or `null`, if the text does not represent
+ * Livebook cells.
+ */
+export function decodeCells(text) {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+
+  if (!data || !Array.isArray(data.livebook_cells)) {
+    return null;
+  }
+
+  const cells = data.livebook_cells;
+
+  if (cells.length === 0 || !cells.every(isValidCell)) {
+    return null;
+  }
+
+  return cells.map(({ type, language, kind, attrs, source }) => {
+    if (type === "code") {
+      return { type, language, source };
+    } else if (type === "smart") {
+      return { type, kind, attrs, source };
+    } else {
+      return { type, source };
+    }
+  });
+}
+
+function isValidCell(cell) {
+  if (!cell || typeof cell.source !== "string") {
+    return false;
+  }
+
+  if (cell.type === "markdown") {
+    return true;
+  } else if (cell.type === "code") {
+    return typeof cell.language === "string";
+  } else if (cell.type === "smart") {
+    return (
+      typeof cell.kind === "string" &&
+      !!cell.attrs &&
+      typeof cell.attrs === "object" &&
+      !Array.isArray(cell.attrs)
+    );
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Writes cells to the clipboard.
+ *
+ * Expects a promise resolving to `{ cells, markdown }`, where `cells`
+ * is the structured representation and `markdown` is the Live Markdown
+ * text. The structured representation is only written when the
+ * browser supports custom clipboard types.
+ *
+ * We pass the promise straight to the clipboard, rather than awaiting
+ * it, since some browsers only allow writing during the user
+ * interaction.
+ *
+ * Returns a promise, which rejects if the clipboard is not accessible.
+ */
+export function writeCellsToClipboard(contentPromise) {
+  if (!("clipboard" in navigator)) {
+    return Promise.reject(new Error("clipboard is not available"));
+  }
+
+  if (typeof ClipboardItem === "undefined") {
+    return contentPromise.then(({ markdown }) =>
+      navigator.clipboard.writeText(markdown),
+    );
+  }
+
+  const data = {
+    "text/plain": contentPromise.then(
+      ({ markdown }) => new Blob([markdown], { type: "text/plain" }),
+    ),
+  };
+
+  if (ClipboardItem.supports && ClipboardItem.supports(CELLS_CLIPBOARD_TYPE)) {
+    data[CELLS_CLIPBOARD_TYPE] = contentPromise.then(
+      ({ cells }) =>
+        new Blob([encodeCells(cells)], {
+          type: CELLS_CLIPBOARD_TYPE.replace("web ", ""),
+        }),
+    );
+  }
+
+  return navigator.clipboard.write([new ClipboardItem(data)]);
+}
+
+/**
+ * Reads cells from the clipboard.
+ *
+ * Returns a promise resolving to `{ cells }`, when the clipboard has
+ * the structured representation, otherwise to `{ markdown }` with the
+ * plain text. Resolves to `null` if there is nothing to paste.
+ *
+ * ## Options
+ *
+ *   * `structuredOnly` - whether to ignore the plain text. Defaults
+ *     to `false`
+ *
+ */
+export function readCellsFromClipboard({ structuredOnly = false } = {}) {
+  if (!("clipboard" in navigator)) {
+    return Promise.reject(new Error("clipboard is not available"));
+  }
+
+  if (!navigator.clipboard.read) {
+    return structuredOnly
+      ? Promise.resolve(null)
+      : navigator.clipboard.readText().then(textToContent);
+  }
+
+  return navigator.clipboard.read().then((items) => {
+    const cellsItem = items.find((item) =>
+      item.types.includes(CELLS_CLIPBOARD_TYPE),
+    );
+
+    const readText = () => (structuredOnly ? null : readTextContent(items));
+
+    if (cellsItem) {
+      return readItemText(cellsItem, CELLS_CLIPBOARD_TYPE).then((text) => {
+        const cells = decodeCells(text);
+        return cells ? { cells } : readText();
+      });
+    }
+
+    return readText();
+  });
+}
+
+function readTextContent(items) {
+  const textItem = items.find((item) => item.types.includes("text/plain"));
+
+  if (textItem) {
+    return readItemText(textItem, "text/plain").then(textToContent);
+  }
+
+  return null;
+}
+
+function readItemText(item, type) {
+  return item.getType(type).then((blob) => blob.text());
+}
+
+/**
+ * Returns the content to paste for plain text from the clipboard.
+ *
+ * The text is treated as Live Markdown, which may be any Markdown.
+ */
+export function textToContent(text) {
+  return text.trim() === "" ? null : { markdown: text };
+}
@@ -0,0 +1,20 @@
+/**
+ * Returns the ids between (and including) the given boundary ids,
+ * in the order of `cellIds`.
+ *
+ * The boundaries may be given in any order. Returns an empty list if
+ * either of them is missing.
+ */
+export function cellIdsBetween(cellIds, fromId, toId) {
+  const fromIndex = cellIds.indexOf(fromId);
+  const toIndex = cellIds.indexOf(toId);
+
+  if (fromIndex === -1 || toIndex === -1) {
+    return [];
+  }
+
+  return cellIds.slice(
+    Math.min(fromIndex, toIndex),
+    Math.max(fromIndex, toIndex) + 1,
+  );
+}
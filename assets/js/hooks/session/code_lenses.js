@@ -0,0 +1,52 @@
+import { isValidName } from "./references";
+
+/**
+ * Builds code lenses for function definitions in the given Elixir
+ * source.
+ *
+ * Expects symbols found in the source, as returned by `findSymbols`,
+ * and a map with the number of calls for each qualified function
+ * name, as returned by `countFunctionCalls`. The counts may come from
+ * multiple sources, so that calls across the notebook are included.
+ *
+ * Returns a list of code lenses in the source order, each lens is an
+ * object with the following properties:
+ *
+ *   * `line` - the line where the definition starts
+ *
+ *   * `offset` - the function name offset within the line
+ *
+ *   * `references` - the number of calls to the function, regardless
+ *     of arity
+ *
+ */
+export function findCodeLenses(source, symbols, callCounts) {
+  const lines = source.split("\n");
+
+  return symbols.flatMap((symbol) => {
+    if (symbol.kind === "defmodule" || !symbol.module) {
+      return [];
+    }
+
+    const name = symbol.name.slice(0, symbol.name.lastIndexOf("/"));
+
+    // Operators are not called the same way as named functions
+    if (!isValidName(name)) {
+      return [];
+    }
+
+    const lineText = lines[symbol.line - 1];
+    const offset = lineText.indexOf(
+      name,
+      lineText.indexOf(symbol.kind) + symbol.kind.length,
+    );
+
+    return [
+      {
+        line: symbol.line,
+        offset: Math.max(offset, 0),
+        references: callCounts.get(`${symbol.module}.${name}`) || 0,
+      },
+    ];
+  });
+}
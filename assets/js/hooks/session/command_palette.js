@@ -0,0 +1,303 @@
+import { fuzzyMatch } from "../../lib/text_utils";
+
+/**
+ * The maximum number of items rendered in the palette.
+ */
+const MAX_ITEMS = 50;
+
+/**
+ * Renders a fuzzy-searchable palette of actions.
+ *
+ * The items are loaded using the `getItems` function, whenever the
+ * palette is opened. Each item is an object with the following
+ * properties:
+ *
+ *   * `title` - the text to search by
+ *
+ *   * `run` - a function called when the item is selected
+ *
+ *   * `kind` (optional) - a short label describing the item
+ *
+ *   * `shortcut` (optional) - a list of keys to show next to the item
+ *
+ * The palette closes whenever it loses focus, before the selected
+ * item is run.
+ *
+ * The same palette may be opened with a different set of items, to
+ * serve as a picker (see `open`).
+ */
+export default class CommandPalette {
+  constructor(container, { getItems }) {
+    this.container = container;
+    this.getItems = getItems;
+    this.placeholder = "Search actions, sections and definitions";
+    this.items = [];
+    this.results = [];
+    this.selectedIndex = 0;
+
+    this.render();
+  }
+
+  /**
+   * Checks if the palette is currently shown.
+   */
+  isOpen() {
+    return !this.container.classList.contains("hidden");
+  }
+
+  /**
+   * Shows the palette with the latest items and focuses the search
+   * input.
+   *
+   * Accepts `getItems` and `placeholder` options, which override the
+   * defaults until the palette is closed.
+   */
+  open({ getItems = this.getItems, placeholder = this.placeholder } = {}) {
+    this.items = getItems();
+    this.inputEl.value = "";
+    this.inputEl.placeholder = placeholder;
+    this.container.classList.remove("hidden");
+    this.inputEl.focus();
+    this.updateResults();
+  }
+
+  /**
+   * Hides the palette.
+   */
+  close() {
+    if (this.isOpen()) {
+      this.container.classList.add("hidden");
+      this.items = [];
+      this.results = [];
+      this.listEl.replaceChildren();
+      this.inputEl.blur();
+    }
+  }
+
+  /** @private */
+  render() {
+    const overlayEl = document.createElement("div");
+    overlayEl.classList.add("absolute", "inset-0", "bg-gray-500", "opacity-75");
+    overlayEl.setAttribute("aria-hidden", "true");
+    overlayEl.addEventListener("click", () => this.close());
+
+    const boxEl = document.createElement("div");
+    boxEl.classList.add(
+      "relative",
+      "max-w-xl",
+      "mx-auto",
+      "mt-24",
+      "bg-white",
+      "rounded-lg",
+      "shadow-xl",
+      "overflow-hidden",
+    );
+    boxEl.setAttribute("role", "dialog");
+    boxEl.setAttribute("aria-label", "command palette");
+
+    this.inputEl = document.createElement("input");
+    this.inputEl.type = "text";
+    this.inputEl.placeholder = this.placeholder;
+    this.inputEl.setAttribute("aria-label", "search");
+    this.inputEl.setAttribute("autocomplete", "off");
+    this.inputEl.setAttribute("spellcheck", "false");
+    this.inputEl.classList.add(
+      "w-full",
+      "px-4",
+      "py-3",
+      "text-gray-700",
+      "border-b",
+      "border-gray-200",
+      "focus:outline-none",
+    );
+    this.inputEl.addEventListener("input", () => this.updateResults());
+    this.inputEl.addEventListener("keydown", (event) =>
+      this.handleInputKeyDown(event),
+    );
+    this.inputEl.addEventListener("blur", () => this.close());
+
+    this.listEl = document.createElement("div");
+    this.listEl.classList.add("max-h-96", "overflow-y-auto", "py-2");
+    this.listEl.setAttribute("role", "listbox");
+    // Keep focus in the input, so that the palette stays open
+    this.listEl.addEventListener("mousedown", (event) =>
+      event.preventDefault(),
+    );
+    this.listEl.addEventListener("click", (event) => {
+      const itemEl = event.target.closest(`[data-index]`);
+
+      if (itemEl) {
+        this.runResult(parseInt(itemEl.getAttribute("data-index"), 10));
+      }
+    });
+
+    boxEl.append(this.inputEl, this.listEl);
+    this.container.replaceChildren(overlayEl, boxEl);
+  }
+
+  /** @private */
+  handleInputKeyDown(event) {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      this.select(this.selectedIndex + 1);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      this.select(this.selectedIndex - 1);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      this.runResult(this.selectedIndex);
+    } else if (event.key === "Escape") {
+      this.close();
+    }
+  }
+
+  /** @private */
+  updateResults() {
+    this.results = rankByFuzzyMatch(
+      this.items,
+      this.inputEl.value,
+      (item) => item.title,
+    ).slice(0, MAX_ITEMS);
+
+    if (this.results.length === 0) {
+      const emptyEl = document.createElement("div");
+      emptyEl.classList.add("px-4", "py-2", "text-sm", "text-gray-500");
+      emptyEl.textContent = "No matching results";
+      this.listEl.replaceChildren(emptyEl);
+    } else {
+      this.listEl.replaceChildren(
+        ...this.results.map((result, index) => renderResult(result, index)),
+      );
+    }
+
+    this.select(0);
+  }
+
+  /** @private */
+  select(index) {
+    if (this.results.length === 0) {
+      this.selectedIndex = 0;
+      return;
+    }
+
+    this.selectedIndex = Math.max(0, Math.min(index, this.results.length - 1));
+
+    this.listEl.querySelectorAll(`[data-index]`).forEach((itemEl) => {
+      const isSelected =
+        parseInt(itemEl.getAttribute("data-index"), 10) === this.selectedIndex;
+
+      itemEl.classList.toggle("bg-gray-100", isSelected);
+      itemEl.setAttribute("aria-selected", isSelected.toString());
+
+      if (isSelected) {
+        itemEl.scrollIntoView({ block: "nearest" });
+      }
+    });
+  }
+
+  /** @private */
+  runResult(index) {
+    const result = this.results[index];
+
+    if (result) {
+      this.close();
+      result.item.run();
+    }
+  }
+}
+
+function renderResult({ item, indices }, index) {
+  const itemEl = document.createElement("div");
+  itemEl.classList.add(
+    "flex",
+    "items-center",
+    "justify-between",
+    "gap-4",
+    "px-4",
+    "py-2",
+    "text-sm",
+    "text-gray-700",
+    "cursor-pointer",
+    "hover:bg-gray-50",
+  );
+  itemEl.setAttribute("role", "option");
+  itemEl.setAttribute("data-index", index.toString());
+
+  const titleEl = document.createElement("span");
+  titleEl.classList.add("truncate");
+
+  // Highlight the matched characters
+  const matched = new Set(indices);
+
+  item.title.split("").forEach((char, charIndex) => {
+    if (matched.has(charIndex)) {
+      const charEl = document.createElement("span");
+      charEl.classList.add("font-semibold", "text-gray-900");
+      charEl.textContent = char;
+      titleEl.append(charEl);
+    } else {
+      titleEl.append(char);
+    }
+  });
+
+  const detailsEl = document.createElement("span");
+  detailsEl.classList.add("flex", "items-center", "gap-1", "shrink-0");
+
+  if (item.kind) {
+    const kindEl = document.createElement("span");
+    kindEl.classList.add("text-xs", "text-gray-400");
+    kindEl.textContent = item.kind;
+    detailsEl.append(kindEl);
+  }
+
+  if (item.shortcut) {
+    for (const key of item.shortcut) {
+      const keyEl = document.createElement("kbd");
+      keyEl.classList.add(
+        "px-1.5",
+        "py-0.5",
+        "text-xs",
+        "font-mono",
+        "text-gray-600",
+        "bg-gray-100",
+        "border",
+        "border-gray-200",
+        "rounded",
+      );
+      keyEl.textContent = key;
+      detailsEl.append(keyEl);
+    }
+  }
+
+  itemEl.append(titleEl, detailsEl);
+
+  return itemEl;
+}
+
+/**
+ * Filters and sorts items by how well their text matches the query.
+ *
+ * Returns a list of `{ item, indices }` objects, where `indices` are
+ * the matched text characters. For an empty query, all items are
+ * returned in the original order.
+ */
+export function rankByFuzzyMatch(items, query, getText) {
+  if (query === "") {
+    return items.map((item) => ({ item, indices: [] }));
+  }
+
+  return items
+    .map((item, index) => {
+      const text = getText(item);
+      const match = fuzzyMatch(query, text);
+      return match && { item, index, length: text.length, ...match };
+    })
+    .filter((result) => result)
+    .sort(
+      (result1, result2) =>
+        result2.score - result1.score ||
+        result1.length - result2.length ||
+        result1.index - result2.index,
+    )
+    .map(({ item, indices }) => ({ item, indices }));
+}
@@ -0,0 +1,116 @@
+/**
+ * A registry of session actions (commands).
+ *
+ * Each command is an object with the following properties:
+ *
+ *   * `id` - a unique command identifier
+ *
+ *   * `title` - a human-readable command description, shown in the
+ *     command palette
+ *
+ *   * `run` - a function performing the action
+ *
+ *   * `keys` (optional) - the default sequence of keys triggering
+ *     the command in navigation mode, as matched by `KeyBuffer`. The
+ *     keys may be rebound with a keymap, see `setKeymap`
+ *
+ *   * `shortcut` (optional) - a list of keys to display as the command
+ *     shortcut, defaults to the bound keys. This is useful for commands
+ *     with modifier shortcuts, which are handled separately
+ *
+ *   * `isAvailable` (optional) - a function checking if the command
+ *     can be run in the current state
+ *
+ */
+export default class CommandRegistry {
+  constructor() {
+    this.commands = [];
+    this.keymap = {};
+  }
+
+  /**
+   * Sets key bindings, overriding the default command keys.
+   *
+   * The keymap is an object mapping command ids to key sequences,
+   * where `null` means the command is not bound.
+   */
+  setKeymap(keymap) {
+    this.keymap = keymap;
+  }
+
+  /**
+   * Returns the keys bound to the given command, if any.
+   */
+  getKeys(command) {
+    if (command.id in this.keymap) {
+      return this.keymap[command.id];
+    }
+
+    return command.keys || null;
+  }
+
+  /**
+   * Adds the given command to the registry.
+   *
+   * Returns a subscription object with `destroy` method that removes
+   * the command.
+   */
+  register(command) {
+    if (this.commands.some(({ id }) => id === command.id)) {
+      throw new Error(`a command with id ${command.id} is already registered`);
+    }
+
+    this.commands.push(command);
+
+    return {
+      destroy: () => {
+        const index = this.commands.indexOf(command);
+
+        if (index !== -1) {
+          this.commands.splice(index, 1);
+        }
+      },
+    };
+  }
+
+  /**
+   * Returns all commands that are currently available, in the order
+   * of registration.
+   */
+  getAvailableCommands() {
+    return this.commands.filter(isAvailable);
+  }
+
+  /**
+   * Finds a command with keys matching the end of the given buffer.
+   *
+   * Longer sequences take precedence, so for example "v c" is matched
+   * rather than "c". If a command matches, the buffer is reset.
+   */
+  matchKeys(keyBuffer) {
+    const candidates = this.commands
+      .map((command) => ({ command, keys: this.getKeys(command) }))
+      .filter(({ keys }) => keys && keys.length > 0)
+      .sort(
+        (candidate1, candidate2) =>
+          candidate2.keys.length - candidate1.keys.length,
+      );
+
+    const match = candidates.find(({ keys }) => keyBuffer.tryMatch(keys));
+
+    return match ? match.command : null;
+  }
+
+  /**
+   * Runs the given command, unless it is currently unavailable.
+   */
+  run(command) {
+    if (isAvailable(command)) {
+      command.run();
+    }
+  }
+}
+
+function isAvailable(command) {
+  return !command.isAvailable || command.isAvailable();
+}
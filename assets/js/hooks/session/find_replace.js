@@ -0,0 +1,71 @@
+/**
+ * Helpers for searching and replacing text in cell sources.
+ */
+
+/**
+ * Builds a global regular expression for the given search query.
+ *
+ * Unless `regex` is enabled, the query is matched literally. Throws
+ * a `SyntaxError` if the query is not a valid regular expression.
+ */
+export function buildSearchRegExp(query, { regex, caseSensitive }) {
+  const pattern = regex ? query : escapeRegExp(query);
+  const flags = caseSensitive ? "gm" : "gim";
+  return new RegExp(pattern, flags);
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Finds all matches of the given regular expression in the source.
+ *
+ * Returns a list of matches with `from` and `to` offsets, 1-based
+ * `line`, 0-based `offset` within the line and the full `lineText`.
+ */
+export function findMatches(source, searchRegExp) {
+  const matches = [];
+
+  let line = 1;
+  let lineFrom = 0;
+
+  for (const match of source.matchAll(searchRegExp)) {
+    const from = match.index;
+
+    // Advance the line counter up to the match position
+    let newlineIndex = source.indexOf("\n", lineFrom);
+
+    while (newlineIndex !== -1 && newlineIndex < from) {
+      line++;
+      lineFrom = newlineIndex + 1;
+      newlineIndex = source.indexOf("\n", lineFrom);
+    }
+
+    const lineTo = newlineIndex === -1 ? source.length : newlineIndex;
+
+    matches.push({
+      from,
+      to: from + match[0].length,
+      line,
+      offset: from - lineFrom,
+      lineText: source.slice(lineFrom, lineTo),
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Replaces all matches of the given regular expression in the source.
+ *
+ * When `regex` is enabled, the replacement may reference capture
+ * groups (such as `$1`), otherwise it is inserted literally.
+ */
+export function replaceMatches(source, searchRegExp, replacement, { regex }) {
+  if (regex) {
+    return source.replace(searchRegExp, replacement);
+  } else {
+    return source.replace(searchRegExp, () => replacement);
+  }
+}
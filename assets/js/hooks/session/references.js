@@ -0,0 +1,381 @@
+import { elixirLanguage } from "codemirror-lang-elixir";
+import Delta from "../../lib/delta";
+
+const RESERVED_WORDS = [
+  "after",
+  "and",
+  "catch",
+  "do",
+  "else",
+  "end",
+  "false",
+  "fn",
+  "in",
+  "nil",
+  "not",
+  "or",
+  "rescue",
+  "true",
+  "when",
+];
+
+/**
+ * Returns the symbol at the given position in the Elixir source.
+ *
+ * The position is an object with 1-based `line` and 0-based `offset`
+ * within the line, as returned by `LiveEditor.getCurrentCursorPosition`.
+ *
+ * A symbol is either a variable or a function:
+ *
+ *   * `{ type: "variable", name, scope }` - the scope is the index of
+ *     the enclosing function or module definition in the source, or
+ *     `null` for variables bound at the top level, which are shared
+ *     across cells
+ *
+ *   * `{ type: "function", name, module }` - the module is the name
+ *     of the module the function belongs to, or `null` if it cannot
+ *     be determined, as for local calls outside of a module
+ *
+ * Returns `null` if there is no identifier at the position, or it
+ * is not a reference, such as a field access or module attribute.
+ */
+export function symbolAt(source, { line, offset }) {
+  const tree = elixirLanguage.parser.parse(source);
+  const scopes = scopeNodes(tree, source);
+
+  const pos =
+    source
+      .split("\n")
+      .slice(0, line - 1)
+      .reduce((from, lineText) => from + lineText.length + 1, 0) + offset;
+
+  // The cursor may be right after the identifier, so we look at both
+  // sides of the position
+  for (const side of [1, -1]) {
+    const node = tree.resolveInner(pos, side);
+
+    if (node.name === "Identifier") {
+      const symbol = symbolForNode(node, source, scopes);
+      return symbol && symbol.name !== "_" ? symbol : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds all references to the given symbol in the Elixir source.
+ *
+ * For variables, these are occurrences of the variable in the same
+ * scope. Variables in a function or module scope are local to the
+ * cell they come from, so the caller should only look for them in
+ * that cell. Shadowing within anonymous functions and comprehensions
+ * is not tracked.
+ *
+ * For functions, these are definitions and local calls within the
+ * module, as well as qualified calls anywhere, regardless of arity.
+ * Imported and aliased calls are not resolved.
+ *
+ * Returns a list of references in the same format as `findMatches`,
+ * additionally every reference has a `definition` flag, which is set
+ * for function definitions.
+ */
+export function findReferences(source, symbol) {
+  const tree = elixirLanguage.parser.parse(source);
+  const scopes = scopeNodes(tree, source);
+
+  const references = [];
+
+  let line = 1;
+  let lineFrom = 0;
+
+  tree.iterate({
+    enter: (nodeRef) => {
+      if (nodeRef.name !== "Identifier") {
+        return;
+      }
+
+      const { from, to } = nodeRef;
+
+      if (source.slice(from, to) !== symbol.name) {
+        return;
+      }
+
+      const nodeSymbol = symbolForNode(nodeRef.node, source, scopes);
+
+      if (!nodeSymbol || !isSameSymbol(nodeSymbol, symbol)) {
+        return;
+      }
+
+      // Nodes are visited in the source order, so we count lines as
+      // we go
+      let newlineIndex = source.indexOf("\n", lineFrom);
+
+      while (newlineIndex !== -1 && newlineIndex < from) {
+        line++;
+        lineFrom = newlineIndex + 1;
+        newlineIndex = source.indexOf("\n", lineFrom);
+      }
+
+      const lineTo = newlineIndex === -1 ? source.length : newlineIndex;
+
+      references.push({
+        from,
+        to,
+        line,
+        offset: from - lineFrom,
+        lineText: source.slice(lineFrom, lineTo),
+        definition: isFunctionDefinitionName(nodeRef.node),
+      });
+    },
+  });
+
+  return references;
+}
+
+/**
+ * Counts calls to module functions in the Elixir source.
+ *
+ * These are the same references as found by `findReferences`,
+ * excluding definitions and calls for which the module cannot be
+ * determined.
+ *
+ * Returns a map from the qualified function name, such as
+ * `"Math.fact"`, to the number of calls. Optionally, the syntax tree
+ * can be given, in case the source has already been parsed.
+ */
+export function countFunctionCalls(
+  source,
+  tree = elixirLanguage.parser.parse(source),
+) {
+  const scopes = scopeNodes(tree, source);
+  const counts = new Map();
+
+  tree.iterate({
+    enter: (nodeRef) => {
+      if (
+        nodeRef.name !== "Identifier" ||
+        isFunctionDefinitionName(nodeRef.node)
+      ) {
+        return;
+      }
+
+      const symbol = symbolForNode(nodeRef.node, source, scopes);
+
+      if (symbol && symbol.type === "function" && symbol.module) {
+        const label = symbolLabel(symbol);
+        counts.set(label, (counts.get(label) || 0) + 1);
+      }
+    },
+  });
+
+  return counts;
+}
+
+/**
+ * Returns a human-readable name of the given symbol.
+ */
+export function symbolLabel(symbol) {
+  return symbol.type === "function" && symbol.module
+    ? `${symbol.module}.${symbol.name}`
+    : symbol.name;
+}
+
+function isSameSymbol(symbol1, symbol2) {
+  return (
+    symbol1.type === symbol2.type &&
+    symbol1.name === symbol2.name &&
+    symbol1.scope === symbol2.scope &&
+    symbol1.module === symbol2.module
+  );
+}
+
+function symbolForNode(node, source, scopes) {
+  const parent = node.parent;
+  const grandparent = parent && parent.parent;
+  const name = source.slice(node.from, node.to);
+
+  if (!parent) {
+    return { type: "variable", name, scope: null };
+  }
+
+  // Calls such as def, defmodule or if
+  if (
+    ["KernelCall", "FunctionDefinitionCall"].includes(parent.name) &&
+    parent.firstChild.from === node.from
+  ) {
+    return null;
+  }
+
+  // Module attributes
+  if (
+    parent.name === "Call" &&
+    grandparent &&
+    grandparent.name === "AtOperator"
+  ) {
+    return null;
+  }
+
+  // Remote calls and field access
+  if (parent.name === "Right" && grandparent && grandparent.name === "Dot") {
+    const left = grandparent.firstChild;
+
+    return left.name === "Alias"
+      ? { type: "function", name, module: source.slice(left.from, left.to) }
+      : null;
+  }
+
+  if (isFunctionDefinitionName(node) || isLocalCall(node)) {
+    return { type: "function", name, module: moduleName(node, source) };
+  }
+
+  const scope = enclosingScope(node, source);
+
+  return {
+    type: "variable",
+    name,
+    scope: scope ? scopes.indexOf(scope.from) : null,
+  };
+}
+
+function isLocalCall(node) {
+  const parent = node.parent;
+
+  if (parent.name === "Call") {
+    return parent.firstChild.from === node.from;
+  }
+
+  // Captures, such as &map/1
+  return (
+    parent.name === "BinaryOperator" &&
+    parent.firstChild.from === node.from &&
+    parent.parent &&
+    parent.parent.name === "CaptureOperator"
+  );
+}
+
+function isFunctionDefinitionName(node) {
+  let parent = node.parent;
+
+  if (parent && parent.name === "Call") {
+    if (parent.firstChild.from !== node.from) {
+      return false;
+    }
+
+    node = parent;
+    parent = node.parent;
+  }
+
+  // Guards, as in def name(x) when x > 0
+  if (parent && parent.name === "WhenOperator") {
+    if (parent.firstChild.from !== node.from) {
+      return false;
+    }
+
+    node = parent;
+    parent = node.parent;
+  }
+
+  return (
+    parent !== null &&
+    parent.name === "Arguments" &&
+    parent.firstChild.from === node.from &&
+    parent.parent !== null &&
+    parent.parent.name === "FunctionDefinitionCall"
+  );
+}
+
+function isModuleDefinition(node, source) {
+  return (
+    node.name === "KernelCall" &&
+    source.slice(node.firstChild.from, node.firstChild.to) === "defmodule"
+  );
+}
+
+function enclosingScope(node, source) {
+  for (let scope = node.parent; scope; scope = scope.parent) {
+    if (
+      scope.name === "FunctionDefinitionCall" ||
+      isModuleDefinition(scope, source)
+    ) {
+      return scope;
+    }
+  }
+
+  return null;
+}
+
+// Returns the full name of the enclosing module, accounting for
+// nested modules
+function moduleName(node, source) {
+  const names = [];
+
+  for (let scope = node.parent; scope; scope = scope.parent) {
+    if (isModuleDefinition(scope, source)) {
+      const arguments_ = scope.getChild("Arguments");
+      const alias = arguments_ && arguments_.getChild("Alias");
+
+      if (!alias) {
+        return null;
+      }
+
+      names.unshift(source.slice(alias.from, alias.to));
+    }
+  }
+
+  return names.length > 0 ? names.join(".") : null;
+}
+
+// Returns start positions of all nodes that introduce a variable
+// scope, in the source order, so that a scope can be identified by
+// its index
+function scopeNodes(tree, source) {
+  const positions = [];
+
+  tree.iterate({
+    enter: (nodeRef) => {
+      if (
+        nodeRef.name === "FunctionDefinitionCall" ||
+        (nodeRef.name === "KernelCall" &&
+          isModuleDefinition(nodeRef.node, source))
+      ) {
+        positions.push(nodeRef.from);
+      }
+    },
+  });
+
+  return positions;
+}
+
+/**
+ * Checks if the given name can be used as a variable or function
+ * name.
+ */
+export function isValidName(name) {
+  return (
+    /^[a-z_][a-zA-Z0-9_]*[?!]?$/.test(name) && !RESERVED_WORDS.includes(name)
+  );
+}
+
+/**
+ * Builds a delta replacing all of the given references with the new
+ * name.
+ *
+ * The references are expected in the source order, as returned by
+ * `findReferences`.
+ */
+export function renameReferencesDelta(references, newName) {
+  const delta = new Delta();
+  let pos = 0;
+
+  for (const reference of references) {
+    delta
+      .retain(reference.from - pos)
+      .delete(reference.to - reference.from)
+      .insert(newName);
+
+    pos = reference.to;
+  }
+
+  return delta;
+}
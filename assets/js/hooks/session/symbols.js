@@ -0,0 +1,185 @@
+import { elixirLanguage } from "codemirror-lang-elixir";
+
+const FUNCTION_DEFINITION_KINDS = ["def", "defp", "defmacro", "defmacrop"];
+
+/**
+ * Finds module and function definitions in the given Elixir source.
+ *
+ * Returns a list of symbols in the source order, each symbol is an
+ * object with the following properties:
+ *
+ *   * `kind` - either "defmodule" or one of the function definition
+ *     calls, such as "def" or "defp"
+ *
+ *   * `name` - module name, or function name with arity
+ *
+ *   * `module` - the enclosing module name, if any. Nested modules
+ *     are named the same way as Elixir does it
+ *
+ *   * `label` - the fully qualified symbol name
+ *
+ *   * `line` - the line where the definition starts
+ *
+ * Multi-clause functions are listed once. Definitions with a dynamic
+ * name, such as `def unquote(name)()`, are skipped.
+ *
+ * Optionally, the syntax tree can be given, in case the source has
+ * already been parsed.
+ */
+export function findSymbols(
+  source,
+  tree = elixirLanguage.parser.parse(source),
+) {
+  const symbols = [];
+  const modules = [];
+  const labels = new Set();
+
+  // Nodes are visited in the source order, so we count lines as we go
+  let line = 1;
+  let linePos = 0;
+
+  const lineAt = (pos) => {
+    for (; linePos < pos; linePos++) {
+      if (source[linePos] === "\n") line++;
+    }
+
+    return line;
+  };
+
+  tree.iterate({
+    enter: (nodeRef) => {
+      if (!["KernelCall", "FunctionDefinitionCall"].includes(nodeRef.name)) {
+        return;
+      }
+
+      const node = nodeRef.node;
+      const kind = callIdentifier(node, source);
+
+      if (node.name === "KernelCall" && kind === "defmodule") {
+        const aliasNode = firstArgument(node);
+
+        if (aliasNode && aliasNode.name === "Alias") {
+          const parent = modules[modules.length - 1];
+          const alias = source.slice(aliasNode.from, aliasNode.to);
+          const name = parent ? `${parent.name}.${alias}` : alias;
+
+          symbols.push({
+            kind,
+            name,
+            module: parent ? parent.name : null,
+            label: name,
+            line: lineAt(node.from),
+          });
+
+          modules.push({ name, node });
+        }
+      } else if (
+        node.name === "FunctionDefinitionCall" &&
+        FUNCTION_DEFINITION_KINDS.includes(kind)
+      ) {
+        const signature = functionSignature(firstArgument(node), source);
+
+        if (signature) {
+          const module = modules[modules.length - 1];
+          const name = `${signature.name}/${signature.arity}`;
+          const label = module ? `${module.name}.${name}` : name;
+
+          // Multi-clause functions are listed once, at the first clause
+          if (!labels.has(label)) {
+            labels.add(label);
+
+            symbols.push({
+              kind,
+              name,
+              module: module ? module.name : null,
+              label,
+              line: lineAt(node.from),
+            });
+          }
+        }
+
+        // Definitions cannot be nested in function bodies
+        return false;
+      }
+    },
+
+    leave: (nodeRef) => {
+      const module = modules[modules.length - 1];
+
+      if (
+        module &&
+        module.node.from === nodeRef.from &&
+        module.node.to === nodeRef.to
+      ) {
+        modules.pop();
+      }
+    },
+  });
+
+  return symbols;
+}
+
+function callIdentifier(node, source) {
+  const identifierNode = node.getChild("Identifier");
+  return identifierNode && source.slice(identifierNode.from, identifierNode.to);
+}
+
+function firstArgument(node) {
+  const argumentsNode = node.getChild("Arguments");
+  return argumentsNode && argumentsNode.firstChild;
+}
+
+function functionSignature(headNode, source) {
+  if (!headNode) {
+    return null;
+  }
+
+  // Skip guards, as in `def fun(x) when is_integer(x)`
+  if (headNode.name === "WhenOperator") {
+    headNode = headNode.firstChild;
+  }
+
+  if (headNode.name === "Identifier") {
+    return { name: source.slice(headNode.from, headNode.to), arity: 0 };
+  }
+
+  if (headNode.name === "Call") {
+    const identifierNode = headNode.firstChild;
+
+    if (identifierNode.name !== "Identifier") {
+      return null;
+    }
+
+    const argumentsNode = headNode.getChild("Arguments");
+
+    return {
+      name: source.slice(identifierNode.from, identifierNode.to),
+      arity: argumentsNode ? countArguments(argumentsNode) : 0,
+    };
+  }
+
+  if (["BinaryOperator", "UnaryOperator"].includes(headNode.name)) {
+    const operatorNode = headNode.getChild("Operator");
+
+    if (operatorNode) {
+      return {
+        name: source.slice(operatorNode.from, operatorNode.to),
+        arity: headNode.name === "BinaryOperator" ? 2 : 1,
+      };
+    }
+  }
+
+  return null;
+}
+
+function countArguments(argumentsNode) {
+  let count = 0;
+
+  for (let child = argumentsNode.firstChild; child; child = child.nextSibling) {
+    if (child.name !== "(" && child.name !== ")") {
+      count++;
+    }
+  }
+
+  return count;
+}
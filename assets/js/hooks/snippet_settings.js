@@ -0,0 +1,207 @@
+import {
+  snippetsStore,
+  SNIPPET_LANGUAGES,
+  normalizeSnippet,
+  exportSnippets,
+  importSnippets,
+} from "../lib/snippets";
+
+/**
+ * A hook for managing user-defined snippets.
+ *
+ * Similarly to the editor settings, snippets are stored locally in
+ * the browser storage. They can be shared with others by exporting
+ * and importing them as JSON.
+ */
+const SnippetSettings = {
+  mounted() {
+    this.listEl = this.el.querySelector(`[data-el-snippets-list]`);
+    this.formEl = this.el.querySelector(`[data-el-snippet-form]`);
+    this.errorEl = this.el.querySelector(`[data-el-snippet-error]`);
+    this.importInput = this.el.querySelector(`[data-el-snippets-import-input]`);
+
+    this.formEl.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.saveSnippet();
+    });
+
+    this.listEl.addEventListener("click", (event) => {
+      const buttonEl = event.target.closest(`[data-snippet-action]`);
+
+      if (buttonEl) {
+        const snippet =
+          snippetsStore.get()[buttonEl.getAttribute("data-snippet-idx")];
+        const action = buttonEl.getAttribute("data-snippet-action");
+
+        if (action === "edit") {
+          this.editSnippet(snippet);
+        } else if (action === "delete") {
+          snippetsStore.remove(snippet);
+        }
+      }
+    });
+
+    this.el
+      .querySelector(`[data-el-snippets-export-button]`)
+      .addEventListener("click", (event) => {
+        this.exportSnippets();
+      });
+
+    this.el
+      .querySelector(`[data-el-snippets-import-button]`)
+      .addEventListener("click", (event) => {
+        this.importInput.click();
+      });
+
+    this.importInput.addEventListener("change", (event) => {
+      const [file] = event.target.files;
+
+      if (file) {
+        file.text().then((json) => this.importSnippets(json));
+      }
+
+      // Allow importing the same file again
+      event.target.value = "";
+    });
+
+    this.snippetsSubscription = snippetsStore.getAndSubscribe((snippets) =>
+      this.renderSnippets(snippets),
+    );
+  },
+
+  destroyed() {
+    this.snippetsSubscription.destroy();
+  },
+
+  renderSnippets(snippets) {
+    if (snippets.length === 0) {
+      const emptyEl = document.createElement("p");
+      emptyEl.classList.add("text-sm", "text-gray-500");
+      emptyEl.textContent = "You have no snippets yet.";
+      this.listEl.replaceChildren(emptyEl);
+      return;
+    }
+
+    const rowEls = snippets.map((snippet, idx) => {
+      const rowEl = document.createElement("div");
+      rowEl.classList.add(
+        "flex",
+        "items-center",
+        "justify-between",
+        "gap-3",
+        "text-gray-700",
+      );
+
+      const infoEl = document.createElement("div");
+      infoEl.classList.add("flex", "items-center", "gap-2", "min-w-0");
+
+      const triggerEl = document.createElement("span");
+      triggerEl.classList.add("font-mono", "text-sm");
+      triggerEl.textContent = snippet.trigger;
+
+      const languageEl = document.createElement("span");
+      languageEl.classList.add(
+        "px-1.5",
+        "rounded",
+        "text-xs",
+        "bg-gray-100",
+        "text-gray-600",
+      );
+      languageEl.textContent = SNIPPET_LANGUAGES[snippet.language];
+
+      const descriptionEl = document.createElement("span");
+      descriptionEl.classList.add("text-sm", "text-gray-500", "truncate");
+      descriptionEl.textContent = snippet.description;
+
+      infoEl.append(triggerEl, languageEl, descriptionEl);
+
+      const actionsEl = document.createElement("div");
+      actionsEl.classList.add("flex", "gap-1");
+
+      actionsEl.append(
+        actionButton("edit", idx, "ri-pencil-line", "Edit snippet"),
+        actionButton("delete", idx, "ri-delete-bin-6-line", "Delete snippet"),
+      );
+
+      rowEl.append(infoEl, actionsEl);
+
+      return rowEl;
+    });
+
+    this.listEl.replaceChildren(...rowEls);
+  },
+
+  saveSnippet() {
+    const formData = new FormData(this.formEl);
+
+    try {
+      const snippet = normalizeSnippet(Object.fromEntries(formData.entries()));
+      snippetsStore.put([snippet]);
+      this.formEl.reset();
+      this.errorEl.textContent = "";
+    } catch (error) {
+      this.errorEl.textContent = `Invalid snippet, ${error.message}`;
+    }
+  },
+
+  editSnippet(snippet) {
+    for (const field of ["trigger", "language", "description", "body"]) {
+      this.formEl.elements[field].value = snippet[field];
+    }
+
+    this.errorEl.textContent = "";
+    this.formEl.elements.body.focus();
+  },
+
+  exportSnippets() {
+    const json = exportSnippets(snippetsStore.get());
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const linkEl = document.createElement("a");
+    linkEl.href = url;
+    linkEl.download = "livebook-snippets.json";
+    linkEl.click();
+
+    // Revoke once the download starts
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  importSnippets(json) {
+    try {
+      snippetsStore.put(importSnippets(json));
+      this.errorEl.textContent = "";
+    } catch (error) {
+      this.errorEl.textContent = `Failed to import snippets, ${error.message}`;
+    }
+  },
+};
+
+function actionButton(action, idx, icon, label) {
+  const buttonEl = document.createElement("button");
+  buttonEl.type = "button";
+  buttonEl.classList.add(
+    "p-1",
+    "flex",
+    "items-center",
+    "justify-center",
+    "rounded-full",
+    "leading-none",
+    "text-gray-500",
+    "hover:text-gray-900",
+    "hover:bg-gray-50",
+    "focus-visible:bg-gray-100",
+    "focus-visible:outline-none",
+  );
+  buttonEl.setAttribute("aria-label", label);
+  buttonEl.setAttribute("data-snippet-action", action);
+  buttonEl.setAttribute("data-snippet-idx", idx);
+
+  const iconEl = document.createElement("i");
+  iconEl.classList.add(icon, "text-lg");
+  buttonEl.appendChild(iconEl);
+
+  return buttonEl;
+}
+
+export default SnippetSettings;
@@ -1,3 +1,5 @@
+import Delta, { isDelete, isInsert, isRetain } from "./delta";
+
 /**
  * Encodes PCM float-32 in native endianness into a WAV binary.
  */
@@ -101,3 +103,121 @@ export function decodeAnnotatedBuffer(raw) {
 
   return [meta, buffer];
 }
+
+const DELTA_OP_RETAIN = 0;
+const DELTA_OP_DELETE = 1;
+const DELTA_OP_INSERT = 2;
+
+/**
+ * Encodes delta into a compact binary representation.
+ *
+ * Each operation starts with an unsigned LEB128 varint header, which
+ * holds the operation type in the two least significant bits and the
+ * length in the remaining bits. Retain and delete operations consist
+ * of the header alone, while insert operations are followed by the
+ * UTF-8 encoded text, in which case the length is the number of bytes.
+ *
+ * See `Livebook.Text.Delta.to_binary/1` for the server counterpart.
+ */
+export function encodeDelta(delta) {
+  const encoder = new TextEncoder();
+  const bytes = [];
+
+  for (const op of delta.ops) {
+    if (isRetain(op)) {
+      writeVarint(bytes, op.retain * 4 + DELTA_OP_RETAIN);
+    } else if (isDelete(op)) {
+      writeVarint(bytes, op.delete * 4 + DELTA_OP_DELETE);
+    } else if (isInsert(op)) {
+      const textArray = encoder.encode(op.insert);
+      writeVarint(bytes, textArray.byteLength * 4 + DELTA_OP_INSERT);
+
+      for (const byte of textArray) {
+        bytes.push(byte);
+      }
+    }
+  }
+
+  return new Uint8Array(bytes).buffer;
+}
+
+/**
+ * Decodes delta from the binary representation built by `encodeDelta`.
+ */
+export function decodeDelta(buffer) {
+  const decoder = new TextDecoder();
+  const array = new Uint8Array(buffer);
+  const delta = new Delta();
+
+  let offset = 0;
+
+  while (offset < array.length) {
+    const [header, headerSize] = readVarint(array, offset);
+    offset += headerSize;
+
+    const type = header % 4;
+    const length = Math.floor(header / 4);
+
+    if (type === DELTA_OP_RETAIN) {
+      delta.retain(length);
+    } else if (type === DELTA_OP_DELETE) {
+      delta.delete(length);
+    } else if (type === DELTA_OP_INSERT) {
+      delta.insert(decoder.decode(array.subarray(offset, offset + length)));
+      offset += length;
+    } else {
+      throw new Error(`Invalid binary delta operation type ${type}`);
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * Builds a single buffer with JSON-serialized `meta` and binary
+ * encoded `delta`.
+ */
+export function encodeDeltaMessage(meta, delta) {
+  return encodeAnnotatedBuffer(meta, encodeDelta(delta));
+}
+
+/**
+ * Decodes buffer built by `encodeDeltaMessage`.
+ */
+export function decodeDeltaMessage(raw) {
+  const [meta, buffer] = decodeAnnotatedBuffer(raw);
+  return [meta, decodeDelta(buffer)];
+}
+
+function writeVarint(bytes, number) {
+  // Note that we use arithmetic operations rather than bitwise ones,
+  // since the latter would truncate the number to 32 bits
+  while (number >= 128) {
+    bytes.push((number % 128) + 128);
+    number = Math.floor(number / 128);
+  }
+
+  bytes.push(number);
+}
+
+function readVarint(array, offset) {
+  let number = 0;
+  let multiplier = 1;
+  let size = 0;
+
+  while (true) {
+    const byte = array[offset + size];
+
+    if (byte === undefined) {
+      throw new Error("Unexpected end of binary delta");
+    }
+
+    number += (byte % 128) * multiplier;
+    multiplier *= 128;
+    size++;
+
+    if (byte < 128) {
+      return [number, size];
+    }
+  }
+}
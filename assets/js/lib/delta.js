@@ -1,3 +1,5 @@
+import { myersDifference } from "./text_utils";
+
 /**
  * Delta is a format used to represent a set of changes introduced to
  * a text document.
@@ -202,6 +204,35 @@ export default class Delta {
     return index;
   }
 
+  /**
+   * Returns a delta reverting the changes of this delta.
+   *
+   * The given `base` string is the document this delta applies to,
+   * which is necessary to restore the deleted text.
+   */
+  invert(base) {
+    const delta = new Delta();
+    let index = 0;
+
+    this.ops.forEach((op) => {
+      if (isRetain(op)) {
+        delta.retain(op.retain);
+        index += op.retain;
+      }
+
+      if (isInsert(op)) {
+        delta.delete(op.insert.length);
+      }
+
+      if (isDelete(op)) {
+        delta.insert(base.slice(index, index + op.delete));
+        index += op.delete;
+      }
+    });
+
+    return delta._trim();
+  }
+
   /**
    * Converts the delta to a compact representation, suitable for sending over the network.
    */
@@ -236,6 +267,26 @@ export default class Delta {
     }, new this());
   }
 
+  /**
+   * Computes Myers Difference between the given strings and returns
+   * its delta representation.
+   *
+   * See `Livebook.Text.Delta.diff/2` for more details.
+   */
+  static diff(string1, string2) {
+    return myersDifference(string1, string2)
+      .reduce((delta, [op, string]) => {
+        if (op === "eq") {
+          return delta.retain(string.length);
+        } else if (op === "ins") {
+          return delta.insert(string);
+        } else {
+          return delta.delete(string.length);
+        }
+      }, new this())
+      ._trim();
+  }
+
   /**
    * Returns the result of applying the delta to the given string.
    */
@@ -0,0 +1,516 @@
+import { tags } from "@lezer/highlight";
+import { EDITOR_THEME } from "./settings";
+
+/**
+ * Editor themes are plain JSON documents, so that they can be shared
+ * and imported as files.
+ *
+ * A theme is an object with the following properties:
+ *
+ *   * `name` - a human-readable name of the theme
+ *
+ *   * `dark` - whether the theme has a dark background. This is used
+ *     for the parts of the UI that are not themed directly, such as
+ *     ANSI colors or Mermaid diagrams
+ *
+ *   * `colors` - colors of the editor chrome, see `EDITOR_THEME_COLORS`
+ *
+ *   * `highlight` - syntax highlighting, a map from a highlight tag
+ *     to either a color or a style object with any of the following
+ *     properties: `color`, `backgroundColor`, `fontWeight`, `fontStyle`,
+ *     `textDecoration`. Tags are named after the Lezer highlight tags,
+ *     a modified tag is written as `modifier(tag)`, for example
+ *     `function(variableName)`
+ *
+ * In imported themes, `colors` and `highlight` may be partial, the
+ * missing entries are taken from the default dark or light theme.
+ */
+
+/**
+ * Colors of the editor chrome that a theme defines.
+ *
+ * All colors are strings, except for `brackets`, which is a list of
+ * three colors used for brackets at consecutive nesting depths.
+ */
+export const EDITOR_THEME_COLORS = [
+  "text",
+  "background",
+  "backgroundLighter",
+  "backgroundLightest",
+  "border",
+  "cursor",
+  "activeLine",
+  "selectionBackground",
+  "inactiveSelectionBackground",
+  "selectionMatchBackground",
+  "gutterText",
+  "lineNumber",
+  "lineNumberActive",
+  "matchingText",
+  "searchMatchBackground",
+  "searchMatchActiveBackground",
+  "separator",
+  "brackets",
+  "indentGuide",
+];
+
+const BRACKET_COLORS_COUNT = 3;
+
+const HIGHLIGHT_STYLE_PROPERTIES = [
+  "color",
+  "backgroundColor",
+  "fontWeight",
+  "fontStyle",
+  "textDecoration",
+];
+
+// Builds highlight tags from a small palette, all the built-in themes
+// use the same mapping, so that they only differ in colors
+function paletteHighlight({
+  base,
+  lightRed,
+  blue,
+  gray,
+  green,
+  purple,
+  red,
+  teal,
+  peach,
+  yellow,
+}) {
+  return {
+    keyword: purple,
+    null: blue,
+    bool: blue,
+    number: blue,
+    string: green,
+    "special(string)": yellow,
+    character: blue,
+    escape: blue,
+    atom: blue,
+    variableName: base,
+    "special(variableName)": lightRed,
+    "function(variableName)": blue,
+    "function(propertyName)": blue,
+    namespace: teal,
+    operator: peach,
+    comment: gray,
+    docString: gray,
+    docComment: gray,
+    paren: base,
+    squareBracket: base,
+    brace: base,
+    angleBracket: base,
+    separator: base,
+    "special(brace)": red,
+
+    // Markdown specific
+    strong: { fontWeight: "bold" },
+    emphasis: { fontStyle: "italic" },
+    strikethrough: { textDecoration: "line-through" },
+    link: blue,
+    heading: lightRed,
+    monospace: green,
+
+    // JSON specific
+    propertyName: lightRed,
+
+    // HTML specific
+    tagName: purple,
+
+    // CSS specific
+    className: peach,
+  };
+}
+
+// Most of the colors for the editor widgets in the default themes are
+// based on the One Dark theme in the Zed editor. The highlighting
+// colors are based on the Atom One Dark theme from VS Code, since
+// they are more contrasting. The comment color is brightened for AA
+// accessibility.
+
+const defaultTheme = {
+  name: "One Dark",
+  dark: true,
+  colors: {
+    text: "#c8ccd4",
+    background: "#282c34",
+    backgroundLighter: "#2f343e",
+    backgroundLightest: "#454a56",
+    border: "#363c46",
+    cursor: "#73ade8",
+    activeLine: "#2d323b",
+    selectionBackground: "#394c5f",
+    inactiveSelectionBackground: "#29333d",
+    selectionMatchBackground: "#343f4d",
+    gutterText: "#c8ccd4",
+    lineNumber: "#60646c",
+    lineNumberActive: "#c8ccd4",
+    matchingText: "#73ade8",
+    searchMatchBackground: "#4c6582",
+    searchMatchActiveBackground: "#54789e",
+    separator: "#464b57",
+    brackets: ["#e5c07b", "#c678dd", "#61afef"],
+    indentGuide: "#3b414d",
+  },
+  highlight: paletteHighlight({
+    base: "#c8ccd4",
+    lightRed: "#e06c75",
+    blue: "#61afef",
+    gray: "#8c92a3",
+    green: "#98c379",
+    purple: "#c678dd",
+    red: "#be5046",
+    teal: "#56b6c2",
+    peach: "#d19a66",
+    yellow: "#e5c07b",
+  }),
+};
+
+const lightTheme = {
+  name: "One Light",
+  dark: false,
+  colors: {
+    text: "#383a41",
+    background: "#fafafa",
+    backgroundLighter: "#ebebec",
+    backgroundLightest: "#cacaca",
+    border: "#dfdfe0",
+    cursor: "#5c79e2",
+    activeLine: "#efeff0",
+    selectionBackground: "#d4dbf4",
+    inactiveSelectionBackground: "#ebeef9",
+    selectionMatchBackground: "#d3d5e1",
+    gutterText: "#383a41",
+    lineNumber: "#b6b7b9",
+    lineNumberActive: "#383a41",
+    matchingText: "#73ade8",
+    searchMatchBackground: "#bbc6f1",
+    searchMatchActiveBackground: "#9daeec",
+    separator: "#c9c9ca",
+    brackets: ["#c18401", "#a726a4", "#4078f2"],
+    indentGuide: "#e3e3e4",
+  },
+  highlight: paletteHighlight({
+    base: "#304254",
+    lightRed: "#e45649",
+    blue: "#4078F2",
+    gray: "#707177",
+    green: "#50a14f",
+    purple: "#a726a4",
+    red: "#ca1243",
+    teal: "#0084bc",
+    peach: "#986801",
+    yellow: "#c18401",
+  }),
+};
+
+const highContrastTheme = {
+  name: "High contrast",
+  dark: true,
+  colors: {
+    text: "#ffffff",
+    background: "#000000",
+    backgroundLighter: "#1a1a1a",
+    backgroundLightest: "#3d3d3d",
+    border: "#6b6b6b",
+    cursor: "#ffd700",
+    activeLine: "#141414",
+    selectionBackground: "#264f78",
+    inactiveSelectionBackground: "#1c3a57",
+    selectionMatchBackground: "#3a3a3a",
+    gutterText: "#ffffff",
+    lineNumber: "#a0a0a0",
+    lineNumberActive: "#ffffff",
+    matchingText: "#ffd700",
+    searchMatchBackground: "#515c6a",
+    searchMatchActiveBackground: "#7a5c00",
+    separator: "#6b6b6b",
+    brackets: ["#ffd700", "#da70d6", "#87cefa"],
+    indentGuide: "#404040",
+  },
+  highlight: paletteHighlight({
+    base: "#ffffff",
+    lightRed: "#ff7b72",
+    blue: "#79c0ff",
+    gray: "#b0b0b0",
+    green: "#7ee787",
+    purple: "#d2a8ff",
+    red: "#ff6b6b",
+    teal: "#56d4dd",
+    peach: "#ffa657",
+    yellow: "#f2cc60",
+  }),
+};
+
+// See https://ethanschoonover.com/solarized
+
+const solarizedPalette = {
+  lightRed: "#dc322f",
+  blue: "#268bd2",
+  green: "#859900",
+  purple: "#6c71c4",
+  red: "#d33682",
+  teal: "#2aa198",
+  peach: "#cb4b16",
+  yellow: "#b58900",
+};
+
+const solarizedDarkTheme = {
+  name: "Solarized Dark",
+  dark: true,
+  colors: {
+    text: "#839496",
+    background: "#002b36",
+    backgroundLighter: "#073642",
+    backgroundLightest: "#2c4f59",
+    border: "#0f4350",
+    cursor: "#268bd2",
+    activeLine: "#04313c",
+    selectionBackground: "#1a4d5c",
+    inactiveSelectionBackground: "#0d3a47",
+    selectionMatchBackground: "#174552",
+    gutterText: "#839496",
+    lineNumber: "#586e75",
+    lineNumberActive: "#93a1a1",
+    matchingText: "#268bd2",
+    searchMatchBackground: "#35606b",
+    searchMatchActiveBackground: "#4f7682",
+    separator: "#1d4b57",
+    brackets: ["#b58900", "#d33682", "#268bd2"],
+    indentGuide: "#0d3c48",
+  },
+  highlight: paletteHighlight({
+    ...solarizedPalette,
+    base: "#93a1a1",
+    gray: "#6f878d",
+  }),
+};
+
+const solarizedLightTheme = {
+  name: "Solarized Light",
+  dark: false,
+  colors: {
+    text: "#657b83",
+    background: "#fdf6e3",
+    backgroundLighter: "#eee8d5",
+    backgroundLightest: "#d9d2bf",
+    border: "#e4ddc8",
+    cursor: "#268bd2",
+    activeLine: "#f5efdc",
+    selectionBackground: "#d3dde0",
+    inactiveSelectionBackground: "#e8ecdf",
+    selectionMatchBackground: "#e2e2d2",
+    gutterText: "#657b83",
+    lineNumber: "#93a1a1",
+    lineNumberActive: "#586e75",
+    matchingText: "#268bd2",
+    searchMatchBackground: "#c9d9de",
+    searchMatchActiveBackground: "#a9c4cf",
+    separator: "#d6cfb9",
+    brackets: ["#b58900", "#d33682", "#268bd2"],
+    indentGuide: "#ebe4cf",
+  },
+  highlight: paletteHighlight({
+    ...solarizedPalette,
+    base: "#586e75",
+    gray: "#6c7a7d",
+  }),
+};
+
+/**
+ * Themes shipped with Livebook, keyed by `EDITOR_THEME`.
+ */
+export const BUILTIN_EDITOR_THEMES = {
+  [EDITOR_THEME.default]: defaultTheme,
+  [EDITOR_THEME.light]: lightTheme,
+  [EDITOR_THEME.high_contrast]: highContrastTheme,
+  [EDITOR_THEME.solarized_dark]: solarizedDarkTheme,
+  [EDITOR_THEME.solarized_light]: solarizedLightTheme,
+};
+
+// Custom themes normalized by getEditorTheme, keyed by the stored
+// theme, so that we return the same object for unchanged settings
+const normalizedCustomThemes = new WeakMap();
+
+/**
+ * Returns the theme selected in the given settings.
+ *
+ * The custom theme comes from the browser storage, so it is normalized
+ * again, which also fills in colors added after the theme was stored.
+ * Falls back to the default theme if the custom theme is selected,
+ * but there is none or it is not valid.
+ */
+export function getEditorTheme(settings) {
+  if (settings.editor_theme === EDITOR_THEME.custom) {
+    return isObject(settings.editor_custom_theme)
+      ? normalizeCustomTheme(settings.editor_custom_theme)
+      : defaultTheme;
+  }
+
+  return BUILTIN_EDITOR_THEMES[settings.editor_theme] || defaultTheme;
+}
+
+function normalizeCustomTheme(storedTheme) {
+  if (!normalizedCustomThemes.has(storedTheme)) {
+    let theme;
+
+    try {
+      theme = normalizeTheme(storedTheme);
+    } catch (error) {
+      theme = defaultTheme;
+    }
+
+    normalizedCustomThemes.set(storedTheme, theme);
+  }
+
+  return normalizedCustomThemes.get(storedTheme);
+}
+
+/**
+ * Returns the Lezer highlight tag for the given name, as used in
+ * theme `highlight`, or `null` if there is no such tag.
+ */
+export function parseHighlightTag(name) {
+  const match = name.match(/^(\w+)(?:\((\w+)\))?$/);
+
+  if (!match) return null;
+
+  const [, first, second] = match;
+
+  if (second) {
+    const modifier = lookupTag(first);
+    const tag = lookupTag(second);
+
+    return typeof modifier === "function" && tag && typeof tag !== "function"
+      ? modifier(tag)
+      : null;
+  }
+
+  const tag = lookupTag(first);
+  return tag && typeof tag !== "function" ? tag : null;
+}
+
+function lookupTag(name) {
+  return Object.prototype.hasOwnProperty.call(tags, name) ? tags[name] : null;
+}
+
+/**
+ * Validates the given theme attributes and returns a complete theme,
+ * with the missing colors and highlight tags filled in.
+ *
+ * Throws an error if the theme is not valid.
+ */
+export function normalizeTheme(attrs) {
+  if (!isObject(attrs)) {
+    throw new Error("expected the theme to be an object");
+  }
+
+  const { name, dark, colors = {}, highlight = {} } = attrs;
+
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new Error("expected the theme name to be a non-empty string");
+  }
+
+  if (typeof dark !== "boolean") {
+    throw new Error("expected dark to be a boolean");
+  }
+
+  if (!isObject(colors)) {
+    throw new Error("expected colors to be an object");
+  }
+
+  for (const [key, value] of Object.entries(colors)) {
+    if (!EDITOR_THEME_COLORS.includes(key)) {
+      throw new Error(`unknown color: ${key}`);
+    }
+
+    if (key === "brackets") {
+      if (
+        !Array.isArray(value) ||
+        value.length !== BRACKET_COLORS_COUNT ||
+        !value.every(isColor)
+      ) {
+        throw new Error(
+          `expected brackets to be a list of ${BRACKET_COLORS_COUNT} colors`,
+        );
+      }
+    } else if (!isColor(value)) {
+      throw new Error(`expected ${key} to be a color string`);
+    }
+  }
+
+  if (!isObject(highlight)) {
+    throw new Error("expected highlight to be an object");
+  }
+
+  for (const [key, value] of Object.entries(highlight)) {
+    if (!parseHighlightTag(key)) {
+      throw new Error(`unknown highlight tag: ${key}`);
+    }
+
+    if (!isColor(value) && !isHighlightStyle(value)) {
+      throw new Error(
+        `expected the ${key} highlight to be a color or a style object`,
+      );
+    }
+  }
+
+  const baseTheme = dark ? defaultTheme : lightTheme;
+
+  return {
+    name,
+    dark,
+    colors: { ...baseTheme.colors, ...colors },
+    highlight: { ...baseTheme.highlight, ...highlight },
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Any color supported by the browser is accepted
+function isColor(value) {
+  return typeof value === "string" && CSS.supports("color", value);
+}
+
+function isHighlightStyle(value) {
+  return (
+    isObject(value) &&
+    Object.entries(value).every(([key, value]) => {
+      if (!HIGHLIGHT_STYLE_PROPERTIES.includes(key)) {
+        return false;
+      }
+
+      return ["color", "backgroundColor"].includes(key)
+        ? isColor(value)
+        : typeof value === "string";
+    })
+  );
+}
+
+/**
+ * Serializes the given theme into a JSON that can be shared and
+ * imported with `importTheme`.
+ */
+export function exportTheme(theme) {
+  return JSON.stringify(theme, null, 2);
+}
+
+/**
+ * Parses a theme JSON, as returned by `exportTheme`.
+ *
+ * Returns a complete theme. Throws an error if the JSON is not valid.
+ */
+export function importTheme(json) {
+  let data;
+
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error("the theme file is not a valid JSON");
+  }
+
+  return normalizeTheme(data);
+}
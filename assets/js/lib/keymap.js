@@ -0,0 +1,276 @@
+/**
+ * Session actions that can be bound to key sequences in navigation
+ * mode.
+ *
+ * Actions marked as `basic` are listed in the basic view of the
+ * keyboard shortcuts modal.
+ */
+export const NAVIGATION_ACTIONS = [
+  { id: "enter_insert_mode", title: "Switch to insert mode", basic: true },
+  { id: "clear_focus", title: "Clear focus" },
+  { id: "show_shortcuts", title: "Show keyboard shortcuts", basic: true },
+  { id: "focus_next", title: "Focus cell below", basic: true },
+  { id: "focus_previous", title: "Focus cell above", basic: true },
+  { id: "select_next", title: "Extend selection to cell below" },
+  { id: "select_previous", title: "Extend selection to cell above" },
+  { id: "move_cell_down", title: "Move cell down" },
+  { id: "move_cell_up", title: "Move cell up" },
+  {
+    id: "insert_code_cell_below",
+    title: "Insert Code cell below",
+    basic: true,
+  },
+  { id: "insert_code_cell_above", title: "Insert Code cell above" },
+  {
+    id: "insert_markdown_cell_below",
+    title: "Insert Markdown cell below",
+    basic: true,
+  },
+  { id: "insert_markdown_cell_above", title: "Insert Markdown cell above" },
+  { id: "toggle_collapse_section", title: "Expand/collapse section" },
+  { id: "toggle_collapse_all_sections", title: "Expand/collapse all sections" },
+  { id: "toggle_code_zen_view", title: "Toggle code zen view" },
+  { id: "toggle_presentation_view", title: "Toggle presentation view" },
+  { id: "toggle_custom_view", title: "Toggle custom view" },
+  { id: "delete_cell", title: "Delete cell", basic: true },
+  {
+    id: "convert_cells_to_markdown",
+    title: "Change cell into Markdown",
+    basic: true,
+  },
+  { id: "copy_cells", title: "Copy selected cells" },
+  { id: "paste_cells", title: "Paste cells below" },
+  { id: "evaluate_cell", title: "Evaluate cell" },
+  { id: "evaluate_section", title: "Evaluate section" },
+  {
+    id: "evaluate_outdated_cells",
+    title: "Evaluate all outdated cells",
+    basic: true,
+  },
+  { id: "cancel_cell_evaluation", title: "Cancel cell evaluation" },
+  { id: "toggle_outline", title: "Toggle outline panel" },
+  { id: "toggle_clients_list", title: "Toggle users panel" },
+  { id: "toggle_secrets_list", title: "Toggle secrets panel" },
+  { id: "toggle_files_list", title: "Toggle files panel" },
+  { id: "toggle_runtime_info", title: "Toggle runtime panel" },
+  { id: "toggle_app_info", title: "Toggle app settings panel" },
+  { id: "show_bin", title: "Show bin" },
+  { id: "show_package_search", title: "Show package search" },
+  { id: "go_to_symbol", title: "Go to symbol" },
+  { id: "reconnect_runtime", title: "Reconnect current runtime" },
+];
+
+const DEFAULT_BINDINGS = {
+  enter_insert_mode: ["i"],
+  clear_focus: ["Escape", "Escape"],
+  show_shortcuts: ["?"],
+  focus_next: ["j"],
+  focus_previous: ["k"],
+  select_next: ["J"],
+  select_previous: ["K"],
+  move_cell_down: ["g", "j"],
+  move_cell_up: ["g", "k"],
+  insert_code_cell_below: ["n"],
+  insert_code_cell_above: ["N"],
+  insert_markdown_cell_below: ["m"],
+  insert_markdown_cell_above: ["M"],
+  toggle_collapse_section: ["c"],
+  toggle_collapse_all_sections: ["C"],
+  toggle_code_zen_view: ["v", "z"],
+  toggle_presentation_view: ["v", "p"],
+  toggle_custom_view: ["v", "c"],
+  delete_cell: ["d", "d"],
+  convert_cells_to_markdown: null,
+  copy_cells: ["y", "y"],
+  paste_cells: ["p"],
+  evaluate_cell: ["e", "e"],
+  evaluate_section: ["e", "s"],
+  evaluate_outdated_cells: ["e", "a"],
+  cancel_cell_evaluation: ["e", "x"],
+  toggle_outline: ["s", "o"],
+  toggle_clients_list: ["s", "u"],
+  toggle_secrets_list: ["s", "s"],
+  toggle_files_list: ["s", "f"],
+  toggle_runtime_info: ["s", "r"],
+  toggle_app_info: ["s", "a"],
+  show_bin: ["s", "b"],
+  show_package_search: ["s", "p"],
+  go_to_symbol: ["g", "s"],
+  reconnect_runtime: ["0", "0"],
+};
+
+/**
+ * Built-in keymaps, each one maps action ids to key sequences.
+ *
+ * An action mapped to `null` is not bound to any keys.
+ */
+export const KEYMAP_PRESETS = {
+  default: DEFAULT_BINDINGS,
+  // Mirrors the command mode of Jupyter Notebook. Note that the insert
+  // mode is entered with Enter, the same as in Jupyter
+  jupyter: {
+    ...DEFAULT_BINDINGS,
+    enter_insert_mode: null,
+    show_shortcuts: ["h"],
+    insert_code_cell_below: ["b"],
+    insert_code_cell_above: ["a"],
+    insert_markdown_cell_below: null,
+    insert_markdown_cell_above: null,
+    convert_cells_to_markdown: ["m"],
+    cancel_cell_evaluation: ["i", "i"],
+  },
+};
+
+/**
+ * Returns the keymap configured in the given settings.
+ *
+ * The keymap is built from the selected preset, with user overrides
+ * applied on top.
+ */
+export function getKeymap(settings) {
+  const preset =
+    KEYMAP_PRESETS[settings.keymap_preset] || KEYMAP_PRESETS.default;
+
+  return { ...preset, ...settings.keymap_overrides };
+}
+
+/**
+ * Lists actions bound in the keymap configured in the given settings.
+ *
+ * Returns a list of `{ id, title, keys }` objects, in the order of
+ * `NAVIGATION_ACTIONS`. When `basic` is set, only basic actions are
+ * included.
+ */
+export function listKeyBindings(settings, { basic = false } = {}) {
+  const keymap = getKeymap(settings);
+
+  return NAVIGATION_ACTIONS.filter(
+    (action) => (!basic || action.basic) && keymap[action.id],
+  ).map(({ id, title }) => ({ id, title, keys: keymap[id] }));
+}
+
+/**
+ * Finds actions that cannot be reliably triggered with the given
+ * keymap.
+ *
+ * Two bindings conflict if they are the same, or one is a prefix of
+ * the other, in which case the longer one is never reached. Note that
+ * sequences ending with another sequence are fine, since the longest
+ * sequence is matched first.
+ *
+ * Returns a list of `{ ids, keys }` objects, where `ids` is a pair of
+ * conflicting actions and `keys` is the shorter sequence.
+ */
+export function findKeymapConflicts(keymap) {
+  const bindings = NAVIGATION_ACTIONS.map(({ id }) => [id, keymap[id]]).filter(
+    ([id, keys]) => keys && keys.length > 0,
+  );
+
+  const conflicts = [];
+
+  bindings.forEach(([id1, keys1], index) => {
+    for (const [id2, keys2] of bindings.slice(index + 1)) {
+      const [shorter, longer] =
+        keys1.length <= keys2.length ? [keys1, keys2] : [keys2, keys1];
+
+      if (shorter.every((key, keyIndex) => key === longer[keyIndex])) {
+        conflicts.push({ ids: [id1, id2], keys: shorter });
+      }
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Formats the given key sequence as a space-separated string.
+ */
+export function formatKeys(keys) {
+  return keys ? keys.join(" ") : "";
+}
+
+/**
+ * Parses a space-separated key sequence, as returned by `formatKeys`.
+ *
+ * Returns `null` for an empty string.
+ */
+export function parseKeys(string) {
+  const keys = string.split(/\s+/).filter((key) => key !== "");
+  return keys.length > 0 ? keys : null;
+}
+
+/**
+ * Serializes the keymap configured in the given settings to JSON.
+ *
+ * The JSON includes all bindings, so that it is self-contained.
+ */
+export function exportKeymap(settings) {
+  const keymap = getKeymap(settings);
+
+  const bindings = {};
+
+  for (const { id } of NAVIGATION_ACTIONS) {
+    bindings[id] = keymap[id] || null;
+  }
+
+  const preset = KEYMAP_PRESETS[settings.keymap_preset]
+    ? settings.keymap_preset
+    : "default";
+
+  return JSON.stringify({ preset, bindings }, null, 2);
+}
+
+/**
+ * Parses a keymap JSON, as returned by `exportKeymap`.
+ *
+ * Returns settings attributes, which can be merged into the current
+ * settings. Throws an error if the JSON is not a valid keymap.
+ */
+export function importKeymap(json) {
+  let data;
+
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error("the keymap is not a valid JSON");
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("expected the keymap to be a JSON object");
+  }
+
+  const preset = data.preset === undefined ? "default" : data.preset;
+
+  if (!KEYMAP_PRESETS[preset]) {
+    throw new Error(`unknown keymap preset: ${preset}`);
+  }
+
+  const bindings = data.bindings || {};
+  const overrides = {};
+
+  for (const [id, keys] of Object.entries(bindings)) {
+    if (!NAVIGATION_ACTIONS.some((action) => action.id === id)) {
+      throw new Error(`unknown action: ${id}`);
+    }
+
+    if (!isValidKeys(keys)) {
+      throw new Error(
+        `expected the binding for ${id} to be a list of keys or null`,
+      );
+    }
+
+    if (formatKeys(keys) !== formatKeys(KEYMAP_PRESETS[preset][id])) {
+      overrides[id] = keys && keys.length > 0 ? keys : null;
+    }
+  }
+
+  return { keymap_preset: preset, keymap_overrides: overrides };
+}
+
+function isValidKeys(keys) {
+  return (
+    keys === null ||
+    (Array.isArray(keys) &&
+      keys.every((key) => typeof key === "string" && key.length > 0))
+  );
+}
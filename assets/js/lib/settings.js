@@ -17,6 +17,10 @@ export const EDITOR_MODE = {
 export const EDITOR_THEME = {
   default: "default",
   light: "light",
+  high_contrast: "high_contrast",
+  solarized_dark: "solarized_dark",
+  solarized_light: "solarized_light",
+  custom: "custom",
 };
 
 const DEFAULTSETTINGS = {
@@ -25,14 +29,22 @@ const DEFAULTSETTINGS = {
   editor_auto_close_brackets: true,
   editor_font_size: EDITOR_FONT_SIZE.normal,
   editor_theme: EDITOR_THEME.default,
+  editor_custom_theme: null,
   editor_ligatures: false,
   editor_markdown_word_wrap: true,
+  editor_inline_results: false,
+  editor_minimap: false,
+  editor_rainbow_brackets: false,
+  editor_indent_guides: false,
+  editor_format_on_evaluate: false,
   editor_mode: EDITOR_MODE.default,
   custom_view_show_section: true,
   custom_view_show_markdown: true,
   custom_view_show_code: true,
   custom_view_show_output: true,
   custom_view_spotlight: false,
+  keymap_preset: "default",
+  keymap_overrides: {},
 };
 
 /**
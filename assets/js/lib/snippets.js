@@ -0,0 +1,195 @@
+import Emitter from "./emitter";
+import { load, store } from "./storage";
+
+const SNIPPETS_KEY = "snippets";
+
+/**
+ * Languages that snippets can be scoped to.
+ */
+export const SNIPPET_LANGUAGES = {
+  elixir: "Elixir",
+  sql: "SQL",
+  markdown: "Markdown",
+};
+
+/**
+ * Stores user-defined snippets and persists them across browser
+ * sessions.
+ *
+ * Each snippet is an object with the following properties:
+ *
+ *   * `trigger` - the word that the snippet is completed from
+ *
+ *   * `language` - one of `SNIPPET_LANGUAGES`
+ *
+ *   * `description` - a short description shown in the completion
+ *     list
+ *
+ *   * `body` - the inserted text. Tab stops are written as `${1:name}`
+ *     and the final cursor position as `${}`, see CodeMirror
+ *     `snippet` for details
+ *
+ * Snippets are identified by the trigger and language.
+ */
+class SnippetsStore {
+  /** @private */
+  _onChange = new Emitter();
+
+  constructor() {
+    this.snippets = [];
+
+    this.loadSnippets();
+  }
+
+  /**
+   * Returns all snippets.
+   */
+  get() {
+    return this.snippets;
+  }
+
+  /**
+   * Returns snippets scoped to the given language.
+   */
+  getForLanguage(language) {
+    return this.snippets.filter((snippet) => snippet.language === language);
+  }
+
+  /**
+   * Adds the given snippets, replacing the existing ones with the
+   * same trigger and language.
+   */
+  put(snippets) {
+    const newSnippets = this.snippets.filter(
+      (snippet) => !snippets.some((other) => isSameSnippet(snippet, other)),
+    );
+
+    this.update(sortSnippets(newSnippets.concat(snippets)));
+  }
+
+  /**
+   * Removes the given snippet.
+   */
+  remove(snippet) {
+    this.update(
+      this.snippets.filter((other) => !isSameSnippet(snippet, other)),
+    );
+  }
+
+  /**
+   * Registers to snippets changes.
+   *
+   * The given function is called immediately with the current
+   * snippets and then on every change.
+   *
+   * Returns a subscription object with `destroy` method that
+   * unsubscribes from changes.
+   */
+  getAndSubscribe(callback) {
+    callback(this.snippets);
+    return this._onChange.addListener(callback);
+  }
+
+  /** @private */
+  update(snippets) {
+    this.snippets = snippets;
+    this._onChange.dispatch(this.snippets);
+    store(SNIPPETS_KEY, this.snippets);
+  }
+
+  /** @private */
+  loadSnippets() {
+    const snippets = load(SNIPPETS_KEY);
+
+    if (Array.isArray(snippets)) {
+      // Skip snippets that are no longer valid
+      this.snippets = snippets.filter((snippet) => {
+        try {
+          normalizeSnippet(snippet);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      });
+    }
+  }
+}
+
+export const snippetsStore = new SnippetsStore();
+
+function isSameSnippet(snippet1, snippet2) {
+  return (
+    snippet1.trigger === snippet2.trigger &&
+    snippet1.language === snippet2.language
+  );
+}
+
+function sortSnippets(snippets) {
+  return [...snippets].sort(
+    (snippet1, snippet2) =>
+      snippet1.language.localeCompare(snippet2.language) ||
+      snippet1.trigger.localeCompare(snippet2.trigger),
+  );
+}
+
+/**
+ * Validates the given snippet attributes and returns a snippet with
+ * only the relevant properties.
+ *
+ * Throws an error if the snippet is not valid.
+ */
+export function normalizeSnippet(attrs) {
+  if (!attrs || typeof attrs !== "object" || Array.isArray(attrs)) {
+    throw new Error("expected the snippet to be an object");
+  }
+
+  const { trigger, language, description = "", body } = attrs;
+
+  if (typeof trigger !== "string" || !/^\w+$/.test(trigger)) {
+    throw new Error("expected the trigger to be a single word");
+  }
+
+  if (!SNIPPET_LANGUAGES[language]) {
+    throw new Error(`unknown snippet language: ${language}`);
+  }
+
+  if (typeof description !== "string") {
+    throw new Error(`expected the description of ${trigger} to be a string`);
+  }
+
+  if (typeof body !== "string" || body.trim() === "") {
+    throw new Error(`expected the body of ${trigger} to be a non-empty string`);
+  }
+
+  return { trigger, language, description, body };
+}
+
+/**
+ * Serializes the given snippets into a JSON that can be shared and
+ * imported with `importSnippets`.
+ */
+export function exportSnippets(snippets) {
+  return JSON.stringify({ snippets }, null, 2);
+}
+
+/**
+ * Parses a snippets JSON, as returned by `exportSnippets`.
+ *
+ * Returns a list of snippets. Throws an error if the JSON is not
+ * valid.
+ */
+export function importSnippets(json) {
+  let data;
+
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error("the snippets file is not a valid JSON");
+  }
+
+  if (!data || !Array.isArray(data.snippets)) {
+    throw new Error("expected the JSON to have a list of snippets");
+  }
+
+  return data.snippets.map(normalizeSnippet);
+}
@@ -32,3 +32,16 @@ export function store(key, value) {
     console.error(`Failed to write to local storage, reason: ${error.message}`);
   }
 }
+
+/**
+ * Removes value from local storage.
+ */
+export function remove(key) {
+  try {
+    localStorage.removeItem(PREFIX + key);
+  } catch (error) {
+    console.error(
+      `Failed to remove from local storage, reason: ${error.message}`,
+    );
+  }
+}
@@ -11,3 +11,273 @@ export function replacedSuffixLength(string, newSuffix) {
 
   return suffix.length;
 }
+
+/**
+ * Computes Myers Difference between the given sequences.
+ *
+ * Both arguments must be either strings or arrays. Returns a list
+ * of `[op, chunk]` pairs, where `op` is one of `"eq"`, `"ins"` and
+ * `"del"`, and `chunk` is a substring (or a subarray) covered by the
+ * operation. This mirrors `String.myers_difference/2` in Elixir.
+ *
+ * We use the linear space variant of the algorithm (1), which finds
+ * the middle snake of the edit path and recursively diffs the parts
+ * before and after it. This way the memory usage does not depend on
+ * the number of differences. The search time grows quadratically with
+ * the number of differences, so when the sequences differ too much, we
+ * give up and replace the differing part as a whole.
+ *
+ * (1): http://www.xmailserver.org/diff2.pdf
+ */
+export function myersDifference(a, b) {
+  const chunks = [];
+
+  diffInto(a, b, (op, chunk) => {
+    if (chunk.length === 0) return;
+
+    const lastChunk = chunks[chunks.length - 1];
+
+    if (lastChunk && lastChunk[0] === op) {
+      lastChunk[1] = lastChunk[1].concat(chunk);
+    } else {
+      chunks.push([op, chunk]);
+    }
+  });
+
+  return chunks;
+}
+
+function diffInto(a, b, push) {
+  const prefixLength = commonPrefixLength(a, b);
+  const suffixLength = commonSuffixLength(
+    a.slice(prefixLength),
+    b.slice(prefixLength),
+  );
+
+  const aMiddle = a.slice(prefixLength, a.length - suffixLength);
+  const bMiddle = b.slice(prefixLength, b.length - suffixLength);
+
+  push("eq", a.slice(0, prefixLength));
+
+  if (aMiddle.length === 0 || bMiddle.length === 0) {
+    push("del", aMiddle);
+    push("ins", bMiddle);
+  } else {
+    const split = findMiddleSnake(aMiddle, bMiddle);
+
+    if (split) {
+      const [x, y] = split;
+      diffInto(aMiddle.slice(0, x), bMiddle.slice(0, y), push);
+      diffInto(aMiddle.slice(x), bMiddle.slice(y), push);
+    } else {
+      push("del", aMiddle);
+      push("ins", bMiddle);
+    }
+  }
+
+  push("eq", a.slice(a.length - suffixLength));
+}
+
+// The number of differences after which we stop searching for the
+// middle snake, which bounds the search to about a million steps
+const MAX_MIDDLE_SNAKE_D = 1000;
+
+// Runs the search from both ends simultaneously and returns the point
+// where the paths overlap, or null if the sequences have nothing in
+// common or differ too much
+function findMiddleSnake(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const maxD = Math.min(Math.ceil((n + m) / 2), MAX_MIDDLE_SNAKE_D);
+  const offset = maxD;
+  const delta = n - m;
+  // If the total number of elements is odd, the forward path overlaps
+  // the reverse path, otherwise the other way round
+  const front = delta % 2 !== 0;
+
+  // For each diagonal k we keep the furthest reaching x position
+  const forward = new Array(2 * maxD + 2).fill(-1);
+  const reverse = new Array(2 * maxD + 2).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+
+  // Diagonals that run off the edges do not need to be checked again
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let reverseStart = 0;
+  let reverseEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      let x =
+        k === -d ||
+        (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      forward[offset + k] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (front) {
+        const reverseX = reverse[offset + delta - k];
+
+        if (reverseX !== undefined && reverseX !== -1 && x >= n - reverseX) {
+          return [x, y];
+        }
+      }
+    }
+
+    for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+      let x =
+        k === -d ||
+        (k !== d && reverse[offset + k - 1] < reverse[offset + k + 1])
+          ? reverse[offset + k + 1]
+          : reverse[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+        x++;
+        y++;
+      }
+
+      reverse[offset + k] = x;
+
+      if (x > n) {
+        reverseEnd += 2;
+      } else if (y > m) {
+        reverseStart += 2;
+      } else if (!front) {
+        const forwardK = delta - k;
+        const forwardX = forward[offset + forwardK];
+
+        if (forwardX !== undefined && forwardX !== -1 && forwardX >= n - x) {
+          return [forwardX, forwardX - forwardK];
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+function commonPrefixLength(a, b) {
+  const length = Math.min(a.length, b.length);
+  let i = 0;
+
+  while (i < length && a[i] === b[i]) {
+    i++;
+  }
+
+  return i;
+}
+
+function commonSuffixLength(a, b) {
+  const length = Math.min(a.length, b.length);
+  let i = 0;
+
+  while (i < length && a[a.length - i - 1] === b[b.length - i - 1]) {
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Matches the query against the given text as a case-insensitive
+ * subsequence.
+ *
+ * Returns `null` if the text does not contain all of the query
+ * characters in order. Otherwise returns an object with match `score`
+ * and `indices` of the matched characters in the text. The score
+ * favours consecutive characters and characters at word boundaries,
+ * so it can be used to rank multiple texts against the same query.
+ */
+export function fuzzyMatch(query, text) {
+  const lowerQuery = query.toLowerCase();
+  const lowerText = text.toLowerCase();
+
+  // We first try to match characters at word starts, which is usually
+  // what the user has in mind, and fall back to the leftmost match
+  const indices =
+    fuzzyMatchIndices(lowerQuery, lowerText, text, true) ||
+    fuzzyMatchIndices(lowerQuery, lowerText, text, false);
+
+  if (!indices) {
+    return null;
+  }
+
+  let score = 0;
+
+  indices.forEach((index, i) => {
+    const prevIndex = i > 0 ? indices[i - 1] : -1;
+
+    if (i > 0 && index === prevIndex + 1) {
+      score += 3;
+    }
+
+    if (isWordStart(text, index)) {
+      score += 2;
+    }
+
+    // Penalize characters skipped in between
+    score -= Math.min(index - prevIndex - 1, 3) / 3;
+  });
+
+  return { score, indices };
+}
+
+function fuzzyMatchIndices(lowerQuery, lowerText, text, preferWordStart) {
+  const indices = [];
+  let from = 0;
+
+  for (const char of lowerQuery) {
+    let index = -1;
+
+    // Keep consecutive characters together whenever possible
+    if (indices.length > 0 && lowerText[from] === char) {
+      index = from;
+    } else if (preferWordStart) {
+      index = lowerText.indexOf(char, from);
+
+      while (index !== -1 && !isWordStart(text, index)) {
+        index = lowerText.indexOf(char, index + 1);
+      }
+    }
+
+    if (index === -1) {
+      index = lowerText.indexOf(char, from);
+    }
+
+    if (index === -1) {
+      return null;
+    }
+
+    indices.push(index);
+    from = index + 1;
+  }
+
+  return indices;
+}
+
+function isWordStart(text, index) {
+  if (index === 0) {
+    return true;
+  }
+
+  const prev = text[index - 1];
+  const char = text[index];
+
+  return (
+    !/[\p{L}\p{N}]/u.test(prev) ||
+    (prev === prev.toLowerCase() && char !== char.toLowerCase())
+  );
+}
@@ -0,0 +1,98 @@
+import { EditorState } from "@codemirror/state";
+import { EditorView } from "@codemirror/view";
+import {
+  diffLineChunks,
+  evaluationDiff,
+  setDiff,
+} from "../../../../../js/hooks/cell_editor/live_editor/codemirror/evaluation_diff";
+
+describe("diffLineChunks", () => {
+  test("returns no chunks for equal sources", () => {
+    expect(diffLineChunks("a\nb", "a\nb")).toEqual([]);
+  });
+
+  test("returns inserted lines", () => {
+    expect(diffLineChunks("a\nc", "a\nb\nc")).toEqual([
+      { fromA: 1, toA: 1, fromB: 1, toB: 2 },
+    ]);
+  });
+
+  test("returns deleted lines", () => {
+    expect(diffLineChunks("a\nb\nc", "c")).toEqual([
+      { fromA: 0, toA: 2, fromB: 0, toB: 0 },
+    ]);
+  });
+
+  test("groups adjacent deletions and insertions into a single chunk", () => {
+    expect(diffLineChunks("a\nb\nc\nd", "a\nB\nc\nD\nE")).toEqual([
+      { fromA: 1, toA: 2, fromB: 1, toB: 2 },
+      { fromA: 3, toA: 4, fromB: 3, toB: 5 },
+    ]);
+  });
+});
+
+describe("evaluationDiff", () => {
+  test("does not decorate until the diff is shown", () => {
+    const view = buildView("a\nB\nc", evaluationDiff());
+
+    setDiff(view, { otherSource: "a\nb\nc" });
+
+    expect(lineClasses(view.state)).toEqual([]);
+  });
+
+  test("highlights lines changed since evaluation", () => {
+    const view = buildView("a\nB\nc\nd", evaluationDiff());
+
+    setDiff(view, { otherSource: "a\nb\nc", mode: "unified" });
+
+    expect(lineClasses(view.state)).toEqual([
+      [2, "cm-diffInsertedLine"],
+      [4, "cm-diffInsertedLine"],
+    ]);
+  });
+
+  test("highlights lines removed since evaluation on the evaluated side", () => {
+    const view = buildView("a\nb\nc", evaluationDiff({ side: "evaluated" }));
+
+    setDiff(view, { otherSource: "a\nc", mode: "split" });
+
+    expect(lineClasses(view.state)).toEqual([[2, "cm-diffDeletedLine"]]);
+  });
+
+  test("maps decorations as the document changes", () => {
+    const view = buildView("a\nB", evaluationDiff());
+
+    setDiff(view, { otherSource: "a\nb", mode: "unified" });
+    expect(lineClasses(view.state)).toEqual([[2, "cm-diffInsertedLine"]]);
+
+    // The diff is recomputed only once the changes stop, so in the
+    // meantime the existing decorations move along with the lines
+    view.dispatch({ changes: { from: 0, insert: "x\n" } });
+    expect(lineClasses(view.state)).toEqual([[3, "cm-diffInsertedLine"]]);
+  });
+});
+
+// A minimal view-like object, enough to dispatch transactions
+function buildView(doc, extension) {
+  return {
+    state: EditorState.create({ doc, extensions: [extension] }),
+
+    dispatch(spec) {
+      this.state = this.state.update(spec).state;
+    },
+  };
+}
+
+function lineClasses(state) {
+  const classes = [];
+
+  for (const decorations of state.facet(EditorView.decorations)) {
+    decorations.between(0, state.doc.length, (from, to, decoration) => {
+      if (decoration.spec.class) {
+        classes.push([state.doc.lineAt(from).number, decoration.spec.class]);
+      }
+    });
+  }
+
+  return classes;
+}
@@ -0,0 +1,45 @@
+import { EditorState } from "@codemirror/state";
+import { elixir } from "codemirror-lang-elixir";
+import { guideColumns } from "../../../../../js/hooks/cell_editor/live_editor/codemirror/indent_guides";
+
+function guidesByLine(doc) {
+  const state = EditorState.create({
+    doc,
+    extensions: [elixir(), EditorState.tabSize.of(2)],
+  });
+
+  return Array.from({ length: state.doc.lines }, (_, idx) =>
+    guideColumns(state, state.doc.line(idx + 1)),
+  );
+}
+
+describe("guideColumns", () => {
+  test("draws guides for enclosing blocks", () => {
+    const doc = `defmodule Math do
+  def double(x) do
+    x * 2
+  end
+end`;
+
+    expect(guidesByLine(doc)).toEqual([[], [0], [0, 2], [0], []]);
+  });
+
+  test("continues guides through blank lines", () => {
+    const doc = `defmodule Math do
+  def one, do: 1
+
+  def two, do: 2
+end`;
+
+    expect(guidesByLine(doc)).toEqual([[], [0], [0], [0], []]);
+  });
+
+  test("skips continuation lines of expressions", () => {
+    const doc = `[1, 2]
+|> Enum.map(fn x ->
+  x * 2
+end)`;
+
+    expect(guidesByLine(doc)).toEqual([[], [], [0], []]);
+  });
+});
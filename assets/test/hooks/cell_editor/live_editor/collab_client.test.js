@@ -9,6 +9,7 @@ jest.useFakeTimers();
 describe("when synchronized", () => {
   test("sends local delta immediately", () => {
     const connection = buildMockConnection();
+    connection.getClientId.mockReturnValue("client1");
     const collabClient = new CollabClient(connection, 0);
 
     const onDelta = jest.fn();
@@ -19,7 +20,10 @@ describe("when synchronized", () => {
     collabClient.handleClientDelta(delta, selection);
 
     expect(connection.sendDelta).toHaveBeenCalledWith(delta, selection, 0);
-    expect(onDelta).toHaveBeenCalledWith(delta, { remote: false });
+    expect(onDelta).toHaveBeenCalledWith(delta, {
+      remote: false,
+      clientId: "client1",
+    });
   });
 
   test("accepts remote delta unchanged", () => {
@@ -33,7 +37,10 @@ describe("when synchronized", () => {
     const remoteSelection = cursorSelection(4);
     getListener(connection, "onDelta")(remoteDelta, remoteSelection, "client2");
 
-    expect(onDelta).toHaveBeenCalledWith(remoteDelta, { remote: true });
+    expect(onDelta).toHaveBeenCalledWith(remoteDelta, {
+      remote: true,
+      clientId: "client2",
+    });
 
     // We are already in sync, so the client reports the revision in 5s
     jest.runOnlyPendingTimers();
@@ -110,7 +117,10 @@ describe("with inflight delta", () => {
     getListener(connection, "onDelta")(remoteDelta, remoteSelection, "client2");
 
     const transformedDelta = new Delta().retain(4).insert("dog");
-    expect(onDelta).toHaveBeenCalledWith(transformedDelta, { remote: true });
+    expect(onDelta).toHaveBeenCalledWith(transformedDelta, {
+      remote: true,
+      clientId: "client2",
+    });
   });
 });
 
@@ -184,7 +194,10 @@ describe("with buffer delta", () => {
       // Transformed against buffer
       .retain(15)
       .insert("fox");
-    expect(onDelta).toHaveBeenCalledWith(transformedDelta, { remote: true });
+    expect(onDelta).toHaveBeenCalledWith(transformedDelta, {
+      remote: true,
+      clientId: "client2",
+    });
 
     expect(connection.sendDelta.mock.calls).toHaveLength(1);
     getListener(connection, "onAcknowledgement")();
@@ -201,6 +214,90 @@ describe("with buffer delta", () => {
   });
 });
 
+describe("undo history", () => {
+  test("reverts local delta transformed against remote delta", () => {
+    const connection = buildMockConnection();
+    const collabClient = new CollabClient(connection, 0, "cat");
+
+    const delta = new Delta().retain(3).insert("s");
+    collabClient.handleClientDelta(delta, cursorSelection(4));
+    getListener(connection, "onAcknowledgement")();
+
+    const remoteDelta = new Delta().insert("two ");
+    getListener(connection, "onDelta")(remoteDelta, null, "client2");
+
+    const undoDelta = collabClient.undo();
+    expect(undoDelta).toEqual(new Delta().retain(7).delete(1));
+
+    collabClient.handleClientDelta(undoDelta, cursorSelection(7), {
+      record: false,
+    });
+
+    expect(connection.sendDelta).toHaveBeenLastCalledWith(
+      undoDelta,
+      cursorSelection(7),
+      2,
+    );
+
+    expect(collabClient.undo()).toEqual(null);
+    expect(collabClient.redo()).toEqual(new Delta().retain(7).insert("s"));
+  });
+});
+
+describe("when disconnected", () => {
+  test("buffers local deltas without sending them", () => {
+    const connection = buildMockConnection();
+    const collabClient = new CollabClient(connection, 0, "cat");
+
+    const onUnsyncedEditsChange = jest.fn();
+    collabClient.onUnsyncedEditsChange(onUnsyncedEditsChange);
+
+    getListener(connection, "onDisconnect")();
+    expect(onUnsyncedEditsChange).toHaveBeenCalledWith(null);
+
+    const delta = new Delta().retain(3).insert("s");
+    collabClient.handleClientDelta(delta, cursorSelection(4));
+
+    const delta2 = new Delta().insert("two ");
+    collabClient.handleClientDelta(delta2, cursorSelection(4));
+
+    expect(connection.sendDelta).not.toHaveBeenCalled();
+
+    expect(onUnsyncedEditsChange).toHaveBeenLastCalledWith({
+      source: "cat",
+      revision: 0,
+      inflightDelta: null,
+      bufferDelta: delta.compose(delta2),
+      count: 2,
+    });
+  });
+
+  test("reports unsynced edits relative to the source confirmed by the server", () => {
+    const connection = buildMockConnection();
+    const collabClient = new CollabClient(connection, 0, "cat");
+
+    const delta = new Delta().retain(3).insert("s");
+    collabClient.handleClientDelta(delta, cursorSelection(4));
+    getListener(connection, "onAcknowledgement")();
+
+    const remoteDelta = new Delta().insert("two ");
+    getListener(connection, "onDelta")(remoteDelta, null, "client2");
+
+    const delta2 = new Delta().retain(8).insert("!");
+    collabClient.handleClientDelta(delta2, cursorSelection(9));
+
+    getListener(connection, "onDisconnect")();
+
+    expect(collabClient.getUnsyncedEdits()).toEqual({
+      source: "two cats",
+      revision: 2,
+      inflightDelta: delta2,
+      bufferDelta: null,
+      count: 1,
+    });
+  });
+});
+
 describe("peers", () => {
   test("transforms peer selections against local delta", () => {
     const connection = buildMockConnection();
@@ -293,6 +390,7 @@ function buildMockConnection() {
     onAcknowledgement: jest.fn(),
     onSelection: jest.fn(),
     onClientsUpdate: jest.fn(),
+    onDisconnect: jest.fn(),
     destroy: jest.fn(),
     getClients: jest.fn(),
     getClientId: jest.fn(),
@@ -0,0 +1,87 @@
+import {
+  formatJson,
+  formatSql,
+  formatMarkdown,
+  formatResponse,
+} from "../../../../../js/hooks/cell_editor/live_editor/intellisense/formatters";
+import Delta from "../../../../../js/lib/delta";
+
+describe("formatResponse", () => {
+  test("returns the delta transforming code into the formatted code", () => {
+    const code = `{"a":1}`;
+    const formatted = formatJson(code);
+    const { delta } = formatResponse(code, formatted);
+
+    expect(Delta.fromCompressed(delta).applyToString(code)).toEqual(formatted);
+  });
+
+  test("returns no delta when the code is already formatted", () => {
+    expect(formatResponse("[]", "[]")).toEqual({ delta: null });
+  });
+
+  test("returns null when the code cannot be formatted", () => {
+    expect(formatResponse("{", formatJson("{"))).toBe(null);
+  });
+});
+
+describe("formatJson", () => {
+  test("indents with two spaces", () => {
+    expect(formatJson(`{"a":[1],"b":{}}`)).toEqual(
+      `{\n  "a": [\n    1\n  ],\n  "b": {}\n}`,
+    );
+  });
+
+  test("keeps literals as written", () => {
+    expect(
+      formatJson(
+        `[12345678901234567890, 1.0, 1e3, "\\u00e9 \\"[,]\\"", {"a" : null}]`,
+      ),
+    ).toEqual(
+      `[\n  12345678901234567890,\n  1.0,\n  1e3,\n  "\\u00e9 \\"[,]\\"",\n  {\n    "a": null\n  }\n]`,
+    );
+  });
+
+  test("keeps duplicate keys", () => {
+    expect(formatJson(`{"a": 1, "a": 2}`)).toEqual(`{\n  "a": 1,\n  "a": 2\n}`);
+  });
+
+  test("returns null for invalid JSON", () => {
+    expect(formatJson(`{"a": }`)).toBe(null);
+  });
+});
+
+describe("formatSql", () => {
+  test("puts clauses on separate lines and upcases keywords", () => {
+    expect(
+      formatSql(
+        "select u.id, count(*) as n from users u left join orders o on o.user_id = u.id where u.age between 18 and 30 and u.name like 'a''b' group by u.id",
+      ),
+    ).toEqual(
+      `SELECT u.id, count(*) AS n
+FROM users u
+LEFT JOIN orders o ON o.user_id = u.id
+WHERE u.age BETWEEN 18 AND 30
+  AND u.name LIKE 'a''b'
+GROUP BY u.id`,
+    );
+  });
+
+  test("keeps comments and separates statements", () => {
+    expect(formatSql("select 1 -- one\n;select  2")).toEqual(
+      "SELECT 1 -- one\n;\n\nSELECT 2",
+    );
+  });
+});
+
+describe("formatMarkdown", () => {
+  test("normalizes whitespace, headings and bullet lists", () => {
+    expect(
+      formatMarkdown("# Title\nText   \n\n\n\n* one\n+ two\n\n* * *\n"),
+    ).toEqual("# Title\n\nText\n\n- one\n- two\n\n* * *");
+  });
+
+  test("keeps code blocks as is", () => {
+    const code = "```elixir\n# comment  \n\n\n* x\n```";
+    expect(formatMarkdown(code)).toEqual(code);
+  });
+});
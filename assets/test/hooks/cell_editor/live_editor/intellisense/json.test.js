@@ -0,0 +1,106 @@
+import { EditorState } from "@codemirror/state";
+import { json } from "@codemirror/lang-json";
+import jsonProvider from "../../../../../js/hooks/cell_editor/live_editor/intellisense/json";
+
+const schema = {
+  type: "object",
+  properties: {
+    name: { type: "string", description: "The service name." },
+    mode: { enum: ["dev", "prod"] },
+    ports: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { port: { type: "integer" } },
+        required: ["port"],
+        additionalProperties: false,
+      },
+    },
+  },
+};
+
+function request(type, source, props = {}) {
+  const pos = source.indexOf("|");
+  const doc = source.replace("|", "");
+  const state = EditorState.create({ doc, extensions: [json()] });
+  const line = state.doc.lineAt(pos);
+  const hint = line.text.slice(0, pos - line.from);
+
+  return jsonProvider[type]({ hint, ...props }, { state, pos, schema });
+}
+
+describe("completion", () => {
+  test("completes object keys", () => {
+    const response = request("completion", `{"name": "api", "|`);
+
+    expect(response.items.map((item) => item.insert_text)).toEqual([
+      `"name": `,
+      `"mode": `,
+      `"ports": `,
+    ]);
+  });
+
+  test("completes keys of nested objects", () => {
+    const response = request("completion", `{"ports": [{"p|`);
+
+    expect(response.items.map((item) => item.label)).toEqual([`"port"`]);
+  });
+
+  test("completes enum values", () => {
+    const response = request("completion", `{"mode": |`);
+
+    expect(response.items.map((item) => item.label)).toEqual([
+      `"dev"`,
+      `"prod"`,
+    ]);
+  });
+});
+
+describe("details", () => {
+  test("returns property documentation", () => {
+    const response = request("details", `{"na|me": "api"}`);
+
+    expect(response).toEqual({
+      range: { from: 2, to: 8 },
+      contents: ["```\nname: string\n```\n\nThe service name."],
+    });
+  });
+});
+
+describe("diagnostics", () => {
+  test("reports syntax errors", () => {
+    const { diagnostics } = request("diagnostics", `{"name": }|`);
+
+    expect(diagnostics).toMatchObject([
+      { severity: "error", message: "Invalid JSON syntax" },
+    ]);
+  });
+
+  test("reports schema violations", () => {
+    const { diagnostics } = request(
+      "diagnostics",
+      `{"mode": "test", "ports": [{"host": "x"}]}|`,
+    );
+
+    expect(diagnostics).toEqual([
+      {
+        from: 9,
+        to: 15,
+        severity: "warning",
+        message: `expected mode to be one of: "dev", "prod"`,
+      },
+      {
+        from: 27,
+        to: 28,
+        severity: "warning",
+        message: `missing required property "port"`,
+      },
+      {
+        from: 28,
+        to: 34,
+        severity: "warning",
+        message: `unknown property "host"`,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+import { EditorState } from "@codemirror/state";
+import sqlProvider from "../../../../../js/hooks/cell_editor/live_editor/intellisense/sql";
+
+const schema = {
+  tables: {
+    users: ["id", "name"],
+    orders: ["id", "user_id", "total"],
+  },
+};
+
+function complete(source) {
+  const pos = source.indexOf("|");
+  const doc = source.replace("|", "");
+  const state = EditorState.create({ doc });
+  const hint = doc.slice(0, pos);
+
+  return sqlProvider.completion({ hint }, { state, pos, schema });
+}
+
+describe("completion", () => {
+  test("completes table names", () => {
+    const response = complete("SELECT * FROM us|");
+
+    expect(response.items).toMatchObject([{ label: "users", kind: "type" }]);
+  });
+
+  test("completes columns of referenced tables first", () => {
+    const response = complete("SELECT | FROM orders");
+
+    expect(response.items.map((item) => item.label)).toEqual([
+      "id",
+      "user_id",
+      "total",
+      "users",
+      "orders",
+    ]);
+  });
+
+  test("completes columns of aliased tables", () => {
+    const response = complete("SELECT o.t| FROM orders AS o");
+
+    expect(response.items).toMatchObject([{ label: "total", kind: "field" }]);
+  });
+
+  test("returns null without schema tables", () => {
+    const pos = 0;
+    const state = EditorState.create({ doc: "" });
+
+    expect(
+      sqlProvider.completion({ hint: "" }, { state, pos, schema: null }),
+    ).toBe(null);
+  });
+});
+
+describe("details", () => {
+  test("lists table columns", () => {
+    const response = sqlProvider.details(
+      { line: "SELECT * FROM users", column: 16 },
+      { schema },
+    );
+
+    expect(response).toEqual({
+      range: { from: 15, to: 20 },
+      contents: ["```\nusers(id, name)\n```"],
+    });
+  });
+});
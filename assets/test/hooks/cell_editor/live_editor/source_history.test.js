@@ -0,0 +1,112 @@
+import SourceHistory from "../../../../js/hooks/cell_editor/live_editor/source_history";
+import Delta from "../../../../js/lib/delta";
+
+const alice = { id: "c1", meta: { name: "Alice", hex_color: "#ff0000" } };
+const bob = { id: "c2", meta: { name: "Bob", hex_color: "#0000ff" } };
+
+describe("SourceHistory", () => {
+  test("reconstructs source at any revision", () => {
+    const history = new SourceHistory("cat");
+
+    history.record(new Delta().retain(3).insert("s"), alice);
+    history.record(new Delta().delete(1).insert("b"), bob);
+
+    expect(history.getFirstRevision()).toEqual(0);
+    expect(history.getLastRevision()).toEqual(2);
+
+    expect(history.getSnapshot(0).source).toEqual("cat");
+    expect(history.getSnapshot(1).source).toEqual("cats");
+    expect(history.getSnapshot(2).source).toEqual("bats");
+  });
+
+  test("returns the entry for the given revision", () => {
+    const history = new SourceHistory("");
+
+    const delta = new Delta().insert("cat");
+    history.record(delta, alice);
+
+    expect(history.getEntry(0)).toEqual(null);
+    expect(history.getEntry(1)).toMatchObject({
+      revision: 1,
+      delta,
+      author: alice,
+    });
+  });
+
+  test("notifies about new entries", () => {
+    const history = new SourceHistory("");
+
+    const onChange = jest.fn();
+    history.onChange(onChange);
+
+    history.record(new Delta().insert("cat"), alice);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith(history.getEntry(1));
+  });
+
+  test("returns the latest snapshot without replaying entries", () => {
+    const history = new SourceHistory("cat", { limit: 1 });
+
+    history.record(new Delta().retain(3).insert("s"), alice);
+    history.record(new Delta().insert("two "), bob);
+
+    const applyToString = jest.spyOn(Delta.prototype, "applyToString");
+
+    const snapshot = history.getSnapshot(2);
+
+    expect(applyToString).not.toHaveBeenCalled();
+    applyToString.mockRestore();
+
+    expect(snapshot.source).toEqual("two cats");
+    expect(lineAuthors(snapshot)).toEqual(["Bob"]);
+    expect(history.getSnapshot(1).source).toEqual("cats");
+  });
+
+  test("attributes each line to the most recent change", () => {
+    const history = new SourceHistory("one\ntwo\nthree");
+
+    history.record(new Delta().retain(4).insert("2"), alice);
+    history.record(new Delta().retain(14).insert("!"), bob);
+    history.record(new Delta().retain(5).delete(3).insert("TWO"), bob);
+
+    const snapshot = history.getSnapshot(3);
+
+    expect(snapshot.source).toEqual("one\n2TWO\nthree!");
+    expect(lineAuthors(snapshot)).toEqual([null, "Bob", "Bob"]);
+    expect(lineAuthors(history.getSnapshot(2))).toEqual([null, "Alice", "Bob"]);
+  });
+
+  test("attributes empty lines to the change that added them", () => {
+    const history = new SourceHistory("one");
+
+    history.record(new Delta().retain(3).insert("\n\ntwo\n"), alice);
+
+    const snapshot = history.getSnapshot(1);
+
+    expect(snapshot.source).toEqual("one\n\ntwo\n");
+    expect(lineAuthors(snapshot)).toEqual(["Alice", "Alice", "Alice", "Alice"]);
+  });
+
+  test("drops the oldest entries over the limit, but keeps the blame", () => {
+    const history = new SourceHistory("", { limit: 2 });
+
+    history.record(new Delta().insert("a\n"), alice);
+    history.record(new Delta().retain(2).insert("b\n"), bob);
+    history.record(new Delta().retain(4).insert("c"), bob);
+
+    expect(history.getFirstRevision()).toEqual(1);
+    expect(history.getLastRevision()).toEqual(3);
+    expect(history.getEntry(1)).toEqual(null);
+
+    expect(history.getSnapshot(1).source).toEqual("a\n");
+
+    const snapshot = history.getSnapshot(3);
+    expect(snapshot.source).toEqual("a\nb\nc");
+    expect(lineAuthors(snapshot)).toEqual(["Alice", "Bob", "Bob"]);
+  });
+});
+
+function lineAuthors(snapshot) {
+  return snapshot.lineBlame.map((entry) => entry && entry.author.meta.name);
+}
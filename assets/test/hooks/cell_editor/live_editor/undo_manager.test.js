@@ -0,0 +1,127 @@
+import UndoManager from "../../../../js/hooks/cell_editor/live_editor/undo_manager";
+import Delta from "../../../../js/lib/delta";
+
+jest.useFakeTimers();
+
+test("reverts local changes", () => {
+  const undoManager = new UndoManager();
+
+  let source = "cat";
+  source = applyLocal(undoManager, source, new Delta().retain(3).insert("s"));
+  expect(source).toEqual("cats");
+
+  source = undoManager.undo(source).applyToString(source);
+  expect(source).toEqual("cat");
+  expect(undoManager.canUndo()).toEqual(false);
+});
+
+test("reapplies undone changes", () => {
+  const undoManager = new UndoManager();
+
+  let source = "cat";
+  source = applyLocal(undoManager, source, new Delta().retain(3).insert("s"));
+  source = undoManager.undo(source).applyToString(source);
+  source = undoManager.redo(source).applyToString(source);
+
+  expect(source).toEqual("cats");
+  expect(undoManager.canRedo()).toEqual(false);
+  expect(undoManager.canUndo()).toEqual(true);
+});
+
+test("clears redo history on a new change", () => {
+  const undoManager = new UndoManager();
+
+  let source = "cat";
+  source = applyLocal(undoManager, source, new Delta().retain(3).insert("s"));
+  source = undoManager.undo(source).applyToString(source);
+  source = applyLocal(undoManager, source, new Delta().insert("a "));
+
+  expect(undoManager.canRedo()).toEqual(false);
+  expect(undoManager.redo(source)).toEqual(null);
+});
+
+test("groups changes made in a short time window", () => {
+  const undoManager = new UndoManager();
+
+  let source = "";
+  source = applyLocal(undoManager, source, new Delta().insert("c"));
+  source = applyLocal(undoManager, source, new Delta().retain(1).insert("a"));
+  jest.advanceTimersByTime(1000);
+  source = applyLocal(undoManager, source, new Delta().retain(2).insert("t"));
+
+  source = undoManager.undo(source).applyToString(source);
+  expect(source).toEqual("ca");
+
+  source = undoManager.undo(source).applyToString(source);
+  expect(source).toEqual("");
+});
+
+test("does not revert remote changes", () => {
+  const undoManager = new UndoManager();
+
+  let source = "cat";
+  source = applyLocal(undoManager, source, new Delta().retain(3).insert("s"));
+
+  source = applyRemote(undoManager, source, new Delta().insert("two "));
+  expect(source).toEqual("two cats");
+
+  source = undoManager.undo(source).applyToString(source);
+  expect(source).toEqual("two cat");
+});
+
+test("keeps remote text inserted within locally inserted text", () => {
+  const undoManager = new UndoManager();
+
+  let source = "";
+  source = applyLocal(undoManager, source, new Delta().insert("cats"));
+
+  source = applyRemote(undoManager, source, new Delta().retain(2).insert("r"));
+  expect(source).toEqual("carts");
+
+  source = undoManager.undo(source).applyToString(source);
+  expect(source).toEqual("r");
+});
+
+test("transforms all history entries", () => {
+  const undoManager = new UndoManager();
+
+  let source = "cat";
+  source = applyLocal(undoManager, source, new Delta().retain(3).insert("s"));
+  jest.advanceTimersByTime(1000);
+  source = applyLocal(undoManager, source, new Delta().insert("fat "));
+
+  source = applyRemote(
+    undoManager,
+    source,
+    new Delta().retain(4).insert("big "),
+  );
+  expect(source).toEqual("fat big cats");
+
+  source = undoManager.undo(source).applyToString(source);
+  expect(source).toEqual("big cats");
+
+  source = undoManager.undo(source).applyToString(source);
+  expect(source).toEqual("big cat");
+});
+
+test("drops entries fully removed by remote changes", () => {
+  const undoManager = new UndoManager();
+
+  let source = "cat";
+  source = applyLocal(undoManager, source, new Delta().retain(3).insert("s"));
+
+  source = applyRemote(undoManager, source, new Delta().delete(4));
+  expect(source).toEqual("");
+
+  expect(undoManager.canUndo()).toEqual(false);
+});
+
+function applyLocal(undoManager, source, delta) {
+  undoManager.record(delta, source);
+  return delta.applyToString(source);
+}
+
+function applyRemote(undoManager, source, delta) {
+  undoManager.transform(delta);
+  return delta.applyToString(source);
+}
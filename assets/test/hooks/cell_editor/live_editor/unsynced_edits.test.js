@@ -0,0 +1,129 @@
+import { rebaseUnsyncedEdits } from "../../../../js/hooks/cell_editor/live_editor/unsynced_edits";
+import Delta from "../../../../js/lib/delta";
+
+describe("rebaseUnsyncedEdits", () => {
+  test("returns the edits unchanged when the revision matches", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: new Delta().retain(3).insert("s"),
+      bufferDelta: new Delta().insert("two "),
+    };
+
+    const { delta, uncertain } = rebaseUnsyncedEdits(unsyncedEdits, "cat", 1);
+
+    expect(delta.applyToString("cat")).toEqual("two cats");
+  });
+
+  test("transforms the edits against changes made on the server", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: null,
+      bufferDelta: new Delta().retain(3).insert("s"),
+    };
+
+    const { delta, uncertain } = rebaseUnsyncedEdits(
+      unsyncedEdits,
+      "black cat",
+      2,
+    );
+
+    expect(delta.applyToString("black cat")).toEqual("black cats");
+  });
+
+  test("skips the inflight delta if it has been applied by the server", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: new Delta().retain(3).insert("s"),
+      bufferDelta: new Delta().insert("two "),
+    };
+
+    const { delta, uncertain } = rebaseUnsyncedEdits(unsyncedEdits, "cats", 2);
+
+    expect(delta.applyToString("cats")).toEqual("two cats");
+  });
+
+  test("keeps the inflight delta if the server received another change", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: new Delta().retain(3).insert("s"),
+      bufferDelta: new Delta().retain(4).insert("!"),
+    };
+
+    const { delta, uncertain } = rebaseUnsyncedEdits(
+      unsyncedEdits,
+      "black cat",
+      2,
+    );
+
+    expect(delta.applyToString("black cat")).toEqual("black cats!");
+    expect(uncertain).toEqual(false);
+  });
+
+  test("keeps the inflight delta if the server received several other changes", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: new Delta().retain(3).insert("s"),
+      bufferDelta: new Delta().retain(4).insert("!"),
+    };
+
+    const { delta, uncertain } = rebaseUnsyncedEdits(
+      unsyncedEdits,
+      "black cat",
+      3,
+    );
+
+    expect(delta.applyToString("black cat")).toEqual("black cats!");
+    expect(uncertain).toEqual(false);
+  });
+
+  test("does not duplicate the inflight delta applied along with other changes", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: new Delta().retain(3).insert("s"),
+      bufferDelta: new Delta().retain(4).insert("!"),
+    };
+
+    const { delta, uncertain } = rebaseUnsyncedEdits(
+      unsyncedEdits,
+      "black cats",
+      3,
+    );
+
+    expect(delta.applyToString("black cats")).toEqual("black cats!");
+    expect(uncertain).toEqual(false);
+  });
+
+  test("keeps the inflight delta when it cannot tell if the server has it", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: new Delta().delete(1).insert("b"),
+      bufferDelta: null,
+    };
+
+    const { delta, uncertain } = rebaseUnsyncedEdits(unsyncedEdits, "hat", 3);
+
+    expect(delta.applyToString("hat")).toEqual("hbat");
+    expect(uncertain).toEqual(true);
+  });
+
+  test("returns null when there is nothing to apply", () => {
+    const unsyncedEdits = {
+      source: "cat",
+      revision: 1,
+      inflightDelta: new Delta().retain(3).insert("s"),
+      bufferDelta: null,
+    };
+
+    expect(rebaseUnsyncedEdits(unsyncedEdits, "cats", 2)).toEqual({
+      delta: null,
+      uncertain: false,
+    });
+  });
+});
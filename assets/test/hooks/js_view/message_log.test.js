@@ -0,0 +1,120 @@
+import MessageLog, {
+  payloadSize,
+  previewPayload,
+  formatSize,
+  formatDuration,
+} from "../../../js/hooks/js_view/message_log";
+
+describe("payloadSize", () => {
+  test("returns the byte size of serialized JSON", () => {
+    expect(payloadSize({ a: "ł" })).toEqual(10);
+    expect(payloadSize(null)).toEqual(4);
+  });
+
+  test("returns the size of binary payloads", () => {
+    expect(payloadSize(new ArrayBuffer(8))).toEqual(8);
+    expect(payloadSize(new Uint8Array(4))).toEqual(4);
+    expect(payloadSize([{ a: 1 }, new ArrayBuffer(8)])).toEqual(22);
+  });
+
+  test("returns null for payloads that are not serializable", () => {
+    const payload = {};
+    payload.self = payload;
+
+    expect(payloadSize(payload)).toEqual(null);
+  });
+});
+
+describe("previewPayload", () => {
+  test("returns serialized JSON", () => {
+    expect(previewPayload({ a: [1, 2] })).toEqual('{"a":[1,2]}');
+  });
+
+  test("truncates long payloads", () => {
+    const preview = previewPayload("x".repeat(1000));
+
+    expect(preview).toHaveLength(201);
+    expect(preview.endsWith("…")).toBe(true);
+  });
+
+  test("describes binary payloads", () => {
+    expect(previewPayload(new ArrayBuffer(8))).toEqual("<binary, 8 B>");
+
+    expect(previewPayload([{ a: 1 }, new ArrayBuffer(2048)])).toEqual(
+      '[{"a":1},"<binary, 2.0 KB>"]',
+    );
+  });
+});
+
+describe("formatSize", () => {
+  test("uses the appropriate unit", () => {
+    expect(formatSize(100)).toEqual("100 B");
+    expect(formatSize(1536)).toEqual("1.5 KB");
+    expect(formatSize(3 * 1024 * 1024)).toEqual("3.0 MB");
+  });
+});
+
+describe("formatDuration", () => {
+  test("uses the appropriate unit", () => {
+    expect(formatDuration(12.34)).toEqual("12.3 ms");
+    expect(formatDuration(1500)).toEqual("1.50 s");
+  });
+});
+
+describe("MessageLog", () => {
+  test("records messages with size and preview", () => {
+    const log = new MessageLog();
+
+    const entry = log.record("toServer", "event", { x: 1 });
+
+    expect(entry).toMatchObject({
+      direction: "toServer",
+      type: "event",
+      size: 7,
+      preview: '{"x":1}',
+      duration: null,
+      level: null,
+    });
+
+    expect(log.entries).toEqual([entry]);
+  });
+
+  test("measures the time until reply", () => {
+    const log = new MessageLog();
+
+    log.record("toServer", "ping", null, { startTimer: "ping" });
+    const entry = log.record("fromServer", "pong", null, { stopTimer: "ping" });
+
+    expect(entry.duration).toBeGreaterThanOrEqual(0);
+    expect(log.timers).toEqual({});
+  });
+
+  test("records console messages", () => {
+    const log = new MessageLog();
+
+    const entry = log.recordConsole(
+      "error",
+      "Error: failed",
+      true,
+      log.startTime + 10,
+    );
+
+    expect(entry).toMatchObject({
+      time: 10,
+      direction: "fromIframe",
+      type: "uncaught error",
+      preview: "Error: failed",
+      level: "error",
+    });
+  });
+
+  test("keeps only the most recent entries", () => {
+    const log = new MessageLog(2);
+
+    log.record("toIframe", "event", 1);
+    log.record("toIframe", "event", 2);
+    log.record("toIframe", "event", 3);
+
+    expect(log.entries.map((entry) => entry.preview)).toEqual(["2", "3"]);
+  });
+});
@@ -0,0 +1,178 @@
+import SharedState, {
+  applyPatch,
+  diff,
+} from "../../../js/hooks/js_view/shared_state";
+
+describe("applyPatch", () => {
+  test("applies operations without modifying the document", () => {
+    const doc = { a: 1, b: { c: [1, 2] } };
+
+    const result = applyPatch(doc, [
+      { op: "replace", path: "/a", value: 2 },
+      { op: "add", path: "/b/d", value: true },
+      { op: "add", path: "/b/c/-", value: 3 },
+      { op: "remove", path: "/b/c/0" },
+    ]);
+
+    expect(result).toEqual({ a: 2, b: { c: [2, 3], d: true } });
+    expect(doc).toEqual({ a: 1, b: { c: [1, 2] } });
+  });
+
+  test("supports escaped keys", () => {
+    expect(applyPatch({}, [{ op: "add", path: "/a~1b~0c", value: 1 }])).toEqual(
+      { "a/b~c": 1 },
+    );
+  });
+
+  test("throws an error when the path does not exist", () => {
+    expect(() =>
+      applyPatch({ a: 1 }, [{ op: "replace", path: "/b", value: 2 }]),
+    ).toThrow('No member at "b"');
+
+    expect(() =>
+      applyPatch({ a: 1 }, [{ op: "add", path: "/a/b", value: 2 }]),
+    ).toThrow('Cannot access "b" on a primitive value');
+  });
+});
+
+describe("diff", () => {
+  test("returns operations transforming one document into another", () => {
+    const from = { a: 1, b: { c: 1, d: 2 }, e: [1], f: "x" };
+    const to = { a: 1, b: { c: 2 }, e: [1, 2], g: null };
+
+    const ops = diff(from, to);
+
+    expect(ops).toEqual([
+      { op: "remove", path: "/f" },
+      { op: "remove", path: "/b/d" },
+      { op: "replace", path: "/b/c", value: 2 },
+      { op: "replace", path: "/e", value: [1, 2] },
+      { op: "add", path: "/g", value: null },
+    ]);
+
+    expect(applyPatch(from, ops)).toEqual(to);
+  });
+
+  test("returns no operations for equal documents", () => {
+    expect(diff({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toEqual([]);
+  });
+});
+
+describe("SharedState", () => {
+  test("adopts the server state and rebases local changes", () => {
+    const sharedState = new SharedState({ count: 0 });
+    sharedState.connect();
+
+    sharedState.pushLocal([{ op: "add", path: "/name", value: "x" }]);
+
+    const ops = sharedState.reset({ count: 5 }, 10);
+
+    expect(ops).toEqual([{ op: "replace", path: "/count", value: 5 }]);
+    expect(sharedState.local).toEqual({ count: 5, name: "x" });
+  });
+
+  test("drops local changes once acknowledged", () => {
+    const sharedState = connectedState({ count: 0 }, 1);
+
+    sharedState.pushLocal([{ op: "replace", path: "/count", value: 1 }]);
+    expect(sharedState.pending).toHaveLength(1);
+
+    const ops = sharedState.applyRemote(
+      [{ op: "replace", path: "/count", value: 1 }],
+      2,
+      true,
+    );
+
+    expect(ops).toEqual([]);
+    expect(sharedState.pending).toHaveLength(0);
+    expect(sharedState.confirmed).toEqual({ count: 1 });
+  });
+
+  test("applies remote changes under pending local changes", () => {
+    const sharedState = connectedState({ a: 0, b: 0 }, 1);
+
+    sharedState.pushLocal([{ op: "replace", path: "/a", value: 1 }]);
+
+    const ops = sharedState.applyRemote(
+      [
+        { op: "replace", path: "/a", value: 2 },
+        { op: "replace", path: "/b", value: 2 },
+      ],
+      2,
+      false,
+    );
+
+    // The local change comes after the remote one, so it wins
+    expect(ops).toEqual([{ op: "replace", path: "/b", value: 2 }]);
+    expect(sharedState.local).toEqual({ a: 1, b: 2 });
+  });
+
+  test("skips local changes that no longer apply", () => {
+    const sharedState = connectedState({ item: { name: "x" } }, 1);
+
+    sharedState.pushLocal([{ op: "replace", path: "/item/name", value: "y" }]);
+
+    const ops = sharedState.applyRemote(
+      [{ op: "remove", path: "/item" }],
+      2,
+      false,
+    );
+
+    expect(ops).toEqual([{ op: "remove", path: "/item" }]);
+    expect(sharedState.local).toEqual({});
+
+    // The server rejects the change and broadcasts an empty patch
+    sharedState.applyRemote([], 3, true);
+    expect(sharedState.pending).toHaveLength(0);
+  });
+
+  test("buffers remote changes until connected", () => {
+    const sharedState = new SharedState({ count: 0 });
+    sharedState.connect();
+
+    sharedState.applyRemote([{ op: "replace", path: "/count", value: 1 }], 1);
+    sharedState.applyRemote([{ op: "replace", path: "/count", value: 2 }], 2);
+
+    const ops = sharedState.reset({ count: 1 }, 1);
+
+    expect(ops).toEqual([{ op: "replace", path: "/count", value: 2 }]);
+    expect(sharedState.version).toEqual(2);
+  });
+
+  test("requests resync when a change is missed", () => {
+    const sharedState = connectedState({ count: 0 }, 1);
+
+    const ops = sharedState.applyRemote(
+      [{ op: "replace", path: "/count", value: 3 }],
+      3,
+      false,
+    );
+
+    expect(ops).toEqual([]);
+    expect(sharedState.needsResync).toBe(true);
+
+    sharedState.connect();
+    expect(sharedState.needsResync).toBe(false);
+  });
+
+  test("keeps local changes sent after reconnecting", () => {
+    const sharedState = connectedState({ count: 0 }, 1);
+
+    sharedState.pushLocal([{ op: "replace", path: "/count", value: 1 }]);
+    sharedState.connect();
+    sharedState.pushLocal([{ op: "add", path: "/name", value: "x" }]);
+
+    // The state includes the change sent before reconnecting
+    sharedState.reset({ count: 1 }, 2);
+
+    expect(sharedState.pending).toHaveLength(1);
+    expect(sharedState.local).toEqual({ count: 1, name: "x" });
+  });
+});
+
+function connectedState(state, version) {
+  const sharedState = new SharedState(state);
+  sharedState.connect();
+  sharedState.reset(state, version);
+  return sharedState;
+}
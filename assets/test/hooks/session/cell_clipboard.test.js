@@ -0,0 +1,172 @@
+import {
+  CELLS_CLIPBOARD_TYPE,
+  encodeCells,
+  decodeCells,
+  writeCellsToClipboard,
+  readCellsFromClipboard,
+  textToContent,
+} from "../../../js/hooks/session/cell_clipboard";
+
+const cells = [
+  { type: "markdown", source: "# Title" },
+  { type: "code", language: "elixir", source: "1 + 1" },
+  { type: "smart", kind: "text", attrs: { text: "Hey" }, source: "" },
+];
+
+const markdown = "# Title\n\n```elixir\n1 + 1\n```\n";
+
+describe("decodeCells", () => {
+  test("decodes cells encoded with encodeCells", () => {
+    expect(decodeCells(encodeCells(cells))).toEqual(cells);
+  });
+
+  test("drops unknown cell properties", () => {
+    const text = JSON.stringify({
+      livebook_cells: [{ type: "markdown", source: "# Title", id: "c1" }],
+    });
+
+    expect(decodeCells(text)).toEqual([
+      { type: "markdown", source: "# Title" },
+    ]);
+  });
+
+  test("returns null for arbitrary text", () => {
+    expect(decodeCells("1 + 1")).toEqual(null);
+    expect(decodeCells(JSON.stringify({ cells: [] }))).toEqual(null);
+    expect(decodeCells("null")).toEqual(null);
+  });
+
+  test("returns null for invalid cells", () => {
+    expect(encodeAndDecode([])).toEqual(null);
+    expect(encodeAndDecode([{ type: "setup", source: "" }])).toEqual(null);
+    expect(encodeAndDecode([{ type: "code", source: "" }])).toEqual(null);
+    expect(encodeAndDecode([{ type: "markdown", source: 1 }])).toEqual(null);
+    expect(
+      encodeAndDecode([{ type: "smart", kind: "text", attrs: [], source: "" }]),
+    ).toEqual(null);
+    expect(encodeAndDecode([null])).toEqual(null);
+  });
+});
+
+describe("textToContent", () => {
+  test("treats the text as Live Markdown", () => {
+    expect(textToContent(markdown)).toEqual({ markdown });
+  });
+
+  test("returns null for blank text", () => {
+    expect(textToContent("  \n")).toEqual(null);
+  });
+});
+
+describe("clipboard", () => {
+  let clipboard;
+
+  beforeEach(() => {
+    clipboard = { items: [] };
+
+    global.navigator = {
+      clipboard: {
+        write: (items) => {
+          clipboard.items = items;
+          return Promise.resolve();
+        },
+        read: () => Promise.resolve(clipboard.items),
+      },
+    };
+
+    global.ClipboardItem = FakeClipboardItem;
+  });
+
+  afterEach(() => {
+    delete global.navigator;
+    delete global.ClipboardItem;
+  });
+
+  test("writes both the text and the structured cells", async () => {
+    await writeCellsToClipboard(Promise.resolve({ cells, markdown }));
+
+    const [item] = clipboard.items;
+
+    expect(item.types).toEqual(["text/plain", CELLS_CLIPBOARD_TYPE]);
+    expect(await (await item.getType("text/plain")).text()).toEqual(markdown);
+    expect(await (await item.getType(CELLS_CLIPBOARD_TYPE)).text()).toEqual(
+      encodeCells(cells),
+    );
+  });
+
+  test("writes only the text when structured type is not supported", async () => {
+    FakeClipboardItem.supports = () => false;
+
+    await writeCellsToClipboard(Promise.resolve({ cells, markdown }));
+
+    expect(clipboard.items[0].types).toEqual(["text/plain"]);
+
+    FakeClipboardItem.supports = () => true;
+  });
+
+  test("reads the structured cells rather than the text", async () => {
+    await writeCellsToClipboard(Promise.resolve({ cells, markdown }));
+
+    expect(await readCellsFromClipboard()).toEqual({ cells });
+  });
+
+  test("falls back to the text when there are no structured cells", async () => {
+    clipboard.items = [
+      new FakeClipboardItem({
+        "text/plain": new Blob([markdown]),
+        [CELLS_CLIPBOARD_TYPE]: new Blob(["invalid"]),
+      }),
+    ];
+
+    expect(await readCellsFromClipboard()).toEqual({ markdown });
+  });
+
+  test("ignores the text when reading structured cells only", async () => {
+    clipboard.items = [
+      new FakeClipboardItem({ "text/plain": new Blob([markdown]) }),
+    ];
+
+    expect(await readCellsFromClipboard({ structuredOnly: true })).toEqual(
+      null,
+    );
+  });
+
+  test("resolves to null when the clipboard has no text", async () => {
+    clipboard.items = [new FakeClipboardItem({})];
+    expect(await readCellsFromClipboard()).toEqual(null);
+
+    clipboard.items = [
+      new FakeClipboardItem({ "text/plain": new Blob(["  \n"]) }),
+    ];
+    expect(await readCellsFromClipboard()).toEqual(null);
+  });
+
+  test("rejects when the clipboard is not available", async () => {
+    global.navigator = {};
+
+    await expect(
+      writeCellsToClipboard(Promise.resolve({ cells, markdown })),
+    ).rejects.toThrow("clipboard is not available");
+
+    await expect(readCellsFromClipboard()).rejects.toThrow(
+      "clipboard is not available",
+    );
+  });
+});
+
+class FakeClipboardItem {
+  static supports = () => true;
+
+  constructor(data) {
+    this.data = data;
+    this.types = Object.keys(data);
+  }
+
+  getType(type) {
+    return Promise.resolve(this.data[type]);
+  }
+}
+
+function encodeAndDecode(cells) {
+  return decodeCells(encodeCells(cells));
+}
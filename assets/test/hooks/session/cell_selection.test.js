@@ -0,0 +1,21 @@
+import { cellIdsBetween } from "../../../js/hooks/session/cell_selection";
+
+describe("cellIdsBetween", () => {
+  const cellIds = ["c1", "c2", "c3", "c4"];
+
+  test("returns ids between the boundaries, inclusive", () => {
+    expect(cellIdsBetween(cellIds, "c2", "c4")).toEqual(["c2", "c3", "c4"]);
+  });
+
+  test("accepts boundaries in reverse order", () => {
+    expect(cellIdsBetween(cellIds, "c3", "c1")).toEqual(["c1", "c2", "c3"]);
+  });
+
+  test("returns a single id when boundaries are the same", () => {
+    expect(cellIdsBetween(cellIds, "c2", "c2")).toEqual(["c2"]);
+  });
+
+  test("returns an empty list when a boundary is missing", () => {
+    expect(cellIdsBetween(cellIds, "c2", "c5")).toEqual([]);
+  });
+});
@@ -0,0 +1,28 @@
+import { findCodeLenses } from "../../../js/hooks/session/code_lenses";
+import { findSymbols } from "../../../js/hooks/session/symbols";
+
+describe("findCodeLenses", () => {
+  test("uses the given call counts", () => {
+    const source = `defmodule Math do
+  def fact(0), do: 1
+  def fact(n), do: n * fact(n - 1)
+
+  defp double(x), do: x * 2
+end`;
+
+    const callCounts = new Map([["Math.fact", 3]]);
+
+    expect(findCodeLenses(source, findSymbols(source), callCounts)).toEqual([
+      { line: 2, offset: 6, references: 3 },
+      { line: 5, offset: 7, references: 0 },
+    ]);
+  });
+
+  test("skips operator definitions", () => {
+    const source = `defmodule Ops do
+  def left <~> right, do: {left, right}
+end`;
+
+    expect(findCodeLenses(source, findSymbols(source), new Map())).toEqual([]);
+  });
+});
@@ -0,0 +1,32 @@
+import { rankByFuzzyMatch } from "../../../js/hooks/session/command_palette";
+
+describe("rankByFuzzyMatch", () => {
+  const items = [
+    "Toggle outline panel",
+    "Show package search",
+    "Show bin",
+    "Evaluate cell",
+  ];
+
+  test("returns all items in order for an empty query", () => {
+    expect(
+      rankByFuzzyMatch(items, "", (item) => item).map(({ item }) => item),
+    ).toEqual(items);
+  });
+
+  test("filters out items not matching the query", () => {
+    expect(
+      rankByFuzzyMatch(items, "xyz", (item) => item).map(({ item }) => item),
+    ).toEqual([]);
+  });
+
+  test("sorts items by the match quality", () => {
+    expect(
+      rankByFuzzyMatch(items, "sho", (item) => item).map(({ item }) => item),
+    ).toEqual(["Show bin", "Show package search"]);
+
+    expect(
+      rankByFuzzyMatch(items, "op", (item) => item).map(({ item }) => item),
+    ).toEqual(["Toggle outline panel", "Show package search"]);
+  });
+});
@@ -0,0 +1,100 @@
+import CommandRegistry from "../../../js/hooks/session/command_registry";
+import KeyBuffer from "../../../js/lib/key_buffer";
+
+describe("register", () => {
+  test("returns a subscription that removes the command", () => {
+    const registry = new CommandRegistry();
+    const command = { id: "save", title: "Save notebook", run: () => {} };
+
+    const subscription = registry.register(command);
+    expect(registry.getAvailableCommands()).toEqual([command]);
+
+    subscription.destroy();
+    expect(registry.getAvailableCommands()).toEqual([]);
+  });
+
+  test("throws when the command id is already taken", () => {
+    const registry = new CommandRegistry();
+    registry.register({ id: "save", title: "Save", run: () => {} });
+
+    expect(() =>
+      registry.register({ id: "save", title: "Save", run: () => {} }),
+    ).toThrow("a command with id save is already registered");
+  });
+});
+
+test("getAvailableCommands filters out unavailable commands", () => {
+  const registry = new CommandRegistry();
+  const available = { id: "a", title: "A", run: () => {} };
+  const unavailable = {
+    id: "b",
+    title: "B",
+    isAvailable: () => false,
+    run: () => {},
+  };
+
+  registry.register(available);
+  registry.register(unavailable);
+
+  expect(registry.getAvailableCommands()).toEqual([available]);
+});
+
+describe("matchKeys", () => {
+  test("returns the longest command matching the buffer", () => {
+    const registry = new CommandRegistry();
+    const collapse = { id: "c", title: "C", keys: ["c"], run() {} };
+    const customView = { id: "v", title: "V", keys: ["v", "c"], run() {} };
+    registry.register(collapse);
+    registry.register(customView);
+
+    const keyBuffer = new KeyBuffer();
+
+    keyBuffer.push("v");
+    expect(registry.matchKeys(keyBuffer)).toEqual(null);
+
+    keyBuffer.push("c");
+    expect(registry.matchKeys(keyBuffer)).toBe(customView);
+
+    keyBuffer.push("c");
+    expect(registry.matchKeys(keyBuffer)).toBe(collapse);
+
+    keyBuffer.reset();
+  });
+
+  test("uses keys from the keymap", () => {
+    const registry = new CommandRegistry();
+    const deleteCell = { id: "d", title: "D", keys: ["d", "d"], run() {} };
+    const showBin = { id: "b", title: "B", keys: ["s", "b"], run() {} };
+    registry.register(deleteCell);
+    registry.register(showBin);
+
+    registry.setKeymap({ d: ["x"], b: null });
+    expect(registry.getKeys(deleteCell)).toEqual(["x"]);
+    expect(registry.getKeys(showBin)).toEqual(null);
+
+    const keyBuffer = new KeyBuffer();
+
+    keyBuffer.push("s");
+    keyBuffer.push("b");
+    expect(registry.matchKeys(keyBuffer)).toEqual(null);
+
+    keyBuffer.push("x");
+    expect(registry.matchKeys(keyBuffer)).toBe(deleteCell);
+
+    keyBuffer.reset();
+  });
+});
+
+test("run only runs available commands", () => {
+  const registry = new CommandRegistry();
+  const run = jest.fn();
+  let available = false;
+  const command = { id: "a", title: "A", isAvailable: () => available, run };
+
+  registry.run(command);
+  expect(run).not.toHaveBeenCalled();
+
+  available = true;
+  registry.run(command);
+  expect(run).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,108 @@
+import {
+  buildSearchRegExp,
+  findMatches,
+  replaceMatches,
+} from "../../../js/hooks/session/find_replace";
+
+describe("buildSearchRegExp", () => {
+  test("matches the query literally by default", () => {
+    const searchRegExp = buildSearchRegExp("a.b", {
+      regex: false,
+      caseSensitive: false,
+    });
+
+    expect("a.b axb".match(searchRegExp)).toEqual(["a.b"]);
+  });
+
+  test("supports regular expressions", () => {
+    const searchRegExp = buildSearchRegExp("a.b", {
+      regex: true,
+      caseSensitive: false,
+    });
+
+    expect("a.b axb".match(searchRegExp)).toEqual(["a.b", "axb"]);
+  });
+
+  test("ignores case unless case sensitive", () => {
+    const insensitive = buildSearchRegExp("cat", {
+      regex: false,
+      caseSensitive: false,
+    });
+
+    const sensitive = buildSearchRegExp("cat", {
+      regex: false,
+      caseSensitive: true,
+    });
+
+    expect("cat Cat".match(insensitive)).toEqual(["cat", "Cat"]);
+    expect("cat Cat".match(sensitive)).toEqual(["cat"]);
+  });
+
+  test("throws on invalid regular expression", () => {
+    expect(() =>
+      buildSearchRegExp("(", { regex: true, caseSensitive: false }),
+    ).toThrow(SyntaxError);
+  });
+});
+
+describe("findMatches", () => {
+  test("returns positions of all matches", () => {
+    const source = "x = 1\ny = x + x\n\nx";
+    const searchRegExp = buildSearchRegExp("x", {
+      regex: false,
+      caseSensitive: false,
+    });
+
+    expect(findMatches(source, searchRegExp)).toEqual([
+      { from: 0, to: 1, line: 1, offset: 0, lineText: "x = 1" },
+      { from: 10, to: 11, line: 2, offset: 4, lineText: "y = x + x" },
+      { from: 14, to: 15, line: 2, offset: 8, lineText: "y = x + x" },
+      { from: 17, to: 18, line: 4, offset: 0, lineText: "x" },
+    ]);
+  });
+
+  test("treats ^ and $ as line boundaries", () => {
+    const source = "foo\nbar\nfoo";
+    const searchRegExp = buildSearchRegExp("^foo$", {
+      regex: true,
+      caseSensitive: false,
+    });
+
+    expect(findMatches(source, searchRegExp).map(({ line }) => line)).toEqual([
+      1, 3,
+    ]);
+  });
+
+  test("returns an empty list when nothing matches", () => {
+    const searchRegExp = buildSearchRegExp("z", {
+      regex: false,
+      caseSensitive: false,
+    });
+
+    expect(findMatches("x = 1", searchRegExp)).toEqual([]);
+  });
+});
+
+describe("replaceMatches", () => {
+  test("inserts the replacement literally by default", () => {
+    const searchRegExp = buildSearchRegExp("x", {
+      regex: false,
+      caseSensitive: false,
+    });
+
+    expect(
+      replaceMatches("x + X", searchRegExp, "$&y", { regex: false }),
+    ).toEqual("$&y + $&y");
+  });
+
+  test("supports capture groups in regex mode", () => {
+    const searchRegExp = buildSearchRegExp("(\\w+)\\.(\\w+)", {
+      regex: true,
+      caseSensitive: false,
+    });
+
+    expect(
+      replaceMatches("Enum.map", searchRegExp, "$2 from $1", { regex: true }),
+    ).toEqual("map from Enum");
+  });
+});
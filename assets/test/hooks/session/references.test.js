@@ -0,0 +1,240 @@
+import {
+  symbolAt,
+  findReferences,
+  countFunctionCalls,
+  symbolLabel,
+  isValidName,
+  renameReferencesDelta,
+} from "../../../js/hooks/session/references";
+
+const moduleSource = `defmodule Utils do
+  def map(x) when is_list(x), do: Enum.map(x, &double/1)
+  def map(x), do: map([x])
+
+  defp double(x), do: x * 2
+end
+
+x = 1
+Utils.map(x)`;
+
+describe("symbolAt", () => {
+  test("returns top-level variables", () => {
+    const source = "count = 1\ncount + 1";
+
+    expect(symbolAt(source, { line: 1, offset: 2 })).toEqual({
+      type: "variable",
+      name: "count",
+      scope: null,
+    });
+
+    expect(symbolAt(source, { line: 2, offset: 5 })).toEqual({
+      type: "variable",
+      name: "count",
+      scope: null,
+    });
+  });
+
+  test("returns variables scoped to the enclosing function", () => {
+    expect(symbolAt(moduleSource, { line: 3, offset: 10 })).toEqual({
+      type: "variable",
+      name: "x",
+      scope: 2,
+    });
+  });
+
+  test("returns functions with the module they belong to", () => {
+    const symbol = { type: "function", name: "map", module: "Utils" };
+
+    expect(symbolAt(moduleSource, { line: 2, offset: 7 })).toEqual(symbol);
+    expect(symbolAt(moduleSource, { line: 3, offset: 18 })).toEqual(symbol);
+    expect(symbolAt(moduleSource, { line: 9, offset: 7 })).toEqual(symbol);
+  });
+
+  test("returns functions without module for unresolvable local calls", () => {
+    expect(symbolAt("length([])", { line: 1, offset: 1 })).toEqual({
+      type: "function",
+      name: "length",
+      module: null,
+    });
+  });
+
+  test("returns null for non-references", () => {
+    const source = "map.key\n@attr 1";
+
+    expect(symbolAt(source, { line: 1, offset: 5 })).toEqual(null);
+    expect(symbolAt(source, { line: 2, offset: 2 })).toEqual(null);
+  });
+});
+
+describe("findReferences", () => {
+  test("finds variables in the same scope", () => {
+    const references = findReferences(moduleSource, {
+      type: "variable",
+      name: "x",
+      scope: null,
+    });
+
+    expect(references).toEqual([
+      {
+        from: 137,
+        to: 138,
+        line: 8,
+        offset: 0,
+        lineText: "x = 1",
+        definition: false,
+      },
+      {
+        from: 153,
+        to: 154,
+        line: 9,
+        offset: 10,
+        lineText: "Utils.map(x)",
+        definition: false,
+      },
+    ]);
+
+    const scopedReferences = findReferences(moduleSource, {
+      type: "variable",
+      name: "x",
+      scope: 2,
+    });
+
+    expect(scopedReferences.map((reference) => reference.line)).toEqual([3, 3]);
+  });
+
+  test("finds function definitions, local and qualified calls", () => {
+    const references = findReferences(moduleSource, {
+      type: "function",
+      name: "map",
+      module: "Utils",
+    });
+
+    expect(
+      references.map(({ line, offset, definition }) => [
+        line,
+        offset,
+        definition,
+      ]),
+    ).toEqual([
+      [2, 6, true],
+      [3, 6, true],
+      [3, 18, false],
+      [9, 6, false],
+    ]);
+  });
+
+  test("finds captured functions", () => {
+    const references = findReferences(moduleSource, {
+      type: "function",
+      name: "double",
+      module: "Utils",
+    });
+
+    expect(references.map(({ line, offset }) => [line, offset])).toEqual([
+      [2, 47],
+      [5, 7],
+    ]);
+  });
+
+  test("does not match functions from other modules", () => {
+    const references = findReferences(moduleSource, {
+      type: "function",
+      name: "map",
+      module: "Enum",
+    });
+
+    expect(references.map(({ line, offset }) => [line, offset])).toEqual([
+      [2, 39],
+    ]);
+  });
+
+  test("supports nested modules", () => {
+    const source = `defmodule Outer do
+  defmodule Inner do
+    def run, do: :ok
+  end
+end
+
+Outer.Inner.run()`;
+
+    const symbol = symbolAt(source, { line: 3, offset: 9 });
+
+    expect(symbol).toEqual({
+      type: "function",
+      name: "run",
+      module: "Outer.Inner",
+    });
+
+    expect(findReferences(source, symbol)).toHaveLength(2);
+  });
+
+  test("returns an empty list when there are no references", () => {
+    expect(
+      findReferences("x = 1", { type: "variable", name: "y", scope: null }),
+    ).toEqual([]);
+  });
+});
+
+describe("countFunctionCalls", () => {
+  test("counts local and qualified calls excluding definitions", () => {
+    const source = `defmodule Math do
+  def fact(0), do: 1
+  def fact(n), do: n * fact(n - 1)
+
+  def double(x), do: x * 2
+end
+
+Math.fact(3)
+Enum.map([1], &Math.double/1)
+helper(1)`;
+
+    expect(countFunctionCalls(source)).toEqual(
+      new Map([
+        ["Math.fact", 2],
+        ["Math.double", 1],
+        ["Enum.map", 1],
+      ]),
+    );
+  });
+});
+
+describe("symbolLabel", () => {
+  test("includes the module for functions", () => {
+    expect(
+      symbolLabel({ type: "function", name: "map", module: "Utils" }),
+    ).toEqual("Utils.map");
+
+    expect(symbolLabel({ type: "variable", name: "x", scope: null })).toEqual(
+      "x",
+    );
+  });
+});
+
+describe("isValidName", () => {
+  test("accepts variable and function names", () => {
+    expect(isValidName("count")).toBe(true);
+    expect(isValidName("_acc")).toBe(true);
+    expect(isValidName("valid?")).toBe(true);
+  });
+
+  test("rejects invalid names and reserved words", () => {
+    expect(isValidName("")).toBe(false);
+    expect(isValidName("Count")).toBe(false);
+    expect(isValidName("my-name")).toBe(false);
+    expect(isValidName("end")).toBe(false);
+  });
+});
+
+describe("renameReferencesDelta", () => {
+  test("replaces all references with the new name", () => {
+    const source = "x = 1\ny = x + x";
+    const references = findReferences(source, {
+      type: "variable",
+      name: "x",
+      scope: null,
+    });
+    const delta = renameReferencesDelta(references, "count");
+
+    expect(delta.applyToString(source)).toEqual("count = 1\ny = count + count");
+  });
+});
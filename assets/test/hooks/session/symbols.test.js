@@ -0,0 +1,105 @@
+import { findSymbols } from "../../../js/hooks/session/symbols";
+
+describe("findSymbols", () => {
+  test("finds module and function definitions", () => {
+    const source = `defmodule Utils do
+  def hello(name), do: "Hello #{name}"
+
+  defp format(x) when is_integer(x) do
+    x
+  end
+
+  defmacro debug(expr), do: expr
+end`;
+
+    expect(findSymbols(source)).toEqual([
+      {
+        kind: "defmodule",
+        name: "Utils",
+        module: null,
+        label: "Utils",
+        line: 1,
+      },
+      {
+        kind: "def",
+        name: "hello/1",
+        module: "Utils",
+        label: "Utils.hello/1",
+        line: 2,
+      },
+      {
+        kind: "defp",
+        name: "format/1",
+        module: "Utils",
+        label: "Utils.format/1",
+        line: 4,
+      },
+      {
+        kind: "defmacro",
+        name: "debug/1",
+        module: "Utils",
+        label: "Utils.debug/1",
+        line: 8,
+      },
+    ]);
+  });
+
+  test("names nested modules after the parent module", () => {
+    const source = `defmodule Foo.Bar do
+  defmodule Baz do
+    def baz, do: 1
+  end
+
+  def bar(a, b \\\\ []), do: 1
+end
+
+defmodule Other do
+end`;
+
+    expect(findSymbols(source).map(({ label, line }) => [label, line])).toEqual(
+      [
+        ["Foo.Bar", 1],
+        ["Foo.Bar.Baz", 2],
+        ["Foo.Bar.Baz.baz/0", 3],
+        ["Foo.Bar.bar/2", 6],
+        ["Other", 9],
+      ],
+    );
+  });
+
+  test("lists multi-clause functions once", () => {
+    const source = `defmodule Math do
+  def fact(0), do: 1
+  def fact(n), do: n * fact(n - 1)
+end`;
+
+    expect(findSymbols(source).map(({ label }) => label)).toEqual([
+      "Math",
+      "Math.fact/1",
+    ]);
+  });
+
+  test("supports operators and skips dynamic names", () => {
+    const source = `defmodule Ops do
+  def a <~> b, do: {a, b}
+  def unquote(name)(), do: 1
+end`;
+
+    expect(findSymbols(source).map(({ label }) => label)).toEqual([
+      "Ops",
+      "Ops.<~>/2",
+    ]);
+  });
+
+  test("finds definitions outside of modules", () => {
+    expect(findSymbols("def helper(x), do: x\nx = 1")).toEqual([
+      {
+        kind: "def",
+        name: "helper/1",
+        module: null,
+        label: "helper/1",
+        line: 1,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  encodeDelta,
+  decodeDelta,
+  encodeDeltaMessage,
+  decodeDeltaMessage,
+} from "../../js/lib/codec";
+import Delta from "../../js/lib/delta";
+
+describe("encodeDelta", () => {
+  test("encodes operations with varint headers", () => {
+    const delta = new Delta().retain(2).insert("hey").delete(3);
+    const buffer = encodeDelta(delta);
+
+    expect(Array.from(new Uint8Array(buffer))).toEqual([
+      8, 14, 104, 101, 121, 13,
+    ]);
+  });
+
+  test("encodes insert length as the number of UTF-8 bytes", () => {
+    const delta = new Delta().insert("ą");
+    const buffer = encodeDelta(delta);
+
+    expect(Array.from(new Uint8Array(buffer))).toEqual([10, 196, 133]);
+  });
+
+  test("uses multiple bytes for large lengths", () => {
+    const delta = new Delta().retain(1000);
+    const buffer = encodeDelta(delta);
+
+    expect(Array.from(new Uint8Array(buffer))).toEqual([160, 31]);
+  });
+});
+
+describe("decodeDelta", () => {
+  test("round trip", () => {
+    const deltas = [
+      new Delta(),
+      new Delta().insert("cats"),
+      new Delta().retain(5).delete(2),
+      new Delta().retain(2).insert("hey").delete(3),
+      new Delta()
+        .retain(100_000)
+        .insert("zażółć 🐈")
+        .delete(2 ** 40),
+      new Delta().insert("x".repeat(300)),
+    ];
+
+    for (const delta of deltas) {
+      expect(decodeDelta(encodeDelta(delta))).toEqual(delta);
+    }
+  });
+
+  test("throws on truncated input", () => {
+    const buffer = new Uint8Array([160]).buffer;
+
+    expect(() => decodeDelta(buffer)).toThrow("Unexpected end of binary delta");
+  });
+});
+
+describe("decodeDeltaMessage", () => {
+  test("round trip", () => {
+    const meta = { selection: [[1, 4]], revision: 12 };
+    const delta = new Delta().retain(1).insert("dog");
+
+    const raw = encodeDeltaMessage(meta, delta);
+
+    expect(decodeDeltaMessage(raw)).toEqual([meta, delta]);
+  });
+});
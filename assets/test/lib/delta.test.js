@@ -328,3 +328,63 @@ describe("transformPosition", () => {
     expect(delta.transformPosition(4)).toEqual(1);
   });
 });
+
+describe("diff", () => {
+  test("identical strings", () => {
+    expect(Delta.diff("cat", "cat")).toEqual(new Delta());
+  });
+
+  test("insert", () => {
+    const expected = new Delta().retain(2).insert("s");
+    expect(Delta.diff("ca", "cas")).toEqual(expected);
+  });
+
+  test("delete", () => {
+    const expected = new Delta().retain(1).delete(1);
+    expect(Delta.diff("cat", "ct")).toEqual(expected);
+  });
+
+  test("replace", () => {
+    const expected = new Delta().insert("h").delete(1);
+    expect(Delta.diff("cat", "hat")).toEqual(expected);
+  });
+
+  test("produces delta transforming the first string into the second", () => {
+    const string1 = "defmodule Cat do\n  def meow, do: :ok\nend";
+    const string2 = "defmodule Dog do\n  def woof(x), do: x\nend\n";
+
+    const delta = Delta.diff(string1, string2);
+    expect(delta.applyToString(string1)).toEqual(string2);
+  });
+});
+
+describe("invert", () => {
+  test("insert", () => {
+    const delta = new Delta().retain(2).insert("A");
+    const expected = new Delta().retain(2).delete(1);
+    expect(delta.invert("cats")).toEqual(expected);
+  });
+
+  test("delete", () => {
+    const delta = new Delta().retain(1).delete(2);
+    const expected = new Delta().retain(1).insert("at");
+    expect(delta.invert("cats")).toEqual(expected);
+  });
+
+  test("replace", () => {
+    const delta = new Delta().retain(2).insert("r").delete(1);
+    const expected = new Delta().retain(2).insert("t").delete(1);
+    expect(delta.invert("cats")).toEqual(expected);
+  });
+
+  test("applying the inverted delta restores the base", () => {
+    const base = "defmodule Cat do\n  def meow, do: :ok\nend";
+    const delta = Delta.diff(
+      base,
+      "defmodule Dog do\n  def woof(x), do: x\nend",
+    );
+
+    const string = delta.applyToString(base);
+    expect(delta.invert(base).applyToString(string)).toEqual(base);
+  });
+});
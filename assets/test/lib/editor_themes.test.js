@@ -0,0 +1,194 @@
+import { tags } from "@lezer/highlight";
+import {
+  BUILTIN_EDITOR_THEMES,
+  getEditorTheme,
+  parseHighlightTag,
+  normalizeTheme,
+  exportTheme,
+  importTheme,
+} from "../../js/lib/editor_themes";
+
+jest.mock("../../js/lib/storage", () => ({
+  load: () => undefined,
+  store: () => {},
+}));
+
+// The test environment has no CSS, so we only accept the notations
+// used in the tests
+global.CSS = {
+  supports: (property, value) =>
+    property === "color" && /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(value),
+};
+
+describe("getEditorTheme", () => {
+  test("returns the selected built-in theme", () => {
+    expect(getEditorTheme({ editor_theme: "solarized_light" })).toBe(
+      BUILTIN_EDITOR_THEMES.solarized_light,
+    );
+  });
+
+  test("returns the custom theme when selected", () => {
+    const theme = normalizeTheme({ name: "Mine", dark: false });
+
+    expect(
+      getEditorTheme({ editor_theme: "custom", editor_custom_theme: theme }),
+    ).toEqual(theme);
+  });
+
+  test("normalizes the stored custom theme", () => {
+    const storedTheme = { name: "Mine", dark: false };
+    const settings = {
+      editor_theme: "custom",
+      editor_custom_theme: storedTheme,
+    };
+
+    const theme = getEditorTheme(settings);
+
+    expect(theme).toEqual(normalizeTheme(storedTheme));
+    expect(getEditorTheme(settings)).toBe(theme);
+  });
+
+  test("falls back to the default theme when the stored custom theme is invalid", () => {
+    expect(
+      getEditorTheme({
+        editor_theme: "custom",
+        editor_custom_theme: {
+          name: "Mine",
+          dark: true,
+          colors: { background: "#ggg" },
+        },
+      }),
+    ).toBe(BUILTIN_EDITOR_THEMES.default);
+  });
+
+  test("falls back to the default theme", () => {
+    expect(
+      getEditorTheme({ editor_theme: "custom", editor_custom_theme: null }),
+    ).toBe(BUILTIN_EDITOR_THEMES.default);
+
+    expect(getEditorTheme({ editor_theme: "unknown" })).toBe(
+      BUILTIN_EDITOR_THEMES.default,
+    );
+  });
+});
+
+describe("parseHighlightTag", () => {
+  test("returns a plain tag", () => {
+    expect(parseHighlightTag("keyword")).toBe(tags.keyword);
+  });
+
+  test("returns a modified tag", () => {
+    expect(parseHighlightTag("function(variableName)")).toBe(
+      tags.function(tags.variableName),
+    );
+  });
+
+  test("returns null for unknown or malformed names", () => {
+    expect(parseHighlightTag("unknown")).toBe(null);
+    expect(parseHighlightTag("function")).toBe(null);
+    expect(parseHighlightTag("keyword(function)")).toBe(null);
+    expect(parseHighlightTag("toString")).toBe(null);
+    expect(parseHighlightTag("special(variableName")).toBe(null);
+  });
+});
+
+describe("normalizeTheme", () => {
+  test("built-in themes are valid and complete", () => {
+    for (const theme of Object.values(BUILTIN_EDITOR_THEMES)) {
+      expect(normalizeTheme(theme)).toEqual(theme);
+    }
+  });
+
+  test("fills missing entries from the default theme of the same kind", () => {
+    const theme = normalizeTheme({
+      name: "Mine",
+      dark: false,
+      colors: { background: "#ffffff" },
+      highlight: { keyword: { color: "#ff0000", fontWeight: "bold" } },
+    });
+
+    const lightTheme = BUILTIN_EDITOR_THEMES.light;
+
+    expect(theme.colors).toEqual({
+      ...lightTheme.colors,
+      background: "#ffffff",
+    });
+
+    expect(theme.highlight).toEqual({
+      ...lightTheme.highlight,
+      keyword: { color: "#ff0000", fontWeight: "bold" },
+    });
+  });
+
+  test("throws an error when the theme is invalid", () => {
+    expect(() => normalizeTheme([])).toThrow(
+      "expected the theme to be an object",
+    );
+
+    expect(() => normalizeTheme({ name: "", dark: true })).toThrow(
+      "expected the theme name to be a non-empty string",
+    );
+
+    expect(() => normalizeTheme({ name: "Mine" })).toThrow(
+      "expected dark to be a boolean",
+    );
+
+    expect(() =>
+      normalizeTheme({
+        name: "Mine",
+        dark: true,
+        colors: { textColor: "red" },
+      }),
+    ).toThrow("unknown color: textColor");
+
+    expect(() =>
+      normalizeTheme({
+        name: "Mine",
+        dark: true,
+        colors: { brackets: ["red"] },
+      }),
+    ).toThrow("expected brackets to be a list of 3 colors");
+
+    expect(() =>
+      normalizeTheme({
+        name: "Mine",
+        dark: true,
+        colors: { background: "#ggg" },
+      }),
+    ).toThrow("expected background to be a color string");
+
+    expect(() =>
+      normalizeTheme({ name: "Mine", dark: true, highlight: { kw: "red" } }),
+    ).toThrow("unknown highlight tag: kw");
+
+    expect(() =>
+      normalizeTheme({
+        name: "Mine",
+        dark: true,
+        highlight: { keyword: { fontSize: "2em" } },
+      }),
+    ).toThrow("expected the keyword highlight to be a color or a style object");
+
+    expect(() =>
+      normalizeTheme({
+        name: "Mine",
+        dark: true,
+        highlight: { keyword: { color: "rgb(" } },
+      }),
+    ).toThrow("expected the keyword highlight to be a color or a style object");
+  });
+});
+
+describe("importTheme", () => {
+  test("imports an exported theme", () => {
+    const theme = BUILTIN_EDITOR_THEMES.high_contrast;
+
+    expect(importTheme(exportTheme(theme))).toEqual(theme);
+  });
+
+  test("throws an error when the JSON is invalid", () => {
+    expect(() => importTheme("{")).toThrow(
+      "the theme file is not a valid JSON",
+    );
+  });
+});
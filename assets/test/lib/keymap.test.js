@@ -0,0 +1,145 @@
+import {
+  NAVIGATION_ACTIONS,
+  KEYMAP_PRESETS,
+  getKeymap,
+  listKeyBindings,
+  findKeymapConflicts,
+  formatKeys,
+  parseKeys,
+  exportKeymap,
+  importKeymap,
+} from "../../js/lib/keymap";
+
+describe("KEYMAP_PRESETS", () => {
+  test("bind only known actions", () => {
+    const ids = NAVIGATION_ACTIONS.map(({ id }) => id);
+
+    for (const preset of Object.values(KEYMAP_PRESETS)) {
+      expect(Object.keys(preset).sort()).toEqual([...ids].sort());
+    }
+  });
+
+  test("have no conflicts", () => {
+    for (const preset of Object.values(KEYMAP_PRESETS)) {
+      expect(findKeymapConflicts(preset)).toEqual([]);
+    }
+  });
+});
+
+describe("getKeymap", () => {
+  test("applies overrides on top of the preset", () => {
+    const keymap = getKeymap({
+      keymap_preset: "jupyter",
+      keymap_overrides: { delete_cell: ["x"], show_bin: null },
+    });
+
+    expect(keymap.insert_code_cell_above).toEqual(["a"]);
+    expect(keymap.delete_cell).toEqual(["x"]);
+    expect(keymap.show_bin).toEqual(null);
+  });
+
+  test("falls back to the default preset", () => {
+    const keymap = getKeymap({
+      keymap_preset: "unknown",
+      keymap_overrides: {},
+    });
+    expect(keymap).toEqual(KEYMAP_PRESETS.default);
+  });
+});
+
+describe("listKeyBindings", () => {
+  test("omits unbound actions", () => {
+    const bindings = listKeyBindings({
+      keymap_preset: "jupyter",
+      keymap_overrides: {},
+    });
+
+    const ids = bindings.map(({ id }) => id);
+
+    expect(ids).not.toContain("insert_markdown_cell_below");
+    expect(bindings).toContainEqual({
+      id: "convert_cells_to_markdown",
+      title: "Change cell into Markdown",
+      keys: ["m"],
+    });
+  });
+
+  test("lists only basic actions in the basic view", () => {
+    const bindings = listKeyBindings(
+      { keymap_preset: "default", keymap_overrides: {} },
+      { basic: true },
+    );
+
+    const ids = bindings.map(({ id }) => id);
+
+    expect(ids).toContain("focus_next");
+    expect(ids).not.toContain("select_next");
+  });
+});
+
+describe("findKeymapConflicts", () => {
+  test("detects the same sequences", () => {
+    const keymap = { ...KEYMAP_PRESETS.default, show_bin: ["d", "d"] };
+
+    expect(findKeymapConflicts(keymap)).toEqual([
+      { ids: ["delete_cell", "show_bin"], keys: ["d", "d"] },
+    ]);
+  });
+
+  test("detects sequences shadowing longer sequences", () => {
+    const keymap = { ...KEYMAP_PRESETS.default, focus_next: ["e"] };
+
+    expect(findKeymapConflicts(keymap).map(({ ids }) => ids)).toEqual([
+      ["focus_next", "evaluate_cell"],
+      ["focus_next", "evaluate_section"],
+      ["focus_next", "evaluate_outdated_cells"],
+      ["focus_next", "cancel_cell_evaluation"],
+    ]);
+  });
+
+  test("ignores sequences ending with another sequence", () => {
+    const keymap = { ...KEYMAP_PRESETS.default, show_bin: ["x", "c"] };
+    expect(findKeymapConflicts(keymap)).toEqual([]);
+  });
+});
+
+test("formatKeys and parseKeys", () => {
+  expect(formatKeys(["d", "d"])).toEqual("d d");
+  expect(formatKeys(null)).toEqual("");
+  expect(parseKeys(" d  d ")).toEqual(["d", "d"]);
+  expect(parseKeys("  ")).toEqual(null);
+});
+
+describe("importKeymap", () => {
+  test("reverses exportKeymap", () => {
+    const settings = {
+      keymap_preset: "jupyter",
+      keymap_overrides: { delete_cell: ["x"], show_bin: null },
+    };
+
+    expect(importKeymap(exportKeymap(settings))).toEqual(settings);
+  });
+
+  test("defaults to the default preset", () => {
+    expect(importKeymap(`{"bindings": {"delete_cell": ["x"]}}`)).toEqual({
+      keymap_preset: "default",
+      keymap_overrides: { delete_cell: ["x"] },
+    });
+  });
+
+  test("throws on invalid keymap", () => {
+    expect(() => importKeymap("{")).toThrow("the keymap is not a valid JSON");
+
+    expect(() => importKeymap(`{"preset": "emacs"}`)).toThrow(
+      "unknown keymap preset: emacs",
+    );
+
+    expect(() => importKeymap(`{"bindings": {"fly": ["f"]}}`)).toThrow(
+      "unknown action: fly",
+    );
+
+    expect(() => importKeymap(`{"bindings": {"delete_cell": "d d"}}`)).toThrow(
+      "expected the binding for delete_cell to be a list of keys or null",
+    );
+  });
+});
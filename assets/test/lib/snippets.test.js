@@ -0,0 +1,95 @@
+import {
+  snippetsStore,
+  normalizeSnippet,
+  exportSnippets,
+  importSnippets,
+} from "../../js/lib/snippets";
+
+jest.mock("../../js/lib/storage", () => ({
+  load: () => undefined,
+  store: () => {},
+}));
+
+const mixInstall = {
+  trigger: "mix",
+  language: "elixir",
+  description: "Mix.install block",
+  body: 'Mix.install([\n  {:${1:kino}, "~> ${2:0.14}"}\n])\n${}',
+};
+
+const select = {
+  trigger: "sel",
+  language: "sql",
+  description: "",
+  body: "SELECT ${1:*} FROM ${2:table}",
+};
+
+describe("snippetsStore", () => {
+  afterEach(() => {
+    for (const snippet of snippetsStore.get()) {
+      snippetsStore.remove(snippet);
+    }
+  });
+
+  test("replaces snippets with the same trigger and language", () => {
+    snippetsStore.put([mixInstall, select]);
+    snippetsStore.put([{ ...mixInstall, body: "Mix.install([])" }]);
+
+    expect(snippetsStore.get()).toEqual([
+      { ...mixInstall, body: "Mix.install([])" },
+      select,
+    ]);
+  });
+
+  test("returns snippets scoped to the given language", () => {
+    snippetsStore.put([mixInstall, select]);
+
+    expect(snippetsStore.getForLanguage("sql")).toEqual([select]);
+  });
+});
+
+describe("normalizeSnippet", () => {
+  test("defaults description and drops unknown properties", () => {
+    expect(
+      normalizeSnippet({ trigger: "io", language: "elixir", body: "x", id: 1 }),
+    ).toEqual({
+      trigger: "io",
+      language: "elixir",
+      description: "",
+      body: "x",
+    });
+  });
+
+  test("throws on invalid snippet", () => {
+    expect(() => normalizeSnippet({ ...select, trigger: "two words" })).toThrow(
+      "expected the trigger to be a single word",
+    );
+
+    expect(() => normalizeSnippet({ ...select, language: "ruby" })).toThrow(
+      "unknown snippet language: ruby",
+    );
+
+    expect(() => normalizeSnippet({ ...select, body: " " })).toThrow(
+      "expected the body of sel to be a non-empty string",
+    );
+  });
+});
+
+describe("importSnippets", () => {
+  test("reverses exportSnippets", () => {
+    expect(importSnippets(exportSnippets([mixInstall, select]))).toEqual([
+      mixInstall,
+      select,
+    ]);
+  });
+
+  test("throws on invalid JSON", () => {
+    expect(() => importSnippets("{")).toThrow(
+      "the snippets file is not a valid JSON",
+    );
+
+    expect(() => importSnippets(`{"snippet": []}`)).toThrow(
+      "expected the JSON to have a list of snippets",
+    );
+  });
+});
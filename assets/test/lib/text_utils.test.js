@@ -1,4 +1,8 @@
-import { replacedSuffixLength } from "../../js/lib/text_utils";
+import {
+  replacedSuffixLength,
+  myersDifference,
+  fuzzyMatch,
+} from "../../js/lib/text_utils";
 
 test("replacedSuffixLength", () => {
   expect(replacedSuffixLength("to_string(", "")).toEqual(0);
@@ -8,3 +12,111 @@ test("replacedSuffixLength", () => {
   expect(replacedSuffixLength("Enum.ma", "map")).toEqual(2);
   expect(replacedSuffixLength("Enum.ma", "map_reduce")).toEqual(2);
 });
+
+describe("myersDifference", () => {
+  test("strings", () => {
+    expect(myersDifference("", "")).toEqual([]);
+    expect(myersDifference("abc", "abc")).toEqual([["eq", "abc"]]);
+    expect(myersDifference("", "abc")).toEqual([["ins", "abc"]]);
+    expect(myersDifference("abc", "")).toEqual([["del", "abc"]]);
+    expect(myersDifference("abcabba", "cbabac")).toEqual([
+      ["del", "a"],
+      ["ins", "c"],
+      ["eq", "b"],
+      ["del", "c"],
+      ["eq", "ab"],
+      ["del", "b"],
+      ["eq", "a"],
+      ["ins", "c"],
+    ]);
+  });
+
+  test("large unrelated strings", () => {
+    const a = "ab".repeat(5_000);
+    const b = "cd".repeat(5_000);
+
+    expect(myersDifference(a, b)).toEqual([
+      ["del", a],
+      ["ins", b],
+    ]);
+  });
+
+  test("edit count is minimal", () => {
+    const a = "the quick brown fox jumps over the lazy dog";
+    const b = "a quick brown cat jumped over lazy dogs";
+
+    const chunks = myersDifference(a, b);
+
+    const removed = chunks
+      .filter(([op]) => op !== "ins")
+      .map(([, chunk]) => chunk)
+      .join("");
+
+    const inserted = chunks
+      .filter(([op]) => op !== "del")
+      .map(([, chunk]) => chunk)
+      .join("");
+
+    expect(removed).toEqual(a);
+    expect(inserted).toEqual(b);
+
+    const editCount = chunks
+      .filter(([op]) => op !== "eq")
+      .reduce((count, [, chunk]) => count + chunk.length, 0);
+
+    expect(editCount).toEqual(editDistance(a, b));
+  });
+
+  test("arrays", () => {
+    expect(myersDifference(["a", "b", "c"], ["a", "x", "c"])).toEqual([
+      ["eq", ["a"]],
+      ["del", ["b"]],
+      ["ins", ["x"]],
+      ["eq", ["c"]],
+    ]);
+  });
+});
+
+describe("fuzzyMatch", () => {
+  test("returns null when the query is not a subsequence", () => {
+    expect(fuzzyMatch("xyz", "Toggle outline panel")).toEqual(null);
+    expect(fuzzyMatch("pt", "Toggle outline")).toEqual(null);
+  });
+
+  test("returns indices of the matched characters ignoring case", () => {
+    expect(fuzzyMatch("TOP", "Toggle outline panel").indices).toEqual([
+      0, 1, 15,
+    ]);
+  });
+
+  test("scores consecutive and word start matches higher", () => {
+    const wordStarts = fuzzyMatch("op", "Toggle outline panel");
+    const scattered = fuzzyMatch("op", "Show package search");
+
+    expect(wordStarts.score).toBeGreaterThan(scattered.score);
+
+    const consecutive = fuzzyMatch("bin", "Show bin");
+    const spread = fuzzyMatch("bin", "Disable binding");
+
+    expect(consecutive.score).toBeGreaterThanOrEqual(spread.score);
+  });
+});
+
+// Reference implementation computing the edit distance with only
+// insertions and deletions
+function editDistance(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      lcs[i][j] =
+        a[i - 1] === b[j - 1]
+          ? lcs[i - 1][j - 1] + 1
+          : Math.max(lcs[i - 1][j], lcs[i][j - 1]);
+    }
+  }
+
+  return a.length + b.length - 2 * lcs[a.length][b.length];
+}
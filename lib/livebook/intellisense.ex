@@ -12,6 +12,9 @@ defmodule Livebook.Intellisense do
   @line_length 45
   @extended_line_length 80
 
+  # The maximum number of alias or import fixes suggested at once.
+  @max_code_actions 5
+
   @typedoc """
   Evaluation state to consider for intellisense.
 
@@ -90,6 +93,16 @@ defmodule Livebook.Intellisense do
     format_code(code)
   end
 
+  def handle_request({:code_actions, code, markers}, context, node) do
+    marker_actions =
+      for marker <- markers do
+        actions = get_code_actions(code, marker.line, marker.description, context, node)
+        Map.put(marker, :actions, actions)
+      end
+
+    %{marker_actions: marker_actions}
+  end
+
   @doc """
   Formats Elixir code.
   """
@@ -109,6 +122,109 @@ defmodule Livebook.Intellisense do
     end
   end
 
+  @doc """
+  Returns a list of fixes for the code marker with `description`
+  reported at `line` in the given code.
+
+  The fixes are based on the diagnostic message, such as prefixing
+  an unused variable with an underscore, or aliasing and importing
+  modules available in the runtime.
+  """
+  @spec get_code_actions(String.t(), pos_integer(), String.t(), context(), node()) ::
+          list(Runtime.code_action())
+  def get_code_actions(code, line, description, context, node) do
+    cond do
+      match = Regex.run(~r/variable "(\w+)" is unused/, description) ->
+        [_, name] = match
+        unused_variable_actions(code, line, name)
+
+      match = Regex.run(~r/module ((?:[A-Z]\w*\.)*[A-Z]\w*) is not available/, description) ->
+        [_, alias] = match
+        missing_alias_actions(code, alias, context, node)
+
+      match = Regex.run(~r/undefined function ([a-z_]\w*[?!]?)\/(\d+)/, description) ->
+        [_, name, arity] = match
+        missing_import_actions(code, name, String.to_integer(arity), node)
+
+      true ->
+        []
+    end
+  end
+
+  defp unused_variable_actions(code, line, name) do
+    lines = String.split(code, "\n")
+
+    with text when is_binary(text) <- Enum.at(lines, line - 1),
+         # Skip occurrences in keys, attributes and remote calls
+         regex = ~r/(?<![\w@.:])#{name}(?![\w?!:])/,
+         true <- Regex.match?(regex, text) do
+      text = Regex.replace(regex, text, "_" <> name, global: false)
+      code = lines |> List.replace_at(line - 1, text) |> Enum.join("\n")
+      [%{title: "Prefix unused variable with _", code: code}]
+    else
+      _ -> []
+    end
+  end
+
+  defp missing_alias_actions(code, alias, context, node) do
+    [_first | rest] = String.split(alias, ".")
+
+    for module <- IdentifierMatcher.available_modules(context, node),
+        name = inspect(module),
+        String.ends_with?(name, "." <> alias),
+        uniq: true do
+      # With `alias A.Foo`, the missing `Foo.Bar` becomes `A.Foo.Bar`
+      String.replace_suffix(name, Enum.map_join(rest, &("." <> &1)), "")
+    end
+    |> Enum.sort()
+    |> Enum.take(@max_code_actions)
+    |> Enum.map(&%{title: "Add alias #{&1}", code: "alias #{&1}\n" <> code})
+  end
+
+  defp missing_import_actions(code, name, arity, node) do
+    expected_exports = [{name, arity}, {"MACRO-" <> name, arity + 1}]
+
+    modules =
+      for {module, _} <- :erpc.call(node, :code, :all_loaded, []),
+          elixir_module?(module),
+          do: module
+
+    for {module, exports} <- Enum.zip(modules, modules_exports(modules, node)),
+        Enum.any?(exports, fn {fun, fun_arity} ->
+          {Atom.to_string(fun), fun_arity} in expected_exports
+        end) do
+      inspect(module)
+    end
+    |> Enum.sort()
+    |> Enum.take(@max_code_actions)
+    |> Enum.map(
+      &%{
+        title: "Import #{name}/#{arity} from #{&1}",
+        code: "import #{&1}, only: [#{name}: #{arity}]\n" <> code
+      }
+    )
+  end
+
+  # Fetches exports of all the modules in a single remote call. We
+  # pass an external function, since the node may not have this
+  # module loaded
+  defp modules_exports(modules, node) do
+    try do
+      :erpc.call(node, :lists, :zipwith, [
+        &:erlang.get_module_info/2,
+        modules,
+        List.duplicate(:exports, length(modules))
+      ])
+    rescue
+      # A module may have been unloaded in the meantime
+      _ -> []
+    end
+  end
+
+  defp elixir_module?(module) do
+    module |> Atom.to_string() |> String.starts_with?("Elixir.")
+  end
+
   @doc """
   Returns information about signatures matching the given `hint`.
   """
@@ -118,6 +118,15 @@ defmodule Livebook.Intellisense.IdentifierMatcher do
     end
   end
 
+  @doc """
+  Returns all modules available in the runtime, including the ones
+  not loaded yet.
+  """
+  @spec available_modules(Intellisense.context(), node()) :: list(module())
+  def available_modules(intellisense_context, node) do
+    get_modules(%{intellisense_context: intellisense_context, node: node})
+  end
+
   @doc """
   Returns a list of identifiers matching the given `hint` together
   with relevant information.
@@ -107,4 +107,23 @@ defmodule Livebook.LiveMarkdown do
   @spec notebook_from_livemd(String.t()) ::
           {Notebook.t(), %{warnings: list(String.t()), stamp_verified?: boolean()}}
   defdelegate notebook_from_livemd(markdown), to: Livebook.LiveMarkdown.Import
+
+  @doc """
+  Converts the given cells into a Markdown document.
+
+  The document has no notebook and section headings, so that it can
+  be pasted into another notebook. Outputs are not included.
+  """
+  @spec cells_to_livemd(list(Notebook.Cell.t())) :: String.t()
+  defdelegate cells_to_livemd(cells), to: Livebook.LiveMarkdown.Export
+
+  @doc """
+  Converts the given Markdown document into a list of cells.
+
+  This is the inverse of `cells_to_livemd/1`, however it accepts any
+  Markdown document. Headings are kept as part of Markdown cells,
+  rather than interpreted as notebook and section names.
+  """
+  @spec cells_from_livemd(String.t()) :: list(Notebook.Cell.t())
+  defdelegate cells_from_livemd(markdown), to: Livebook.LiveMarkdown.Import
 end
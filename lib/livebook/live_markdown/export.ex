@@ -24,6 +24,14 @@ defmodule Livebook.LiveMarkdown.Export do
     {source, footer_warnings}
   end
 
+  def cells_to_livemd(cells) do
+    ctx = %{include_outputs?: false, js_ref_with_export: %{}}
+
+    iodata = cells |> render_cells(ctx) |> Enum.intersperse("\n\n")
+
+    IO.iodata_to_binary([iodata, "\n"])
+  end
+
   defp collect_js_output_export(notebook) do
     for(
       section <- notebook.sections,
@@ -145,9 +153,18 @@ defmodule Livebook.LiveMarkdown.Export do
 
   defp render_section(section, notebook, ctx) do
     name = ["## ", section.name]
+    cells = render_cells(section.cells, ctx)
+
+    metadata = section_metadata(section, notebook)
+
+    [name | cells]
+    |> Enum.intersperse("\n\n")
+    |> prepend_metadata(metadata)
+  end
 
+  defp render_cells(cells, ctx) do
     {cells, _} =
-      Enum.map_reduce(section.cells, nil, fn cell, prev_cell ->
+      Enum.map_reduce(cells, nil, fn cell, prev_cell ->
         separator =
           if is_struct(cell, Cell.Markdown) and is_struct(prev_cell, Cell.Markdown) do
             [~s/<!-- livebook:{"break_markdown":true} -->\n\n/]
@@ -159,11 +176,7 @@ defmodule Livebook.LiveMarkdown.Export do
         {rendered, cell}
       end)
 
-    metadata = section_metadata(section, notebook)
-
-    [name | cells]
-    |> Enum.intersperse("\n\n")
-    |> prepend_metadata(metadata)
+    cells
   end
 
   defp section_metadata(%{parent_id: nil} = _section, _notebook) do
@@ -27,6 +27,40 @@ defmodule Livebook.LiveMarkdown.Import do
     {notebook, %{warnings: messages, stamp_verified?: stamp_verified?}}
   end
 
+  def cells_from_livemd(markdown) do
+    {_, ast, _earmark_messages} = MarkdownHelpers.markdown_to_block_ast(markdown)
+
+    {notebook, _valid_hub?, _messages} =
+      ast
+      |> normalize_comments()
+      |> force_headings_markdown()
+      |> group_elements()
+      |> build_notebook()
+
+    Enum.flat_map(notebook.sections, & &1.cells)
+  end
+
+  # Headings would be interpreted as notebook and section names, but
+  # within cells they are regular content, so we force them to be
+  # Markdown, unless already annotated
+  defp force_headings_markdown([]), do: []
+
+  defp force_headings_markdown([
+         {:comment, _, [~s/livebook:{"force_markdown":true}/], %{comment: true}} = comment,
+         ast_node | ast
+       ]) do
+    [comment, ast_node | force_headings_markdown(ast)]
+  end
+
+  defp force_headings_markdown([{tag, _, _, _} = heading | ast]) when tag in ["h1", "h2"] do
+    comment = {:comment, [], [~s/livebook:{"force_markdown":true}/], %{comment: true}}
+    [comment, heading | force_headings_markdown(ast)]
+  end
+
+  defp force_headings_markdown([ast_node | ast]) do
+    [ast_node | force_headings_markdown(ast)]
+  end
+
   defp earmark_message_to_string({_severity, line_number, message}) do
     "line #{line_number} - #{Livebook.Utils.downcase_first(message)}"
   end
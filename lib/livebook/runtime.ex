@@ -200,7 +200,11 @@ defprotocol Livebook.Runtime do
 
   And expect the following reply:
 
-      {:connect_reply, payload, info :: %{ref: ref()}}
+      {:connect_reply, payload, info :: %{ref: ref(), optional(:features) => list(feature)}}
+
+  where `feature` is one of `:stream`, `:call` and `:state`. The
+  server should list the optional features described below that it
+  supports, clients do not use the other ones.
 
   The server process may then keep sending one of the following events:
 
@@ -210,6 +214,55 @@ defprotocol Livebook.Runtime do
 
       {:event, event :: String.t(), payload, info :: %{ref: ref(), origin: term()}}
 
+  Large binary data is streamed by the client as a sequence of chunks
+  (the `:stream` feature):
+
+      {:stream_chunk, pid(), event :: String.t(), payload, info :: %{ref: ref(), origin: term(), chunk_ref: term()}}
+
+  The payload is `{:binary, info, binary}`, where `info` is a map with
+  `"stream"` (stream id, unique per origin), `"offset"`, `"done"` and
+  the user-given `"info"`. The last chunk has `"done"` set to `true`
+  and may be empty. If the stream is aborted, the last chunk also has
+  `"aborted"` set to `true`. The server should acknowledge every chunk
+  once it is processed, the client limits the number of chunks that
+  are not acknowledged yet:
+
+      {:stream_chunk_ack, :ok | {:error, String.t()}, info :: %{ref: ref(), chunk_ref: term()}}
+
+  The client may also send a request expecting a reply (the `:call`
+  feature):
+
+      {:call, pid(), event :: String.t(), payload, info :: %{ref: ref(), origin: term(), call_ref: term()}}
+
+  And the server should respond with:
+
+      {:call_reply, {:ok, payload} | {:error, String.t()}, info :: %{ref: ref(), call_ref: term()}}
+
+  The server may hold a state shared with all clients (the `:state`
+  feature). A client connects to the state by sending:
+
+      {:state_connect, pid(), initial_state, info :: %{ref: ref(), origin: term(), view_id: String.t()}}
+
+  If the server has no state yet, it should adopt the initial state.
+  Either way, it should reply with the current state and its version,
+  an integer incremented on every change:
+
+      {:state_connect_reply, state, info :: %{ref: ref(), view_id: String.t(), version: integer()}}
+
+  The client sends state changes as a list of JSON Patch operations:
+
+      {:state_patch, patch, info :: %{ref: ref(), origin: term(), view_id: String.t(), version: integer() | nil}}
+
+  where `version` is the state version the client based the changes
+  on. The server should apply the changes in the order they come and
+  broadcast every applied change to all clients (including the origin)
+  as the following event. If the changes do not apply, the server should
+  broadcast an empty patch instead, so that the origin client can drop
+  them. The server can change the state on its own as well, in which
+  case `view_id` should be `nil`.
+
+      {:state_patch, patch, info :: %{ref: ref(), version: integer(), view_id: String.t() | nil}}
+
   The client can also send a ping message:
 
       {:ping, pid(), metadata :: term(), info :: %{ref: ref()}}
@@ -474,12 +527,19 @@ defprotocol Livebook.Runtime do
   of identifiers defined along with the version (such as a hash digest
   of the underlying value). With this information, Livebook can track
   dependencies between evaluations and avoids unnecessary reevaluations.
+
+  ## Inline results
+
+  When requested with the `:inline_results` option, the metadata
+  includes a list of short textual results, such as the value of the
+  last expression, that can be shown next to the given code lines.
   """
   @type evaluation_response_metadata :: %{
           interrupted: boolean(),
           errored: boolean(),
           evaluation_time_ms: non_neg_integer(),
           code_markers: list(code_marker()),
+          inline_results: list(inline_result()),
           memory_usage: runtime_memory(),
           identifiers_used: list(identifier :: term()) | :unknown,
           identifiers_defined: %{(identifier :: term()) => version :: term()},
@@ -487,6 +547,11 @@ defprotocol Livebook.Runtime do
             list(%{label: String.t(), file: String.t(), line: pos_integer()})
         }
 
+  @typedoc """
+  A short inspected value of the expression at the given line.
+  """
+  @type inline_result :: %{line: pos_integer(), text: String.t()}
+
   @typedoc """
   Includes information about a running or finished doctest.
 
@@ -514,6 +579,7 @@ defprotocol Livebook.Runtime do
           | details_request()
           | signature_request()
           | format_request()
+          | code_actions_request()
 
   @typedoc """
   Expected intellisense response.
@@ -527,6 +593,7 @@ defprotocol Livebook.Runtime do
           | details_response()
           | signature_response()
           | format_response()
+          | code_actions_response()
 
   @typedoc """
   Looks up a list of identifiers that are suitable code completions
@@ -591,6 +658,36 @@ defprotocol Livebook.Runtime do
           code_markers: list(code_marker())
         }
 
+  @typedoc """
+  Looks up fixes for the given code markers reported in the code.
+
+  All markers are handled in a single request, so that a cell with
+  many warnings results in a single call to the runtime.
+  """
+  @type code_actions_request ::
+          {:code_actions, code :: String.t(),
+           markers :: list(%{line: pos_integer(), description: String.t()})}
+
+  @typedoc """
+  Fixes for each of the requested markers, in the same order.
+  """
+  @type code_actions_response :: %{
+          marker_actions:
+            list(%{
+              line: pos_integer(),
+              description: String.t(),
+              actions: list(code_action())
+            })
+        }
+
+  @typedoc """
+  A fix, where `code` is the whole code with the fix applied.
+  """
+  @type code_action :: %{
+          title: String.t(),
+          code: String.t()
+        }
+
   @typedoc """
   A descriptive error or warning pointing to a specific line in the code.
   """
@@ -713,12 +810,19 @@ defprotocol Livebook.Runtime do
 
   @typedoc """
   Smart cell editor configuration.
+
+  For languages other than Elixir, intellisense is provided locally
+  in the editor. The `:intellisense_schema` describes the expected
+  content for those languages. For JSON and YAML it is a JSON Schema,
+  for SQL it is a map with table names and their columns, as in
+  `%{"tables" => %{"users" => ["id", "name"]}}`.
   """
   @type editor :: %{
           language: String.t() | nil,
           placement: :bottom | :top,
           source: String.t(),
           intellisense_node: {atom(), atom()} | nil,
+          intellisense_schema: map() | nil,
           visible: boolean()
         }
 
@@ -926,6 +1030,9 @@ defprotocol Livebook.Runtime do
     * `:disable_dependencies_cache` - disables dependencies cache, so
       they are fetched and compiled from scratch
 
+    * `:inline_results` - whether to collect inline results of the
+      evaluation, see `t:inline_result/0`. Defaults to `false`
+
   """
   @spec evaluate_code(t(), atom(), String.t(), locator(), parent_locators(), keyword()) :: :ok
   def evaluate_code(runtime, language, code, locator, parent_locators, opts \\ [])
@@ -1044,7 +1151,7 @@ defprotocol Livebook.Runtime do
   The cell can also update some of the editor configuration or source
   by sending:
 
-    * `{:runtime_smart_cell_editor_update, ref, %{optional(:source) => String.t(), optional(:intellisense_node) => {atom(), atom()} | nil}, optional(:visible) => boolean()}`
+    * `{:runtime_smart_cell_editor_update, ref, %{optional(:source) => String.t(), optional(:intellisense_node) => {atom(), atom()} | nil}, optional(:intellisense_schema) => map() | nil, optional(:visible) => boolean()}`
 
   """
   @spec start_smart_cell(
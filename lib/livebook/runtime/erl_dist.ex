@@ -30,6 +30,7 @@ defmodule Livebook.Runtime.ErlDist do
       Livebook.Runtime.Evaluator.ClientTracker,
       Livebook.Runtime.Evaluator.Formatter,
       Livebook.Runtime.Evaluator.Doctests,
+      Livebook.Runtime.Evaluator.InlineResults,
       Livebook.Intellisense,
       Livebook.Intellisense.Docs,
       Livebook.Intellisense.IdentifierMatcher,
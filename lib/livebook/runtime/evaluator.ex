@@ -433,11 +433,21 @@ defmodule Livebook.Runtime.Evaluator do
 
     start_time = System.monotonic_time()
 
+    inline_results? = language == :elixir and Keyword.get(opts, :inline_results, false)
+
     {eval_result, code_markers} =
-      eval(language, code, context.binding, context.env, state.tmp_dir)
+      eval(language, code, context.binding, context.env, state.tmp_dir, inline_results?)
 
     evaluation_time_ms = time_diff_ms(start_time)
 
+    # Collect before the process dictionary is stored in the context
+    inline_results =
+      if inline_results? do
+        Evaluator.InlineResults.collect(code, eval_result)
+      else
+        []
+      end
+
     %{tracer_info: tracer_info} = Evaluator.IOProxy.after_evaluation(state.io_proxy)
 
     {new_context, result, identifiers_used, identifiers_defined, identifier_definitions} =
@@ -499,6 +509,7 @@ defmodule Livebook.Runtime.Evaluator do
       evaluation_time_ms: evaluation_time_ms,
       memory_usage: memory(),
       code_markers: code_markers,
+      inline_results: inline_results,
       identifiers_used: identifiers_used,
       identifiers_defined: identifiers_defined,
       identifier_definitions: identifier_definitions
@@ -637,12 +648,19 @@ defmodule Livebook.Runtime.Evaluator do
     |> Map.update!(:context_modules, &(&1 ++ prev_env.context_modules))
   end
 
-  defp eval(:elixir, code, binding, env, _tmp_dir) do
+  defp eval(:elixir, code, binding, env, _tmp_dir, inline_results?) do
     {{result, extra_diagnostics}, diagnostics} =
       Code.with_diagnostics([log: true], fn ->
         try do
           quoted = Code.string_to_quoted!(code, file: env.file)
 
+          quoted =
+            if inline_results? do
+              Evaluator.InlineResults.instrument(quoted, code)
+            else
+              quoted
+            end
+
           try do
             {value, binding, env} =
               Code.eval_quoted_with_env(quoted, binding, env, prune_binding: true)
@@ -708,7 +726,7 @@ defmodule Livebook.Runtime.Evaluator do
   # if in the tokens from erl_scan we find at least 1 module-token we assume
   # that the user is defining a module, if not the previous code is called.
 
-  defp eval(:erlang, code, binding, env, tmp_dir) do
+  defp eval(:erlang, code, binding, env, tmp_dir, _inline_results?) do
     case :erl_scan.string(String.to_charlist(code), {1, 1}, [:text]) do
       {:ok, [{:-, _}, {:atom, _, :module} | _], _} ->
         eval_erlang_module(code, binding, env, tmp_dir)
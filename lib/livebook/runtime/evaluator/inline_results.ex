@@ -0,0 +1,140 @@
+defmodule Livebook.Runtime.Evaluator.InlineResults do
+  # Collects short inspected values to be shown next to the code,
+  # specifically the value of the last expression and the values of
+  # top-level expressions on lines explicitly marked with a trailing
+  # `#=>` comment.
+  #
+  # Values of the marked lines are recorded by instrumenting the code
+  # before evaluation, and stored in the process dictionary.
+
+  @marker_regex ~r/#\s*=>\s*$/
+  @pdict_key :livebook_inline_results
+  @max_length 80
+
+  @doc """
+  Instruments the given AST to record values of expressions on the
+  marked lines.
+
+  Top-level expressions are recorded when they start on a marked
+  line. Pipeline steps are recorded the same way, so that a marker
+  may be put in the middle of a pipeline.
+  """
+  @spec instrument(Macro.t(), String.t()) :: Macro.t()
+  def instrument(quoted, code) do
+    case marked_lines(code) do
+      [] ->
+        quoted
+
+      lines ->
+        case quoted do
+          {:__block__, meta, exprs} ->
+            {:__block__, meta, Enum.map(exprs, &instrument_expr(&1, lines))}
+
+          expr ->
+            instrument_expr(expr, lines)
+        end
+    end
+  end
+
+  defp marked_lines(code) do
+    for {line, number} <- code |> String.split(["\r\n", "\n"]) |> Enum.with_index(1),
+        Regex.match?(@marker_regex, line),
+        do: number
+  end
+
+  defp instrument_expr(expr, lines) do
+    expr = instrument_pipeline(expr, lines)
+    line = expr_line(expr)
+
+    if line in lines and not match?({:|>, _, _}, expr) do
+      quote do
+        unquote(__MODULE__).record(unquote(expr), unquote(line))
+      end
+    else
+      expr
+    end
+  end
+
+  defp instrument_pipeline({:=, meta, [left, right]}, lines) do
+    {:=, meta, [left, instrument_pipeline(right, lines)]}
+  end
+
+  defp instrument_pipeline({:|>, meta, [left, right]}, lines) do
+    expr = {:|>, meta, [instrument_pipeline(left, lines), right]}
+    line = expr_line(right)
+
+    if line in lines do
+      tap =
+        quote do
+          Kernel.tap(fn value -> unquote(__MODULE__).record(value, unquote(line)) end)
+        end
+
+      {:|>, meta, [expr, tap]}
+    else
+      expr
+    end
+  end
+
+  defp instrument_pipeline(expr, _lines), do: expr
+
+  defp expr_line({_, meta, _}) when is_list(meta), do: meta[:line]
+  defp expr_line(_expr), do: nil
+
+  @doc false
+  def record(value, line) do
+    results = Process.get(@pdict_key, %{})
+    Process.put(@pdict_key, Map.put(results, line, format_value(value)))
+    value
+  end
+
+  @doc """
+  Returns all inline results recorded during evaluation, together
+  with the value of the last expression, if the evaluation succeeded.
+
+  Also clears the recorded results.
+  """
+  @spec collect(String.t(), tuple()) :: list(Livebook.Runtime.inline_result())
+  def collect(code, eval_result) do
+    results = Process.delete(@pdict_key) || %{}
+
+    results =
+      case {eval_result, last_expression_line(code)} do
+        {{:ok, :"do not show this result in output", _, _}, _line} ->
+          results
+
+        {{:ok, value, _binding, _env}, line} when line != nil ->
+          Map.put_new(results, line, format_value(value))
+
+        _ ->
+          results
+      end
+
+    results
+    |> Enum.sort()
+    |> Enum.map(fn {line, text} -> %{line: line, text: text} end)
+  end
+
+  defp last_expression_line(code) do
+    code
+    |> String.split(["\r\n", "\n"])
+    |> Enum.with_index(1)
+    |> Enum.reverse()
+    |> Enum.find_value(fn {line, number} ->
+      line = String.trim(line)
+
+      if line != "" and not String.starts_with?(line, "#") do
+        number
+      end
+    end)
+  end
+
+  defp format_value(value) do
+    text = inspect(value, limit: 10, printable_limit: @max_length, width: :infinity)
+
+    if String.length(text) > @max_length do
+      String.slice(text, 0, @max_length - 1) <> "…"
+    else
+      text
+    end
+  end
+end
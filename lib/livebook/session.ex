@@ -92,6 +92,9 @@ defmodule Livebook.Session do
   alias Livebook.Notebook.{Cell, Section}
 
   @timeout :infinity
+
+  @max_js_view_snapshots_size 10_000_000
+
   @main_container_ref :main_flow
   @client_id "__server__"
   @anonymous_client_id "__anonymous__"
@@ -132,7 +135,8 @@ defmodule Livebook.Session do
           auto_shutdown_ms: non_neg_integer() | nil,
           auto_shutdown_timer_ref: reference() | nil,
           started_by: Livebook.Users.User.t() | nil,
-          deployed_by: Livebook.Users.User.t() | nil
+          deployed_by: Livebook.Users.User.t() | nil,
+          js_view_snapshots: %{Runtime.ref() => %{size: non_neg_integer(), seq: integer()}}
         }
 
   @type memory_usage ::
@@ -259,6 +263,42 @@ defmodule Livebook.Session do
     GenServer.call(pid, :get_notebook, @timeout)
   end
 
+  @doc """
+  Stores the last snapshot of the given JS view.
+
+  Snapshots are static renders of JS view outputs, captured on the
+  client side. They are shown in place of the output whenever the
+  JS view cannot be initialized, for example when the runtime is
+  disconnected.
+
+  Snapshots are written to the session temporary directory, rather
+  than kept in memory, and only the most recent ones are kept, up to
+  #{div(@max_js_view_snapshots_size, 1_000_000)}MB in total.
+  """
+  @spec put_js_view_snapshot(pid(), Runtime.ref(), map()) :: :ok
+  def put_js_view_snapshot(pid, ref, snapshot) do
+    GenServer.cast(pid, {:put_js_view_snapshot, ref, snapshot})
+  end
+
+  @doc """
+  Fetches the last snapshot stored for the given JS view.
+
+  See `put_js_view_snapshot/3` for more details.
+  """
+  @spec fetch_js_view_snapshot(id(), Runtime.ref()) :: {:ok, map()} | :error
+  def fetch_js_view_snapshot(session_id, ref) do
+    path = js_view_snapshot_path(session_id, ref)
+
+    # The file may be corrupted, for example if the write has been
+    # interrupted, in which case we treat it as missing
+    with {:ok, content} <- File.read(path),
+         {:ok, snapshot} when is_map(snapshot) <- JSON.decode(content) do
+      {:ok, snapshot}
+    else
+      _ -> :error
+    end
+  end
+
   @doc """
   Returns the current notebook file entries.
   """
@@ -463,6 +503,17 @@ defmodule Livebook.Session do
     GenServer.cast(pid, {:convert_smart_cell, self(), cell_id})
   end
 
+  @doc """
+  Requests a code cell to be converted into markdown cell.
+
+  The markdown cell has the same source and the code cell is moved
+  to the bin.
+  """
+  @spec convert_cell_to_markdown(pid(), Cell.id()) :: :ok
+  def convert_cell_to_markdown(pid, cell_id) do
+    GenServer.cast(pid, {:convert_cell_to_markdown, self(), cell_id})
+  end
+
   @doc """
   Requests a dependency to be added to the notebook.
   """
@@ -485,9 +536,9 @@ defmodule Livebook.Session do
   @doc """
   Requests all cells in the given section to be evaluated.
   """
-  @spec queue_section_evaluation(pid(), Section.id()) :: :ok
-  def queue_section_evaluation(pid, section_id) do
-    GenServer.cast(pid, {:queue_section_evaluation, self(), section_id})
+  @spec queue_section_evaluation(pid(), Section.id(), keyword()) :: :ok
+  def queue_section_evaluation(pid, section_id, evaluation_opts \\ []) do
+    GenServer.cast(pid, {:queue_section_evaluation, self(), section_id, evaluation_opts})
   end
 
   @doc """
@@ -507,9 +558,9 @@ defmodule Livebook.Session do
   All outdated (new/stale/changed) cells, as well as cells specified
   by `forced_cell_ids` are queued for evaluation.
   """
-  @spec queue_full_evaluation(pid(), list(Cell.id())) :: :ok
-  def queue_full_evaluation(pid, forced_cell_ids) do
-    GenServer.cast(pid, {:queue_full_evaluation, self(), forced_cell_ids})
+  @spec queue_full_evaluation(pid(), list(Cell.id()), keyword()) :: :ok
+  def queue_full_evaluation(pid, forced_cell_ids, evaluation_opts \\ []) do
+    GenServer.cast(pid, {:queue_full_evaluation, self(), forced_cell_ids, evaluation_opts})
   end
 
   @doc """
@@ -944,7 +995,8 @@ defmodule Livebook.Session do
         auto_shutdown_ms: opts[:auto_shutdown_ms],
         auto_shutdown_timer_ref: nil,
         started_by: opts[:started_by],
-        deployed_by: opts[:deployed_by]
+        deployed_by: opts[:deployed_by],
+        js_view_snapshots: %{}
       }
 
       {:ok, state}
@@ -1141,6 +1193,25 @@ defmodule Livebook.Session do
      |> schedule_auto_shutdown()}
   end
 
+  def handle_cast({:put_js_view_snapshot, ref, snapshot}, state) do
+    path = js_view_snapshot_path(state.session_id, ref)
+    content = JSON.encode!(snapshot)
+
+    with :ok <- File.mkdir_p(Path.dirname(path)),
+         :ok <- File.write(path, content) do
+      entry = %{size: byte_size(content), seq: System.unique_integer([:monotonic])}
+
+      js_view_snapshots =
+        state.js_view_snapshots
+        |> Map.put(ref, entry)
+        |> evict_js_view_snapshots(state.session_id)
+
+      {:noreply, %{state | js_view_snapshots: js_view_snapshots}}
+    else
+      _ -> {:noreply, state}
+    end
+  end
+
   def handle_cast({:set_notebook_attributes, client_pid, attrs}, state) do
     client_id = client_id(state, client_pid)
     operation = {:set_notebook_attributes, client_id, attrs}
@@ -1256,6 +1327,27 @@ defmodule Livebook.Session do
     {:noreply, state}
   end
 
+  def handle_cast({:convert_cell_to_markdown, client_pid, cell_id}, state) do
+    client_id = client_id(state, client_pid)
+
+    state =
+      with {:ok, %Cell.Code{} = cell, section} <-
+             Notebook.fetch_cell_and_section(state.data.notebook, cell_id) do
+        index = Enum.find_index(section.cells, &(&1 == cell))
+        attrs = %{source: cell.source}
+
+        state
+        |> handle_operation(
+          {:insert_cell, client_id, section.id, index, :markdown, Utils.random_id(), attrs}
+        )
+        |> handle_operation({:delete_cell, client_id, cell.id})
+      else
+        _ -> state
+      end
+
+    {:noreply, state}
+  end
+
   def handle_cast({:add_dependencies, dependencies}, state) do
     {:noreply, do_add_dependencies(state, dependencies)}
   end
@@ -1266,13 +1358,13 @@ defmodule Livebook.Session do
     {:noreply, handle_operation(state, operation)}
   end
 
-  def handle_cast({:queue_section_evaluation, client_pid, section_id}, state) do
+  def handle_cast({:queue_section_evaluation, client_pid, section_id, evaluation_opts}, state) do
     client_id = client_id(state, client_pid)
 
     case Notebook.fetch_section(state.data.notebook, section_id) do
       {:ok, section} ->
         cell_ids = for cell <- section.cells, Cell.evaluable?(cell), do: cell.id
-        operation = {:queue_cells_evaluation, client_id, cell_ids, []}
+        operation = {:queue_cells_evaluation, client_id, cell_ids, evaluation_opts}
         {:noreply, handle_operation(state, operation)}
 
       :error ->
@@ -1291,12 +1383,15 @@ defmodule Livebook.Session do
     {:noreply, handle_operation(state, operation)}
   end
 
-  def handle_cast({:queue_full_evaluation, client_pid, forced_cell_ids}, state) do
+  def handle_cast(
+        {:queue_full_evaluation, client_pid, forced_cell_ids, evaluation_opts},
+        state
+      ) do
     client_id = client_id(state, client_pid)
 
     cell_ids = Data.cell_ids_for_full_evaluation(state.data, forced_cell_ids)
 
-    operation = {:queue_cells_evaluation, client_id, cell_ids, []}
+    operation = {:queue_cells_evaluation, client_id, cell_ids, evaluation_opts}
     {:noreply, handle_operation(state, operation)}
   end
 
@@ -1874,7 +1969,7 @@ defmodule Livebook.Session do
           end
 
         state =
-          case Map.take(options, [:intellisense_node, :visible]) do
+          case Map.take(options, [:intellisense_node, :intellisense_schema, :visible]) do
             updates when updates != %{} ->
               editor = Map.merge(cell.editor, updates)
               operation = {:set_cell_attributes, @client_id, cell.id, %{editor: editor}}
@@ -2093,6 +2188,28 @@ defmodule Livebook.Session do
     Path.join([session_dir, "registered_files", file_id])
   end
 
+  defp js_view_snapshot_path(session_id, ref) do
+    %{path: session_dir} = session_tmp_dir(session_id)
+    Path.join([session_dir, "js_view_snapshots", encode_path_component(ref) <> ".json"])
+  end
+
+  # Outputs are replaced on every evaluation, so we drop the oldest
+  # snapshots to keep the disk usage bounded
+  defp evict_js_view_snapshots(js_view_snapshots, session_id) do
+    total_size = js_view_snapshots |> Map.values() |> Enum.map(& &1.size) |> Enum.sum()
+
+    if total_size > @max_js_view_snapshots_size do
+      {oldest_ref, _} = Enum.min_by(js_view_snapshots, fn {_ref, entry} -> entry.seq end)
+      File.rm(js_view_snapshot_path(session_id, oldest_ref))
+
+      js_view_snapshots
+      |> Map.delete(oldest_ref)
+      |> evict_js_view_snapshots(session_id)
+    else
+      js_view_snapshots
+    end
+  end
+
   defp encode_path_component(component) do
     String.replace(component, [".", "/", "\\", ":"], "_")
   end
@@ -2484,6 +2601,8 @@ defmodule Livebook.Session do
   defp handle_action(state, {:start_evaluation, cell, section, evaluation_opts}) do
     info = state.data.cell_infos[cell.id]
 
+    hydrate_cell_evaluation_source(state, cell.id)
+
     if is_struct(cell, Cell.Smart) and info.status == :started do
       # We do a ping and start evaluation only once we get a reply,
       # this way we make sure we received all relevant source changes
@@ -2634,6 +2753,13 @@ defmodule Livebook.Session do
     broadcast_message(state.session_id, {:hydrate_cell_source_digest, cell_id, tag, digest})
   end
 
+  defp hydrate_cell_evaluation_source(state, cell_id) do
+    # Similarly to the digest, clients don't have the source, so we
+    # send the evaluated source, such that they can show a diff
+    source = state.data.cell_infos[cell_id].eval.evaluation_source
+    broadcast_message(state.session_id, {:hydrate_cell_evaluation_source, cell_id, source})
+  end
+
   defp broadcast_operation(session_id, operation) do
     broadcast_message(session_id, {:operation, operation})
   end
@@ -3352,6 +3478,11 @@ defmodule Livebook.Session do
     normalize_smart_cell_started_info(put_in(info.editor[:intellisense_node], nil))
   end
 
+  defp normalize_smart_cell_started_info(info)
+       when info.editor != nil and not is_map_key(info.editor, :intellisense_schema) do
+    normalize_smart_cell_started_info(put_in(info.editor[:intellisense_schema], nil))
+  end
+
   defp normalize_smart_cell_started_info(info)
        when info.editor != nil and not is_map_key(info.editor, :visible) do
     normalize_smart_cell_started_info(put_in(info.editor[:visible], true))
@@ -108,6 +108,7 @@ defmodule Livebook.Session.Data do
           errored: boolean(),
           snapshot: snapshot(),
           evaluation_digest: String.t() | nil,
+          evaluation_source: String.t() | nil,
           evaluation_snapshot: snapshot() | nil,
           evaluation_time_ms: integer() | nil,
           evaluation_start: DateTime.t() | nil,
@@ -1404,6 +1405,7 @@ defmodule Livebook.Session.Data do
             bound_to_inputs: eval_info.new_bound_to_inputs,
             evaluation_end: DateTime.utc_now(),
             code_markers: metadata.code_markers,
+            inline_results: metadata.inline_results,
             identifier_definitions: metadata.identifier_definitions
         }
       end)
@@ -1634,6 +1636,7 @@ defmodule Livebook.Session.Data do
               evaluation_number: eval_info.evaluation_number + 1,
               outputs_batch_number: eval_info.outputs_batch_number + 1,
               evaluation_digest: info.sources.primary.digest,
+              evaluation_source: cell.source,
               new_bound_to_inputs: %{},
               # Keep the notebook state before evaluation
               data: data,
@@ -1642,6 +1645,7 @@ defmodule Livebook.Session.Data do
               evaluation_start: DateTime.utc_now(),
               evaluation_end: nil,
               code_markers: [],
+              inline_results: [],
               doctest_reports: %{}
           }
         end)
@@ -1703,6 +1707,7 @@ defmodule Livebook.Session.Data do
               end,
             status: :ready,
             evaluation_digest: nil,
+            evaluation_source: nil,
             evaluation_snapshot: nil
         }
       end)
@@ -1842,7 +1847,10 @@ defmodule Livebook.Session.Data do
     |> update_every_cell_info(fn
       %{eval: _} = info ->
         info = update_in(info.eval.outputs_batch_number, &(&1 + 1))
-        update_in(info.eval, &%{&1 | validity: :fresh, code_markers: [], doctest_reports: %{}})
+        update_in(
+          info.eval,
+          &%{&1 | validity: :fresh, code_markers: [], inline_results: [], doctest_reports: %{}}
+        )
 
       info ->
         info
@@ -2369,6 +2377,7 @@ defmodule Livebook.Session.Data do
       interrupted: false,
       evaluation_opts: [],
       evaluation_digest: nil,
+      evaluation_source: nil,
       evaluation_time_ms: nil,
       evaluation_start: nil,
       evaluation_end: nil,
@@ -2382,6 +2391,7 @@ defmodule Livebook.Session.Data do
       evaluation_snapshot: nil,
       data: nil,
       code_markers: [],
+      inline_results: [],
       doctest_reports: %{},
       identifier_definitions: [],
       reevaluates_automatically: false
@@ -30,6 +30,10 @@ defmodule Livebook.Text.Delta do
 
   defstruct ops: []
 
+  @binary_op_retain 0
+  @binary_op_delete 1
+  @binary_op_insert 2
+
   alias Livebook.Text.{Delta, JS}
   alias Livebook.Text.Delta.{Operation, Transformation}
 
@@ -182,6 +186,99 @@ defmodule Livebook.Text.Delta do
     %Delta{ops: ops}
   end
 
+  @doc """
+  Converts the given delta to a compact binary representation.
+
+  Each operation starts with an unsigned LEB128 varint header, which
+  holds the operation type in the two least significant bits and the
+  length in the remaining bits. Retain and delete operations consist
+  of the header alone, while insert operations are followed by the
+  UTF-8 encoded text, in which case the length is the number of bytes.
+
+  ## Examples
+
+      iex> delta = Delta.new([retain: 2, insert: "hey", delete: 3])
+      iex> Livebook.Text.Delta.to_binary(delta)
+      <<8, 14, "hey", 13>>
+
+  """
+  @spec to_binary(t()) :: binary()
+  def to_binary(delta) do
+    for op <- operations(delta), into: <<>> do
+      case op do
+        {:retain, length} ->
+          encode_varint(length * 4 + @binary_op_retain)
+
+        {:delete, length} ->
+          encode_varint(length * 4 + @binary_op_delete)
+
+        {:insert, string} ->
+          <<encode_varint(byte_size(string) * 4 + @binary_op_insert)::binary, string::binary>>
+      end
+    end
+  end
+
+  @doc """
+  Builds a new delta from the given binary representation.
+
+  See `to_binary/1` for the format. Returns `:error` if the binary
+  is not a valid delta.
+
+  ## Examples
+
+      iex> {:ok, delta} = Livebook.Text.Delta.from_binary(<<8, 14, "hey", 13>>)
+      iex> Livebook.Text.Delta.operations(delta)
+      [retain: 2, insert: "hey", delete: 3]
+
+      iex> Livebook.Text.Delta.from_binary(<<14, "he">>)
+      :error
+
+  """
+  @spec from_binary(binary()) :: {:ok, t()} | :error
+  def from_binary(binary), do: from_binary(binary, new())
+
+  defp from_binary(<<>>, delta), do: {:ok, delta}
+
+  defp from_binary(binary, delta) do
+    with {:ok, header, rest} <- decode_varint(binary) do
+      length = div(header, 4)
+
+      case {rem(header, 4), rest} do
+        {@binary_op_retain, rest} ->
+          from_binary(rest, retain(delta, length))
+
+        {@binary_op_delete, rest} ->
+          from_binary(rest, delete(delta, length))
+
+        {@binary_op_insert, <<string::binary-size(length), rest::binary>>} ->
+          if String.valid?(string) do
+            from_binary(rest, insert(delta, string))
+          else
+            :error
+          end
+
+        _other ->
+          :error
+      end
+    end
+  end
+
+  defp encode_varint(number) when number < 128, do: <<number>>
+
+  defp encode_varint(number) do
+    <<1::1, rem(number, 128)::7, encode_varint(div(number, 128))::binary>>
+  end
+
+  defp decode_varint(<<0::1, number::7, rest::binary>>), do: {:ok, number, rest}
+
+  defp decode_varint(<<1::1, number::7, rest::binary>>) do
+    with {:ok, higher, rest} <- decode_varint(rest) do
+      {:ok, number + higher * 128, rest}
+    end
+  end
+
+  defp decode_varint(_binary), do: :error
+
   defdelegate transform(left, right, priority), to: Transformation
 
   defdelegate transform_position(delta, index), to: Transformation
@@ -3,6 +3,10 @@ defmodule LivebookWeb.JSViewChannel do
 
   alias LivebookWeb.CodecHelpers
 
+  # Snapshots are sent as data URLs, which we later render as images
+  @snapshot_src_prefixes ["data:image/png;base64,", "data:image/svg+xml"]
+  @max_snapshot_size 500_000
+
   @impl true
   def join("js_view", %{"session_token" => session_token}, socket) do
     case Phoenix.Token.verify(LivebookWeb.Endpoint, "session", session_token) do
@@ -28,7 +32,7 @@ defmodule LivebookWeb.JSViewChannel do
 
     socket =
       update_in(socket.assigns.ref_with_info[ref], fn
-        nil -> %{pid: pid, count: 1, connect_queue: [id]}
+        nil -> %{pid: pid, count: 1, connect_queue: [id], features: []}
         info -> %{info | count: info.count + 1, connect_queue: info.connect_queue ++ [id]}
       end)
 
@@ -55,6 +59,100 @@ defmodule LivebookWeb.JSViewChannel do
     {:noreply, socket}
   end
 
+  # Streams are sent by the client as a sequence of binary chunks.
+  # We reply to every chunk once the widget server acknowledges it,
+  # so that the client can limit the number of chunks in flight
+
+  def handle_in("stream_chunk", raw, socket) do
+    {[event, ref], payload} = transport_decode!(raw)
+
+    case socket.assigns.ref_with_info do
+      %{^ref => info} ->
+        if "stream" in info.features do
+          chunk_info = %{
+            origin: socket.assigns.client_id,
+            ref: ref,
+            chunk_ref: socket_ref(socket)
+          }
+
+          send(info.pid, {:stream_chunk, self(), event, payload, chunk_info})
+          {:noreply, socket}
+        else
+          {:reply, {:error, %{"message" => not_supported_message("ctx.pushStream")}}, socket}
+        end
+
+      %{} ->
+        {:reply, {:error, %{"message" => "The view is no longer connected"}}, socket}
+    end
+  end
+
+  def handle_in("call", raw, socket) do
+    {[event, ref, id, call_id], payload} = transport_decode!(raw)
+
+    # The reference is opaque for the server, it only needs to send
+    # it back in the reply
+    call_ref = {id, call_id}
+
+    case socket.assigns.ref_with_info do
+      %{^ref => info} ->
+        if "call" in info.features do
+          call_info = %{origin: socket.assigns.client_id, ref: ref, call_ref: call_ref}
+          send(info.pid, {:call, self(), event, payload, call_info})
+        else
+          push_call_reply(socket, ref, call_ref, {:error, not_supported_message("ctx.call")})
+        end
+
+      %{} ->
+        push_call_reply(socket, ref, call_ref, {:error, "The view is no longer connected"})
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_in("state_connect", raw, socket) do
+    {[ref, id], initial} = transport_decode!(raw)
+
+    with %{^ref => info} <- socket.assigns.ref_with_info do
+      if "state" in info.features do
+        state_info = %{origin: socket.assigns.client_id, ref: ref, view_id: id}
+        send(info.pid, {:state_connect, self(), initial, state_info})
+      else
+        push(socket, "error:#{ref}", %{"message" => not_supported_message("ctx.syncState")})
+      end
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_in("state_patch", raw, socket) do
+    {[ref, id, version], patch} = transport_decode!(raw)
+
+    with %{^ref => info} <- socket.assigns.ref_with_info,
+         true <- "state" in info.features do
+      state_info = %{origin: socket.assigns.client_id, ref: ref, view_id: id, version: version}
+      send(info.pid, {:state_patch, patch, state_info})
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_in("snapshot", %{"ref" => ref, "snapshot" => snapshot}, socket) do
+    with %{^ref => _info} <- socket.assigns.ref_with_info,
+         true <- valid_snapshot?(snapshot),
+         {:ok, session} <- Livebook.Sessions.fetch_session(socket.assigns.session_id) do
+      Livebook.Session.put_js_view_snapshot(session.pid, ref, snapshot)
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_in("get_snapshot", %{"ref" => ref}, socket) do
+    case Livebook.Session.fetch_js_view_snapshot(socket.assigns.session_id, ref) do
+      {:ok, snapshot} -> {:reply, {:ok, %{"snapshot" => snapshot}}, socket}
+      :error -> {:reply, {:error, %{"message" => "No snapshot available"}}, socket}
+    end
+  end
+
   def handle_in("ping", %{"ref" => ref}, socket) do
     with %{^ref => info} <- socket.assigns.ref_with_info do
       send(info.pid, {:ping, self(), nil, %{ref: ref}})
@@ -87,7 +185,7 @@ defmodule LivebookWeb.JSViewChannel do
   end
 
   @impl true
-  def handle_info({:connect_reply, payload, %{ref: ref}}, socket) do
+  def handle_info({:connect_reply, payload, %{ref: ref} = info}, socket) do
     # Multiple connections for the same reference may be establish,
     # the replies come sequentially and we dispatch them according
     # to the clients queue
@@ -97,7 +195,12 @@ defmodule LivebookWeb.JSViewChannel do
         {id, queue}
       end)
 
-    with {:error, error} <- try_push(socket, "init:#{ref}:#{id}", nil, payload) do
+    # Older widget servers do not list the optional features, in
+    # which case we assume none of them is supported
+    features = info |> Map.get(:features, []) |> Enum.map(&to_string/1)
+    socket = put_in(socket.assigns.ref_with_info[ref].features, features)
+
+    with {:error, error} <- try_push(socket, "init:#{ref}:#{id}", [features], payload) do
       message = "Failed to serialize initial widget data, " <> error
       push(socket, "error:#{ref}", %{"message" => message, "init" => true})
     end
@@ -114,17 +217,72 @@ defmodule LivebookWeb.JSViewChannel do
     {:noreply, socket}
   end
 
+  def handle_info({:call_reply, reply, %{ref: ref, call_ref: call_ref}}, socket) do
+    push_call_reply(socket, ref, call_ref, reply)
+    {:noreply, socket}
+  end
+
+  def handle_info({:stream_chunk_ack, reply, %{chunk_ref: chunk_ref}}, socket) do
+    case reply do
+      :ok -> reply(chunk_ref, :ok)
+      {:error, message} -> reply(chunk_ref, {:error, %{"message" => message}})
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_info(
+        {:state_connect_reply, state, %{ref: ref, view_id: id, version: version}},
+        socket
+      ) do
+    with {:error, error} <- try_push(socket, "state:#{ref}:#{id}", [version], state) do
+      message = "Failed to serialize widget state, " <> error
+      push(socket, "error:#{ref}", %{"message" => message})
+    end
+
+    {:noreply, socket}
+  end
+
   def handle_info({:pong, _, %{ref: ref}}, socket) do
     push(socket, "pong:#{ref}", %{})
     {:noreply, socket}
   end
 
+  def handle_info({:encoding_error, error, {:state_patch, _patch, %{ref: ref}}}, socket) do
+    message = "Failed to serialize widget state, " <> error
+    push(socket, "error:#{ref}", %{"message" => message})
+    {:noreply, socket}
+  end
+
   def handle_info({:encoding_error, error, {:event, _event, _payload, %{ref: ref}}}, socket) do
     message = "Failed to serialize widget data, " <> error
     push(socket, "error:#{ref}", %{"message" => message})
     {:noreply, socket}
   end
 
+  defp push_call_reply(socket, ref, {id, call_id}, {:ok, payload}) do
+    with {:error, error} <-
+           try_push(socket, "call_reply:#{ref}:#{id}", [call_id, nil], payload) do
+      message = "Failed to serialize widget data, " <> error
+      push_call_reply(socket, ref, {id, call_id}, {:error, message})
+    end
+  end
+
+  defp push_call_reply(socket, ref, {id, call_id}, {:error, message}) do
+    push(socket, "call_reply:#{ref}:#{id}", transport_encode!([call_id, message], nil))
+  end
+
+  defp not_supported_message(name) do
+    "#{name} is not supported by the runtime, make sure to use a recent version of Kino"
+  end
+
+  defp valid_snapshot?(%{"src" => src, "width" => width, "height" => height})
+       when is_binary(src) and is_number(width) and is_number(height) do
+    byte_size(src) <= @max_snapshot_size and String.starts_with?(src, @snapshot_src_prefixes)
+  end
+
+  defp valid_snapshot?(_snapshot), do: false
+
   defp try_push(socket, event, meta, payload) do
     with {:ok, _} <-
            run_safely(fn ->
@@ -159,6 +317,16 @@ defmodule LivebookWeb.JSViewChannel do
     end)
   end
 
+  defp fastlane_encoder({:state_patch, patch, %{ref: ref, version: version} = info}) do
+    run_safely(fn ->
+      Phoenix.Socket.V2.JSONSerializer.fastlane!(%Phoenix.Socket.Broadcast{
+        topic: "js_view",
+        event: "state_patch:#{ref}",
+        payload: transport_encode!([version, info[:view_id]], patch)
+      })
+    end)
+  end
+
   # A user payload can be either a JSON-serializable term
   # or a {:binary, info, binary} tuple, where info is a
   # JSON-serializable term. The channel allows for sending
@@ -104,4 +104,18 @@ defmodule LivebookWeb.CodecHelpers do
     meta = JSON.decode!(meta)
     {meta, binary}
   end
+
+  @doc """
+  Same as `decode_annotated_binary!/1`, but returns `:error` if the
+  binary is malformed.
+  """
+  @spec decode_annotated_binary(binary()) :: {:ok, {term(), binary()}} | :error
+  def decode_annotated_binary(raw) do
+    with <<meta_size::size(32), meta::binary-size(meta_size), binary::binary>> <- raw,
+         {:ok, meta} <- JSON.decode(meta) do
+      {:ok, {meta, binary}}
+    else
+      _ -> :error
+    end
+  end
 end
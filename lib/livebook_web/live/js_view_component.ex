@@ -14,6 +14,7 @@ defmodule LivebookWeb.JSViewComponent do
     ~H"""
     <div
       id={"js-output-#{@id}-#{@js_view.ref}"}
+      class="relative"
       phx-hook="JSView"
       phx-update="ignore"
       data-p-ref={hook_prop(@js_view.ref)}
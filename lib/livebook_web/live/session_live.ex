@@ -40,6 +40,8 @@ defmodule LivebookWeb.SessionLive do
             app
           end
 
+        delta_encoding = negotiate_delta_encoding(socket)
+
         socket =
           if connected?(socket) do
             payload = %{
@@ -47,7 +49,8 @@ defmodule LivebookWeb.SessionLive do
               clients:
                 Enum.map(data.clients_map, fn {client_id, user_id} ->
                   client_info(client_id, data.users_map[user_id])
-                end)
+                end),
+              delta_encoding: delta_encoding
             }
 
             socket = push_event(socket, "session_init", payload)
@@ -79,6 +82,7 @@ defmodule LivebookWeb.SessionLive do
            session: session,
            app: app,
            client_id: client_id,
+           delta_encoding: delta_encoding,
            platform: platform,
            data_view: data_to_view(data),
            autofocus_cell_id: autofocus_cell_id(data.notebook),
@@ -114,6 +118,20 @@ defmodule LivebookWeb.SessionLive do
     end)
   end
 
+  # Cell deltas are sent in the compressed JSON representation by
+  # default. Clients may announce support for the binary encoding in
+  # connect params, in which case either encoding may be used for
+  # each delta, see cell_delta_payload/4
+  defp negotiate_delta_encoding(socket) do
+    connect_params = get_connect_params(socket) || %{}
+
+    if "binary" in Map.get(connect_params, "delta_encodings", []) do
+      "binary"
+    else
+      "compressed"
+    end
+  end
+
   defp platform_from_socket(socket) do
     with user_agent when is_binary(user_agent) <- get_connect_info(socket, :user_agent) do
       platform_from_user_agent(user_agent)
@@ -350,6 +368,78 @@ defmodule LivebookWeb.SessionLive do
      )}
   end
 
+  def handle_event("delete_cells", %{"cell_ids" => cell_ids}, socket) do
+    on_confirm = fn socket ->
+      for cell_id <- cell_ids do
+        Session.delete_cell(socket.assigns.session.pid, cell_id)
+      end
+
+      socket
+    end
+
+    {:noreply,
+     confirm(socket, on_confirm,
+       title: "Delete cells",
+       description:
+         "Once you delete these #{length(cell_ids)} cells, they will be moved to the bin.",
+       confirm_text: "Delete",
+       confirm_icon: "delete-bin-6-line",
+       opt_out_id: "delete-cell"
+     )}
+  end
+
+  def handle_event("convert_cells_to_markdown", %{"cell_ids" => cell_ids}, socket) do
+    for cell_id <- cell_ids do
+      Session.convert_cell_to_markdown(socket.assigns.session.pid, cell_id)
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_event("copy_cells", %{"cell_ids" => cell_ids}, socket) do
+    cells =
+      for {cell, _section} <- Notebook.cells_with_section(socket.private.data.notebook),
+          cell.id in cell_ids,
+          do: cell
+
+    # The clipboard gets both the Live Markdown representation, which
+    # can be pasted anywhere, and a structured one
+    reply = %{
+      cells: Enum.map(cells, &cell_to_clipboard_entry/1),
+      markdown: Livebook.LiveMarkdown.cells_to_livemd(cells)
+    }
+
+    {:reply, reply, socket}
+  end
+
+  def handle_event("insert_cells_below", params, socket) do
+    cells =
+      case params do
+        %{"cells" => entries} when is_list(entries) ->
+          Enum.flat_map(entries, &clipboard_entry_to_cells/1)
+
+        %{"markdown" => markdown} when is_binary(markdown) ->
+          Livebook.LiveMarkdown.cells_from_livemd(markdown)
+
+        _ ->
+          []
+      end
+
+    with {:ok, section, index} <-
+           section_with_next_index(
+             socket.private.data.notebook,
+             params["section_id"],
+             params["cell_id"]
+           ) do
+      for {cell, index} <- Enum.with_index(cells, index) do
+        attrs = pasted_cell_attrs(cell)
+        Session.insert_cell(socket.assigns.session.pid, section.id, index, Cell.type(cell), attrs)
+      end
+    end
+
+    {:noreply, socket}
+  end
+
   def handle_event("set_notebook_name", %{"value" => name}, socket) do
     name = normalize_name(name)
     Session.set_notebook_name(socket.assigns.session.pid, name)
@@ -383,6 +473,29 @@ defmodule LivebookWeb.SessionLive do
     {:noreply, socket}
   end
 
+  def handle_event(
+        "apply_cell_delta",
+        %{"cell_id" => cell_id, "tag" => tag, "binary" => binary},
+        socket
+      ) do
+    # The payload comes from the client, so we ignore it if malformed
+    with {:ok, delta, selection, revision} <- decode_cell_delta_binary(binary) do
+      tag = String.to_atom(tag)
+      selection = selection && Text.Selection.from_compressed(selection)
+
+      Session.apply_cell_delta(
+        socket.assigns.session.pid,
+        cell_id,
+        tag,
+        delta,
+        selection,
+        revision
+      )
+    end
+
+    {:noreply, socket}
+  end
+
   def handle_event(
         "report_cell_selection",
         %{"cell_id" => cell_id, "tag" => tag, "selection" => selection, "revision" => revision},
@@ -419,6 +532,28 @@ defmodule LivebookWeb.SessionLive do
     {:noreply, socket}
   end
 
+  def handle_event("move_cells", %{"cell_ids" => cell_ids, "offset" => offset}, socket) do
+    offset = ensure_integer(offset)
+    notebook = socket.private.data.notebook
+
+    # We move the cells one by one, starting from the one closest to
+    # the destination, so that the cells stay together
+    cell_ids =
+      for {cell, _section} <- Notebook.cells_with_section(notebook),
+          cell.id in cell_ids,
+          do: cell.id
+
+    cell_ids = if offset > 0, do: Enum.reverse(cell_ids), else: cell_ids
+
+    if cells_movable?(notebook, cell_ids, offset) do
+      for cell_id <- cell_ids do
+        Session.move_cell(socket.assigns.session.pid, cell_id, offset)
+      end
+    end
+
+    {:noreply, socket}
+  end
+
   def handle_event("move_section", %{"section_id" => section_id, "offset" => offset}, socket) do
     offset = ensure_integer(offset)
     Session.move_section(socket.assigns.session.pid, section_id, offset)
@@ -494,13 +629,7 @@ defmodule LivebookWeb.SessionLive do
   end
 
   def handle_event("queue_cell_evaluation", %{"cell_id" => cell_id} = params, socket) do
-    opts =
-      if params["disable_dependencies_cache"] do
-        [disable_dependencies_cache: true]
-      else
-        []
-      end
-
+    opts = evaluation_opts(params)
     Session.queue_cell_evaluation(socket.assigns.session.pid, cell_id, opts)
 
     {:noreply, socket}
@@ -518,14 +647,20 @@ defmodule LivebookWeb.SessionLive do
     {:noreply, socket}
   end
 
-  def handle_event("queue_section_evaluation", %{"section_id" => section_id}, socket) do
-    Session.queue_section_evaluation(socket.assigns.session.pid, section_id)
+  def handle_event("queue_section_evaluation", %{"section_id" => section_id} = params, socket) do
+    opts = evaluation_opts(params)
+    Session.queue_section_evaluation(socket.assigns.session.pid, section_id, opts)
 
     {:noreply, socket}
   end
 
-  def handle_event("queue_full_evaluation", %{"forced_cell_ids" => forced_cell_ids}, socket) do
-    Session.queue_full_evaluation(socket.assigns.session.pid, forced_cell_ids)
+  def handle_event(
+        "queue_full_evaluation",
+        %{"forced_cell_ids" => forced_cell_ids} = params,
+        socket
+      ) do
+    opts = evaluation_opts(params)
+    Session.queue_full_evaluation(socket.assigns.session.pid, forced_cell_ids, opts)
 
     {:noreply, socket}
   end
@@ -621,6 +756,13 @@ defmodule LivebookWeb.SessionLive do
 
         %{"type" => "format", "code" => code} ->
           {:format, code}
+
+        %{"type" => "code_actions", "code" => code, "markers" => markers} ->
+          markers =
+            for %{"line" => line, "description" => description} <- markers,
+                do: %{line: line, description: description}
+
+          {:code_actions, code, markers}
       end
 
     data = socket.private.data
@@ -941,6 +1083,16 @@ defmodule LivebookWeb.SessionLive do
     {:noreply, assign_private(socket, data: data)}
   end
 
+  def handle_info({:hydrate_cell_evaluation_source, cell_id, source}, socket) do
+    data = socket.private.data
+    data = put_in(data.cell_infos[cell_id].eval.evaluation_source, source)
+
+    {:noreply,
+     socket
+     |> assign_private(data: data)
+     |> push_event("evaluation_source:#{cell_id}", %{source: source})}
+  end
+
   def handle_info({:session_updated, session}, socket) do
     {:noreply, assign(socket, :session, session)}
   end
@@ -1067,6 +1219,26 @@ defmodule LivebookWeb.SessionLive do
 
   def handle_info(_message, socket), do: {:noreply, socket}
 
+  defp decode_cell_delta_binary(binary) do
+    with {:ok, raw} <- Base.decode64(binary),
+         {:ok, {meta, delta}} <- LivebookWeb.CodecHelpers.decode_annotated_binary(raw),
+         %{"selection" => selection, "revision" => revision} <- meta,
+         true <- is_integer(revision) and (is_list(selection) or is_nil(selection)),
+         {:ok, delta} <- Text.Delta.from_binary(delta) do
+      {:ok, delta, selection, revision}
+    else
+      _ -> :error
+    end
+  end
+
+  # Inline results are opt-in on the client, so we only collect them
+  # when the client requesting evaluation enables them
+  defp evaluation_opts(params) do
+    for key <- [:disable_dependencies_cache, :inline_results],
+        params[Atom.to_string(key)] == true,
+        do: {key, true}
+  end
+
   defp handle_relative_path(socket, path, requested_url) do
     cond do
       String.ends_with?(path, Livebook.LiveMarkdown.extension()) ->
@@ -1361,7 +1533,10 @@ defmodule LivebookWeb.SessionLive do
        ) do
     socket
     |> prune_outputs()
-    |> push_event("evaluation_finished:#{cell_id}", %{code_markers: metadata.code_markers})
+    |> push_event("evaluation_finished:#{cell_id}", %{
+      code_markers: metadata.code_markers,
+      inline_results: metadata.inline_results
+    })
   end
 
   defp after_operation(
@@ -1419,11 +1594,11 @@ defmodule LivebookWeb.SessionLive do
     if client_id == socket.assigns.client_id do
       push_event(socket, "cell_acknowledgement:#{cell.id}:#{tag}", %{})
     else
-      push_event(socket, "cell_delta:#{cell.id}:#{tag}", %{
-        client_id: client_id,
-        delta: Text.Delta.to_compressed(delta),
-        selection: selection && Text.Selection.to_compressed(selection)
-      })
+      push_event(
+        socket,
+        "cell_delta:#{cell.id}:#{tag}",
+        cell_delta_payload(socket.assigns.delta_encoding, client_id, delta, selection)
+      )
     end
   end
 
@@ -1433,6 +1608,34 @@ defmodule LivebookWeb.SessionLive do
 
   defp handle_action(socket, _action), do: socket
 
+  # Events are sent as JSON, so the binary representation needs to be
+  # base64 encoded, which adds a third to its size. We only use it when
+  # it is still smaller than the compressed representation
+  defp cell_delta_payload("binary", client_id, delta, selection) do
+    compressed_payload = cell_delta_payload("compressed", client_id, delta, selection)
+
+    meta = %{client_id: client_id, selection: compressed_payload.selection}
+
+    binary =
+      meta
+      |> LivebookWeb.CodecHelpers.encode_annotated_binary!(Text.Delta.to_binary(delta))
+      |> Base.encode64()
+
+    if byte_size(binary) < byte_size(JSON.encode!(compressed_payload)) do
+      %{binary: binary}
+    else
+      compressed_payload
+    end
+  end
+
+  defp cell_delta_payload("compressed", client_id, delta, selection) do
+    %{
+      client_id: client_id,
+      delta: Text.Delta.to_compressed(delta),
+      selection: selection && Text.Selection.to_compressed(selection)
+    }
+  end
+
   defp client_info(id, user) do
     %{id: id, hex_color: user.hex_color, name: user.name || "Anonymous"}
   end
@@ -1519,6 +1722,70 @@ defmodule LivebookWeb.SessionLive do
     end
   end
 
+  # The cell closest to the destination must not hit the notebook
+  # boundary, otherwise it would stay in place and the other cells
+  # would move past it
+  defp cells_movable?(_notebook, [], _offset), do: false
+
+  defp cells_movable?(notebook, [cell_id | _], offset) do
+    separated_cell_ids =
+      notebook.sections
+      |> Enum.map_intersperse(:separator, fn section -> Enum.map(section.cells, & &1.id) end)
+      |> List.flatten()
+
+    index = Enum.find_index(separated_cell_ids, &(&1 == cell_id))
+    new_index = index + offset
+
+    new_index >= 0 and new_index < length(separated_cell_ids)
+  end
+
+  defp cell_to_clipboard_entry(%Cell.Markdown{} = cell) do
+    %{type: "markdown", source: cell.source}
+  end
+
+  defp cell_to_clipboard_entry(%Cell.Code{} = cell) do
+    %{type: "code", language: Atom.to_string(cell.language), source: cell.source}
+  end
+
+  defp cell_to_clipboard_entry(%Cell.Smart{} = cell) do
+    %{type: "smart", kind: cell.kind, attrs: cell.attrs, source: cell.source}
+  end
+
+  defp clipboard_entry_to_cells(%{"type" => "markdown", "source" => source})
+       when is_binary(source) do
+    [%{Cell.new(:markdown) | source: source}]
+  end
+
+  defp clipboard_entry_to_cells(%{"type" => "code", "language" => language, "source" => source})
+       when language in ["elixir", "erlang"] and is_binary(source) do
+    [%{Cell.new(:code) | language: String.to_atom(language), source: source}]
+  end
+
+  defp clipboard_entry_to_cells(%{
+         "type" => "smart",
+         "kind" => kind,
+         "attrs" => attrs,
+         "source" => source
+       })
+       when is_binary(kind) and is_map(attrs) and is_binary(source) do
+    [%{Cell.new(:smart) | kind: kind, attrs: attrs, source: source}]
+  end
+
+  defp clipboard_entry_to_cells(_entry), do: []
+
+  # Pasted cells get new ids, so we only keep the content attributes
+  defp pasted_cell_attrs(cell) do
+    Map.take(cell, [
+      :source,
+      :language,
+      :reevaluate_automatically,
+      :continue_on_error,
+      :kind,
+      :attrs,
+      :chunks
+    ])
+  end
+
   defp ensure_integer(n) when is_integer(n), do: n
   defp ensure_integer(n) when is_binary(n), do: String.to_integer(n)
 
@@ -1551,6 +1818,28 @@ defmodule LivebookWeb.SessionLive do
     |> Map.put(:delta, delta)
   end
 
+  defp process_intellisense_response(
+         %{marker_actions: marker_actions},
+         {:code_actions, code, _markers}
+       ) do
+    marker_actions =
+      for %{actions: actions} = marker_action <- marker_actions do
+        actions =
+          for action <- actions do
+            delta =
+              code
+              |> Text.Delta.diff(action.code)
+              |> Text.Delta.to_compressed()
+
+            %{title: action.title, delta: delta}
+          end
+
+        %{marker_action | actions: actions}
+      end
+
+    %{marker_actions: marker_actions}
+  end
+
   defp process_intellisense_response(response, _request), do: response
 
   defp autofocus_cell_id(%Notebook{sections: [%{cells: [%{id: id, source: ""}]}]}), do: id
@@ -1657,7 +1946,9 @@ defmodule LivebookWeb.SessionLive do
       primary: %{
         source: cell.source,
         revision: cell_info.sources.primary.revision,
+        evaluation_source: evaluation_source(cell_info),
         code_markers: cell_info.eval.code_markers,
+        inline_results: cell_info.eval.inline_results,
         doctest_reports:
           for {_, doctest_report} <- cell_info.eval.doctest_reports do
             doctest_report_payload(doctest_report)
@@ -1671,7 +1962,9 @@ defmodule LivebookWeb.SessionLive do
       primary: %{
         source: cell.source,
         revision: cell_info.sources.primary.revision,
+        evaluation_source: nil,
         code_markers: [],
+        inline_results: [],
         doctest_reports: []
       }
     ]
@@ -1682,7 +1975,9 @@ defmodule LivebookWeb.SessionLive do
       primary: %{
         source: cell.source,
         revision: cell_info.sources.primary.revision,
+        evaluation_source: evaluation_source(cell_info),
         code_markers: cell_info.eval.code_markers,
+        inline_results: cell_info.eval.inline_results,
         doctest_reports:
           for {_, doctest_report} <- cell_info.eval.doctest_reports do
             doctest_report_payload(doctest_report)
@@ -1694,7 +1989,9 @@ defmodule LivebookWeb.SessionLive do
           secondary: %{
             source: cell.editor.source,
             revision: cell_info.sources.secondary.revision,
+            evaluation_source: nil,
             code_markers: [],
+            inline_results: [],
             doctest_reports: []
           }
         ]
@@ -1936,6 +2233,7 @@ defmodule LivebookWeb.SessionLive do
             empty: cell.editor.source == "",
             language: cell.editor.language,
             placement: cell.editor.placement,
+            intellisense_schema: cell.editor.intellisense_schema,
             visible: cell.editor.visible
           }
     }
@@ -2062,6 +2360,11 @@ defmodule LivebookWeb.SessionLive do
     :continue
   end
 
+  # Clients prune sources, so the evaluated source is hydrated
+  # separately and may not be available yet
+  defp evaluation_source(%{eval: %{evaluation_source: :__pruned__}}), do: nil
+  defp evaluation_source(cell_info), do: cell_info.eval.evaluation_source
+
   defp send_chunk_output_update(idx, output) do
     module =
       case output.type do
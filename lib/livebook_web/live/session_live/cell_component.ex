@@ -59,6 +59,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
     <.cell_actions>
       <:secondary>
         <.enable_insert_mode_button />
+        <.history_button />
         <.cell_link_button cell_id={@cell_view.id} />
         <.move_cell_up_button cell_id={@cell_view.id} />
         <.move_cell_down_button cell_id={@cell_view.id} />
@@ -69,6 +70,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
       <div class="pb-4" data-el-editor-box>
         <.cell_editor
           cell_id={@cell_view.id}
+          session_id={@session_id}
           tag="primary"
           empty={@cell_view.empty}
           language="markdown"
@@ -82,6 +84,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
       >
         <.content_skeleton empty={@cell_view.empty} />
       </div>
+      <.history_box cell_id={@cell_view.id} />
     </.cell_body>
     """
   end
@@ -102,6 +105,8 @@ defmodule LivebookWeb.SessionLive.CellComponent do
       <:secondary>
         <.cell_settings_button cell_id={@cell_view.id} session_id={@session_id} />
         <.amplify_output_button />
+        <.diff_button />
+        <.history_button />
         <.cell_link_button cell_id={@cell_view.id} />
         <.move_cell_up_button cell_id={@cell_view.id} />
         <.move_cell_down_button cell_id={@cell_view.id} />
@@ -113,6 +118,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
         <div class="relative" data-el-editor-box>
           <.cell_editor
             cell_id={@cell_view.id}
+            session_id={@session_id}
             tag="primary"
             empty={@cell_view.empty}
             language={@cell_view.language}
@@ -123,6 +129,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
           <.cell_indicators id={@cell_view.id} cell_view={@cell_view} />
         </div>
       </div>
+      <.history_box cell_id={@cell_view.id} />
       <.doctest_summary cell_id={@cell_view.id} doctest_summary={@cell_view.eval.doctest_summary} />
       <.evaluation_outputs
         outputs={@streams.outputs}
@@ -148,6 +155,8 @@ defmodule LivebookWeb.SessionLive.CellComponent do
       </:primary>
       <:secondary>
         <.package_search_button session_id={@session_id} runtime={@runtime} />
+        <.diff_button />
+        <.history_button />
         <.cell_link_button cell_id={@cell_view.id} />
         <.setup_cell_info />
       </:secondary>
@@ -162,6 +171,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
         <div data-el-editor-box>
           <.cell_editor
             cell_id={@cell_view.id}
+            session_id={@session_id}
             tag="primary"
             empty={@cell_view.empty}
             language="elixir"
@@ -172,6 +182,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
           <.cell_indicators id={@cell_view.id} cell_view={@cell_view} />
         </div>
       </div>
+      <.history_box cell_id={@cell_view.id} />
       <.evaluation_outputs
         outputs={@streams.outputs}
         cell_view={@cell_view}
@@ -224,11 +235,13 @@ defmodule LivebookWeb.SessionLive.CellComponent do
                 <.cell_editor
                   :if={@cell_view.editor}
                   cell_id={@cell_view.id}
+                  session_id={@session_id}
                   tag="secondary"
                   empty={@cell_view.editor.empty}
                   language={@cell_view.editor.language}
                   rounded={@cell_view.editor.placement}
                   intellisense={@cell_view.editor.language == "elixir"}
+                  intellisense_schema={@cell_view.editor.intellisense_schema}
                   hidden={not @cell_view.editor.visible}
                 />
               </div>
@@ -262,6 +275,7 @@ defmodule LivebookWeb.SessionLive.CellComponent do
           <div class="relative">
             <.cell_editor
               cell_id={@cell_view.id}
+              session_id={@session_id}
               tag="primary"
               empty={@cell_view.empty}
               language="elixir"
@@ -524,6 +538,32 @@ defmodule LivebookWeb.SessionLive.CellComponent do
     """
   end
 
+  defp diff_button(assigns) do
+    ~H"""
+    <span class="tooltip top" data-tooltip="Changes since evaluation" data-el-diff-button>
+      <.icon_button aria-label="changes since evaluation">
+        <.remix_icon icon="git-commit-line" />
+      </.icon_button>
+    </span>
+    """
+  end
+
+  defp history_button(assigns) do
+    ~H"""
+    <span class="tooltip top" data-tooltip="Source history" data-el-history-button>
+      <.icon_button aria-label="source history">
+        <.remix_icon icon="history-line" />
+      </.icon_button>
+    </span>
+    """
+  end
+
+  defp history_box(assigns) do
+    ~H"""
+    <div id={"history-box-#{@cell_id}"} phx-update="ignore" data-el-history-box></div>
+    """
+  end
+
   defp cell_settings_button(assigns) do
     ~H"""
     <span class="tooltip top" data-tooltip="Cell settings">
@@ -600,11 +640,13 @@ defmodule LivebookWeb.SessionLive.CellComponent do
     """
   end
 
+  attr :session_id, :string, required: true
   attr :cell_id, :string, required: true
   attr :tag, :string, required: true
   attr :empty, :boolean, required: true
   attr :language, :string, required: true
   attr :intellisense, :boolean, default: false
+  attr :intellisense_schema, :map, default: nil
   attr :read_only, :boolean, default: false
   attr :rounded, :atom, default: :both
   attr :hidden, :boolean, default: false
@@ -615,10 +657,12 @@ defmodule LivebookWeb.SessionLive.CellComponent do
       class={[@hidden && "hidden"]}
       id={"cell-editor-#{@cell_id}-#{@tag}"}
       phx-hook="CellEditor"
+      data-p-session-id={hook_prop(@session_id)}
       data-p-cell-id={hook_prop(@cell_id)}
       data-p-tag={hook_prop(@tag)}
       data-p-language={hook_prop(@language)}
       data-p-intellisense={hook_prop(@intellisense)}
+      data-p-intellisense-schema={hook_prop(@intellisense_schema)}
       data-p-read-only={hook_prop(@read_only)}
     >
       <div
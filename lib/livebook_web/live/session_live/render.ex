@@ -44,6 +44,13 @@ defmodule LivebookWeb.SessionLive.Render do
           starred_files={@starred_files}
         />
       </div>
+      <div
+        id="command-palette"
+        class="fixed z-[10000] inset-0 hidden"
+        phx-update="ignore"
+        data-el-command-palette
+      >
+      </div>
     </div>
 
     <.current_user_modal current_user={@current_user} />
@@ -342,6 +349,12 @@ defmodule LivebookWeb.SessionLive.Render do
         button_attrs={["data-el-clients-list-toggle": true]}
       />
 
+      <.button_item
+        icon="find-replace-line"
+        label="Find and replace"
+        button_attrs={["data-el-find-replace-toggle": true]}
+      />
+
       <div class="relative">
         <.button_item
           icon="cpu-line"
@@ -421,6 +434,8 @@ defmodule LivebookWeb.SessionLive.Render do
     >
       <.outline_list data_view={@data_view} />
       <.clients_list data_view={@data_view} client_id={@client_id} />
+      <.find_replace />
+      <.references />
       <.live_component
         module={LivebookWeb.SessionLive.FilesListComponent}
         id="files-list"
@@ -522,8 +537,8 @@ defmodule LivebookWeb.SessionLive.Render do
             />
           </div>
 
-          <ul :if={section_item.identifier_definitions != []} class="mt-2 ml-5 list-none items-center">
-            <li :for={definition <- section_item.identifier_definitions}>
+          <ul class="ml-5 list-none items-center">
+            <li :for={definition <- section_item.identifier_definitions} class="first:mt-2">
               <button
                 class="flex items-baseline max-w-full text-gray-600 hover:text-gray-900 text-sm gap-1"
                 data-el-outline-definition-item
@@ -536,6 +551,14 @@ defmodule LivebookWeb.SessionLive.Render do
                 </span>
               </button>
             </li>
+            <%!-- Definitions found in the cell sources on the client, see the Session hook --%>
+            <li
+              id={"outline-symbols-#{section_item.id}"}
+              class="flex flex-col first:mt-2 empty:hidden"
+              phx-update="ignore"
+              data-el-outline-symbols
+              data-section-id={section_item.id}
+            ></li>
           </ul>
         </div>
       </div>
@@ -630,6 +653,97 @@ defmodule LivebookWeb.SessionLive.Render do
     """
   end
 
+  defp find_replace(assigns) do
+    ~H"""
+    <div class="flex flex-col grow" data-el-find-replace>
+      <h3 class="uppercase text-sm font-semibold text-gray-500">
+        Find and replace
+      </h3>
+      <%!-- The panel is fully managed on the client, so we ignore updates --%>
+      <div id="find-replace" class="flex flex-col mt-4" phx-update="ignore">
+        <div class="flex flex-col space-y-2">
+          <.text_field
+            id="find-replace-find"
+            name="find"
+            value=""
+            placeholder="Find"
+            autocomplete="off"
+            data-el-find-input
+          />
+          <.text_field
+            id="find-replace-replace"
+            name="replace"
+            value=""
+            placeholder="Replace"
+            autocomplete="off"
+            data-el-replace-input
+          />
+        </div>
+        <div class="flex items-center gap-4 mt-3">
+          <.checkbox_field
+            id="find-replace-case-sensitive"
+            name="case_sensitive"
+            value="false"
+            unchecked_value={nil}
+            label="Match case"
+            small
+            data-el-find-case-sensitive
+          />
+          <.checkbox_field
+            id="find-replace-regex"
+            name="regex"
+            value="false"
+            unchecked_value={nil}
+            label="Regex"
+            small
+            data-el-find-regex
+          />
+        </div>
+        <div class="flex items-center justify-between mt-4">
+          <span class="text-sm text-gray-500" data-el-find-summary></span>
+          <.button color="gray" small data-el-replace-all-button>
+            Replace all
+          </.button>
+        </div>
+        <div class="flex flex-col mt-4 space-y-3" data-el-find-results></div>
+      </div>
+    </div>
+    """
+  end
+
+  defp references(assigns) do
+    ~H"""
+    <div class="flex flex-col grow" data-el-references>
+      <h3 class="uppercase text-sm font-semibold text-gray-500">
+        References
+      </h3>
+      <%!-- The panel is fully managed on the client, so we ignore updates --%>
+      <div id="references" class="flex flex-col mt-4" phx-update="ignore">
+        <span class="text-sm text-gray-500" data-el-references-summary>
+          Press shift+F12 in an Elixir cell to find references to the name under the cursor.
+        </span>
+        <div class="flex flex-col mt-4 space-y-2 hidden" data-el-rename>
+          <.text_field
+            id="references-rename"
+            name="new_name"
+            value=""
+            placeholder="New name"
+            autocomplete="off"
+            data-el-rename-input
+          />
+          <div class="flex items-center justify-between gap-2">
+            <span class="text-xs text-red-600" data-el-rename-error></span>
+            <.button color="gray" small data-el-rename-button>
+              Rename
+            </.button>
+          </div>
+        </div>
+        <div class="flex flex-col mt-4 space-y-3" data-el-references-results></div>
+      </div>
+    </div>
+    """
+  end
+
   defp runtime_info(assigns) do
     ~H"""
     <div class="flex flex-col grow" data-el-runtime-info>
@@ -25,6 +25,18 @@ defmodule LivebookWeb.SessionLive.ShortcutsComponent do
         desc: "Format Elixir code",
         basic: true
       },
+      %{
+        seq: ["ctrl", "."],
+        seq_mac: ["⌘", "."],
+        press_all: true,
+        desc: "Show quick fixes"
+      },
+      %{
+        seq: ["shift", "F12"],
+        press_all: true,
+        desc: "Find references across cells"
+      },
+      %{seq: ["F2"], desc: "Rename across cells"},
       %{
         seq: ["ctrl", "/"],
         seq_mac: ["⌘", "/"],
@@ -80,34 +92,21 @@ defmodule LivebookWeb.SessionLive.ShortcutsComponent do
         desc: "Cursor skip word right"
       }
     ],
+    # The remaining navigation mode shortcuts come from the keymap,
+    # which is configured on the client
     navigation_mode: [
-      %{seq: ["?"], desc: "Open this help modal", basic: true},
-      %{seq: ["j"], desc: "Focus cell below", basic: true},
-      %{seq: ["k"], desc: "Focus cell above", basic: true},
-      %{seq: ["J"], desc: "Move cell down"},
-      %{seq: ["K"], desc: "Move cell up"},
-      %{seq: ["i"], desc: "Switch to insert mode", basic: true},
-      %{seq: ["n"], desc: "Insert Code cell below", basic: true},
-      %{seq: ["m"], desc: "Insert Markdown cell below", basic: true},
-      %{seq: ["N"], desc: "Insert Code cell above"},
-      %{seq: ["M"], desc: "Insert Markdown cell above"},
-      %{seq: ["c"], desc: "Expand/collapse section"},
-      %{seq: ["C"], desc: "Expand/collapse all sections"},
-      %{seq: ["v", "z"], desc: "Toggle code zen view"},
-      %{seq: ["v", "p"], desc: "Toggle presentation view"},
-      %{seq: ["v", "c"], desc: "Toggle custom view"},
-      %{seq: ["d", "d"], desc: "Delete cell", basic: true},
-      %{seq: ["e", "e"], desc: "Evaluate cell"},
-      %{seq: ["e", "s"], desc: "Evaluate section"},
-      %{seq: ["e", "a"], desc: "Evaluate all outdated cells", basic: true},
-      %{seq: ["e", "x"], desc: "Cancel cell evaluation"},
-      %{seq: ["s", "o"], desc: "Toggle outline panel"},
-      %{seq: ["s", "u"], desc: "Toggle users panel"},
-      %{seq: ["s", "s"], desc: "Toggle secrets panel"},
-      %{seq: ["s", "r"], desc: "Show runtime panel"},
-      %{seq: ["s", "b"], desc: "Show bin"},
-      %{seq: ["s", "p"], desc: "Show package search"},
-      %{seq: ["0", "0"], desc: "Reconnect current runtime"},
+      %{
+        seq: ["ctrl", "c"],
+        seq_mac: ["⌘", "c"],
+        press_all: true,
+        desc: "Copy selected cells"
+      },
+      %{
+        seq: ["ctrl", "v"],
+        seq_mac: ["⌘", "v"],
+        press_all: true,
+        desc: "Paste cells below"
+      },
       %{
         seq: ["ctrl", "k"],
         seq_mac: ["⌘", "k"],
@@ -144,6 +143,19 @@ defmodule LivebookWeb.SessionLive.ShortcutsComponent do
         desc: "Save notebook",
         basic: true
       },
+      %{
+        seq: ["ctrl", "shift", "f"],
+        seq_mac: ["⌘", "⇧", "f"],
+        press_all: true,
+        desc: "Find and replace in notebook"
+      },
+      %{
+        seq: ["ctrl", "shift", "p"],
+        seq_mac: ["⌘", "⇧", "p"],
+        press_all: true,
+        desc: "Open command palette",
+        basic: true
+      },
       %{
         seq: ["ctrl", "alt", "-"],
         seq_mac: ["⌃", "⌥", "-"],
@@ -187,10 +199,20 @@ defmodule LivebookWeb.SessionLive.ShortcutsComponent do
       </div>
       <.shortcuts_section
         title="Navigation mode"
+        description="These are the key bindings from your keymap, you can customize them in the user settings."
         shortcuts={@shortcuts.navigation_mode}
         basic={@basic}
         platform={@platform}
-      />
+      >
+        <div
+          id="navigation-shortcuts"
+          class="flex flex-col lg:flex-row lg:space-x-4"
+          phx-hook="NavigationShortcuts"
+          phx-update="ignore"
+          data-p-basic={hook_prop(@basic)}
+        >
+        </div>
+      </.shortcuts_section>
       <.shortcuts_section
         title="Insert mode"
         description="Shortcuts in the code editor match Visual Studio Code. Here is a summary (US keyboard layout)."
@@ -222,6 +244,7 @@ defmodule LivebookWeb.SessionLive.ShortcutsComponent do
       assigns
       |> assign(left: left, right: right)
       |> assign_new(:description, fn -> nil end)
+      |> assign_new(:inner_block, fn -> [] end)
 
     ~H"""
     <div class="flex flex-col space-y-3">
@@ -231,6 +254,7 @@ defmodule LivebookWeb.SessionLive.ShortcutsComponent do
       <div :if={@description} class="text-gray-700">
         {@description}
       </div>
+      {render_slot(@inner_block)}
       <div class="flex flex-col lg:flex-row lg:space-x-4">
         <div class="lg:grow">
           <.shortcuts_section_table shortcuts={@left} platform={@platform} />
@@ -162,12 +162,36 @@ defmodule LivebookWeb.SettingsLive do
               />
               <.switch_field name="editor_font_size" label="Increase font size" value={false} />
               <.switch_field name="editor_ligatures" label="Render ligatures" value={false} />
-              <.switch_field name="editor_light_theme" label="Use light theme" value={false} />
               <.switch_field
                 name="editor_markdown_word_wrap"
                 label="Wrap words in Markdown"
                 value={false}
               />
+              <.switch_field
+                name="editor_inline_results"
+                label="Show evaluation results inline"
+                value={false}
+              />
+              <.switch_field
+                name="editor_minimap"
+                label="Show minimap for long cells"
+                value={false}
+              />
+              <.switch_field
+                name="editor_rainbow_brackets"
+                label="Color brackets by nesting depth"
+                value={false}
+              />
+              <.switch_field
+                name="editor_indent_guides"
+                label="Show indentation guides"
+                value={false}
+              />
+              <.switch_field
+                name="editor_format_on_evaluate"
+                label="Format code when evaluating"
+                value={false}
+              />
               <div class="flex items-center gap-1 sm:gap-3 justify-between">
                 <span class="text-gray-700 flex gap-1 items-center">
                   Key bindings
@@ -184,6 +208,163 @@ defmodule LivebookWeb.SettingsLive do
                   ]}
                 />
               </div>
+              <div class="flex items-center gap-1 sm:gap-3 justify-between">
+                <span class="text-gray-700 flex gap-1 items-center">
+                  Theme
+                </span>
+                <div class="flex items-center gap-2">
+                  <.button color="gray" small data-el-editor-theme-export-button>
+                    Export
+                  </.button>
+                  <.button color="gray" small data-el-editor-theme-import-button>
+                    Import
+                  </.button>
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    class="hidden"
+                    data-el-editor-theme-import-input
+                  />
+                  <.select_field
+                    name="editor_theme"
+                    value={false}
+                    class="pt-1 pb-1"
+                    options={[
+                      {"One Dark", "default"},
+                      {"One Light", "light"},
+                      {"High contrast", "high_contrast"},
+                      {"Solarized Dark", "solarized_dark"},
+                      {"Solarized Light", "solarized_light"},
+                      {"Custom", "custom"}
+                    ]}
+                  />
+                </div>
+              </div>
+              <div class="text-sm text-red-600" data-el-editor-theme-import-error></div>
+            </div>
+          </div>
+          <!-- Navigation keymap configuration -->
+          <div class="flex flex-col space-y-4">
+            <h2 class="text-xl text-gray-800 font-medium pb-2 border-b border-gray-200">
+              Navigation shortcuts
+            </h2>
+            <p class="text-gray-700">
+              Keys triggering notebook actions in navigation mode. Separate
+              consecutive keys with a space, for example <code>d d</code>.
+            </p>
+            <div
+              class="flex flex-col space-y-3"
+              id="keymap-settings"
+              phx-hook="KeymapSettings"
+              phx-update="ignore"
+            >
+              <div class="flex items-center gap-1 sm:gap-3 justify-between">
+                <span class="text-gray-700 flex gap-1 items-center">
+                  Preset
+                </span>
+                <.select_field
+                  name="keymap_preset"
+                  value={false}
+                  class="pt-1 pb-1"
+                  options={[
+                    {"Default", "default"},
+                    {"Jupyter", "jupyter"}
+                  ]}
+                />
+              </div>
+              <div class="flex flex-col space-y-1 text-sm text-red-600" data-el-keymap-conflicts>
+              </div>
+              <div class="flex flex-col space-y-2" data-el-keymap-bindings></div>
+              <div class="flex gap-2">
+                <.button color="gray" small data-el-keymap-export-button>
+                  Export
+                </.button>
+                <.button color="gray" small data-el-keymap-import-button>
+                  Import
+                </.button>
+                <.button color="gray" outlined small data-el-keymap-reset-button>
+                  Reset to preset
+                </.button>
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  class="hidden"
+                  data-el-keymap-import-input
+                />
+              </div>
+              <div class="text-sm text-red-600" data-el-keymap-import-error></div>
+            </div>
+          </div>
+          <!-- Snippets configuration -->
+          <div class="flex flex-col space-y-4">
+            <h2 class="text-xl text-gray-800 font-medium pb-2 border-b border-gray-200">
+              Snippets
+            </h2>
+            <p class="text-gray-700">
+              Snippets are offered in the completion list when typing their
+              trigger. In the body, use <code>{"${1:name}"}</code>
+              for tab stops and <code>{"${}"}</code>
+              for the final cursor position. Write Elixir interpolation
+              as <code>{"#\\{name\\}"}</code>.
+            </p>
+            <div
+              class="flex flex-col space-y-3"
+              id="snippet-settings"
+              phx-hook="SnippetSettings"
+              phx-update="ignore"
+            >
+              <div class="flex flex-col space-y-2" data-el-snippets-list></div>
+              <form class="flex flex-col space-y-3" data-el-snippet-form>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <.text_field
+                    id="snippet-trigger"
+                    name="trigger"
+                    label="Trigger"
+                    value=""
+                    autocomplete="off"
+                  />
+                  <.select_field
+                    id="snippet-language"
+                    name="language"
+                    label="Language"
+                    value="elixir"
+                    options={[{"Elixir", "elixir"}, {"SQL", "sql"}, {"Markdown", "markdown"}]}
+                  />
+                  <.text_field
+                    id="snippet-description"
+                    name="description"
+                    label="Description"
+                    value=""
+                    autocomplete="off"
+                  />
+                </div>
+                <.textarea_field
+                  id="snippet-body"
+                  name="body"
+                  label="Body"
+                  value=""
+                  rows="5"
+                  monospace
+                />
+                <div class="text-sm text-red-600" data-el-snippet-error></div>
+                <div class="flex gap-2">
+                  <.button type="submit" small>
+                    Save snippet
+                  </.button>
+                  <.button color="gray" small type="button" data-el-snippets-export-button>
+                    Export
+                  </.button>
+                  <.button color="gray" small type="button" data-el-snippets-import-button>
+                    Import
+                  </.button>
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    class="hidden"
+                    data-el-snippets-import-input
+                  />
+                </div>
+              </form>
             </div>
           </div>
         </div>
@@ -44,6 +44,112 @@ defmodule Livebook.IntellisenseTest do
     end
   end
 
+  describe "get_code_actions/5" do
+    test "prefixes unused variable with an underscore" do
+      context = eval(do: nil)
+
+      description =
+        ~s/variable "y" is unused (if the variable is not meant to be used, prefix it with an underscore)/
+
+      assert [%{title: "Prefix unused variable with _", code: "x = 1\n_y = %{y: x}"}] =
+               Intellisense.get_code_actions(
+                 "x = 1\ny = %{y: x}",
+                 2,
+                 description,
+                 context,
+                 node()
+               )
+    end
+
+    test "aliases a module matching the missing one" do
+      context = eval(do: nil)
+
+      description =
+        "IdentifierMatcher.foo/0 is undefined (module IdentifierMatcher is not available or is yet to be defined)"
+
+      assert [
+               %{
+                 title: "Add alias Livebook.Intellisense.IdentifierMatcher",
+                 code: "alias Livebook.Intellisense.IdentifierMatcher\nIdentifierMatcher.foo()"
+               }
+             ] =
+               Intellisense.get_code_actions(
+                 "IdentifierMatcher.foo()",
+                 1,
+                 description,
+                 context,
+                 node()
+               )
+    end
+
+    test "aliases the parent of a nested missing module" do
+      context = eval(do: nil)
+
+      description =
+        "Intellisense.Docs.foo/0 is undefined (module Intellisense.Docs is not available or is yet to be defined)"
+
+      assert [%{title: "Add alias Livebook.Intellisense"}] =
+               Intellisense.get_code_actions(
+                 "Intellisense.Docs.foo()",
+                 1,
+                 description,
+                 context,
+                 node()
+               )
+    end
+
+    test "imports a function exported by a loaded module" do
+      context = eval(do: nil)
+
+      description =
+        "undefined function get_code_actions/5 (expected Foo to define such a function or for it to be imported, but none are available)"
+
+      assert [
+               %{
+                 title: "Import get_code_actions/5 from Livebook.Intellisense",
+                 code: "import Livebook.Intellisense, only: [get_code_actions: 5]\n" <> _
+               }
+             ] =
+               Intellisense.get_code_actions(
+                 "get_code_actions()",
+                 1,
+                 description,
+                 context,
+                 node()
+               )
+    end
+
+    test "returns an empty list for an unknown code marker" do
+      context = eval(do: nil)
+
+      assert [] = Intellisense.get_code_actions("1 +", 1, "syntax error", context, node())
+    end
+
+    test "handles all markers in a single request" do
+      context = eval(do: nil)
+
+      description =
+        ~s/variable "y" is unused (if the variable is not meant to be used, prefix it with an underscore)/
+
+      markers = [
+        %{line: 2, description: description},
+        %{line: 1, description: "syntax error"}
+      ]
+
+      assert %{
+               marker_actions: [
+                 %{line: 2, actions: [%{title: "Prefix unused variable with _"}]},
+                 %{line: 1, actions: []}
+               ]
+             } =
+               Intellisense.handle_request(
+                 {:code_actions, "x = 1\ny = %{y: x}", markers},
+                 context,
+                 node()
+               )
+    end
+  end
+
   describe "get_completion_items/3" do
     test "completion when no hint given" do
       context = eval(do: nil)
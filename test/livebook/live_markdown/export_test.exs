@@ -1287,6 +1287,42 @@ defmodule Livebook.LiveMarkdown.ExportTest do
     end
   end
 
+  describe "cells_to_livemd/1" do
+    test "renders cells without notebook and section headings" do
+      cells = [
+        %{Notebook.Cell.new(:markdown) | source: "Cell 1"},
+        %{Notebook.Cell.new(:markdown) | source: "Cell 2"},
+        %{Notebook.Cell.new(:code) | source: "x = 1", outputs: [{0, terminal_text("1")}]},
+        %{
+          Notebook.Cell.new(:smart)
+          | source: "y = 1",
+            kind: "text",
+            attrs: %{"text" => "My text"}
+        }
+      ]
+
+      expected_document = """
+      Cell 1
+
+      <!-- livebook:{"break_markdown":true} -->
+
+      Cell 2
+
+      ```elixir
+      x = 1
+      ```
+
+      <!-- livebook:{"attrs":"eyJ0ZXh0IjoiTXkgdGV4dCJ9","chunks":null,"kind":"text","livebook_object":"smart_cell"} -->
+
+      ```elixir
+      y = 1
+      ```
+      """
+
+      assert Export.cells_to_livemd(cells) == expected_document
+    end
+  end
+
   defp stamp_metadata(notebook, source) do
     [_, json] = Regex.run(~r/<!-- livebook:(.*) -->\n$/, source)
     %{"offset" => offset, "stamp" => stamp} = JSON.decode!(json)
@@ -1450,4 +1450,48 @@ defmodule Livebook.LiveMarkdown.ImportTest do
       assert notebook.quarantine_file_entry_names == MapSet.new(["document1.pdf"])
     end
   end
+
+  describe "cells_from_livemd/1" do
+    test "returns cells with headings kept as Markdown" do
+      markdown = """
+      Cell 1
+
+      ```elixir
+      x = 1
+      ```
+
+      ## Section 2
+
+      Cell 2
+
+      <!-- livebook:{"attrs":"eyJ0ZXh0IjoiTXkgdGV4dCJ9","chunks":null,"kind":"text","livebook_object":"smart_cell"} -->
+
+      ```elixir
+      y = 1
+      ```
+      """
+
+      assert [
+               %Cell.Markdown{source: "Cell 1"},
+               %Cell.Code{source: "x = 1", language: :elixir},
+               %Cell.Markdown{source: "## Section 2\n\nCell 2"},
+               %Cell.Smart{source: "y = 1", kind: "text", attrs: %{"text" => "My text"}}
+             ] = Import.cells_from_livemd(markdown)
+    end
+
+    test "does not treat a leading code cell as the setup cell" do
+      markdown = """
+      # Notebook
+
+      ```elixir
+      Mix.install([])
+      ```
+      """
+
+      assert [
+               %Cell.Markdown{source: "# Notebook"},
+               %Cell.Code{source: "Mix.install([])"}
+             ] = Import.cells_from_livemd(markdown)
+    end
+  end
 end
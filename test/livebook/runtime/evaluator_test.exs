@@ -299,6 +299,51 @@ defmodule Livebook.Runtime.EvaluatorTest do
                       ), %{code_markers: []}}
     end
 
+    test "returns inline results for the last expression and marked lines",
+         %{evaluator: evaluator} do
+      code = """
+      x = 1 + 1 #=>
+      y =
+        [1, 2, 3]
+        |> Enum.map(&(&1 * x)) #=>
+        |> Enum.sum()
+
+      y + 1
+      """
+
+      Evaluator.evaluate_code(evaluator, :elixir, code, :code_1, [], inline_results: true)
+
+      assert_receive {:runtime_evaluation_response, :code_1, _output,
+                      %{
+                        inline_results: [
+                          %{line: 1, text: "2"},
+                          %{line: 4, text: "[2, 4, 6]"},
+                          %{line: 7, text: "13"}
+                        ]
+                      }}
+    end
+
+    test "returns no inline result for the last expression on error", %{evaluator: evaluator} do
+      code = """
+      raise "failed"
+      """
+
+      Evaluator.evaluate_code(evaluator, :elixir, code, :code_1, [], inline_results: true)
+
+      assert_receive {:runtime_evaluation_response, :code_1, _output, %{inline_results: []}}
+    end
+
+    test "returns no inline results unless requested", %{evaluator: evaluator} do
+      code = """
+      x = 1 + 1 #=>
+      x + 1
+      """
+
+      Evaluator.evaluate_code(evaluator, :elixir, code, :code_1, [])
+
+      assert_receive {:runtime_evaluation_response, :code_1, _output, %{inline_results: []}}
+    end
+
     test "in case of an error returns only the relevant part of stacktrace",
          %{evaluator: evaluator} do
       code = """
@@ -36,7 +36,8 @@ defmodule Livebook.Session.DataTest do
       identifiers_used: uses,
       identifiers_defined: defines,
       identifier_definitions: identifier_definitions,
-      code_markers: []
+      code_markers: [],
+      inline_results: []
     }
   end
 
@@ -1604,6 +1605,25 @@ defmodule Livebook.Session.DataTest do
       assert new_data.section_infos["s1"].evaluation_queue == MapSet.new([])
     end
 
+    test "stores the evaluated source" do
+      delta = Delta.new() |> Delta.insert("1 + 1")
+
+      data =
+        data_after_operations!([
+          {:client_join, @cid, User.new()},
+          {:insert_section, @cid, 0, "s1"},
+          {:insert_cell, @cid, "s1", 0, :code, "c1", %{}},
+          {:apply_cell_delta, @cid, "c1", :primary, delta, nil, 0},
+          connect_noop_runtime_operations(),
+          evaluate_cells_operations(["setup"])
+        ])
+
+      operation = {:queue_cells_evaluation, @cid, ["c1"], []}
+
+      assert {:ok, %{cell_infos: %{"c1" => %{eval: %{evaluation_source: "1 + 1"}}}}, _actions} =
+               Data.apply_operation(data, operation)
+    end
+
     test "returns start evaluation action if the corresponding section is idle" do
       data =
         data_after_operations!([
@@ -18,7 +18,8 @@ defmodule Livebook.SessionTest do
     identifiers_used: [],
     identifiers_defined: %{},
     identifier_definitions: [],
-    code_markers: []
+    code_markers: [],
+    inline_results: []
   }
 
   describe "file_name_for_download/1" do
@@ -215,6 +216,43 @@ defmodule Livebook.SessionTest do
     end
   end
 
+  describe "convert_cell_to_markdown/2" do
+    test "sends a delete and insert operations to subscribers" do
+      cell = %{Notebook.Cell.new(:code) | source: "# Title"}
+      section = %{Notebook.Section.new() | cells: [cell]}
+      notebook = %{Notebook.new() | sections: [section]}
+
+      session = start_session(notebook: notebook)
+
+      Session.subscribe(session.id)
+
+      Session.convert_cell_to_markdown(session.pid, cell.id)
+
+      cell_id = cell.id
+      section_id = section.id
+
+      assert_receive {:operation,
+                      {:insert_cell, _client_id, ^section_id, 0, :markdown, _id,
+                       %{source: "# Title"}}}
+
+      assert_receive {:operation, {:delete_cell, _client_id, ^cell_id}}
+    end
+
+    test "ignores cells other than code cells" do
+      cell = %{Notebook.Cell.new(:markdown) | source: "# Title"}
+      section = %{Notebook.Section.new() | cells: [cell]}
+      notebook = %{Notebook.new() | sections: [section]}
+
+      session = start_session(notebook: notebook)
+
+      Session.subscribe(session.id)
+
+      Session.convert_cell_to_markdown(session.pid, cell.id)
+
+      refute_receive {:operation, {:delete_cell, _client_id, _cell_id}}
+    end
+  end
+
   describe "add_dependencies/2" do
     test "applies source change to the setup cell to include the given dependencies" do
       session = start_session()
@@ -267,6 +305,9 @@ defmodule Livebook.SessionTest do
 
       assert_receive {:operation, {:queue_cells_evaluation, _client_id, [^cell_id], []}}
 
+      # Sends the evaluated source to clients
+      assert_receive {:hydrate_cell_evaluation_source, ^cell_id, ""}
+
       assert_receive {:operation,
                       {:add_cell_evaluation_response, _, ^cell_id, _,
                        %{evaluation_time_ms: _time_ms}}}
@@ -1080,6 +1121,20 @@ defmodule Livebook.SessionTest do
                }
              } = Session.get_data(session.pid)
 
+      # Update intellisense schema
+      schema = %{"tables" => %{"users" => ["id", "name"]}}
+
+      send(
+        session.pid,
+        {:runtime_smart_cell_editor_update, smart_cell.id, %{intellisense_schema: schema}}
+      )
+
+      assert %{
+               notebook: %{
+                 sections: [%{cells: [%{editor: %{intellisense_schema: ^schema}}]}]
+               }
+             } = Session.get_data(session.pid)
+
       # Update visibility
       send(
         session.pid,
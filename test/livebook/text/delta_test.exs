@@ -111,4 +111,42 @@ defmodule Livebook.Text.DeltaTest do
                Delta.new() |> Delta.delete(2)
     end
   end
+
+  describe "to_binary/1 and from_binary/1" do
+    test "round trip" do
+      deltas = [
+        Delta.new(),
+        Delta.new() |> Delta.insert("cats"),
+        Delta.new() |> Delta.retain(5) |> Delta.delete(2),
+        Delta.new()
+        |> Delta.retain(100_000)
+        |> Delta.insert("zażółć 🐈")
+        |> Delta.delete(2 ** 40),
+        Delta.new() |> Delta.insert(String.duplicate("x", 300))
+      ]
+
+      for delta <- deltas do
+        assert delta |> Delta.to_binary() |> Delta.from_binary() == {:ok, delta}
+      end
+    end
+
+    test "insert length is the number of UTF-8 bytes" do
+      assert Delta.new() |> Delta.insert("ą") |> Delta.to_binary() == <<10, 196, 133>>
+    end
+
+    test "uses multiple bytes for large lengths" do
+      assert Delta.new() |> Delta.retain(1000) |> Delta.to_binary() == <<160, 31>>
+    end
+
+    test "returns an error for malformed binary" do
+      # Truncated varint
+      assert Delta.from_binary(<<160>>) == :error
+      # Insert longer than the remaining binary
+      assert Delta.from_binary(<<14, "he">>) == :error
+      # Unknown operation type
+      assert Delta.from_binary(<<3>>) == :error
+      # Invalid UTF-8
+      assert Delta.from_binary(<<6, 255>>) == :error
+    end
+  end
 end
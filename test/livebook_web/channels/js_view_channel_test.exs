@@ -20,7 +20,16 @@ defmodule LivebookWeb.JSViewChannelTest do
     assert_receive {:connect, from, %{}}
     send(from, {:connect_reply, [1, 2, 3], %{ref: "1"}})
 
-    assert_push "init:1:id1", %{"root" => [nil, [1, 2, 3]]}
+    assert_push "init:1:id1", %{"root" => [[[]], [1, 2, 3]]}
+  end
+
+  test "pushes the features supported by the widget server to the client", %{socket: socket} do
+    push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+    assert_receive {:connect, from, %{}}
+    send(from, {:connect_reply, [1, 2, 3], %{ref: "1", features: [:stream, :call]}})
+
+    assert_push "init:1:id1", %{"root" => [[["stream", "call"]], [1, 2, 3]]}
   end
 
   test "loads initial data for multiple connections separately", %{socket: socket} do
@@ -29,11 +38,11 @@ defmodule LivebookWeb.JSViewChannelTest do
 
     assert_receive {:connect, from, %{}}
     send(from, {:connect_reply, [1, 2, 3], %{ref: "1"}})
-    assert_push "init:1:id1", %{"root" => [nil, [1, 2, 3]]}
+    assert_push "init:1:id1", %{"root" => [[[]], [1, 2, 3]]}
 
     assert_receive {:connect, from, %{}}
     send(from, {:connect_reply, [1, 2, 3], %{ref: "1"}})
-    assert_push "init:1:id2", %{"root" => [nil, [1, 2, 3]]}
+    assert_push "init:1:id2", %{"root" => [[[]], [1, 2, 3]]}
   end
 
   test "sends client events to the corresponding widget server", %{socket: socket} do
@@ -74,7 +83,7 @@ defmodule LivebookWeb.JSViewChannelTest do
       send(from, {:connect_reply, payload, %{ref: "1"}})
 
       assert_push "init:1:id1",
-                  {:binary, <<24::size(32), "[null,{\"message\":\"hey\"}]", 1, 2, 3>>}
+                  {:binary, <<24::size(32), "[[[]],{\"message\":\"hey\"}]", 1, 2, 3>>}
     end
 
     test "form client to server", %{socket: socket} do
@@ -91,6 +100,240 @@ defmodule LivebookWeb.JSViewChannelTest do
     end
   end
 
+  describe "calls" do
+    test "sends the call to the widget server and pushes the reply", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1", features: [:call]}})
+
+      push(socket, "call", %{"root" => [["sum", "1", "id1", 7], [1, 2]]})
+
+      assert_receive {:call, from, "sum", [1, 2], %{ref: "1", call_ref: call_ref}}
+      send(from, {:call_reply, {:ok, 3}, %{ref: "1", call_ref: call_ref}})
+
+      assert_push "call_reply:1:id1", %{"root" => [[7, nil], 3]}
+    end
+
+    test "pushes error reply", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1", features: [:call]}})
+
+      push(socket, "call", %{"root" => [["sum", "1", "id1", 7], [1, 2]]})
+
+      assert_receive {:call, from, "sum", [1, 2], %{ref: "1", call_ref: call_ref}}
+      send(from, {:call_reply, {:error, "invalid input"}, %{ref: "1", call_ref: call_ref}})
+
+      assert_push "call_reply:1:id1", %{"root" => [[7, "invalid input"], nil]}
+    end
+
+    test "pushes error reply when the widget server does not support calls", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1"}})
+
+      push(socket, "call", %{"root" => [["sum", "1", "id1", 7], [1, 2]]})
+
+      assert_push "call_reply:1:id1", %{"root" => [[7, message], nil]}
+      assert message =~ "ctx.call is not supported by the runtime"
+      refute_received {:call, _from, _event, _payload, _info}
+    end
+
+    test "pushes error reply when no connection is found", %{socket: socket} do
+      push(socket, "call", %{"root" => [["sum", "1", "id1", 7], [1, 2]]})
+
+      assert_push "call_reply:1:id1",
+                  %{"root" => [[7, "The view is no longer connected"], nil]}
+    end
+  end
+
+  describe "shared state" do
+    test "connects to the state and pushes the reply to the client", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1", features: [:state]}})
+
+      push(socket, "state_connect", %{"root" => [["1", "id1"], %{"count" => 0}]})
+
+      assert_receive {:state_connect, from, %{"count" => 0}, %{ref: "1", view_id: "id1"}}
+      send(from, {:state_connect_reply, %{"count" => 1}, %{ref: "1", view_id: "id1", version: 3}})
+
+      assert_push "state:1:id1", %{"root" => [[3], %{"count" => 1}]}
+    end
+
+    test "sends state patches to the widget server", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1", features: [:state]}})
+
+      patch = [%{"op" => "replace", "path" => "/count", "value" => 2}]
+      push(socket, "state_patch", %{"root" => [["1", "id1", 3], patch]})
+
+      assert_receive {:state_patch, ^patch, %{ref: "1", view_id: "id1", version: 3}}
+    end
+
+    test "pushes an error when the widget server does not support shared state",
+         %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1"}})
+
+      push(socket, "state_connect", %{"root" => [["1", "id1"], %{"count" => 0}]})
+
+      assert_push "error:1", %{"message" => message}
+      assert message =~ "ctx.syncState is not supported by the runtime"
+      refute_received {:state_connect, _from, _initial, _info}
+    end
+  end
+
+  describe "streams" do
+    test "sends chunks to the widget server and replies once acknowledged", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1", features: [:stream]}})
+
+      meta = ~s/[["upload","1"],{"stream":1,"offset":0,"done":false}]/
+      raw = {:binary, <<byte_size(meta)::size(32), meta::binary, 1, 2, 3>>}
+      ref = push(socket, "stream_chunk", raw)
+
+      payload = {:binary, %{"stream" => 1, "offset" => 0, "done" => false}, <<1, 2, 3>>}
+      assert_receive {:stream_chunk, from, "upload", ^payload, %{origin: _origin} = info}
+
+      refute_reply ref, :ok
+
+      send(from, {:stream_chunk_ack, :ok, info})
+      assert_reply ref, :ok
+    end
+
+    test "replies with the error reported by the widget server", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1", features: [:stream]}})
+
+      meta = ~s/[["upload","1"],{"stream":1,"offset":0,"done":false}]/
+      raw = {:binary, <<byte_size(meta)::size(32), meta::binary, 1, 2, 3>>}
+      ref = push(socket, "stream_chunk", raw)
+
+      assert_receive {:stream_chunk, from, "upload", _payload, info}
+
+      send(from, {:stream_chunk_ack, {:error, "too large"}, info})
+      assert_reply ref, :error, %{"message" => "too large"}
+    end
+
+    test "replies with an error when the widget server does not support streams",
+         %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      assert_receive {:connect, from, %{}}
+      send(from, {:connect_reply, [1, 2, 3], %{ref: "1"}})
+
+      meta = ~s/[["upload","1"],{"stream":1,"offset":0,"done":false}]/
+      raw = {:binary, <<byte_size(meta)::size(32), meta::binary, 1, 2, 3>>}
+      ref = push(socket, "stream_chunk", raw)
+
+      assert_reply ref, :error, %{"message" => message}
+      assert message =~ "ctx.pushStream is not supported by the runtime"
+      refute_received {:stream_chunk, _from, _event, _payload, _info}
+    end
+
+    test "replies with an error when no connection is found", %{socket: socket} do
+      meta = ~s/[["upload","1"],{"stream":1,"offset":0,"done":false}]/
+      raw = {:binary, <<byte_size(meta)::size(32), meta::binary, 1, 2, 3>>}
+      ref = push(socket, "stream_chunk", raw)
+
+      assert_reply ref, :error, %{"message" => "The view is no longer connected"}
+    end
+  end
+
+  describe "snapshots" do
+    setup do
+      {:ok, session} = Livebook.Sessions.create_session()
+      on_exit(fn -> Livebook.Session.close(session.pid) end)
+
+      {:ok, _, socket} =
+        LivebookWeb.Socket
+        |> socket()
+        |> subscribe_and_join(LivebookWeb.JSViewChannel, "js_view", %{
+          "session_token" => session_token(session.id, Livebook.Utils.random_long_id())
+        })
+
+      %{socket: socket, session: session}
+    end
+
+    test "stores the snapshot and replies with it on request",
+         %{socket: socket, session: session} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      snapshot = %{"src" => "data:image/png;base64,AAAA", "width" => 100, "height" => 50}
+      push(socket, "snapshot", %{"ref" => "1", "snapshot" => snapshot})
+
+      # The snapshot is written by the session asynchronously
+      :sys.get_state(socket.channel_pid)
+      Livebook.Session.get_data(session.pid)
+
+      ref = push(socket, "get_snapshot", %{"ref" => "1"})
+      assert_reply ref, :ok, %{"snapshot" => ^snapshot}
+    end
+
+    test "replies with an error when the stored snapshot is corrupted",
+         %{socket: socket, session: session} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      snapshot = %{"src" => "data:image/png;base64,AAAA", "width" => 100, "height" => 50}
+      push(socket, "snapshot", %{"ref" => "1", "snapshot" => snapshot})
+
+      :sys.get_state(socket.channel_pid)
+      Livebook.Session.get_data(session.pid)
+
+      [path] =
+        Livebook.Config.tmp_path()
+        |> Path.join("sessions/#{session.id}/js_view_snapshots/*.json")
+        |> Path.wildcard()
+
+      File.write!(path, ~s/{"src": "data:image/)
+
+      ref = push(socket, "get_snapshot", %{"ref" => "1"})
+      assert_reply ref, :error, %{"message" => "No snapshot available"}
+    end
+
+    test "ignores invalid snapshots", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      snapshot = %{"src" => "https://example.com/image.png", "width" => 100, "height" => 50}
+      push(socket, "snapshot", %{"ref" => "1", "snapshot" => snapshot})
+
+      ref = push(socket, "get_snapshot", %{"ref" => "1"})
+      assert_reply ref, :error, %{"message" => "No snapshot available"}
+    end
+
+    test "ignores snapshots exceeding the maximum size", %{socket: socket} do
+      push(socket, "connect", %{"connect_token" => connect_token(), "ref" => "1", "id" => "id1"})
+
+      src = "data:image/png;base64," <> String.duplicate("A", 500_000)
+      snapshot = %{"src" => src, "width" => 100, "height" => 50}
+      push(socket, "snapshot", %{"ref" => "1", "snapshot" => snapshot})
+
+      ref = push(socket, "get_snapshot", %{"ref" => "1"})
+      assert_reply ref, :error, %{"message" => "No snapshot available"}
+    end
+
+    test "ignores snapshots when no connection is found", %{socket: socket} do
+      snapshot = %{"src" => "data:image/png;base64,AAAA", "width" => 100, "height" => 50}
+      push(socket, "snapshot", %{"ref" => "1", "snapshot" => snapshot})
+
+      ref = push(socket, "get_snapshot", %{"ref" => "1"})
+      assert_reply ref, :error, %{"message" => "No snapshot available"}
+    end
+  end
+
   defp session_token(session_id, client_id) do
     Phoenix.Token.sign(LivebookWeb.Endpoint, "session", %{
       session_id: session_id,
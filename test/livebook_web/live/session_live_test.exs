@@ -7,6 +7,7 @@ defmodule LivebookWeb.SessionLiveTest do
 
   alias Livebook.{Sessions, Session, Settings, Runtime, Users, FileSystem}
   alias Livebook.Notebook.Cell
+  alias Livebook.Text.Delta
 
   setup do
     {:ok, session} = Sessions.create_session(notebook: Livebook.Notebook.new())
@@ -184,6 +185,94 @@ defmodule LivebookWeb.SessionLiveTest do
                Session.get_data(session.pid)
     end
 
+    test "applying a cell delta", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell_id = insert_text_cell(session.pid, section_id, :code, "x")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      delta = Delta.new() |> Delta.retain(1) |> Delta.insert("y")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("apply_cell_delta", %{
+        "cell_id" => cell_id,
+        "tag" => "primary",
+        "delta" => Delta.to_compressed(delta),
+        "selection" => nil,
+        "revision" => 0
+      })
+
+      assert %{notebook: %{sections: [%{cells: [%Cell.Code{source: "xy"}]}]}} =
+               Session.get_data(session.pid)
+    end
+
+    test "applying a cell delta in the binary encoding", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell_id = insert_text_cell(session.pid, section_id, :code, "x")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      delta = Delta.new() |> Delta.retain(1) |> Delta.insert("y")
+
+      binary =
+        %{"selection" => [[2, 2]], "revision" => 0}
+        |> LivebookWeb.CodecHelpers.encode_annotated_binary!(Delta.to_binary(delta))
+        |> Base.encode64()
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("apply_cell_delta", %{
+        "cell_id" => cell_id,
+        "tag" => "primary",
+        "binary" => binary
+      })
+
+      assert %{notebook: %{sections: [%{cells: [%Cell.Code{source: "xy"}]}]}} =
+               Session.get_data(session.pid)
+    end
+
+    test "ignores malformed cell deltas in the binary encoding",
+         %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell_id = insert_text_cell(session.pid, section_id, :code, "x")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      delta_binary =
+        Delta.new()
+        |> Delta.insert("y")
+        |> Delta.to_binary()
+
+      annotated_binary =
+        LivebookWeb.CodecHelpers.encode_annotated_binary!(
+          %{"selection" => nil, "revision" => 0},
+          delta_binary
+        )
+
+      binaries = [
+        "not base64",
+        Base.encode64(<<0, 0>>),
+        Base.encode64(<<0, 0, 0, 2, "{}">>),
+        annotated_binary |> binary_part(0, byte_size(annotated_binary) - 1) |> Base.encode64()
+      ]
+
+      for binary <- binaries do
+        view
+        |> element(~s{[data-el-session]})
+        |> render_hook("apply_cell_delta", %{
+          "cell_id" => cell_id,
+          "tag" => "primary",
+          "binary" => binary
+        })
+      end
+
+      assert render(view) =~ cell_id
+
+      assert %{notebook: %{sections: [%{cells: [%Cell.Code{source: "x"}]}]}} =
+               Session.get_data(session.pid)
+    end
+
     test "setting cell to always reevaluating", %{conn: conn, session: session} do
       section_id = insert_section(session.pid)
       cell_id = insert_text_cell(session.pid, section_id, :code)
@@ -447,6 +536,99 @@ defmodule LivebookWeb.SessionLiveTest do
       assert %{notebook: %{sections: [%{cells: []}]}} = Session.get_data(session.pid)
     end
 
+    test "deleting the given cells", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell1_id = insert_text_cell(session.pid, section_id, :code, "1")
+      cell2_id = insert_text_cell(session.pid, section_id, :code, "2")
+      cell3_id = insert_text_cell(session.pid, section_id, :code, "3")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("delete_cells", %{"cell_ids" => [cell1_id, cell3_id]})
+
+      render_confirm(view)
+
+      assert %{notebook: %{sections: [%{cells: [%{id: ^cell2_id}]}]}} =
+               Session.get_data(session.pid)
+    end
+
+    test "moving the given cells keeps them together", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell4_id = insert_text_cell(session.pid, section_id, :code, "4")
+      cell3_id = insert_text_cell(session.pid, section_id, :code, "3")
+      cell2_id = insert_text_cell(session.pid, section_id, :code, "2")
+      cell1_id = insert_text_cell(session.pid, section_id, :code, "1")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("move_cells", %{"cell_ids" => [cell1_id, cell2_id], "offset" => 1})
+
+      %{notebook: %{sections: [section]}} = Session.get_data(session.pid)
+      assert Enum.map(section.cells, & &1.id) == [cell3_id, cell1_id, cell2_id, cell4_id]
+
+      # The cells are moved in the notebook order, regardless of the given order
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("move_cells", %{"cell_ids" => [cell2_id, cell1_id], "offset" => -1})
+
+      %{notebook: %{sections: [section]}} = Session.get_data(session.pid)
+      assert Enum.map(section.cells, & &1.id) == [cell1_id, cell2_id, cell3_id, cell4_id]
+    end
+
+    test "moving the given cells across section boundary", %{conn: conn, session: session} do
+      section2_id = insert_section(session.pid)
+      cell3_id = insert_text_cell(session.pid, section2_id, :code, "3")
+      section1_id = insert_section(session.pid)
+      cell2_id = insert_text_cell(session.pid, section1_id, :code, "2")
+      cell1_id = insert_text_cell(session.pid, section1_id, :code, "1")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("move_cells", %{"cell_ids" => [cell1_id, cell2_id], "offset" => 1})
+
+      assert %{
+               notebook: %{
+                 sections: [
+                   %{id: ^section1_id, cells: []},
+                   %{
+                     id: ^section2_id,
+                     cells: [%{id: ^cell1_id}, %{id: ^cell2_id}, %{id: ^cell3_id}]
+                   }
+                 ]
+               }
+             } = Session.get_data(session.pid)
+    end
+
+    test "moving the given cells past the notebook edge does nothing",
+         %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell3_id = insert_text_cell(session.pid, section_id, :code, "3")
+      cell2_id = insert_text_cell(session.pid, section_id, :code, "2")
+      cell1_id = insert_text_cell(session.pid, section_id, :code, "1")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("move_cells", %{"cell_ids" => [cell1_id, cell2_id], "offset" => -1})
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("move_cells", %{"cell_ids" => [cell2_id, cell3_id], "offset" => 1})
+
+      assert %{
+               notebook: %{
+                 sections: [%{cells: [%{id: ^cell1_id}, %{id: ^cell2_id}, %{id: ^cell3_id}]}]
+               }
+             } = Session.get_data(session.pid)
+    end
+
     test "restoring a deleted cell", %{conn: conn, session: session} do
       section_id = insert_section(session.pid)
       cell_id = insert_text_cell(session.pid, section_id, :code)
@@ -469,6 +651,107 @@ defmodule LivebookWeb.SessionLiveTest do
                Session.get_data(session.pid)
     end
 
+    test "copying cells", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      code_cell_id = insert_text_cell(session.pid, section_id, :code, "1 + 1")
+      markdown_cell_id = insert_text_cell(session.pid, section_id, :markdown, "# Title")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("copy_cells", %{"cell_ids" => [code_cell_id, markdown_cell_id]})
+
+      assert_reply(view, %{
+        cells: [
+          %{type: "markdown", source: "# Title"},
+          %{type: "code", language: "elixir", source: "1 + 1"}
+        ],
+        markdown: markdown
+      })
+
+      assert markdown =~ "# Title"
+      assert markdown =~ "1 + 1"
+    end
+
+    test "pasting cells below the given cell", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell_id = insert_text_cell(session.pid, section_id, :code, "1 + 1")
+      _first_cell_id = insert_text_cell(session.pid, section_id, :code, "1")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("insert_cells_below", %{
+        "cell_id" => cell_id,
+        "cells" => [
+          %{"type" => "markdown", "source" => "# Title"},
+          %{"type" => "code", "language" => "erlang", "source" => "1 + 2."},
+          %{"type" => "unknown", "source" => ""}
+        ]
+      })
+
+      assert %{
+               notebook: %{
+                 sections: [
+                   %{
+                     cells: [
+                       %Cell.Code{source: "1"},
+                       %Cell.Code{id: ^cell_id},
+                       %Cell.Markdown{source: "# Title"},
+                       %Cell.Code{language: :erlang, source: "1 + 2."}
+                     ]
+                   }
+                 ]
+               }
+             } = Session.get_data(session.pid)
+    end
+
+    test "pasting cells at section start", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      _cell_id = insert_text_cell(session.pid, section_id, :code, "1 + 1")
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      view
+      |> element(~s{[data-el-session]})
+      |> render_hook("insert_cells_below", %{
+        "section_id" => section_id,
+        "markdown" => "Cell 1\n\n```elixir\n1 + 2\n```\n"
+      })
+
+      assert %{
+               notebook: %{
+                 sections: [
+                   %{
+                     cells: [
+                       %Cell.Markdown{source: "Cell 1"},
+                       %Cell.Code{source: "1 + 2"},
+                       %Cell.Code{source: "1 + 1"}
+                     ]
+                   }
+                 ]
+               }
+             } = Session.get_data(session.pid)
+    end
+
+    test "pasting an empty payload does not insert cells", %{conn: conn, session: session} do
+      section_id = insert_section(session.pid)
+      cell_id = insert_text_cell(session.pid, section_id, :code)
+
+      {:ok, view, _} = live(conn, ~p"/sessions/#{session.id}")
+
+      for params <- [%{}, %{"cells" => []}, %{"markdown" => ""}] do
+        view
+        |> element(~s{[data-el-session]})
+        |> render_hook("insert_cells_below", Map.put(params, "cell_id", cell_id))
+      end
+
+      assert %{notebook: %{sections: [%{cells: [%{id: ^cell_id}]}]}} =
+               Session.get_data(session.pid)
+    end
+
     test "editing input field in cell output", %{conn: conn, session: session, test: test} do
       section_id = insert_section(session.pid)
 